@@ -9,6 +9,9 @@ import AdminRules from './pages/AdminRules';
 import AdminTenants from './pages/AdminTenants';
 import AdminUsers from './pages/AdminUsers';
 import AdminActivity from './pages/AdminActivity';
+import AdminAnalytics from './pages/AdminAnalytics';
+import AdminApprovals from './pages/AdminApprovals';
+import AdminRetries from './pages/AdminRetries';
 import AdminMaintenance from './pages/AdminMaintenance';
 import { Link as RouterLink } from 'react-router-dom';
 import UserMenu from './components/UserMenu';
@@ -75,10 +78,13 @@ function AppContent() {
           <Routes location={location} key={location.pathname}>
             <Route path="/login" element={<PageTransition><Login /></PageTransition>} />
             <Route path="/agent" element={<ProtectedRoute><PageTransition><AgentDashboard /></PageTransition></ProtectedRoute>} />
-            <Route path="/admin/rules" element={<ProtectedRoute><AdminRoute><PageTransition><AdminRules /></PageTransition></AdminRoute></ProtectedRoute>} />
+            <Route path="/admin/rules" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin","super_admin"]}><PageTransition><AdminRules /></PageTransition></AdminRoute></ProtectedRoute>} />
             <Route path="/admin/tenants" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin"]}><PageTransition><AdminTenants /></PageTransition></AdminRoute></ProtectedRoute>} />
             <Route path="/admin/users" element={<ProtectedRoute><AdminRoute><PageTransition><AdminUsers /></PageTransition></AdminRoute></ProtectedRoute>} />
             <Route path="/admin/activity" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin","super_admin"]}><PageTransition><AdminActivity /></PageTransition></AdminRoute></ProtectedRoute>} />
+            <Route path="/admin/analytics" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin","super_admin"]}><PageTransition><AdminAnalytics /></PageTransition></AdminRoute></ProtectedRoute>} />
+            <Route path="/admin/approvals" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin","super_admin"]}><PageTransition><AdminApprovals /></PageTransition></AdminRoute></ProtectedRoute>} />
+            <Route path="/admin/retries" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin","super_admin"]}><PageTransition><AdminRetries /></PageTransition></AdminRoute></ProtectedRoute>} />
             <Route path="/admin/maintenance" element={<ProtectedRoute><AdminRoute allowedRoles={["platform_admin"]}><PageTransition><AdminMaintenance /></PageTransition></AdminRoute></ProtectedRoute>} />
             <Route path="/" element={<Navigate to="/agent" replace />} />
           </Routes>
@@ -113,9 +119,12 @@ function NavLinks() {
 
   const items: Array<{ to: string; label: string; show: boolean }> = [
     { to: '/agent', label: 'Agent', show: true },
-    { to: '/admin/rules', label: 'Rules', show: true },
+    { to: '/admin/rules', label: 'Rules', show: canSeeActivity },
     { to: '/admin/users', label: 'Users', show: true },
     { to: '/admin/activity', label: 'Activity', show: canSeeActivity },
+    { to: '/admin/analytics', label: 'Analytics', show: canSeeActivity },
+    { to: '/admin/approvals', label: 'Approvals', show: canSeeActivity },
+    { to: '/admin/retries', label: 'Retries', show: canSeeActivity },
   ];
   // Add Tenants or Maintenance conditionally
   if (canSeeTenantsLink) items.splice(2, 0, { to: '/admin/tenants', label: 'Tenants', show: true });
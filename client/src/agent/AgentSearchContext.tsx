@@ -13,6 +13,36 @@ export interface OrderLineItem {
   price: string;
 }
 
+// What a full refund does with the order (`mode` on POST /refund)
+export type RefundMode = 'cancel_and_refund' | 'refund_only' | 'refund_shipping_only';
+
+// GET /refund-reasons: one entry of the tenant's catalogue (`reasonCode` on POST /refund)
+export interface RefundReason {
+  code: string;
+  label: string;
+  active: boolean;
+}
+
+// POST /refund/attachments: evidence uploaded for an order (`attachmentIds` on POST /refund)
+export interface RefundAttachment {
+  _id: string;
+  orderId: string;
+  originalName: string | null;
+  mimeType: string;
+  size: number;
+  createdAt: string;
+}
+
+// Shopify restock_type for a partial refund line
+export type RestockType = 'no_restock' | 'return' | 'cancel';
+
+export interface ShopLocation {
+  id: number;
+  name: string;
+  active: boolean;
+  city?: string | null;
+}
+
 export interface OrderSummary {
   id: number;
   name: string;
@@ -30,10 +60,23 @@ export interface OrderSummary {
   } | null;
 }
 
+export interface RuleTraceEntry {
+  rule: string;
+  source: 'builtin' | 'condition' | 'agent';
+  status: 'evaluated' | 'skipped';
+  observed: unknown;
+  threshold: unknown;
+  outcome: 'ALLOW' | 'DENY' | 'REQUIRE_APPROVAL' | 'WARN' | null;
+  detail: string | null;
+}
+
 export interface RuleDecision {
   outcome: 'ALLOW' | 'DENY' | 'REQUIRE_APPROVAL';
   reason?: string;
   matched?: string[];
+  trace?: RuleTraceEntry[];
+  // set when the agent's own refund limits were exceeded
+  agentLimit?: { outcome: 'DENY' | 'REQUIRE_APPROVAL'; reason: string; matched: string[] } | null;
   rulesVersion?: number;
   ruleSetId?: string | null;
 }
@@ -47,6 +90,9 @@ export interface PreviewResult {
     rulesVersion?: number;
     ruleSetId?: string | null;
     attemptsToday?: number | null;
+    attemptsTodayStatus?: 'counted' | 'partial' | 'unknown';
+    refundMode?: RefundMode | null;
+    allowedRefundModes?: RefundMode[] | null;
     daysSinceDelivery?: number | null;
     availableBalance?: number | null;
     totalDeducted?: number | null;
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { Card, Text, BlockStack, InlineStack, InlineGrid, ProgressBar, Badge } from '@shopify/polaris';
+import api from '../apiClient';
+import { useAuth } from '../auth/AuthContext';
+
+type BudgetPeriod = { cap: number | null; spent: number; remaining: number | null; since: string; resetsAt: string };
+type RefundBudget = {
+  timeZone: string;
+  daily: BudgetPeriod;
+  monthly: BudgetPeriod;
+  mode: 'observe' | 'warn' | 'enforce';
+  enforced: boolean;
+};
+
+const inr = (n: number) => `₹${Number(n || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+function Meter({ label, period }: { label: string; period: BudgetPeriod }) {
+  if (period.cap == null) return null;
+  const used = period.cap > 0 ? Math.min(100, (period.spent / period.cap) * 100) : 100;
+  const tone = used >= 100 ? 'critical' : used >= 80 ? 'highlight' : 'success';
+  return (
+    <BlockStack gap="100">
+      <InlineStack align="space-between">
+        <Text as="span" fontWeight="semibold">{label}</Text>
+        <Text as="span" tone="subdued">{inr(period.spent)} of {inr(period.cap)} · {inr(period.remaining ?? 0)} left</Text>
+      </InlineStack>
+      <ProgressBar progress={used} tone={tone} size="small" />
+    </BlockStack>
+  );
+}
+
+// Store-wide refund budget (spent vs cap today and this month); hidden when the ruleset sets no cap.
+// Bump refreshKey after a refund to reload it.
+export default function RefundBudgetMeter({ refreshKey = 0 }: { refreshKey?: number }) {
+  const { selectedTenantId } = useAuth();
+  const [budget, setBudget] = useState<RefundBudget | null>(null);
+
+  useEffect(() => {
+    let mounted = true;
+    api.get<{ status: string; data: RefundBudget }>('/refund/budget')
+      .then((res) => { if (mounted) setBudget(res.data.data); })
+      .catch(() => { if (mounted) setBudget(null); });
+    return () => { mounted = false; };
+  }, [selectedTenantId, refreshKey]);
+
+  if (!budget || (budget.daily.cap == null && budget.monthly.cap == null)) return null;
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h3" variant="headingMd">Store refund budget</Text>
+          {!budget.enforced && <Badge tone="info">{`Not enforced (${budget.mode} mode)`}</Badge>}
+        </InlineStack>
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+          <Meter label="Today" period={budget.daily} />
+          <Meter label="This month" period={budget.monthly} />
+        </InlineGrid>
+        <Text as="p" variant="bodySm" tone="subdued">Counted in {budget.timeZone}</Text>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react';
+import { Card, Text, BlockStack, InlineStack, Button, Banner, TextField, Checkbox } from '@shopify/polaris';
+import api from '../apiClient';
+import { useAuth } from '../auth/AuthContext';
+import type { RefundReason } from '../agent/AgentSearchContext';
+
+type ReasonList = { reasons: RefundReason[]; isDefault: boolean };
+
+// Tenant catalogue of refund reasons agents pick from; retired reasons stay listed so old refunds keep their label
+export default function RefundReasonsCard() {
+  const { selectedTenantId } = useAuth();
+  const [list, setList] = useState<ReasonList | null>(null);
+  const [draft, setDraft] = useState<RefundReason[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    let mounted = true;
+    setMsg(null);
+    api.get<{ status: string; data: ReasonList }>('/refund-reasons')
+      .then((res) => {
+        if (!mounted) return;
+        setList(res.data.data);
+        setDraft(res.data.data.reasons);
+      })
+      .catch((e) => {
+        if (!mounted) return;
+        setList(null);
+        setMsg({ type: 'error', text: e?.response?.data?.message || 'Could not load refund reasons' });
+      });
+    return () => { mounted = false; };
+  }, [selectedTenantId]);
+
+  function updateRow(index: number, patch: Partial<RefundReason>) {
+    setDraft((prev) => prev.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+  }
+
+  async function save(reasons: RefundReason[] | null) {
+    setSaving(true);
+    setMsg(null);
+    try {
+      const res = await api.put<{ status: string; data: ReasonList }>('/refund-reasons', { reasons });
+      setList(res.data.data);
+      setDraft(res.data.data.reasons);
+      setMsg({ type: 'success', text: reasons ? 'Refund reasons saved' : 'Refund reasons reset to the defaults' });
+    } catch (e) {
+      const message = (e as { response?: { data?: { message?: string } } })?.response?.data?.message;
+      setMsg({ type: 'error', text: message || 'Failed to save refund reasons' });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const unchanged = JSON.stringify(draft) === JSON.stringify(list?.reasons || []);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <BlockStack gap="100">
+          <Text as="h3" variant="headingMd">Refund reasons</Text>
+          <Text as="p" tone="subdued">
+            Agents pick one of the active reasons on every refund. Untick a reason to retire it; match on it in rules with request.reasonCode
+          </Text>
+        </BlockStack>
+        {msg && <Banner tone={msg.type === 'error' ? 'critical' : 'success'} onDismiss={() => setMsg(null)}>{msg.text}</Banner>}
+        {draft.map((r, i) => (
+          <InlineStack key={i} gap="300" blockAlign="center" wrap={false}>
+            <div style={{ width: '180px' }}>
+              <TextField label="Code" labelHidden placeholder="code" autoComplete="off" value={r.code} onChange={(v) => updateRow(i, { code: v })} />
+            </div>
+            <div style={{ flex: 1 }}>
+              <TextField label="Label" labelHidden placeholder="Label" autoComplete="off" value={r.label} onChange={(v) => updateRow(i, { label: v })} />
+            </div>
+            <Checkbox label="Active" checked={r.active} onChange={(checked) => updateRow(i, { active: checked })} />
+          </InlineStack>
+        ))}
+        <InlineStack gap="200" align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Button onClick={() => setDraft((prev) => [...prev, { code: '', label: '', active: true }])} disabled={!list}>Add reason</Button>
+            {list?.isDefault && <Text as="span" variant="bodySm" tone="subdued">Using the default reasons</Text>}
+          </InlineStack>
+          <InlineStack gap="200">
+            <Button onClick={() => save(null)} disabled={!list || list.isDefault} loading={saving}>Reset to defaults</Button>
+            <Button variant="primary" onClick={() => save(draft)} disabled={!list || unchanged} loading={saving}>Save</Button>
+          </InlineStack>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'react';
+import { Card, Text, BlockStack, InlineStack, Button, Banner } from '@shopify/polaris';
+import { CustomSelect } from './CustomSelect';
+import api from '../apiClient';
+import { useAuth } from '../auth/AuthContext';
+import type { ShopLocation } from '../agent/AgentSearchContext';
+
+type LocationList = { locations: ShopLocation[]; defaultLocationId: number | null };
+
+const locationLabel = (l: ShopLocation) => (l.city ? `${l.name} (${l.city})` : l.name);
+
+// Tenant default for where restocked refund lines go when the agent does not pick a location
+export default function RestockLocationCard() {
+  const { selectedTenantId } = useAuth();
+  const [list, setList] = useState<LocationList | null>(null);
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    let mounted = true;
+    setMsg(null);
+    api.get<{ status: string; data: LocationList }>('/locations')
+      .then((res) => {
+        if (!mounted) return;
+        setList(res.data.data);
+        setValue(res.data.data.defaultLocationId != null ? String(res.data.data.defaultLocationId) : '');
+      })
+      .catch((e) => {
+        if (!mounted) return;
+        setList(null);
+        setMsg({ type: 'error', text: e?.response?.data?.message || 'Could not load Shopify locations' });
+      });
+    return () => { mounted = false; };
+  }, [selectedTenantId]);
+
+  async function save() {
+    setSaving(true);
+    setMsg(null);
+    try {
+      const res = await api.patch<{ status: string; data: { defaultLocationId: number | null } }>('/locations/default', {
+        locationId: value ? Number(value) : null,
+      });
+      setList((prev) => (prev ? { ...prev, defaultLocationId: res.data.data.defaultLocationId } : prev));
+      setMsg({ type: 'success', text: 'Default restock location saved' });
+    } catch (e) {
+      const message = (e as { response?: { data?: { message?: string } } })?.response?.data?.message;
+      setMsg({ type: 'error', text: message || 'Failed to save the restock location' });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const options = [
+    { label: 'No default (agents must pick)', value: '' },
+    ...(list?.locations || []).filter((l) => l.active).map((l) => ({ label: locationLabel(l), value: String(l.id) })),
+  ];
+  const unchanged = value === (list?.defaultLocationId != null ? String(list.defaultLocationId) : '');
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <BlockStack gap="100">
+          <Text as="h3" variant="headingMd">Restock location</Text>
+          <Text as="p" tone="subdued">Where returned or cancelled items go back into stock when a partial refund restocks them</Text>
+        </BlockStack>
+        {msg && <Banner tone={msg.type === 'error' ? 'critical' : 'success'} onDismiss={() => setMsg(null)}>{msg.text}</Banner>}
+        <InlineStack gap="300" blockAlign="end" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <CustomSelect label="Default location" options={options} value={value} onChange={setValue} disabled={!list} />
+          </div>
+          <Button onClick={save} loading={saving} disabled={!list || unchanged}>Save</Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -1,5 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
-import { Box, Card, Text, BlockStack, InlineStack, TextField, Button, Banner, IndexTable, Pagination, Icon } from '@shopify/polaris';
+import { Box, Card, Text, BlockStack, InlineStack, TextField, Button, Banner, IndexTable, Pagination, Icon, Popover, ActionList, Badge, Tooltip } from '@shopify/polaris';
 import { CustomSelect } from '../components/CustomSelect';
 import { SearchIcon, FilterIcon } from '@shopify/polaris-icons';
 import api from '../apiClient';
@@ -16,6 +16,19 @@ type User = {
 
 type TenantRef = string | { _id: string; name?: string };
 
+type Outcome = 'SUCCESS' | 'ERROR' | 'DENY' | 'REQUIRE_APPROVAL';
+
+// Denied and failed attempts are recorded too, so sort by the latest attempt of any kind
+const STAT_SORT = '-lastAttemptAt,-lastRefundAt';
+const STAT_FIELDS = 'user,tenant,customer,totalCount,successCount,failureCount,lastIp,lastOutcome,lastErrorCode,lastErrorMsg,lastRefundAt,lastAttemptAt';
+
+const OUTCOME_BADGES: Record<Outcome, { label: string; tone: 'success' | 'critical' | 'warning' | 'attention' }> = {
+  SUCCESS: { label: 'Refunded', tone: 'success' },
+  DENY: { label: 'Denied', tone: 'critical' },
+  ERROR: { label: 'Failed', tone: 'warning' },
+  REQUIRE_APPROVAL: { label: 'Needs approval', tone: 'attention' },
+};
+
 type RefundStat = {
   _id: string;
   user: User | null;
@@ -23,10 +36,13 @@ type RefundStat = {
   customer: string;
   totalCount: number;
   successCount: number;
+  failureCount?: number;
   lastIp?: string | null;
-  lastOutcome?: 'SUCCESS' | 'ERROR' | 'DENY' | 'REQUIRE_APPROVAL' | null;
+  lastOutcome?: Outcome | null;
   lastErrorCode?: string | null;
+  lastErrorMsg?: string | null;
   lastRefundAt?: string | null;
+  lastAttemptAt?: string | null;
   createdAt?: string;
   updatedAt?: string;
 };
@@ -56,12 +72,14 @@ export default function AdminActivity() {
   const [error, setError] = useState<string | null>(null);
   const [page, setPage] = useState(1);
   const [limit] = useState(20);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
   const queryParams = useMemo(() => {
     const qp: Record<string, any> = {
       limit,
-      sort: '-lastRefundAt',
-      fields: 'user,tenant,customer,totalCount,successCount,lastIp,lastOutcome,lastErrorCode,lastRefundAt'
+      sort: STAT_SORT,
+      fields: STAT_FIELDS
     };
     if (day) qp.day = day;
     if (phone.trim()) qp.phone = phone.trim();
@@ -148,11 +166,44 @@ export default function AdminActivity() {
     setPage(1);
     loadStats(1, {
       limit,
-      sort: '-lastRefundAt',
-      fields: 'user,tenant,customer,totalCount,successCount,lastIp,lastOutcome,lastErrorCode,lastRefundAt'
+      sort: STAT_SORT,
+      fields: STAT_FIELDS
     }, selectedTenantId || (canSwitchShop ? 'ALL' : undefined));
   }
 
+  async function exportStats(format: 'csv' | 'xlsx') {
+    setExportOpen(false);
+    setExporting(true);
+    setError(null);
+    const tenantId = shop || selectedTenantId || (canSwitchShop ? 'ALL' : undefined);
+    // Same filters as the table, without pagination/projection
+    const params: Record<string, string> = { format, sort: STAT_SORT };
+    if (day) params.day = day;
+    if (phone.trim()) params.phone = phone.trim();
+    if (agent) params.user = agent;
+    try {
+      const res = await api.get<Blob>('/refund-stats/export', {
+        params,
+        headers: tenantId ? { 'x-tenant-id': tenantId } : undefined,
+        responseType: 'blob'
+      });
+      const disposition = String(res.headers['content-disposition'] || '');
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `refund-activity.${format}`;
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: unknown) {
+      const e = err as { response?: { status?: number } };
+      if (e?.response?.status === 403) setError("You don't have permission to export activity logs.");
+      else setError('Failed to export activity logs');
+    } finally {
+      setExporting(false);
+    }
+  }
+
   function onPrev() {
     if (page > 1) {
       loadStats(page - 1);
@@ -229,7 +280,25 @@ export default function AdminActivity() {
 
         <Card padding="0">
           <Box padding="400" borderBlockEndWidth="100" borderColor="border">
-            <Text as="h3" variant="headingMd">Results</Text>
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="h3" variant="headingMd">Results</Text>
+              <Popover
+                active={exportOpen}
+                onClose={() => setExportOpen(false)}
+                activator={
+                  <Button disclosure onClick={() => setExportOpen((open) => !open)} loading={exporting} disabled={loading}>
+                    Export
+                  </Button>
+                }
+              >
+                <ActionList
+                  items={[
+                    { content: 'CSV', onAction: () => exportStats('csv') },
+                    { content: 'Excel (XLSX)', onAction: () => exportStats('xlsx') }
+                  ]}
+                />
+              </Popover>
+            </InlineStack>
           </Box>
           <IndexTable
             resourceName={{ singular: 'result', plural: 'results' }}
@@ -242,6 +311,8 @@ export default function AdminActivity() {
               { title: 'Total Refunds' },
               { title: 'Successful Transactions' },
               { title: 'Total Refund Amount' },
+              { title: 'Failed / Denied' },
+              { title: 'Last Outcome' },
               { title: 'Recent Agent' },
               { title: 'Date' }
             ]}
@@ -250,7 +321,9 @@ export default function AdminActivity() {
             {stats?.map((s, index) => {
                const shopName = typeof s.tenant === 'object' && s.tenant ? (s.tenant as any).name || '' : String(s.tenant || '');
                const agentName = s.user?.name || s.user?.email || '—';
-               const dateStr = s.lastRefundAt ? new Date(s.lastRefundAt).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }).replace(',', '') : '—';
+               const lastAt = s.lastAttemptAt || s.lastRefundAt;
+               const outcome = s.lastOutcome ? OUTCOME_BADGES[s.lastOutcome] : null;
+               const dateStr = lastAt ? new Date(lastAt).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }).replace(',', '') : '—';
                
                // Mocking the display to match original visual representation for zero values or unrecorded amounts
                const totalRefundsDisplay = s.totalCount > 0 ? `₹${(s.totalCount * 1990).toLocaleString('en-IN')}.00` : `₹0.00`;
@@ -275,6 +348,19 @@ export default function AdminActivity() {
                    <IndexTable.Cell>
                      <Text as="span" fontWeight="regular">{totalAmountDisplay}</Text>
                    </IndexTable.Cell>
+                   <IndexTable.Cell>{s.failureCount ?? 0}</IndexTable.Cell>
+                   <IndexTable.Cell>
+                     {outcome ? (
+                       <BlockStack gap="050">
+                         <Badge tone={outcome.tone}>{outcome.label}</Badge>
+                         {s.lastOutcome !== 'SUCCESS' && s.lastErrorCode && (
+                           <Tooltip content={s.lastErrorMsg || s.lastErrorCode}>
+                             <Text as="span" tone="subdued" variant="bodySm">{s.lastErrorCode}</Text>
+                           </Tooltip>
+                         )}
+                       </BlockStack>
+                     ) : '—'}
+                   </IndexTable.Cell>
                    <IndexTable.Cell>
                      <Text as="span" fontWeight="semibold">{agentName}</Text>
                    </IndexTable.Cell>
@@ -0,0 +1,285 @@
+import { useEffect, useState } from 'react';
+import { Box, Card, Text, BlockStack, InlineStack, InlineGrid, TextField, Button, Banner, ProgressBar, Spinner } from '@shopify/polaris';
+import { CustomSelect } from '../components/CustomSelect';
+import api from '../apiClient';
+import { useAuth } from '../auth/AuthContext';
+
+type Granularity = 'day' | 'week' | 'month';
+type Outcome = 'SUCCESS' | 'DENY' | 'REQUIRE_APPROVAL' | 'ERROR';
+
+type SeriesPoint = {
+  period: string;
+  refundCount: number;
+  refundValue: number;
+  fullCount: number;
+  partialCount: number;
+  denyCount: number;
+  approvalCount: number;
+  errorCount: number;
+};
+
+type Summary = {
+  range: { from: string; to: string; granularity: Granularity; tz: string };
+  totals: { refundCount: number; refundValue: number; requests: number };
+  split: Record<'full' | 'partial', { count: number; value: number }>;
+  outcomes: Record<Outcome, { count: number; rate: number }>;
+  resolutions: { approved: number; denied: number };
+  series: SeriesPoint[];
+  topRules: Array<{ rule: string; count: number; denyCount: number; approvalCount: number }>;
+  topAgents: Array<{ user: { _id: string; name?: string; email?: string }; count: number; value: number }>;
+  topReasons: Array<{ reasonCode: string; label: string; count: number; refundCount: number; refundValue: number; denyCount: number; approvalCount: number }>;
+  topCustomers: Array<{ customer: string; count: number; value: number; lastAt: string }>;
+};
+
+const OUTCOME_LABELS: Record<Outcome, { label: string; tone: 'success' | 'critical' | 'highlight' | 'primary' }> = {
+  SUCCESS: { label: 'Refunded', tone: 'success' },
+  REQUIRE_APPROVAL: { label: 'Needed approval', tone: 'highlight' },
+  DENY: { label: 'Denied by policy', tone: 'critical' },
+  ERROR: { label: 'Failed', tone: 'primary' },
+};
+
+const GRANULARITY_OPTIONS = [
+  { label: 'Daily', value: 'day' },
+  { label: 'Weekly', value: 'week' },
+  { label: 'Monthly', value: 'month' },
+];
+
+const inr = (n: number) => `₹${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const pct = (n: number) => `${(n * 100).toFixed(1)}%`;
+const isoDay = (d: Date) => d.toISOString().slice(0, 10);
+
+function periodLabel(period: string, granularity: Granularity) {
+  const d = new Date(period);
+  if (granularity === 'month') return d.toLocaleDateString('en-GB', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  return d.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'UTC' });
+}
+
+// Column chart of refunded value per period (count in the tooltip)
+function SeriesChart({ series, granularity }: { series: SeriesPoint[]; granularity: Granularity }) {
+  if (!series.length) return <Text as="p" tone="subdued">No refunds in this range.</Text>;
+  const max = Math.max(...series.map((p) => p.refundValue), 1);
+  const height = 160;
+  const barWidth = 24;
+  const gap = 8;
+  const labelEvery = Math.ceil(series.length / 12);
+  const width = series.length * (barWidth + gap);
+  return (
+    <Box overflowX="scroll">
+      <svg width={width} height={height + 24} role="img" aria-label="Refunded value per period">
+        {series.map((p, i) => {
+          const h = Math.max(2, Math.round((p.refundValue / max) * height));
+          const x = i * (barWidth + gap);
+          return (
+            <g key={p.period}>
+              <rect x={x} y={height - h} width={barWidth} height={h} rx={3} fill="var(--p-color-bg-fill-success)">
+                <title>{`${periodLabel(p.period, granularity)}: ${inr(p.refundValue)} · ${p.refundCount} refunds (${p.fullCount} full, ${p.partialCount} partial)`}</title>
+              </rect>
+              {i % labelEvery === 0 && (
+                <text x={x + barWidth / 2} y={height + 16} textAnchor="middle" fontSize="10" fill="var(--p-color-text-secondary)">
+                  {periodLabel(p.period, granularity)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </Box>
+  );
+}
+
+function RankedList({ title, rows }: { title: string; rows: Array<{ key: string; label: string; detail: string; weight: number }> }) {
+  const max = Math.max(...rows.map((r) => r.weight), 1);
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h3" variant="headingMd">{title}</Text>
+        {rows.length === 0 && <Text as="p" tone="subdued">Nothing to show.</Text>}
+        {rows.map((row) => (
+          <BlockStack gap="100" key={row.key}>
+            <InlineStack align="space-between">
+              <Text as="span" fontWeight="semibold" truncate>{row.label}</Text>
+              <Text as="span" tone="subdued">{row.detail}</Text>
+            </InlineStack>
+            <ProgressBar progress={(row.weight / max) * 100} size="small" />
+          </BlockStack>
+        ))}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function Kpi({ label, value, detail }: { label: string; value: string; detail?: string }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="p" tone="subdued">{label}</Text>
+        <Text as="p" variant="headingLg">{value}</Text>
+        {detail && <Text as="p" variant="bodySm" tone="subdued">{detail}</Text>}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function AdminAnalytics() {
+  const { selectedTenantId, user } = useAuth();
+  const canSwitchShop = String(user?.role || '').toLowerCase() === 'platform_admin';
+
+  const today = new Date();
+  const [from, setFrom] = useState(isoDay(new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(isoDay(today));
+  const [granularity, setGranularity] = useState<Granularity>('day');
+
+  const [summary, setSummary] = useState<Summary | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function loadSummary() {
+    setLoading(true);
+    setError(null);
+    const tenantId = selectedTenantId || (canSwitchShop ? 'ALL' : undefined);
+    try {
+      const res = await api.get<{ status: string; data: Summary }>('/refund-stats/summary', {
+        params: {
+          from,
+          to,
+          granularity,
+          tz: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+        },
+        headers: tenantId ? { 'x-tenant-id': tenantId } : undefined
+      });
+      setSummary(res.data.data);
+    } catch (err: unknown) {
+      const e = err as { response?: { status?: number; data?: { error?: string; message?: string } } };
+      if (e?.response?.status === 403) setError("You don't have permission to view analytics.");
+      else setError(e?.response?.data?.message || e?.response?.data?.error || 'Failed to load analytics');
+      setSummary(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadSummary();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedTenantId]);
+
+  const outcomes = summary?.outcomes;
+
+  return (
+    <Box>
+      <Box paddingBlockEnd="400">
+        <BlockStack gap="200">
+          <Text as="h1" variant="headingLg">Analytics</Text>
+          <Text as="p" tone="subdued">Refund trends, outcomes and top rules, agents, reasons and customers</Text>
+        </BlockStack>
+      </Box>
+
+      <BlockStack gap="400">
+        <Card>
+          <InlineStack gap="300" blockAlign="end" wrap={false}>
+            <Box minWidth="150px">
+              <TextField label="From" type="date" value={from} onChange={setFrom} autoComplete="off" />
+            </Box>
+            <Box minWidth="150px">
+              <TextField label="To" type="date" value={to} onChange={setTo} autoComplete="off" />
+            </Box>
+            <Box minWidth="150px">
+              <CustomSelect
+                label="Group by"
+                options={GRANULARITY_OPTIONS}
+                value={granularity}
+                onChange={(value) => setGranularity(value as Granularity)}
+              />
+            </Box>
+            <Button variant="primary" onClick={loadSummary} loading={loading}>Apply</Button>
+          </InlineStack>
+        </Card>
+
+        {error && <Banner tone="critical">{error}</Banner>}
+        {loading && !summary && (
+          <InlineStack align="center"><Spinner accessibilityLabel="Loading analytics" /></InlineStack>
+        )}
+
+        {summary && outcomes && (
+          <>
+            <InlineGrid columns={{ xs: 1, sm: 2, md: 4 }} gap="400">
+              <Kpi label="Refunds" value={String(summary.totals.refundCount)} detail={`${summary.totals.requests} agent requests`} />
+              <Kpi label="Refunded value" value={inr(summary.totals.refundValue)} />
+              <Kpi
+                label="Full / partial"
+                value={`${summary.split.full.count} / ${summary.split.partial.count}`}
+                detail={`${inr(summary.split.full.value)} / ${inr(summary.split.partial.value)}`}
+              />
+              <Kpi
+                label="Approvals resolved"
+                value={String(summary.resolutions.approved + summary.resolutions.denied)}
+                detail={`${summary.resolutions.approved} approved, ${summary.resolutions.denied} denied`}
+              />
+            </InlineGrid>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h3" variant="headingMd">Refunded value per {summary.range.granularity}</Text>
+                <SeriesChart series={summary.series} granularity={summary.range.granularity} />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h3" variant="headingMd">Outcomes of agent requests</Text>
+                {(Object.keys(OUTCOME_LABELS) as Outcome[]).map((key) => (
+                  <BlockStack gap="100" key={key}>
+                    <InlineStack align="space-between">
+                      <Text as="span">{OUTCOME_LABELS[key].label}</Text>
+                      <Text as="span" tone="subdued">{outcomes[key].count} · {pct(outcomes[key].rate)}</Text>
+                    </InlineStack>
+                    <ProgressBar progress={outcomes[key].rate * 100} tone={OUTCOME_LABELS[key].tone} size="small" />
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+
+            <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+              <RankedList
+                title="Top matched rules"
+                rows={summary.topRules.map((r) => ({
+                  key: r.rule,
+                  label: r.rule,
+                  detail: `${r.count} (${r.denyCount} denied, ${r.approvalCount} approval)`,
+                  weight: r.count
+                }))}
+              />
+              <RankedList
+                title="Top agents"
+                rows={summary.topAgents.map((a) => ({
+                  key: a.user._id,
+                  label: a.user.name || a.user.email || a.user._id,
+                  detail: `${a.count} · ${inr(a.value)}`,
+                  weight: a.value
+                }))}
+              />
+              <RankedList
+                title="Refund reasons"
+                rows={(summary.topReasons || []).map((r) => ({
+                  key: r.reasonCode,
+                  label: r.label,
+                  detail: `${r.refundCount} · ${inr(r.refundValue)} (${r.denyCount} denied, ${r.approvalCount} approval)`,
+                  weight: r.count
+                }))}
+              />
+              <RankedList
+                title="Top repeat customers"
+                rows={summary.topCustomers.map((c) => ({
+                  key: c.customer,
+                  label: c.customer.replace(/^(phone|email):/, ''),
+                  detail: `${c.count} · ${inr(c.value)}`,
+                  weight: c.count
+                }))}
+              />
+            </InlineGrid>
+          </>
+        )}
+      </BlockStack>
+    </Box>
+  );
+}
@@ -0,0 +1,296 @@
+import { useEffect, useState } from 'react';
+import { Box, Card, Text, BlockStack, InlineStack, TextField, Button, Banner, IndexTable, Pagination, Badge, Modal } from '@shopify/polaris';
+import api from '../apiClient';
+import { useAuth } from '../auth/AuthContext';
+import type { RefundAttachment, RuleDecision } from '../agent/AgentSearchContext';
+
+type UserRef = { _id: string; name?: string; email?: string; role?: string };
+
+type PendingRefund = {
+  _id: string;
+  tenant: string | { _id: string; name?: string };
+  requester: UserRef | null;
+  payload: {
+    phone?: string | null;
+    orderId?: string | null;
+    amount?: number | null;
+    note?: string | null;
+    partial?: boolean;
+    lineItems?: Array<{ lineItemId: number; quantity: number; amount: number | null }>;
+  };
+  ruleDecision: RuleDecision;
+  attachments?: RefundAttachment[];
+  context?: {
+    order?: { id?: number | string; total?: number | null } | null;
+    refund?: { requestedAmount?: number | null; requestedPercent?: number | null } | null;
+  } | null;
+  status: 'PENDING' | 'PROCESSING' | 'APPROVED' | 'DENIED';
+  createdAt: string;
+};
+
+type Drift = {
+  changed: boolean | null;
+  before: { outcome: string | null; reason: string | null } | null;
+  after: { outcome: string | null; reason: string | null } | null;
+  error?: string;
+};
+
+type ListResponse<T> = {
+  status: string;
+  results: number;
+  total: number;
+  data: { data: T[] };
+};
+
+function AttachmentLinks({ attachments, onOpen }: { attachments: RefundAttachment[]; onOpen: (a: RefundAttachment) => void }) {
+  return (
+    <InlineStack gap="200">
+      {attachments.map((a) => (
+        <Button key={a._id} variant="plain" onClick={() => onOpen(a)}>
+          {`${a.originalName || 'Attachment'} (${Math.max(1, Math.round(a.size / 1024))} KB)`}
+        </Button>
+      ))}
+    </InlineStack>
+  );
+}
+
+type Decision = { open: boolean; action: 'approve' | 'deny' | null; item: PendingRefund | null };
+
+export default function AdminApprovals() {
+  const { selectedTenantId, user } = useAuth();
+  const canResolve = String(user?.role || '').toLowerCase() === 'super_admin';
+
+  const [items, setItems] = useState<PendingRefund[] | null>(null);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [msg, setMsg] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [page, setPage] = useState(1);
+  const [limit] = useState(20);
+
+  const [decision, setDecision] = useState<Decision>({ open: false, action: null, item: null });
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  async function loadPending(requestedPage = page) {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await api.get<ListResponse<PendingRefund>>('/refund/pending', {
+        params: { status: 'PENDING', page: requestedPage, limit, sort: '-createdAt' }
+      });
+      setItems(res.data.data.data || []);
+      setTotal(res.data.total || 0);
+      setPage(requestedPage);
+    } catch (err: unknown) {
+      const e = err as { response?: { status?: number; data?: { error?: string; message?: string } } };
+      if (e?.response?.status === 403) setError("You don't have permission to view approvals.");
+      else setError(e?.response?.data?.error || e?.response?.data?.message || 'Failed to load pending approvals');
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadPending(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedTenantId]);
+
+  function openDecision(action: 'approve' | 'deny', item: PendingRefund) {
+    setComment('');
+    setDecision({ open: true, action, item });
+  }
+
+  function closeDecision() {
+    setDecision({ open: false, action: null, item: null });
+  }
+
+  async function submitDecision() {
+    const { action, item } = decision;
+    if (!action || !item) return;
+    if (action === 'deny' && !comment.trim()) return;
+    setSubmitting(true);
+    setMsg(null);
+    try {
+      const res = await api.post<{ drift?: Drift }>(`/refund/${item._id}/${action}`, { comment: comment.trim() || undefined });
+      const drift = res.data?.drift;
+      let text = action === 'approve' ? 'Refund approved and executed.' : 'Refund request denied.';
+      if (drift?.changed && drift.after) {
+        text += ` Rules have changed since the request: now ${drift.after.outcome}${drift.after.reason ? ` (${drift.after.reason})` : ''}.`;
+      }
+      setMsg({ type: 'success', text });
+      closeDecision();
+      loadPending(page);
+    } catch (err: unknown) {
+      const e = err as { response?: { data?: { error?: string; message?: string } } };
+      setMsg({ type: 'error', text: e?.response?.data?.error || e?.response?.data?.message || `Failed to ${action} refund` });
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  // Attachments need the auth header, so fetch the file and open it from a blob URL
+  async function openAttachment(attachment: RefundAttachment) {
+    const win = window.open('', '_blank');
+    try {
+      const res = await api.get<Blob>(`/refund/attachments/${attachment._id}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      if (win) win.location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60_000);
+    } catch {
+      win?.close();
+      setMsg({ type: 'error', text: `Could not open ${attachment.originalName || 'the attachment'}` });
+    }
+  }
+
+  function amountFor(item: PendingRefund) {
+    const amount = item.payload?.amount ?? item.context?.refund?.requestedAmount ?? item.context?.order?.total ?? null;
+    return amount != null && Number.isFinite(Number(amount))
+      ? `₹${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`
+      : '—';
+  }
+
+  const commentMissing = decision.action === 'deny' && !comment.trim();
+
+  return (
+    <Box>
+      <Box paddingBlockEnd="400">
+        <BlockStack gap="200">
+          <Text as="h1" variant="headingLg">Approvals</Text>
+          <Text as="p" tone="subdued">
+            {canResolve ? 'Review refunds that need supervisor approval' : 'Refunds waiting for supervisor approval (read only)'}
+          </Text>
+        </BlockStack>
+      </Box>
+
+      <BlockStack gap="400">
+        {error && <Banner tone="critical">{error}</Banner>}
+        {msg && (
+          <Banner tone={msg.type === 'error' ? 'critical' : 'success'} onDismiss={() => setMsg(null)}>
+            {msg.text}
+          </Banner>
+        )}
+
+        <Card padding="0">
+          <Box padding="400" borderBlockEndWidth="100" borderColor="border">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="h3" variant="headingMd">Pending ({total})</Text>
+              <Button onClick={() => loadPending(page)} disabled={loading}>Refresh</Button>
+            </InlineStack>
+          </Box>
+          <IndexTable
+            resourceName={{ singular: 'request', plural: 'requests' }}
+            itemCount={items?.length || 0}
+            loading={loading}
+            headings={[
+              { title: 'Requested' },
+              { title: 'Agent' },
+              { title: 'Order' },
+              { title: 'Amount' },
+              { title: 'Matched rules' },
+              { title: 'Reason' },
+              { title: '' }
+            ]}
+            selectable={false}
+          >
+            {items?.map((item, index) => {
+              const agentName = item.requester?.name || item.requester?.email || '—';
+              const orderId = item.payload?.orderId || item.context?.order?.id || '—';
+              const dateStr = new Date(item.createdAt).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' }).replace(',', '');
+              return (
+                <IndexTable.Row id={item._id} key={item._id} position={index}>
+                  <IndexTable.Cell>{dateStr}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Text as="span" fontWeight="semibold">{agentName}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <BlockStack gap="050">
+                      <InlineStack gap="100" blockAlign="center">
+                        <Text as="span">{String(orderId)}</Text>
+                        <Badge>{item.payload?.partial ? 'Partial' : 'Full'}</Badge>
+                      </InlineStack>
+                      {item.payload?.phone && <Text as="span" variant="bodySm" tone="subdued">{item.payload.phone}</Text>}
+                      {!!item.attachments?.length && <AttachmentLinks attachments={item.attachments} onOpen={openAttachment} />}
+                    </BlockStack>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Text as="span" fontWeight="semibold">{amountFor(item)}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <InlineStack gap="100">
+                      {(item.ruleDecision?.matched || []).map((rule) => <Badge key={rule} tone="attention">{rule}</Badge>)}
+                    </InlineStack>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Box maxWidth="240px">
+                      <Text as="span" tone="subdued" variant="bodySm">{item.ruleDecision?.reason || '—'}</Text>
+                    </Box>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    {canResolve && (
+                      <InlineStack gap="200" align="end">
+                        <Button size="slim" variant="primary" onClick={() => openDecision('approve', item)}>Approve</Button>
+                        <Button size="slim" tone="critical" onClick={() => openDecision('deny', item)}>Deny</Button>
+                      </InlineStack>
+                    )}
+                  </IndexTable.Cell>
+                </IndexTable.Row>
+              );
+            })}
+          </IndexTable>
+
+          <Box padding="400" borderBlockStartWidth="100" borderColor="border">
+            <InlineStack align="center">
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => loadPending(page - 1)}
+                hasNext={page * limit < total}
+                onNext={() => loadPending(page + 1)}
+              />
+            </InlineStack>
+          </Box>
+        </Card>
+      </BlockStack>
+
+      <Modal
+        open={decision.open}
+        onClose={closeDecision}
+        title={decision.action === 'approve' ? 'Approve refund' : 'Deny refund'}
+        primaryAction={{
+          content: decision.action === 'approve' ? 'Approve and refund' : 'Deny',
+          destructive: decision.action === 'deny',
+          onAction: submitDecision,
+          loading: submitting,
+          disabled: commentMissing,
+        }}
+        secondaryActions={[{ content: 'Cancel', onAction: closeDecision }]}
+      >
+        <Modal.Section>
+          <BlockStack gap="300">
+            {decision.item && (
+              <Text as="p" tone="subdued">
+                Order {String(decision.item.payload?.orderId || decision.item.context?.order?.id || '—')} • {amountFor(decision.item)} • {decision.item.ruleDecision?.reason}
+              </Text>
+            )}
+            {!!decision.item?.attachments?.length && (
+              <BlockStack gap="100">
+                <Text as="p" fontWeight="semibold">Evidence</Text>
+                <AttachmentLinks attachments={decision.item.attachments} onOpen={openAttachment} />
+              </BlockStack>
+            )}
+            <TextField
+              label="Comment"
+              value={comment}
+              onChange={setComment}
+              multiline={3}
+              autoComplete="off"
+              requiredIndicator={decision.action === 'deny'}
+              helpText={decision.action === 'deny' ? 'Required. Explain why the refund is denied.' : 'Optional.'}
+            />
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+    </Box>
+  );
+}
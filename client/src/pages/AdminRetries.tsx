@@ -0,0 +1,204 @@
+import { useEffect, useState } from 'react';
+import { Box, Card, Text, BlockStack, InlineStack, Button, Banner, IndexTable, Pagination, Badge } from '@shopify/polaris';
+import { CustomSelect } from '../components/CustomSelect';
+import api from '../apiClient';
+import { useAuth } from '../auth/AuthContext';
+
+type RetryState = 'scheduled' | 'needs_attention';
+
+// RefundRetry, one per order (GET /refund-stats/retries)
+type QueuedRefund = {
+  _id: string;
+  tenant: string | { _id: string; name?: string };
+  customer: string | null;
+  orderId: string;
+  state: RetryState;
+  request: { orderId?: string; amount?: number | null; lineItems?: unknown[]; mode?: string | null } | null;
+  actor: { _id: string; name?: string; email?: string } | null;
+  retryCount: number;
+  nextRetryAt: string | null;
+  firstFailedAt: string | null;
+  lastErrorCode: string | null;
+  lastErrorMsg: string | null;
+};
+
+type QueueResponse = {
+  status: string;
+  total: number;
+  counts: Record<RetryState, number>;
+  data: { data: QueuedRefund[] };
+};
+
+const STATE_OPTIONS = [
+  { label: 'All queued', value: '' },
+  { label: 'Scheduled', value: 'scheduled' },
+  { label: 'Needs attention', value: 'needs_attention' },
+];
+
+const formatDate = (value: string | null) =>
+  value
+    ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit' }).replace(',', '')
+    : '—';
+
+export default function AdminRetries() {
+  const { selectedTenantId } = useAuth();
+  const [items, setItems] = useState<QueuedRefund[] | null>(null);
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState<Record<RetryState, number>>({ scheduled: 0, needs_attention: 0 });
+  const [state, setState] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [msg, setMsg] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [page, setPage] = useState(1);
+  const [limit] = useState(20);
+
+  async function loadQueue(requestedPage = page, requestedState = state) {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await api.get<QueueResponse>('/refund-stats/retries', {
+        params: { state: requestedState || undefined, page: requestedPage, limit },
+      });
+      setItems(res.data.data.data || []);
+      setTotal(res.data.total || 0);
+      setCounts(res.data.counts || { scheduled: 0, needs_attention: 0 });
+      setPage(requestedPage);
+    } catch (err: unknown) {
+      const e = err as { response?: { data?: { error?: string; message?: string } } };
+      setError(e?.response?.data?.error || e?.response?.data?.message || 'Failed to load the retry queue');
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadQueue(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedTenantId]);
+
+  async function act(item: QueuedRefund, action: 'retry' | 'dismiss') {
+    setBusyId(item._id);
+    setMsg(null);
+    try {
+      await api.post(`/refund-stats/retries/${item._id}/${action}`);
+      setMsg({ type: 'success', text: action === 'retry' ? 'Refund queued to retry now.' : 'Refund removed from the queue.' });
+      loadQueue(page);
+    } catch (err: unknown) {
+      const e = err as { response?: { data?: { error?: string; message?: string } } };
+      setMsg({ type: 'error', text: e?.response?.data?.error || e?.response?.data?.message || `Failed to ${action} refund` });
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function onChangeState(value: string) {
+    setState(value);
+    loadQueue(1, value);
+  }
+
+  return (
+    <Box>
+      <Box paddingBlockEnd="400">
+        <BlockStack gap="200">
+          <Text as="h1" variant="headingLg">Retry queue</Text>
+          <Text as="p" tone="subdued">Refunds that failed because Shopify was unavailable. The retry worker replays scheduled ones; the rest need a decision.</Text>
+        </BlockStack>
+      </Box>
+
+      <BlockStack gap="400">
+        {error && <Banner tone="critical">{error}</Banner>}
+        {msg && (
+          <Banner tone={msg.type === 'error' ? 'critical' : 'success'} onDismiss={() => setMsg(null)}>
+            {msg.text}
+          </Banner>
+        )}
+
+        <Card padding="0">
+          <Box padding="400" borderBlockEndWidth="100" borderColor="border">
+            <InlineStack align="space-between" blockAlign="center">
+              <InlineStack gap="200" blockAlign="center">
+                <Text as="h3" variant="headingMd">Queued ({total})</Text>
+                <Badge tone="info">{`${counts.scheduled} scheduled`}</Badge>
+                <Badge tone="critical">{`${counts.needs_attention} need attention`}</Badge>
+              </InlineStack>
+              <InlineStack gap="200" blockAlign="center">
+                <div style={{ width: '180px' }}>
+                  <CustomSelect options={STATE_OPTIONS} value={state} onChange={onChangeState} />
+                </div>
+                <Button onClick={() => loadQueue(page)} disabled={loading}>Refresh</Button>
+              </InlineStack>
+            </InlineStack>
+          </Box>
+          <IndexTable
+            resourceName={{ singular: 'refund', plural: 'refunds' }}
+            itemCount={items?.length || 0}
+            loading={loading}
+            headings={[
+              { title: 'Customer' },
+              { title: 'Order' },
+              { title: 'Agent' },
+              { title: 'State' },
+              { title: 'Attempts' },
+              { title: 'Next retry' },
+              { title: 'Last error' },
+              { title: '' },
+            ]}
+            selectable={false}
+          >
+            {items?.map((item, index) => {
+              const agent = item.actor?.name || item.actor?.email || '—';
+              const partial = (item.request?.lineItems || []).length > 0;
+              return (
+                <IndexTable.Row id={item._id} key={item._id} position={index}>
+                  <IndexTable.Cell>{item.customer?.replace(/^(phone|email):/, '') || '—'}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <InlineStack gap="100" blockAlign="center">
+                      <Text as="span">{item.orderId}</Text>
+                      <Badge>{partial ? 'Partial' : 'Full'}</Badge>
+                    </InlineStack>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>{agent}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    {item.state === 'needs_attention'
+                      ? <Badge tone="critical">Needs attention</Badge>
+                      : <Badge tone="info">Scheduled</Badge>}
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>{item.retryCount}</IndexTable.Cell>
+                  <IndexTable.Cell>{formatDate(item.nextRetryAt)}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Box maxWidth="260px">
+                      <BlockStack gap="050">
+                        {item.lastErrorCode && <Text as="span" variant="bodySm" fontWeight="semibold">{item.lastErrorCode}</Text>}
+                        <Text as="span" tone="subdued" variant="bodySm">{item.lastErrorMsg || '—'}</Text>
+                        <Text as="span" tone="subdued" variant="bodySm">First failed {formatDate(item.firstFailedAt)}</Text>
+                      </BlockStack>
+                    </Box>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <InlineStack gap="200" align="end">
+                      <Button size="slim" onClick={() => act(item, 'retry')} loading={busyId === item._id} disabled={busyId != null}>Retry now</Button>
+                      <Button size="slim" tone="critical" onClick={() => act(item, 'dismiss')} disabled={busyId != null}>Dismiss</Button>
+                    </InlineStack>
+                  </IndexTable.Cell>
+                </IndexTable.Row>
+              );
+            })}
+          </IndexTable>
+
+          <Box padding="400" borderBlockStartWidth="100" borderColor="border">
+            <InlineStack align="center">
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => loadQueue(page - 1)}
+                hasNext={page * limit < total}
+                onNext={() => loadQueue(page + 1)}
+              />
+            </InlineStack>
+          </Box>
+        </Card>
+      </BlockStack>
+    </Box>
+  );
+}
@@ -1,23 +1,163 @@
 import { useEffect, useMemo, useState } from 'react';
-import { Box, Card, Text, BlockStack, InlineGrid, InlineStack, TextField, Checkbox, Button, Banner } from '@shopify/polaris';
+import { Box, Card, Text, BlockStack, InlineGrid, InlineStack, TextField, Checkbox, Button, Banner, Badge } from '@shopify/polaris';
 import { CustomSelect } from '../components/CustomSelect';
+import RestockLocationCard from '../components/RestockLocationCard';
+import RefundReasonsCard from '../components/RefundReasonsCard';
 import api from '../apiClient';
+import type { RefundMode } from '../agent/AgentSearchContext';
 
 import { useAuth } from '../auth/AuthContext';
 
+// Tenant-defined condition; `when` is an all/any/not tree of { path, op, value } leaves
+type RuleCondition = {
+  id: string;
+  outcome: 'ALLOW' | 'DENY' | 'REQUIRE_APPROVAL' | 'WARN';
+  priority?: number;
+  message?: string | null;
+  enabled?: boolean;
+  when: unknown;
+};
+
 // Lightweight model matching the OpenAPI RefundRulesPayload
 type Rules = {
   mode?: 'observe' | 'warn' | 'enforce';
   maxRefundPercent?: number;
   maxRefundsPerDay?: number;
+  refundCountWindow?: 'today' | 'rolling24h' | 'tenantDay';
+  onUnknownRefundCount?: 'ALLOW' | 'REQUIRE_APPROVAL' | 'DENY';
   allowPaymentMethods?: string[];
+  allowedRefundModes?: RefundMode[];
   requireSupervisorAbovePercent?: number;
   bypassPercentCapForPartials?: boolean;
   refundWindowDays?: number | null;
   blockIfAlreadyRefunded?: boolean;
   maxLifetimeRefundCount?: number;
+  maxDailyRefundValue?: number | null;
+  maxMonthlyRefundValue?: number | null;
+  requireAttachmentAbove?: number | null;
+  conditions?: RuleCondition[];
+};
+
+const REFUND_MODE_LABELS: Array<{ label: string; value: RefundMode }> = [
+  { label: 'Cancel and refund', value: 'cancel_and_refund' },
+  { label: 'Refund only', value: 'refund_only' },
+  { label: 'Shipping only', value: 'refund_shipping_only' },
+];
+
+type Outcome = 'ALLOW' | 'REQUIRE_APPROVAL' | 'DENY';
+type Bucket = { count: number; value: number };
+type SideDecision = { outcome: Outcome; reason?: string; matched?: string[] };
+
+type BacktestResult = {
+  range: { from: string; to: string };
+  activeVersion: number | null;
+  truncated: boolean;
+  replayed: number;
+  skipped: number;
+  active: Record<Outcome, Bucket>;
+  draft: Record<Outcome, Bucket>;
+  changed: {
+    count: number;
+    stricter: Bucket;
+    looser: Bucket;
+    items: Array<{
+      id: string;
+      createdAt: string;
+      orderId: string | null;
+      orderName: string | null;
+      amount: number;
+      direction: 'stricter' | 'looser';
+      active: SideDecision;
+      draft: SideDecision;
+    }>;
+  };
+};
+
+type ScheduleState = 'active' | 'inactive' | 'scheduled' | 'live' | 'expired' | 'cancelled';
+
+type RuleVersion = {
+  _id: string;
+  version: number;
+  isActive: boolean;
+  createdAt: string;
+  createdBy: { _id: string; name?: string; email?: string } | null;
+  approvedBy?: { _id: string; name?: string; email?: string } | null;
+  rolledBackFrom?: number | null;
+  isScheduled?: boolean;
+  effectiveFrom?: string | null;
+  effectiveUntil?: string | null;
+  state: ScheduleState;
+  effective: boolean;
+};
+
+const STATE_BADGES: Record<ScheduleState, { label: string; tone?: 'success' | 'info' | 'attention' | 'critical' }> = {
+  active: { label: 'Active', tone: 'success' },
+  inactive: { label: 'Superseded' },
+  scheduled: { label: 'Scheduled', tone: 'info' },
+  live: { label: 'Live (scheduled)', tone: 'attention' },
+  expired: { label: 'Expired' },
+  cancelled: { label: 'Cancelled', tone: 'critical' },
+};
+
+const formatDateTime = (iso: string) =>
+  new Date(iso).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' });
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (iso?: string | null) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value: string) => (value ? new Date(value).toISOString() : null);
+
+type VersionChange = { field: string; change: 'added' | 'removed' | 'changed'; before: unknown; after: unknown };
+
+type UserRef = { _id: string; name?: string; email?: string };
+
+type ChangeRequest = {
+  _id: string;
+  kind: 'publish' | 'rollback' | 'deactivate' | 'schedule_update' | 'schedule_cancel';
+  rolledBackFrom?: number | null;
+  targetVersion?: number | null;
+  effectiveFrom?: string | null;
+  effectiveUntil?: string | null;
+  baseVersion: number | null;
+  diff: VersionChange[];
+  status: 'PENDING' | 'APPROVED' | 'REJECTED' | 'WITHDRAWN';
+  proposedBy: UserRef | null;
+  note?: string | null;
+  createdAt: string;
+};
+
+const proposalLabel = (p: ChangeRequest) => {
+  switch (p.kind) {
+    case 'rollback': return `Rollback to v${p.rolledBackFrom}`;
+    case 'deactivate': return `Deactivate v${p.targetVersion}`;
+    case 'schedule_update': return `Reschedule v${p.targetVersion}`;
+    case 'schedule_cancel': return `Cancel schedule of v${p.targetVersion}`;
+    default: return 'New ruleset';
+  }
 };
 
+const showValue = (v: unknown) => (v == null ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+const OUTCOME_LABELS: Record<Outcome, string> = { ALLOW: 'Allowed', REQUIRE_APPROVAL: 'Needs approval', DENY: 'Denied' };
+
+const inr = (n: number) => `₹${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const isoDay = (d: Date) => d.toISOString().slice(0, 10);
+
+const CONDITIONS_PLACEHOLDER = `[
+  {
+    "id": "high-value-cod",
+    "outcome": "REQUIRE_APPROVAL",
+    "priority": 10,
+    "message": "COD orders above 5000 need a supervisor",
+    "when": { "all": [
+      { "path": "order.paymentMethod", "op": "contains", "value": "cod" },
+      { "path": "order.total", "op": "gt", "value": 5000 }
+    ] }
+  }
+]`;
+
 export default function AdminRules() {
   const { selectedTenantId, user } = useAuth();
   const roles = (user?.role ? [user.role] : (user as any)?.roles) || [];
@@ -25,8 +165,24 @@ export default function AdminRules() {
   const isSuperAdmin = normalized.includes('super_admin');
   const [draft, setDraft] = useState<Rules>({});
   const [allowText, setAllowText] = useState<string>("");
+  const [conditionsText, setConditionsText] = useState<string>("");
+  const [conditionErrors, setConditionErrors] = useState<string[]>([]);
   const [publishing, setPublishing] = useState(false);
   const [msg, setMsg] = useState<{ type: 'success' | 'error' | 'info'; text: string } | null>(null);
+  const [btFrom, setBtFrom] = useState(isoDay(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)));
+  const [btTo, setBtTo] = useState(isoDay(new Date()));
+  const [backtesting, setBacktesting] = useState(false);
+  const [backtest, setBacktest] = useState<BacktestResult | null>(null);
+  const [versions, setVersions] = useState<RuleVersion[]>([]);
+  const [versionDiff, setVersionDiff] = useState<{ from: number; to: number; changes: VersionChange[] } | null>(null);
+  const [rollingBack, setRollingBack] = useState<number | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [scheduleFrom, setScheduleFrom] = useState('');
+  const [scheduleUntil, setScheduleUntil] = useState('');
+  const [loadedVersion, setLoadedVersion] = useState<Pick<RuleVersion, 'version' | 'isScheduled' | 'effectiveUntil'> | null>(null);
+  const [editingSchedule, setEditingSchedule] = useState<{ version: number; from: string; until: string } | null>(null);
+  const [proposals, setProposals] = useState<ChangeRequest[]>([]);
+  const [reviewing, setReviewing] = useState<string | null>(null);
 
   const canPublish = useMemo(() => (isSuperAdmin || !!selectedTenantId) && !publishing, [isSuperAdmin, selectedTenantId, publishing]);
 
@@ -39,8 +195,10 @@ export default function AdminRules() {
         if (!mounted) return;
   const data = (res.data?.data?.data) || res.data?.data || res.data; // accept all shapes per docs
   const rules = data?.rules || {};
+  setLoadedVersion(data?.version != null ? data : null);
   setDraft(rules);
   setAllowText(Array.isArray(rules.allowPaymentMethods) ? rules.allowPaymentMethods.join('\n') : '');
+  setConditionsText(Array.isArray(rules.conditions) && rules.conditions.length ? JSON.stringify(rules.conditions, null, 2) : '');
       } catch (e:any) {
         setMsg({ type: 'info', text: e?.response?.data?.error || 'No active ruleset yet for this tenant.' });
         setDraft({});
@@ -50,7 +208,114 @@ export default function AdminRules() {
     }
     load();
     return () => { mounted = false; };
-  }, [selectedTenantId]);
+  }, [selectedTenantId, reloadKey]);
+
+  useEffect(() => {
+    let mounted = true;
+    api.get<{ status: string; data: RuleVersion[] }>('/refund-rules/versions', { params: { limit: 20 } })
+      .then((res) => { if (mounted) setVersions(res.data.data || []); })
+      .catch(() => { if (mounted) setVersions([]); });
+    return () => { mounted = false; };
+  }, [selectedTenantId, reloadKey]);
+
+  useEffect(() => {
+    let mounted = true;
+    api.get<{ status: string; data: { data: ChangeRequest[] } }>('/refund-rules/proposals', { params: { status: 'PENDING', limit: 20 } })
+      .then((res) => { if (mounted) setProposals(res.data.data.data || []); })
+      .catch(() => { if (mounted) setProposals([]); });
+    return () => { mounted = false; };
+  }, [selectedTenantId, reloadKey]);
+
+  const activeVersion = versions.find((v) => v.effective) || null;
+
+  async function reviewProposal(item: ChangeRequest, action: 'approve' | 'reject' | 'withdraw') {
+    let comment: string | undefined;
+    if (action === 'reject') {
+      const answer = window.prompt('Why are you rejecting this change?');
+      if (answer == null) return;
+      if (!answer.trim()) {
+        setMsg({ type: 'error', text: 'A comment is required to reject a change.' });
+        return;
+      }
+      comment = answer.trim();
+    }
+    setReviewing(item._id);
+    setMsg(null);
+    try {
+      const res = await api.post<{ status: string; data: { version?: { version: number } } }>(
+        `/refund-rules/proposals/${item._id}/${action}`,
+        comment ? { comment } : {}
+      );
+      const text = action === 'approve'
+        ? `Change approved and published as version ${res.data.data.version?.version}.`
+        : action === 'reject' ? 'Change rejected.' : 'Change withdrawn.';
+      setMsg({ type: 'success', text });
+      setReloadKey((k) => k + 1);
+    } catch (e: unknown) {
+      const err = e as { response?: { data?: { message?: string } } };
+      setMsg({ type: 'error', text: err?.response?.data?.message || `Failed to ${action} change` });
+    } finally {
+      setReviewing(null);
+    }
+  }
+
+  async function compareWithActive(version: number) {
+    if (!activeVersion) return;
+    try {
+      const res = await api.get<{ status: string; data: { changes: VersionChange[] } }>(
+        `/refund-rules/versions/${version}/diff/${activeVersion.version}`
+      );
+      setVersionDiff({ from: version, to: activeVersion.version, changes: res.data.data.changes });
+    } catch (e: unknown) {
+      const err = e as { response?: { data?: { message?: string } } };
+      setMsg({ type: 'error', text: err?.response?.data?.message || 'Failed to compare versions' });
+    }
+  }
+
+  async function saveSchedule() {
+    if (!editingSchedule) return;
+    try {
+      await api.patch(`/refund-rules/versions/${editingSchedule.version}/schedule`, {
+        effectiveFrom: fromLocalInput(editingSchedule.from),
+        effectiveUntil: fromLocalInput(editingSchedule.until),
+      });
+      setMsg({ type: 'success', text: `New schedule for version ${editingSchedule.version} submitted. Another admin must approve it.` });
+      setEditingSchedule(null);
+      setReloadKey((k) => k + 1);
+    } catch (e: unknown) {
+      const err = e as { response?: { data?: { message?: string } } };
+      setMsg({ type: 'error', text: err?.response?.data?.message || 'Failed to update schedule' });
+    }
+  }
+
+  async function cancelSchedule(version: number) {
+    if (!window.confirm(`Submit cancelling scheduled version ${version} for approval?`)) return;
+    try {
+      await api.delete(`/refund-rules/versions/${version}/schedule`);
+      setMsg({ type: 'success', text: `Cancelling version ${version} submitted. Another admin must approve it.` });
+      setReloadKey((k) => k + 1);
+    } catch (e: unknown) {
+      const err = e as { response?: { data?: { message?: string } } };
+      setMsg({ type: 'error', text: err?.response?.data?.message || 'Failed to cancel schedule' });
+    }
+  }
+
+  async function rollback(version: number) {
+    if (!window.confirm(`Submit the rules from version ${version} for approval as a new active version?`)) return;
+    setRollingBack(version);
+    setMsg(null);
+    try {
+      await api.post(`/refund-rules/versions/${version}/rollback`);
+      setMsg({ type: 'success', text: `Rollback to version ${version} submitted. Another admin must approve it.` });
+      setVersionDiff(null);
+      setReloadKey((k) => k + 1);
+    } catch (e: unknown) {
+      const err = e as { response?: { data?: { message?: string } } };
+      setMsg({ type: 'error', text: err?.response?.data?.message || 'Rollback failed' });
+    } finally {
+      setRollingBack(null);
+    }
+  }
 
   const update = (patch: Partial<Rules>) => setDraft((d) => ({ ...d, ...patch }));
 
@@ -67,20 +332,65 @@ export default function AdminRules() {
       .map((s) => s.trim())
       .filter(Boolean);
 
+  // The form as a rules payload, or null (with an error shown) when the custom rules JSON is invalid
+  function draftRules(): Rules | null {
+    let conditions: RuleCondition[] = [];
+    if (conditionsText.trim()) {
+      try {
+        const parsed = JSON.parse(conditionsText);
+        if (!Array.isArray(parsed)) throw new Error('not an array');
+        conditions = parsed;
+      } catch {
+        setConditionErrors(['Custom rules must be a JSON array.']);
+        return null;
+      }
+    }
+    setConditionErrors([]);
+    return { ...draft, allowPaymentMethods: parseAllow(allowText), conditions };
+  }
+
+  async function runBacktest() {
+    const rules = draftRules();
+    if (!rules) return;
+    setBacktesting(true);
+    setMsg(null);
+    try {
+      const res = await api.post<{ status: string; data: BacktestResult }>('/refund-rules/backtest', { rules, from: btFrom, to: btTo });
+      setBacktest(res.data.data);
+    } catch (e: unknown) {
+      const err = e as { response?: { data?: { error?: string; message?: string; details?: string[] } } };
+      const details = err?.response?.data?.details;
+      if (Array.isArray(details)) setConditionErrors(details);
+      setMsg({ type: 'error', text: err?.response?.data?.message || err?.response?.data?.error || 'Backtest failed' });
+      setBacktest(null);
+    } finally {
+      setBacktesting(false);
+    }
+  }
+
   async function publish() {
     if (!isSuperAdmin && !selectedTenantId) {
       setMsg({ type: 'error', text: 'Select a tenant first.' });
       return;
     }
+    const rules = draftRules();
+    if (!rules) return;
     setPublishing(true);
     setMsg(null);
     try {
       // Minimal payload; backend reads x-tenant-id header
-      const rules: Rules = { ...draft, allowPaymentMethods: parseAllow(allowText) };
-      await api.post('/refund-rules/publish', { rules });
-      setMsg({ type: 'success', text: 'Rules published successfully.' });
+      const effectiveFrom = fromLocalInput(scheduleFrom);
+      const effectiveUntil = fromLocalInput(scheduleUntil);
+      const scheduled = Boolean(effectiveFrom || effectiveUntil);
+      await api.post('/refund-rules/publish', scheduled ? { rules, effectiveFrom, effectiveUntil } : { rules });
+      setMsg({ type: 'success', text: 'Rules submitted for approval. Another admin must approve them before they apply.' });
+      setScheduleFrom('');
+      setScheduleUntil('');
+      setReloadKey((k) => k + 1);
     } catch (e:any) {
-      setMsg({ type: 'error', text: e?.response?.data?.error || 'Failed to publish rules' });
+      const details = e?.response?.data?.details;
+      if (Array.isArray(details)) setConditionErrors(details);
+      setMsg({ type: 'error', text: e?.response?.data?.error || e?.response?.data?.message || 'Failed to publish rules' });
     } finally {
       setPublishing(false);
     }
@@ -91,7 +401,7 @@ export default function AdminRules() {
       <Box paddingBlockEnd="400">
         <Text as="h1" variant="headingLg">Set Refund Rules</Text>
         <Text as="p" tone="subdued">
-          {isSuperAdmin ? 'Edit and publish a new active ruleset for your tenant' : 'Edit and publish a new active ruleset for the selected tenant'}
+          {isSuperAdmin ? 'Propose a new active ruleset for your tenant' : 'Propose a new active ruleset for the selected tenant'}
         </Text>
       </Box>
 
@@ -103,6 +413,12 @@ export default function AdminRules() {
                 {msg.text}
               </Banner>
             )}
+            {loadedVersion?.isScheduled && (
+              <Banner tone="warning">
+                Showing scheduled version {loadedVersion.version}
+                {loadedVersion.effectiveUntil ? `, in force until ${formatDateTime(loadedVersion.effectiveUntil)}` : ''}. Publishing replaces the regular active version.
+              </Banner>
+            )}
 
             <InlineGrid columns={{ xs: 1, sm: 3 }} gap="400">
               <CustomSelect
@@ -155,6 +471,56 @@ export default function AdminRules() {
               />
             </InlineGrid>
 
+            <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+              <CustomSelect
+                label="Count refunds per day over"
+                options={[
+                  { label: 'Today (server time)', value: 'today' },
+                  { label: "Today (store's time zone)", value: 'tenantDay' },
+                  { label: 'Last 24 hours', value: 'rolling24h' }
+                ]}
+                value={draft.refundCountWindow || 'today'}
+                onChange={(v) => update({ refundCountWindow: v as Rules['refundCountWindow'] })}
+              />
+              <CustomSelect
+                label="When refunds cannot be counted"
+                options={[
+                  { label: 'Require approval', value: 'REQUIRE_APPROVAL' },
+                  { label: 'Deny', value: 'DENY' },
+                  { label: 'Allow', value: 'ALLOW' }
+                ]}
+                value={draft.onUnknownRefundCount || 'REQUIRE_APPROVAL'}
+                onChange={(v) => update({ onUnknownRefundCount: v as Rules['onUnknownRefundCount'] })}
+              />
+            </InlineGrid>
+
+            <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+              <TextField
+                label="Store refund budget per day (₹)"
+                type="number"
+                value={draft.maxDailyRefundValue != null ? String(draft.maxDailyRefundValue) : ''}
+                onChange={(v) => update({ maxDailyRefundValue: v === '' ? null : Number(v) })}
+                helpText="Total refunded across all agents, counted in the store's time zone. Leave empty for no cap."
+                autoComplete="off"
+              />
+              <TextField
+                label="Store refund budget per month (₹)"
+                type="number"
+                value={draft.maxMonthlyRefundValue != null ? String(draft.maxMonthlyRefundValue) : ''}
+                onChange={(v) => update({ maxMonthlyRefundValue: v === '' ? null : Number(v) })}
+                autoComplete="off"
+              />
+            </InlineGrid>
+
+            <TextField
+              label="Require evidence above (₹)"
+              type="number"
+              value={draft.requireAttachmentAbove != null ? String(draft.requireAttachmentAbove) : ''}
+              onChange={(v) => update({ requireAttachmentAbove: v === '' ? null : Number(v) })}
+              helpText="Refunds worth more than this are denied unless the agent attaches a photo or document. Leave empty to never require it."
+              autoComplete="off"
+            />
+
             <TextField
               label="Allowed Payment Methods"
               value={allowText}
@@ -165,6 +531,24 @@ export default function AdminRules() {
               autoComplete="off"
             />
 
+            <BlockStack gap="100">
+              <Text as="p">Allowed refund modes</Text>
+              <InlineStack gap="500">
+                {REFUND_MODE_LABELS.map((m) => (
+                  <Checkbox
+                    key={m.value}
+                    label={m.label}
+                    checked={(draft.allowedRefundModes || []).includes(m.value)}
+                    onChange={(checked) => {
+                      const current = draft.allowedRefundModes || [];
+                      update({ allowedRefundModes: checked ? [...current, m.value] : current.filter((v) => v !== m.value) });
+                    }}
+                  />
+                ))}
+              </InlineStack>
+              <Text as="p" tone="subdued">Modes agents may pick for a full refund. Leave all unticked to allow every mode; partial refunds are always refund only.</Text>
+            </BlockStack>
+
             <InlineStack gap="500">
               <Checkbox
                 label="Bypass % Cap for Partials"
@@ -178,9 +562,40 @@ export default function AdminRules() {
               />
             </InlineStack>
 
+            <TextField
+              label="Custom rules (JSON)"
+              value={conditionsText}
+              onChange={(v) => { setConditionsText(v); setConditionErrors([]); }}
+              multiline={8}
+              monospaced
+              placeholder={CONDITIONS_PLACEHOLDER}
+              helpText="Conditions over order, refund, meta, request and user paths, combined with all/any/not. Lower priority runs first; WARN only flags, ALLOW stops later custom rules."
+              error={conditionErrors.length ? conditionErrors.join('; ') : undefined}
+              autoComplete="off"
+            />
+
+            <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+              <TextField
+                label="Effective from (optional)"
+                type="datetime-local"
+                value={scheduleFrom}
+                onChange={setScheduleFrom}
+                helpText="Leave both empty to publish now."
+                autoComplete="off"
+              />
+              <TextField
+                label="Effective until (optional)"
+                type="datetime-local"
+                value={scheduleUntil}
+                onChange={setScheduleUntil}
+                helpText="After this the previous rules apply again."
+                autoComplete="off"
+              />
+            </InlineGrid>
+
             <InlineStack align="start" blockAlign="center" gap="300">
               <Button variant="primary" onClick={publish} loading={publishing} disabled={!canPublish}>
-                Publish
+                {scheduleFrom || scheduleUntil ? 'Submit schedule for approval' : 'Submit for approval'}
               </Button>
               {!isSuperAdmin && !selectedTenantId && (
                 <Text as="span" variant="bodySm" tone="subdued">Select a tenant to enable publishing</Text>
@@ -189,6 +604,217 @@ export default function AdminRules() {
           </BlockStack>
         </Box>
       </Card>
+
+      <Box paddingBlockStart="400">
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <Text as="h3" variant="headingMd">Pending changes ({proposals.length})</Text>
+              <Text as="p" tone="subdued">Rule changes apply only after an admin other than the author approves them.</Text>
+            </BlockStack>
+            {proposals.length === 0 && <Text as="p" tone="subdued">Nothing waiting for approval.</Text>}
+            {proposals.map((p) => {
+              const own = p.proposedBy?._id === user?._id;
+              return (
+                <Box key={p._id} padding="300" background="bg-surface-secondary" borderRadius="200">
+                  <BlockStack gap="200">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <InlineStack gap="200" blockAlign="center">
+                        <Badge tone="attention">{proposalLabel(p)}</Badge>
+                        {p.effectiveFrom && (
+                          <Badge tone="info">
+                            {`${formatDateTime(p.effectiveFrom)} → ${p.effectiveUntil ? formatDateTime(p.effectiveUntil) : 'no end'}`}
+                          </Badge>
+                        )}
+                        <Text as="span" tone="subdued" variant="bodySm">
+                          {formatDateTime(p.createdAt)} · {p.proposedBy?.name || p.proposedBy?.email || 'unknown'}
+                          {p.baseVersion != null ? ` · against v${p.baseVersion}` : ''}
+                        </Text>
+                      </InlineStack>
+                      <InlineStack gap="200">
+                        {own ? (
+                          <Button size="slim" onClick={() => reviewProposal(p, 'withdraw')} loading={reviewing === p._id}>Withdraw</Button>
+                        ) : (
+                          <>
+                            <Button size="slim" variant="primary" onClick={() => reviewProposal(p, 'approve')} loading={reviewing === p._id}>Approve</Button>
+                            <Button size="slim" tone="critical" onClick={() => reviewProposal(p, 'reject')} disabled={reviewing === p._id}>Reject</Button>
+                          </>
+                        )}
+                      </InlineStack>
+                    </InlineStack>
+                    {p.note && <Text as="p">{p.note}</Text>}
+                    {p.diff.length === 0 && <Text as="p" tone="subdued">No differences from the rules in force.</Text>}
+                    {p.diff.map((c) => (
+                      <InlineStack key={c.field} gap="200" blockAlign="center" wrap={false}>
+                        <Badge tone={c.change === 'added' ? 'success' : c.change === 'removed' ? 'critical' : 'info'}>{c.change}</Badge>
+                        <Text as="span" fontWeight="semibold">{c.field}</Text>
+                        <Text as="span" tone="subdued" breakWord>{showValue(c.before)} → {showValue(c.after)}</Text>
+                      </InlineStack>
+                    ))}
+                    {own && <Text as="span" variant="bodySm" tone="subdued">You proposed this change, so another admin has to review it.</Text>}
+                  </BlockStack>
+                </Box>
+              );
+            })}
+          </BlockStack>
+        </Card>
+      </Box>
+
+      <Box paddingBlockStart="400">
+        <RestockLocationCard />
+      </Box>
+
+      <Box paddingBlockStart="400">
+        <RefundReasonsCard />
+      </Box>
+
+      <Box paddingBlockStart="400">
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <Text as="h3" variant="headingMd">Backtest</Text>
+              <Text as="p" tone="subdued">Replay past refund requests against the rules above and compare with the active version</Text>
+            </BlockStack>
+            <InlineStack gap="300" blockAlign="end">
+              <Box minWidth="150px">
+                <TextField label="From" type="date" value={btFrom} onChange={setBtFrom} autoComplete="off" />
+              </Box>
+              <Box minWidth="150px">
+                <TextField label="To" type="date" value={btTo} onChange={setBtTo} autoComplete="off" />
+              </Box>
+              <Button onClick={runBacktest} loading={backtesting}>Run backtest</Button>
+            </InlineStack>
+
+            {backtest && (
+              <BlockStack gap="300">
+                <Text as="p" tone="subdued">
+                  {backtest.replayed} requests replayed against version {backtest.activeVersion ?? '—'}
+                  {backtest.skipped ? ` (${backtest.skipped} without enough context skipped)` : ''}
+                  {backtest.truncated ? '; only the newest 5000 were used' : ''}.
+                </Text>
+                <InlineGrid columns={{ xs: 1, sm: 3 }} gap="300">
+                  {(Object.keys(OUTCOME_LABELS) as Outcome[]).map((key) => (
+                    <Box key={key} padding="300" background="bg-surface-secondary" borderRadius="200">
+                      <BlockStack gap="100">
+                        <Text as="p" tone="subdued">{OUTCOME_LABELS[key]}</Text>
+                        <Text as="p" variant="headingMd">{backtest.active[key].count} → {backtest.draft[key].count}</Text>
+                        <Text as="p" variant="bodySm" tone="subdued">{inr(backtest.active[key].value)} → {inr(backtest.draft[key].value)}</Text>
+                      </BlockStack>
+                    </Box>
+                  ))}
+                </InlineGrid>
+                <Text as="p">
+                  {backtest.changed.count} decisions change: {backtest.changed.stricter.count} stricter ({inr(backtest.changed.stricter.value)}),{' '}
+                  {backtest.changed.looser.count} looser ({inr(backtest.changed.looser.value)}).
+                </Text>
+                {backtest.changed.items.map((item) => (
+                  <InlineStack key={item.id} gap="200" blockAlign="center" wrap={false}>
+                    <Badge tone={item.direction === 'stricter' ? 'critical' : 'success'}>{item.direction}</Badge>
+                    <Text as="span" fontWeight="semibold">{item.orderName || item.orderId || '—'}</Text>
+                    <Text as="span">{inr(item.amount)}</Text>
+                    <Text as="span" tone="subdued">
+                      {OUTCOME_LABELS[item.active.outcome]} → {OUTCOME_LABELS[item.draft.outcome]}
+                      {item.draft.reason ? `: ${item.draft.reason}` : ''}
+                    </Text>
+                  </InlineStack>
+                ))}
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Card>
+      </Box>
+
+      <Box paddingBlockStart="400">
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <Text as="h3" variant="headingMd">Version history</Text>
+              <Text as="p" tone="subdued">Compare a version with the one in force, or roll back to it. A rollback is submitted for approval like any other change.</Text>
+            </BlockStack>
+            {versions.length === 0 && <Text as="p" tone="subdued">No versions published yet.</Text>}
+            {versions.map((v) => (
+              <InlineStack key={v._id} align="space-between" blockAlign="center">
+                <BlockStack gap="100">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="span" fontWeight="semibold">v{v.version}</Text>
+                    <Badge tone={STATE_BADGES[v.state].tone}>{STATE_BADGES[v.state].label}</Badge>
+                    {v.effective && <Badge tone="success">In force</Badge>}
+                    {v.rolledBackFrom != null && <Badge>{`Rollback of v${v.rolledBackFrom}`}</Badge>}
+                    <Text as="span" tone="subdued" variant="bodySm">
+                      {formatDateTime(v.createdAt)}
+                      {v.createdBy ? ` · ${v.createdBy.name || v.createdBy.email}` : ''}
+                      {v.approvedBy ? ` · approved by ${v.approvedBy.name || v.approvedBy.email}` : ''}
+                    </Text>
+                  </InlineStack>
+                  {v.isScheduled && v.effectiveFrom && (
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {formatDateTime(v.effectiveFrom)} → {v.effectiveUntil ? formatDateTime(v.effectiveUntil) : 'no end'}
+                    </Text>
+                  )}
+                  {editingSchedule?.version === v.version && (
+                    <InlineStack gap="200" blockAlign="end">
+                      <TextField
+                        label="From"
+                        type="datetime-local"
+                        value={editingSchedule.from}
+                        onChange={(from) => setEditingSchedule({ ...editingSchedule, from })}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Until"
+                        type="datetime-local"
+                        value={editingSchedule.until}
+                        onChange={(until) => setEditingSchedule({ ...editingSchedule, until })}
+                        autoComplete="off"
+                      />
+                      <Button size="slim" variant="primary" onClick={saveSchedule}>Save</Button>
+                      <Button size="slim" onClick={() => setEditingSchedule(null)}>Close</Button>
+                    </InlineStack>
+                  )}
+                </BlockStack>
+                <InlineStack gap="200">
+                  {(v.state === 'scheduled' || v.state === 'live') && (
+                    <>
+                      <Button
+                        size="slim"
+                        onClick={() => setEditingSchedule({ version: v.version, from: toLocalInput(v.effectiveFrom), until: toLocalInput(v.effectiveUntil) })}
+                        disabled={!canPublish}
+                      >
+                        Edit schedule
+                      </Button>
+                      <Button size="slim" tone="critical" onClick={() => cancelSchedule(v.version)} disabled={!canPublish}>Cancel</Button>
+                    </>
+                  )}
+                  {!v.effective && (
+                    <Button size="slim" onClick={() => compareWithActive(v.version)} disabled={!activeVersion}>Compare with current</Button>
+                  )}
+                  {!v.effective && !v.isActive && (
+                    <Button size="slim" onClick={() => rollback(v.version)} loading={rollingBack === v.version} disabled={!canPublish}>
+                      Roll back
+                    </Button>
+                  )}
+                </InlineStack>
+              </InlineStack>
+            ))}
+
+            {versionDiff && (
+              <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="200">
+                  <Text as="p" fontWeight="semibold">Changes from v{versionDiff.from} to v{versionDiff.to} (in force)</Text>
+                  {versionDiff.changes.length === 0 && <Text as="p" tone="subdued">No differences.</Text>}
+                  {versionDiff.changes.map((c) => (
+                    <InlineStack key={c.field} gap="200" blockAlign="center" wrap={false}>
+                      <Badge tone={c.change === 'added' ? 'success' : c.change === 'removed' ? 'critical' : 'info'}>{c.change}</Badge>
+                      <Text as="span" fontWeight="semibold">{c.field}</Text>
+                      <Text as="span" tone="subdued" breakWord>{showValue(c.before)} → {showValue(c.after)}</Text>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Box>
+            )}
+          </BlockStack>
+        </Card>
+      </Box>
     </Box>
   );
 }
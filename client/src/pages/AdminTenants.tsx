@@ -6,6 +6,7 @@ export default function AdminTenants() {
   const [name, setName] = useState('');
   const [shopDomain, setShopDomain] = useState('');
   const [apiVersion, setApiVersion] = useState('2025-07');
+  const [timezone, setTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
   const [apiKey, setApiKey] = useState('');
   const [accessToken, setAccessToken] = useState('');
   const [apiSecret, setApiSecret] = useState('');
@@ -17,7 +18,7 @@ export default function AdminTenants() {
     setSubmitting(true);
     setMsg(null);
     try {
-      await api.post('/tenants', { name, shopDomain, apiVersion, apiKey, accessToken, apiSecret });
+      await api.post('/tenants', { name, shopDomain, apiVersion, timezone, apiKey, accessToken, apiSecret });
       setMsg({ type: 'success', text: 'Tenant created.' });
       setName(''); setShopDomain(''); setApiKey(''); setAccessToken(''); setApiSecret('');
     } catch (e:any) {
@@ -57,6 +58,17 @@ export default function AdminTenants() {
                 <TextField label="API Secret *" value={apiSecret} onChange={setApiSecret} autoComplete="off" />
               </InlineGrid>
 
+              <InlineGrid columns={{ xs: 1, sm: 2 }} gap="400">
+                <TextField
+                  label="Time zone"
+                  value={timezone}
+                  onChange={setTimezone}
+                  placeholder="Asia/Kolkata"
+                  helpText="IANA time zone; refund budget days and months are counted in it"
+                  autoComplete="off"
+                />
+              </InlineGrid>
+
               
               <Box>
                 <Button submit variant="primary" loading={submitting}>Create Tenant</Button>
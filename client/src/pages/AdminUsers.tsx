@@ -1,5 +1,5 @@
 import { useEffect, useRef, useState } from 'react';
-import { Box, Card, Text, BlockStack, InlineGrid, InlineStack, TextField, Button, Banner, IndexTable, Badge, ButtonGroup, Icon } from '@shopify/polaris';
+import { Box, Card, Text, BlockStack, InlineGrid, InlineStack, TextField, Button, Banner, IndexTable, Badge, ButtonGroup, Icon, ProgressBar } from '@shopify/polaris';
 import { CustomSelect } from '../components/CustomSelect';
 import { EditIcon, DeleteIcon, PersonIcon } from '@shopify/polaris-icons';
 import api from '../apiClient';
@@ -8,8 +8,217 @@ import { useAuth } from '../auth/AuthContext';
 type Role = 'refund_agent' | 'platform_admin' | 'super_admin' | 'user_admin';
 type Tenant = { _id: string; name: string; shopDomain?: string };
 
+type LimitField = 'maxSingleRefund' | 'maxDailyRefundValue' | 'maxRefundsPerHour';
+type OnExceed = 'DENY' | 'REQUIRE_APPROVAL';
+type Limits = Record<LimitField, number | null> & { onExceed: OnExceed };
+type AgentLimitDoc = Limits & { _id: string; scope: 'role' | 'user'; role?: Role; user?: { _id: string } };
+type AgentBudget = {
+  user: { _id: string; name?: string; email?: string; role: Role };
+  limits: (Limits & { source: Partial<Record<LimitField, 'user' | 'role'>> }) | null;
+  userLimits: AgentLimitDoc | null;
+  usage: { todayValue: number; todayCount: number; lastHourCount: number };
+  remaining: { value: number | null; refundsThisHour: number | null };
+};
+type LimitsForm = Record<LimitField, string> & { onExceed: OnExceed };
+
+const LIMIT_LABELS: Record<LimitField, string> = {
+  maxSingleRefund: 'Max single refund (₹)',
+  maxDailyRefundValue: 'Daily refund budget (₹)',
+  maxRefundsPerHour: 'Max refunds per hour',
+};
+const ON_EXCEED_OPTIONS = [
+  { label: 'Send for approval', value: 'REQUIRE_APPROVAL' },
+  { label: 'Deny the refund', value: 'DENY' },
+];
+const LIMIT_ROLES: Array<{ role: Role; label: string }> = [
+  { role: 'refund_agent', label: 'Refund agents' },
+  { role: 'super_admin', label: 'Super admins' },
+];
+
+const inr = (n: number) => `₹${Number(n || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+const toForm = (doc?: Partial<Limits> | null): LimitsForm => ({
+  maxSingleRefund: doc?.maxSingleRefund != null ? String(doc.maxSingleRefund) : '',
+  maxDailyRefundValue: doc?.maxDailyRefundValue != null ? String(doc.maxDailyRefundValue) : '',
+  maxRefundsPerHour: doc?.maxRefundsPerHour != null ? String(doc.maxRefundsPerHour) : '',
+  onExceed: doc?.onExceed || 'REQUIRE_APPROVAL',
+});
+const errorText = (err: unknown, fallback: string) => {
+  const e = err as { response?: { data?: { message?: string; error?: string } } };
+  return e?.response?.data?.message || e?.response?.data?.error || fallback;
+};
+
+function LimitsFields({ form, onChange }: { form: LimitsForm; onChange: (form: LimitsForm) => void }) {
+  return (
+    <InlineGrid columns={{ xs: 1, sm: 4 }} gap="200">
+      {(Object.keys(LIMIT_LABELS) as LimitField[]).map((field) => (
+        <TextField
+          key={field}
+          label={LIMIT_LABELS[field]}
+          type="number"
+          min={0}
+          value={form[field]}
+          onChange={(value) => onChange({ ...form, [field]: value })}
+          placeholder="No limit"
+          autoComplete="off"
+        />
+      ))}
+      <CustomSelect
+        label="When exceeded"
+        options={ON_EXCEED_OPTIONS}
+        value={form.onExceed}
+        onChange={(value) => onChange({ ...form, onExceed: value as OnExceed })}
+      />
+    </InlineGrid>
+  );
+}
+
+// Refund caps per role and per user, with each agent's budget left for today
+function AgentLimitsPanel({ tenantKey }: { tenantKey: string }) {
+  const [roleForms, setRoleForms] = useState<Partial<Record<Role, LimitsForm>>>({});
+  const [budgets, setBudgets] = useState<AgentBudget[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState<string | null>(null);
+  const [editing, setEditing] = useState<{ userId: string; form: LimitsForm } | null>(null);
+  const [msg, setMsg] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const [limitsRes, budgetsRes] = await Promise.all([
+        api.get<{ data: { data: AgentLimitDoc[] } }>('/agent-limits'),
+        api.get<{ data: { data: AgentBudget[] } }>('/agent-limits/budgets'),
+      ]);
+      const forms: Partial<Record<Role, LimitsForm>> = {};
+      for (const { role } of LIMIT_ROLES) {
+        forms[role] = toForm(limitsRes.data.data.data.find((d) => d.scope === 'role' && d.role === role));
+      }
+      setRoleForms(forms);
+      setBudgets(budgetsRes.data.data.data || []);
+    } catch (err: unknown) {
+      setMsg({ type: 'error', text: errorText(err, 'Failed to load agent limits') });
+      setBudgets([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [tenantKey]);
+
+  const save = async (key: string, path: string, form: LimitsForm | null) => {
+    setSaving(key);
+    setMsg(null);
+    try {
+      if (form) await api.put(path, form);
+      else await api.delete(path);
+      setMsg({ type: 'success', text: form ? 'Limits saved.' : 'Limits removed.' });
+      setEditing(null);
+      load();
+    } catch (err: unknown) {
+      setMsg({ type: 'error', text: errorText(err, 'Failed to save limits') });
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="100">
+          <Text as="h3" variant="headingMd">Refund limits</Text>
+          <Text as="p" tone="subdued">
+            Caps apply to every refund an agent requests, whatever the rules mode. A user's own limits override their role's. Leave a field empty for no limit.
+          </Text>
+        </BlockStack>
+        {msg && <Banner tone={msg.type === 'error' ? 'critical' : 'success'} onDismiss={() => setMsg(null)}>{msg.text}</Banner>}
+
+        {LIMIT_ROLES.map(({ role, label }) => {
+          const form = roleForms[role];
+          if (!form) return null;
+          return (
+            <BlockStack gap="200" key={role}>
+              <Text as="h4" variant="headingSm">{label}</Text>
+              <LimitsFields form={form} onChange={(next) => setRoleForms({ ...roleForms, [role]: next })} />
+              <InlineStack gap="200">
+                <Button onClick={() => save(role, `/agent-limits/roles/${role}`, form)} loading={saving === role}>Save</Button>
+                <Button variant="plain" tone="critical" onClick={() => save(role, `/agent-limits/roles/${role}`, null)} disabled={saving === role}>Remove</Button>
+              </InlineStack>
+            </BlockStack>
+          );
+        })}
+
+        <BlockStack gap="200">
+          <InlineStack align="space-between" blockAlign="center">
+            <Text as="h4" variant="headingSm">Today's budgets</Text>
+            <Button size="slim" onClick={load} loading={loading}>Refresh</Button>
+          </InlineStack>
+          {budgets.length === 0 && !loading && <Text as="p" tone="subdued">No users in this shop.</Text>}
+          {budgets.map((b) => {
+            const daily = b.limits?.maxDailyRefundValue ?? null;
+            const perHour = b.limits?.maxRefundsPerHour ?? null;
+            const isEditing = editing?.userId === b.user._id;
+            return (
+              <Box key={b.user._id} padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="200">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="span" fontWeight="semibold">{b.user.name || b.user.email}</Text>
+                      <Badge>{b.user.role.replace('_', ' ')}</Badge>
+                      {b.userLimits && <Badge tone="info">Own limits</Badge>}
+                      {b.limits?.onExceed === 'DENY' && <Badge tone="critical">Denies when exceeded</Badge>}
+                    </InlineStack>
+                    <Button
+                      size="slim"
+                      onClick={() => setEditing(isEditing ? null : { userId: b.user._id, form: toForm(b.userLimits) })}
+                    >
+                      {isEditing ? 'Close' : 'Set user limits'}
+                    </Button>
+                  </InlineStack>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {`Refunded today: ${inr(b.usage.todayValue)} in ${b.usage.todayCount} refunds`}
+                    {daily != null ? ` · ${inr(b.remaining.value ?? 0)} left of ${inr(daily)}` : ' · no daily budget'}
+                    {b.limits?.maxSingleRefund != null ? ` · max ${inr(b.limits.maxSingleRefund)} per refund` : ''}
+                    {perHour != null ? ` · ${b.usage.lastHourCount}/${perHour} refunds this hour` : ''}
+                  </Text>
+                  {daily != null && daily > 0 && (
+                    <ProgressBar
+                      progress={Math.min(100, (b.usage.todayValue / daily) * 100)}
+                      tone={b.remaining.value === 0 ? 'critical' : 'primary'}
+                      size="small"
+                    />
+                  )}
+                  {isEditing && editing && (
+                    <BlockStack gap="200">
+                      <LimitsFields form={editing.form} onChange={(form) => setEditing({ ...editing, form })} />
+                      <InlineStack gap="200">
+                        <Button
+                          variant="primary"
+                          onClick={() => save(b.user._id, `/agent-limits/users/${b.user._id}`, editing.form)}
+                          loading={saving === b.user._id}
+                        >
+                          Save
+                        </Button>
+                        {b.userLimits && (
+                          <Button onClick={() => save(b.user._id, `/agent-limits/users/${b.user._id}`, null)} disabled={saving === b.user._id}>
+                            Use role limits
+                          </Button>
+                        )}
+                      </InlineStack>
+                    </BlockStack>
+                  )}
+                </BlockStack>
+              </Box>
+            );
+          })}
+        </BlockStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
 export default function AdminUsers() {
-  const { user } = useAuth();
+  const { user, selectedTenantId } = useAuth();
   const [users, setUsers] = useState<any[]>([]);
   const [loading, setLoading] = useState<boolean>(false);
   const [deletingId, setDeletingId] = useState<string | null>(null);
@@ -40,6 +249,7 @@ export default function AdminUsers() {
   const roleOfCurrent = String((user as any)?.role || '').toLowerCase();
   const canManage = user && (user as any).role && ['platform_admin', 'super_admin', 'user_admin'].includes(roleOfCurrent);
   const isSuperAdmin = roleOfCurrent === 'super_admin';
+  const canSetLimits = roleOfCurrent === 'platform_admin' ? Boolean(selectedTenantId) : isSuperAdmin;
   const currentUserId = (user as any)?._id || '';
   const loadUsers = async (filters = {
     search: userSearch.trim(),
@@ -350,6 +560,12 @@ export default function AdminUsers() {
           </Card>
         </BlockStack>
       </InlineGrid>
+
+      {canSetLimits && (
+        <Box paddingBlockStart="400">
+          <AgentLimitsPanel tenantKey={selectedTenantId || 'own'} />
+        </Box>
+      )}
     </Box>
   );
 }
@@ -1,6 +1,7 @@
-import { useMemo, useState } from 'react';
-import { Page, Layout, Card, Text, TextField, InlineStack, Badge, Button, IndexTable, Modal, Box, Checkbox, BlockStack } from '@shopify/polaris';
+import { useEffect, useMemo, useState } from 'react';
+import { Page, Layout, Card, Text, TextField, InlineStack, Badge, Button, IndexTable, Modal, Box, Checkbox, BlockStack, DropZone } from '@shopify/polaris';
 import { CustomSelect } from '../components/CustomSelect';
+import RefundBudgetMeter from '../components/RefundBudgetMeter';
 import { FilterIcon } from '@shopify/polaris-icons';
 import api from '../apiClient';
 import {
@@ -10,10 +11,64 @@ import {
 	type OrderLineItem,
 	type OrderSummary,
 	type PreviewResult,
+	type RefundAttachment,
+	type RuleDecision,
+	type RefundMode,
+	type RefundReason,
+	type RestockType,
+	type ShopLocation,
 } from '../agent/AgentSearchContext';
 
 interface GetOrdersResponse { orders: OrderSummary[]; nextPageInfo?: string | null }
 
+type LineSelection = { selected: boolean; quantity: number; amount: string; restockType: RestockType; locationId: string };
+
+const RESTOCK_OPTIONS: Array<{ label: string; value: RestockType }> = [
+	{ label: 'No restock', value: 'no_restock' },
+	{ label: 'Returned', value: 'return' },
+	{ label: 'Not shipped (cancel)', value: 'cancel' },
+];
+
+// POST /refund/calculate: Shopify's figures for a selection (earlier refunds, tax and shipping included)
+interface RefundCalculation {
+	orderId: number;
+	currency: string | null;
+	lineItems: Array<{ lineItemId: number; quantity: number; remainingQuantity: number; amount: number; maximumRefundable: number }>;
+	suggestedAmount: number;
+	maximumRefundable: number;
+}
+
+const REFUND_MODE_OPTIONS: Array<{ label: string; value: RefundMode }> = [
+	{ label: 'Cancel order and refund', value: 'cancel_and_refund' },
+	{ label: 'Refund without cancelling', value: 'refund_only' },
+	{ label: 'Refund shipping only', value: 'refund_shipping_only' },
+];
+
+// POST /refund/bulk and GET /refund/bulk/:jobId
+type BulkItemStatus = 'queued' | 'refunded' | 'pending_approval' | 'retry_scheduled' | 'denied' | 'failed';
+interface BulkRefundJob {
+	jobId: string;
+	status: 'queued' | 'running' | 'completed' | 'failed';
+	total: number;
+	processed: number;
+	counts: Record<Exclude<BulkItemStatus, 'queued'>, number>;
+	results: Array<{ index: number; orderId: string | null; status: BulkItemStatus; reason: string | null; error: string | null }>;
+	error: string | null;
+}
+
+const BULK_POLL_MS = 2000;
+
+// Evidence files accepted by POST /refund/attachments
+const EVIDENCE_TYPES = 'image/jpeg,image/png,image/webp,application/pdf';
+const MAX_EVIDENCE_FILES = 5;
+
+// 202 from POST /refund
+interface RefundAccepted {
+	pendingId?: string;
+	retryScheduled?: boolean;
+	message?: string;
+}
+
 interface BulkPreviewResponse {
 	results: PreviewResult[];
 	cashbackSummary?: CashbackSummary | null;
@@ -44,8 +99,12 @@ export default function AgentDashboard() {
 	const [error, setError] = useState<string | null>(null);
 	// Partial refund dialog state
 	const [partialDlg, setPartialDlg] = useState<{ open: boolean; order: OrderSummary | null }>({ open: false, order: null });
-	// Selection state per orderId -> per lineItemId -> { selected, quantity, amount }
-	const [selections, setSelections] = useState<Record<number, Record<number, { selected: boolean; quantity: number; amount: string }>>>({});
+	// Selection state per orderId -> per lineItemId -> { selected, quantity, amount, restock }
+	const [selections, setSelections] = useState<Record<number, Record<number, LineSelection>>>({});
+	// Shopify locations for restocking, loaded when the partial dialog first opens
+	const [locations, setLocations] = useState<{ locations: ShopLocation[]; defaultLocationId: number | null } | null>(null);
+	// Latest Shopify calculation per orderId for the selected lines
+	const [calc, setCalc] = useState<Record<number, RefundCalculation | null>>({});
 	// Confirmation dialog state
 	const [confirm, setConfirm] = useState<{
 		open: boolean;
@@ -54,9 +113,66 @@ export default function AgentDashboard() {
 		amountLabel: string;
 		customerName: string;
 		note?: string;
+		// Required on every refund; one of the tenant's active reasons
+		reasonCode?: string;
+		// Full refunds: chosen mode and the modes the ruleset allows
+		mode?: RefundMode;
+		allowedModes?: RefundMode[];
+		// Evidence to upload with the refund (photos, courier proof)
+		files?: File[];
+		// One key per confirmation so double-clicks and retries cannot refund twice
+		idempotencyKey?: string;
 	}>({ open: false, type: null, orderId: null, amountLabel: '', customerName: '', note: '' });
 	// Confirm action loading state
 	const [confirmLoading, setConfirmLoading] = useState(false);
+	// Reloads the store budget meter after a refund goes through
+	const [budgetKey, setBudgetKey] = useState(0);
+	// Orders ticked for a bulk full refund, and the running job's progress
+	const [bulkSelected, setBulkSelected] = useState<Record<number, boolean>>({});
+	const [bulkJob, setBulkJob] = useState<BulkRefundJob | null>(null);
+	const [bulkReason, setBulkReason] = useState('');
+	// The tenant's active refund reasons for the reason pickers
+	const [reasons, setReasons] = useState<RefundReason[]>([]);
+
+	useEffect(() => {
+		api.get<{ status: string; data: { reasons: RefundReason[] } }>('/refund-reasons')
+			.then((res) => setReasons(res.data.data.reasons.filter((r) => r.active)))
+			.catch(() => setReasons([]));
+	}, []);
+
+	const reasonOptions = reasons.map((r) => ({ label: r.label, value: r.code }));
+
+	// Recalculate with Shopify when the selected lines or quantities change, then pre-fill their amounts
+	const calcOrderId = partialDlg.open ? partialDlg.order?.id ?? null : null;
+	const calcKey = JSON.stringify(
+		Object.entries((calcOrderId != null && selections[calcOrderId]) || {})
+			.filter(([, v]) => v.selected)
+			.map(([id, v]) => ({ lineItemId: Number(id), quantity: v.quantity }))
+	);
+	useEffect(() => {
+		const lineItems = JSON.parse(calcKey) as Array<{ lineItemId: number; quantity: number }>;
+		if (calcOrderId == null || !lineItems.length) return;
+		let cancelled = false;
+		const timer = setTimeout(() => {
+			api.post<RefundCalculation>('/refund/calculate', { orderId: calcOrderId, lineItems })
+				.then((res) => {
+					if (cancelled) return;
+					setCalc(prev => ({ ...prev, [calcOrderId]: res.data }));
+					setSelections(prev => {
+						const perOrder = { ...(prev[calcOrderId] || {}) };
+						for (const line of res.data.lineItems) {
+							const entry = perOrder[line.lineItemId];
+							if (entry?.selected && entry.quantity === line.quantity) {
+								perOrder[line.lineItemId] = { ...entry, amount: line.amount.toFixed(2) };
+							}
+						}
+						return { ...prev, [calcOrderId]: perOrder };
+					});
+				})
+				.catch(() => { if (!cancelled) setCalc(prev => ({ ...prev, [calcOrderId]: null })); });
+		}, 300);
+		return () => { cancelled = true; clearTimeout(timer); };
+	}, [calcOrderId, calcKey]);
 
 	const merged = useMemo(() => {
 		if (!orders) return [] as Array<{ order: OrderSummary; preview?: PreviewResult }>;
@@ -73,6 +189,7 @@ export default function AgentDashboard() {
 		setOrders(null);
 		setPreview({});
 		setSelections({});
+		setBulkSelected({});
 		setCashbackSummary(null);
 		setCashbackStatus('idle');
 		try {
@@ -115,31 +232,112 @@ export default function AgentDashboard() {
 		}
 	}
 
+	// "Not checked: refundWindowDays (Delivery date unknown), ..." from decision.trace
+	function skippedChecks(decision?: RuleDecision | null) {
+		const skipped = (decision?.trace || []).filter((t) => t.status === 'skipped');
+		if (!skipped.length) return null;
+		return `Not checked: ${skipped.map((t) => (t.detail ? `${t.rule} (${t.detail})` : t.rule)).join(', ')}`;
+	}
+
+	function refundFailedMessage(err: unknown, fallback: string) {
+		const data = (err as { response?: { data?: { error?: string; message?: string; decision?: RuleDecision } } })?.response?.data;
+		return [data?.error || data?.message || fallback, data?.decision?.reason, skippedChecks(data?.decision)].filter(Boolean).join('\n');
+	}
+
+	// 202: filed for approval, or queued for the retry worker while Shopify is unavailable
+	function acceptedMessage(data?: RefundAccepted) {
+		if (data?.retryScheduled) return data.message || 'Shopify is unavailable. The refund will be retried automatically.';
+		return `Approval required. PendingId: ${data?.pendingId}`;
+	}
+
 	function refundEnabled(p?: PreviewResult) {
 		if (!p || !p.decision) return true; // fallback
 		if (p.decision.outcome === 'ALLOW' || p.decision.outcome === 'REQUIRE_APPROVAL') return true;
 		return false;
 	}
 
+	// Upload the confirmation's files for this order; their ids go on the refund as attachmentIds
+	async function uploadEvidence(orderId: number) {
+		if (!confirm.files?.length) return undefined;
+		const form = new FormData();
+		form.append('orderId', String(orderId));
+		for (const file of confirm.files) form.append('files', file);
+		const res = await api.post<{ data: { attachments: RefundAttachment[] } }>('/refund/attachments', form);
+		return res.data.data.attachments.map((a) => a._id);
+	}
+
 	async function onRefund(orderId: number) {
 		try {
+			const attachmentIds = await uploadEvidence(orderId);
 			const payloadBase = searchMode === 'phone' ? { phone: query, orderId } : { orderId };
-			const payload = { ...payloadBase, note: confirm.note || undefined };
-			const res = await api.post('/refund', payload);
+			const payload = { ...payloadBase, mode: confirm.mode, reasonCode: confirm.reasonCode, attachmentIds, note: confirm.note || undefined };
+			const res = await api.post<RefundAccepted>('/refund', payload, { headers: { 'Idempotency-Key': confirm.idempotencyKey } });
 			if (res.status === 200) {
+				setBudgetKey((k) => k + 1);
 				alert('Refund executed successfully');
 			} else if (res.status === 202) {
-				const pendingId = (res as any).data?.pendingId;
-				alert(`Approval required. PendingId: ${pendingId}`);
+				alert(acceptedMessage(res.data));
 			}
 		} catch (err: any) {
-			const msg = err?.response?.data?.error || 'Refund failed';
+			const msg = refundFailedMessage(err, 'Refund failed');
 			alert(msg);
 		}
 	}
 
+	const bulkOrderIds = (orders || []).filter((o) => bulkSelected[o.id]).map((o) => o.id);
+	const bulkBusy = bulkJob != null && (bulkJob.status === 'queued' || bulkJob.status === 'running');
+
+	async function onBulkRefund() {
+		if (!bulkOrderIds.length) return;
+		if (!bulkReason) {
+			alert('Choose a refund reason first');
+			return;
+		}
+		if (!window.confirm(`Fully refund ${bulkOrderIds.length} order(s)? Each one goes through the refund rules; some may need approval.`)) return;
+		try {
+			const items = bulkOrderIds.map((orderId) => ({ orderId }));
+			const body = searchMode === 'phone' ? { phone: query, reasonCode: bulkReason, items } : { reasonCode: bulkReason, items };
+			let job = (await api.post<BulkRefundJob>('/refund/bulk', body, { headers: { 'Idempotency-Key': crypto.randomUUID() } })).data;
+			setBulkJob(job);
+			// Large batches run in the background; poll until they finish
+			while (job.status === 'queued' || job.status === 'running') {
+				await new Promise((resolve) => setTimeout(resolve, BULK_POLL_MS));
+				job = (await api.get<BulkRefundJob>(`/refund/bulk/${job.jobId}`)).data;
+				setBulkJob(job);
+			}
+			setBulkSelected({});
+			setBudgetKey((k) => k + 1);
+			const problems = job.results
+				.filter((r) => r.status === 'denied' || r.status === 'failed')
+				.map((r) => `Order ${r.orderId ?? r.index}: ${r.reason || r.error || r.status}`);
+			alert([
+				job.error ? `Bulk refund stopped: ${job.error}` : null,
+				`Refunded ${job.counts.refunded}, sent for approval ${job.counts.pending_approval}, queued for retry ${job.counts.retry_scheduled ?? 0}, denied ${job.counts.denied}, failed ${job.counts.failed}`,
+				...problems,
+			].filter(Boolean).join('\n'));
+		} catch (err) {
+			alert(refundFailedMessage(err, 'Bulk refund failed'));
+		} finally {
+			setBulkJob(null);
+		}
+	}
+
 	function openPartialDialog(order: OrderSummary) {
 		setPartialDlg({ open: true, order });
+		if (!locations) {
+			api.get<{ status: string; data: { locations: ShopLocation[]; defaultLocationId: number | null } }>('/locations')
+				.then((res) => setLocations(res.data.data))
+				.catch(() => setLocations({ locations: [], defaultLocationId: null }));
+		}
+	}
+
+	function locationOptions() {
+		const active = (locations?.locations || []).filter((l) => l.active);
+		const fallback = active.find((l) => l.id === locations?.defaultLocationId);
+		return [
+			{ label: fallback ? `Default (${fallback.name})` : 'Store default', value: '' },
+			...active.map((l) => ({ label: l.name, value: String(l.id) })),
+		];
 	}
 
 	function closePartialDialog() {
@@ -160,7 +358,7 @@ export default function AgentDashboard() {
 			}
 			const defaultQty = Math.min(1, li.quantity) || 1;
 			const amount = (defaultQty * unitPrice(li)).toFixed(2);
-			perOrder[li.id] = { selected: true, quantity: defaultQty, amount };
+			perOrder[li.id] = { selected: true, quantity: defaultQty, amount, restockType: 'no_restock', locationId: '' };
 			return { ...prev, [orderId]: perOrder };
 		});
 	}
@@ -188,6 +386,16 @@ export default function AgentDashboard() {
 		});
 	}
 
+	function onChangeRestock(orderId: number, li: OrderLineItem, patch: Partial<Pick<LineSelection, 'restockType' | 'locationId'>>) {
+		setSelections(prev => {
+			const perOrder = { ...(prev[orderId] || {}) };
+			const entry = perOrder[li.id];
+			if (!entry) return prev;
+			perOrder[li.id] = { ...entry, ...patch };
+			return { ...prev, [orderId]: perOrder };
+		});
+	}
+
 	function buildPartialPayload(orderId: number) {
 		const perOrder = selections[orderId] || {};
 		const items = Object.entries(perOrder)
@@ -198,6 +406,9 @@ export default function AgentDashboard() {
 				return {
 					lineItemId,
 					quantity: v.quantity,
+					restock_type: v.restockType,
+					// Empty location means the store's default
+					...(v.restockType !== 'no_restock' && v.locationId ? { locationId: Number(v.locationId) } : {}),
 					// Only include amount if it's a valid number
 					...(Number.isFinite(amountNum) ? { amount: Number(amountNum.toFixed(2)) } : {})
 				};
@@ -213,9 +424,27 @@ export default function AgentDashboard() {
 		return name || c.email || c.phone || 'Unknown customer';
 	}
 
-	function openConfirmFull(order: OrderSummary) {
+	function openConfirmFull(order: OrderSummary, p?: PreviewResult) {
 		const amountLabel = order.current_subtotal_price ? `₹${Number(parseFloat(order.current_subtotal_price)).toFixed(2)}` : 'N/A';
-		setConfirm(prev => ({ ...prev, open: true, type: 'full', orderId: order.id, amountLabel, customerName: customerNameFor(order), note: prev.note ?? '' }));
+		const allowedModes = p?.ctxHints?.allowedRefundModes || REFUND_MODE_OPTIONS.map((o) => o.value);
+		const mode = p?.ctxHints?.refundMode || allowedModes[0];
+		setConfirm(prev => ({ ...prev, open: true, type: 'full', orderId: order.id, amountLabel, customerName: customerNameFor(order), note: prev.note ?? '', mode, allowedModes, idempotencyKey: crypto.randomUUID() }));
+		loadFullAmount(order.id, mode);
+	}
+
+	// Shopify's figure replaces the subtotal: it leaves out earlier refunds and adds tax and shipping
+	function loadFullAmount(orderId: number, mode: RefundMode) {
+		api.post<RefundCalculation>('/refund/calculate', { orderId, mode })
+			.then((res) => {
+				const label = res.data.suggestedAmount > 0 ? `₹${res.data.suggestedAmount.toFixed(2)}` : '₹0.00 (nothing left to refund)';
+				setConfirm(prev => (prev.open && prev.type === 'full' && prev.orderId === orderId && prev.mode === mode ? { ...prev, amountLabel: label } : prev));
+			})
+			.catch(() => { /* keep the subtotal */ });
+	}
+
+	function onChangeMode(mode: RefundMode) {
+		setConfirm(prev => ({ ...prev, mode }));
+		if (confirm.orderId != null) loadFullAmount(confirm.orderId, mode);
 	}
 
 	function computePartialTotal(orderId: number) {
@@ -235,12 +464,32 @@ export default function AgentDashboard() {
 			alert('Select at least one line item with a valid amount');
 			return;
 		}
+		const limits = calc[order.id];
+		if (limits) {
+			for (const [id, v] of Object.entries(selections[order.id] || {})) {
+				const line = limits.lineItems.find((l) => l.lineItemId === Number(id));
+				if (!v.selected || !line) continue;
+				if (Number.parseFloat(v.amount) > line.maximumRefundable + 0.005) {
+					const name = order.line_items.find((li) => li.id === Number(id))?.name || `Line ${id}`;
+					alert(`${name}: at most ₹${line.maximumRefundable.toFixed(2)} can be refunded`);
+					return;
+				}
+			}
+			if (total > limits.maximumRefundable + 0.005) {
+				alert(`At most ₹${limits.maximumRefundable.toFixed(2)} is left to refund on this order`);
+				return;
+			}
+		}
 		const amountLabel = `₹${total.toFixed(2)}`;
-		setConfirm(prev => ({ ...prev, open: true, type: 'partial', orderId: order.id, amountLabel, customerName: customerNameFor(order), note: prev.note ?? '' }));
+		setConfirm(prev => ({ ...prev, open: true, type: 'partial', orderId: order.id, amountLabel, customerName: customerNameFor(order), note: prev.note ?? '', idempotencyKey: crypto.randomUUID() }));
 	}
 
 	async function onConfirmProceed() {
 		const orderId = confirm.orderId!;
+		if (!confirm.reasonCode) {
+			alert('Choose a refund reason');
+			return;
+		}
 			try {
 				setConfirmLoading(true);
 				if (confirm.type === 'full') {
@@ -262,20 +511,21 @@ export default function AgentDashboard() {
 
 	async function onPartialRefund(orderId: number) {
 		try {
-			const payload = { ...buildPartialPayload(orderId), note: confirm.note || undefined } as any;
+			const payload = { ...buildPartialPayload(orderId), reasonCode: confirm.reasonCode, note: confirm.note || undefined } as any;
 			if (!payload.lineItems.length) {
 				alert('Select at least one line item');
 				return;
 			}
-			const res = await api.post('/refund', payload);
+			payload.attachmentIds = await uploadEvidence(orderId);
+			const res = await api.post<RefundAccepted>('/refund', payload, { headers: { 'Idempotency-Key': confirm.idempotencyKey } });
 			if (res.status === 200) {
+				setBudgetKey((k) => k + 1);
 				alert('Partial refund executed successfully');
 			} else if (res.status === 202) {
-				const pendingId = (res as any).data?.pendingId;
-				alert(`Approval required. PendingId: ${pendingId}`);
+				alert(acceptedMessage(res.data));
 			}
 		} catch (err: any) {
-			const msg = err?.response?.data?.error || 'Partial refund failed';
+			const msg = refundFailedMessage(err, 'Partial refund failed');
 			alert(msg);
 		}
 	}
@@ -289,6 +539,9 @@ export default function AgentDashboard() {
   return (
     <Page title="Refunds" fullWidth>
       <Layout>
+        <Layout.Section>
+          <RefundBudgetMeter refreshKey={budgetKey} />
+        </Layout.Section>
         <Layout.Section>
           <Card padding="0">
             {/* Custom Pill-style Tabs */}
@@ -369,6 +622,28 @@ export default function AgentDashboard() {
                    <Text as="p" tone="subdued">No orders found.</Text>
                 )}
 
+                {tab === 0 && orders && orders.length > 0 && (
+                  <Box paddingBlockEnd="300">
+                    <InlineStack gap="300" align="end" blockAlign="center">
+                      {bulkJob && (
+                        <Text as="span" tone="subdued">Refunding {bulkJob.processed} of {bulkJob.total}…</Text>
+                      )}
+                      <div style={{ width: '220px' }}>
+                        <CustomSelect
+                          placeholder="Refund reason"
+                          options={reasonOptions}
+                          value={bulkReason}
+                          onChange={setBulkReason}
+                          disabled={bulkBusy}
+                        />
+                      </div>
+                      <Button onClick={onBulkRefund} disabled={!bulkOrderIds.length || !bulkReason || bulkBusy} loading={bulkBusy}>
+                        {`Refund selected (${bulkOrderIds.length})`}
+                      </Button>
+                    </InlineStack>
+                  </Box>
+                )}
+
                 {tab === 0 && orders && orders.length > 0 && (
                   <div className="custom-table-header">
                     <style>{`
@@ -421,7 +696,15 @@ export default function AgentDashboard() {
 
                         return (
                           <IndexTable.Row id={order.id.toString()} key={order.id} position={index}>
-                            <IndexTable.Cell><Checkbox label="" checked={false} onChange={() => {}} /></IndexTable.Cell>
+                            <IndexTable.Cell>
+                              <Checkbox
+                                label="Select for bulk refund"
+                                labelHidden
+                                checked={!!bulkSelected[order.id]}
+                                disabled={!refundEnabled(p) || bulkBusy}
+                                onChange={(checked) => setBulkSelected((prev) => ({ ...prev, [order.id]: checked }))}
+                              />
+                            </IndexTable.Cell>
                             <IndexTable.Cell><Text as="span" fontWeight="bold">#{order.name}</Text></IndexTable.Cell>
                             <IndexTable.Cell>
                               <BlockStack gap="050">
@@ -437,12 +720,17 @@ export default function AgentDashboard() {
                             </IndexTable.Cell>
                             <IndexTable.Cell>
                               <Box maxWidth="200px">
-                                <Text as="span" tone="subdued" variant="bodySm">{reason}</Text>
+                                <BlockStack gap="050">
+                                  <Text as="span" tone="subdued" variant="bodySm">{reason}</Text>
+                                  {skippedChecks(p?.decision) && (
+                                    <Text as="span" tone="caution" variant="bodySm">{skippedChecks(p?.decision)}</Text>
+                                  )}
+                                </BlockStack>
                               </Box>
                             </IndexTable.Cell>
                             <IndexTable.Cell>
                               <InlineStack gap="200" align="end">
-                                <Button size="slim" onClick={() => openConfirmFull(order)} disabled={!refundEnabled(p)}>Process Refund</Button>
+                                <Button size="slim" onClick={() => openConfirmFull(order, p)} disabled={!refundEnabled(p)}>Process Refund</Button>
                                 <Button size="slim" variant="secondary" onClick={() => openPartialDialog(order)}>Partial Refund</Button>
                               </InlineStack>
                             </IndexTable.Cell>
@@ -505,6 +793,7 @@ export default function AgentDashboard() {
           content: 'Confirm',
           onAction: onConfirmProceed,
           loading: confirmLoading,
+          disabled: !confirm.reasonCode,
         }}
         secondaryActions={[{ content: 'Cancel', onAction: onConfirmCancel }]}
       >
@@ -514,6 +803,47 @@ export default function AgentDashboard() {
             <Text as="p" tone="subdued">Customer: {confirm.customerName}</Text>
             <Text as="p" tone="subdued">Amount: {confirm.amountLabel}</Text>
           </Box>
+          <Box paddingBlockStart="300">
+            <CustomSelect
+              label="Reason"
+              placeholder="Choose a reason"
+              options={reasonOptions}
+              value={confirm.reasonCode || ''}
+              onChange={(v) => setConfirm(prev => ({ ...prev, reasonCode: v }))}
+            />
+          </Box>
+          <Box paddingBlockStart="300">
+            <BlockStack gap="200">
+              <DropZone
+                label="Evidence (optional)"
+                accept={EVIDENCE_TYPES}
+                type="file"
+                allowMultiple
+                onDrop={(_all, accepted, rejected) => {
+                  if (rejected.length) alert(`Only JPEG, PNG, WebP or PDF files: ${rejected.map((f) => f.name).join(', ')}`);
+                  setConfirm(prev => ({ ...prev, files: [...(prev.files || []), ...accepted].slice(0, MAX_EVIDENCE_FILES) }));
+                }}
+              >
+                <DropZone.FileUpload actionHint={`Photos or documents, up to ${MAX_EVIDENCE_FILES} files`} />
+              </DropZone>
+              {(confirm.files || []).map((file, i) => (
+                <InlineStack key={`${file.name}-${i}`} gap="200" blockAlign="center">
+                  <Text as="span" variant="bodySm">{file.name}</Text>
+                  <Button variant="plain" onClick={() => setConfirm(prev => ({ ...prev, files: (prev.files || []).filter((_, j) => j !== i) }))}>Remove</Button>
+                </InlineStack>
+              ))}
+            </BlockStack>
+          </Box>
+          {confirm.type === 'full' && confirm.mode && (
+            <Box paddingBlockStart="300">
+              <CustomSelect
+                label="Refund mode"
+                options={REFUND_MODE_OPTIONS.filter((o) => (confirm.allowedModes || []).includes(o.value))}
+                value={confirm.mode}
+                onChange={(v) => onChangeMode(v as RefundMode)}
+              />
+            </Box>
+          )}
         </Modal.Section>
       </Modal>
 
@@ -535,12 +865,14 @@ export default function AgentDashboard() {
                const selected = !!entry?.selected;
                const defaultQty = 1;
                const defaultAmount = (defaultQty * unitPrice(li)).toFixed(2);
+               const limit = selected ? calc[partialDlg.order!.id]?.lineItems.find((l) => l.lineItemId === li.id) : undefined;
+               const overLimit = !!limit && Number.parseFloat(entry?.amount ?? '') > limit.maximumRefundable + 0.005;
                return (
                  <Box key={li.id} padding="200" borderBlockEndWidth="100" borderColor="border">
                    <InlineStack gap="300" align="space-between" blockAlign="center">
                      <div style={{ flex: 1 }}>
                        <Checkbox label={li.name} checked={selected} onChange={(checked) => onToggleLine(partialDlg.order!.id, li, checked)} />
-                       <Text as="p" tone="subdued" variant="bodySm">Available: {li.quantity}</Text>
+                       <Text as="p" tone="subdued" variant="bodySm">Available: {limit?.remainingQuantity ?? li.quantity}</Text>
                      </div>
                      <InlineStack gap="200" align="end">
                        <Box maxWidth="80px">
@@ -562,11 +894,37 @@ export default function AgentDashboard() {
                            value={entry?.amount ?? defaultAmount}
                            onChange={(v) => onChangeAmount(partialDlg.order!.id, li, v)}
                            disabled={!selected}
+                           helpText={limit ? `Up to ₹${limit.maximumRefundable.toFixed(2)}` : undefined}
+                           error={overLimit ? 'Over the refundable amount' : undefined}
                            autoComplete="off"
                          />
                        </Box>
                      </InlineStack>
                    </InlineStack>
+                   {selected && (
+                     <Box paddingBlockStart="200">
+                       <InlineStack gap="200" wrap={false}>
+                         <div style={{ flex: 1 }}>
+                           <CustomSelect
+                             label="Restock"
+                             options={RESTOCK_OPTIONS}
+                             value={entry.restockType}
+                             onChange={(v) => onChangeRestock(partialDlg.order!.id, li, { restockType: v as RestockType })}
+                           />
+                         </div>
+                         {entry.restockType !== 'no_restock' && (
+                           <div style={{ flex: 1 }}>
+                             <CustomSelect
+                               label="Location"
+                               options={locationOptions()}
+                               value={entry.locationId}
+                               onChange={(v) => onChangeRestock(partialDlg.order!.id, li, { locationId: v })}
+                             />
+                           </div>
+                         )}
+                       </InlineStack>
+                     </Box>
+                   )}
                  </Box>
                );
              })}
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const AgentLimit = require('../models/agentLimitModel');
+const User = require('../models/userModel');
+const catchAsync = require('./../utils/catchAsync');
+const AppError = require('./../utils/appError');
+const { logUserAudit } = require('../utils/logUserAudit');
+const { LIMIT_FIELDS, resolveAgentLimits, loadAgentUsage, remainingBudget } = require('../utils/agentLimits');
+
+const ROLES = ['refund_agent', 'super_admin', 'user_admin', 'platform_admin'];
+const ON_EXCEED = ['DENY', 'REQUIRE_APPROVAL'];
+
+/**
+ * parseLimits(body) -> { maxSingleRefund, maxDailyRefundValue, maxRefundsPerHour, onExceed }
+ * Empty values clear a cap (null). Throws a 400 AppError on bad input.
+ */
+exports.parseLimits = (body = {}) => {
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') {
+      limits[field] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) throw new AppError(`${field} must be a number of 0 or more`, 400);
+    if (field === 'maxRefundsPerHour' && !Number.isInteger(n)) {
+      throw new AppError('maxRefundsPerHour must be a whole number', 400);
+    }
+    limits[field] = n;
+  }
+  const onExceed = body.onExceed || 'REQUIRE_APPROVAL';
+  if (!ON_EXCEED.includes(onExceed)) throw new AppError(`onExceed must be one of ${ON_EXCEED.join(', ')}`, 400);
+  limits.onExceed = onExceed;
+  return limits;
+};
+
+function requireTenant(req) {
+  if (!req.tenant?._id) throw new AppError('Select a tenant to manage agent limits', 400);
+  return req.tenant._id;
+}
+
+async function findTenantUser(tenantId, userId) {
+  if (!mongoose.isValidObjectId(userId)) throw new AppError('Invalid user id', 400);
+  const user = await User.findOne({ _id: userId, storeId: tenantId }).select('name email role phone storeId');
+  if (!user) throw new AppError('User not found in this tenant', 404);
+  return user;
+}
+
+// GET /api/v1/agent-limits -> role and user limits for the tenant
+exports.listAgentLimits = catchAsync(async (req, res, next) => {
+  const tenantId = requireTenant(req);
+  const docs = await AgentLimit.find({ tenant: tenantId })
+    .sort({ scope: 1, role: 1 })
+    .populate('user', 'name email role')
+    .populate('updatedBy', 'name email')
+    .lean();
+
+  res.status(200).json({ status: 'success', results: docs.length, data: { data: docs } });
+});
+
+// PUT /api/v1/agent-limits/roles/:role
+exports.setRoleLimits = catchAsync(async (req, res, next) => {
+  const tenantId = requireTenant(req);
+  const { role } = req.params;
+  if (!ROLES.includes(role)) return next(new AppError(`Unknown role: ${role}`, 400));
+
+  const doc = await AgentLimit.findOneAndUpdate(
+    { tenant: tenantId, scope: 'role', role },
+    { $set: { ...exports.parseLimits(req.body), updatedBy: req.user._id } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  res.status(200).json({ status: 'success', data: doc });
+});
+
+// DELETE /api/v1/agent-limits/roles/:role
+exports.clearRoleLimits = catchAsync(async (req, res, next) => {
+  const tenantId = requireTenant(req);
+  await AgentLimit.deleteOne({ tenant: tenantId, scope: 'role', role: req.params.role });
+  res.status(204).json({ status: 'success', data: null });
+});
+
+// PUT /api/v1/agent-limits/users/:userId
+exports.setUserLimits = catchAsync(async (req, res, next) => {
+  const tenantId = requireTenant(req);
+  const target = await findTenantUser(tenantId, req.params.userId);
+  const limits = exports.parseLimits(req.body);
+
+  const doc = await AgentLimit.findOneAndUpdate(
+    { tenant: tenantId, scope: 'user', user: target._id },
+    { $set: { ...limits, updatedBy: req.user._id } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logUserAudit({
+    action: 'USER_LIMITS_UPDATED',
+    actorId: req.user._id,
+    targetUser: target,
+    tenantId,
+    req,
+    meta: {
+      reason: LIMIT_FIELDS.map((f) => `${f}=${limits[f] ?? 'none'}`).concat(`onExceed=${limits.onExceed}`).join(', '),
+    },
+  });
+
+  res.status(200).json({ status: 'success', data: doc });
+});
+
+// DELETE /api/v1/agent-limits/users/:userId -> the role's limits apply again
+exports.clearUserLimits = catchAsync(async (req, res, next) => {
+  const tenantId = requireTenant(req);
+  const target = await findTenantUser(tenantId, req.params.userId);
+  const { deletedCount } = await AgentLimit.deleteOne({ tenant: tenantId, scope: 'user', user: target._id });
+
+  if (deletedCount) {
+    logUserAudit({
+      action: 'USER_LIMITS_UPDATED',
+      actorId: req.user._id,
+      targetUser: target,
+      tenantId,
+      req,
+      meta: { reason: 'user limits cleared' },
+    });
+  }
+  res.status(204).json({ status: 'success', data: null });
+});
+
+/**
+ * GET /api/v1/agent-limits/budgets
+ * Every active user of the tenant with their effective limits, what they
+ * refunded today and in the last hour, and what is left.
+ */
+exports.getBudgets = catchAsync(async (req, res, next) => {
+  const tenantId = requireTenant(req);
+  const [users, docs] = await Promise.all([
+    User.find({ storeId: tenantId }).select('name email role').sort({ name: 1 }).lean(),
+    AgentLimit.find({ tenant: tenantId }).lean(),
+  ]);
+  const usage = await loadAgentUsage(tenantId, users.map((u) => u._id));
+
+  const byRole = new Map(docs.filter((d) => d.scope === 'role').map((d) => [d.role, d]));
+  const byUser = new Map(docs.filter((d) => d.scope === 'user').map((d) => [String(d.user), d]));
+
+  const data = users.map((user) => {
+    const own = byUser.get(String(user._id)) || null;
+    const limits = resolveAgentLimits(own, byRole.get(user.role));
+    const used = usage.get(String(user._id));
+    return {
+      user,
+      limits,
+      userLimits: own,
+      usage: used,
+      remaining: remainingBudget(limits, used),
+    };
+  });
+
+  res.status(200).json({ status: 'success', results: data.length, data: { data } });
+});
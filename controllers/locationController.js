@@ -0,0 +1,58 @@
+const catchAsync = require('./../utils/catchAsync');
+const AppError = require('./../utils/appError');
+const { shopifyClient } = require('../services/shopifyClient');
+
+async function fetchLocations(tenant) {
+  const { body } = await shopifyClient(tenant).get('locations.json');
+  return (body?.locations || []).map((l) => ({
+    id: l.id,
+    name: l.name,
+    active: l.active !== false,
+    city: l.city || null,
+  }));
+}
+
+/**
+ * GET /api/v1/locations
+ * The store's Shopify locations, for choosing where refunded items restock,
+ * plus the tenant's default restock location.
+ */
+exports.getLocations = catchAsync(async (req, res, next) => {
+  const tenant = req.tenant;
+  if (!tenant?._id) return next(new AppError('Select a tenant to see its locations', 400));
+
+  const locations = await fetchLocations(tenant);
+  res.status(200).json({
+    status: 'success',
+    results: locations.length,
+    data: { locations, defaultLocationId: tenant.settings?.defaultLocationId ?? null },
+  });
+});
+
+/**
+ * PATCH /api/v1/locations/default  { locationId }
+ * Set (or clear with null) the tenant's default restock location. The id must
+ * be an active location of the store.
+ */
+exports.setDefaultLocation = catchAsync(async (req, res, next) => {
+  const tenant = req.tenant;
+  if (!tenant?._id) return next(new AppError('Select a tenant to set its restock location', 400));
+
+  const raw = req.body?.locationId;
+  let locationId = null;
+  if (raw != null && raw !== '') {
+    locationId = Number(raw);
+    const locations = await fetchLocations(tenant);
+    const match = locations.find((l) => l.id === locationId);
+    if (!match) return next(new AppError(`Location ${raw} does not exist in this store`, 400));
+    if (!match.active) return next(new AppError(`Location ${match.name} is not active`, 400));
+  }
+
+  tenant.set('settings.defaultLocationId', locationId);
+  await tenant.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    data: { defaultLocationId: locationId },
+  });
+});
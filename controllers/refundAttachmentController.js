@@ -0,0 +1,159 @@
+const multer = require('multer');
+const mongoose = require('mongoose');
+const catchAsync = require('./../utils/catchAsync');
+const AppError = require('./../utils/appError');
+const RefundAttachment = require('../models/refundAttachmentModel');
+const PendingRefund = require('../models/pendingRefundModel');
+const { attachmentStorage } = require('../services/attachmentStorage');
+const {
+  ATTACHMENT_TYPES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_REFUND,
+  maxAttachmentBytes,
+  checkAttachmentFile,
+  parseAttachmentIds,
+  attachmentsProblem,
+  attachmentView,
+} = require('../utils/refundAttachments');
+
+const SUPERVISOR_ROLES = ['platform_admin', 'super_admin'];
+const isSupervisor = (user) => SUPERVISOR_ROLES.includes(user?.role);
+
+// Files are checked by content before anything is written, so keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxAttachmentBytes(), files: MAX_FILES_PER_UPLOAD },
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+/**
+ * Multipart parser for POST /refund/attachments (field "files").
+ * Multer's limit errors become 400s.
+ */
+exports.uploadAttachmentFiles = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Each file must be at most ${Math.round(maxAttachmentBytes() / 1024 / 1024)} MB`
+        : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Send up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`
+          : err.message;
+      return next(new AppError(message, 400));
+    }
+    return next(err);
+  });
+};
+
+/**
+ * POST /api/v1/refund/attachments  multipart: orderId, files[]
+ * Store evidence for a refund on one order. Send the returned ids as
+ * attachmentIds on POST /refund, or add them to a pending request.
+ */
+exports.uploadRefundAttachments = catchAsync(async (req, res, next) => {
+  const tenant = req.tenant;
+  if (!tenant?._id) return next(new AppError('Select a tenant to upload attachments', 400));
+
+  const orderId = String(req.body?.orderId || '').trim();
+  if (!orderId) return next(new AppError('Provide the orderId the files are for', 400));
+  const files = req.files || [];
+  if (!files.length) return next(new AppError('Attach at least one file in the "files" field', 400));
+
+  const checked = files.map((file) => ({ file, ...checkAttachmentFile(file) }));
+  const invalid = checked.find((c) => c.error);
+  if (invalid) return next(new AppError(invalid.error, 400));
+
+  const storage = attachmentStorage();
+  const saved = [];
+  try {
+    for (const { file, type } of checked) {
+      const key = await storage.save({ tenantId: tenant._id, buffer: file.buffer, ext: ATTACHMENT_TYPES[type] });
+      saved.push({ key, file, type });
+    }
+    const docs = await RefundAttachment.insertMany(saved.map(({ key, file, type }) => ({
+      tenant: tenant._id,
+      uploadedBy: req.user._id,
+      orderId,
+      storage: storage.name,
+      key,
+      originalName: String(file.originalname || '').slice(0, 200) || null,
+      mimeType: type,
+      size: file.buffer.length,
+    })));
+    res.status(201).json({ status: 'success', results: docs.length, data: { attachments: docs.map(attachmentView) } });
+  } catch (err) {
+    // Do not leave files behind without a document pointing at them
+    await Promise.all(saved.map(({ key }) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+});
+
+/**
+ * GET /api/v1/refund/attachments/:id
+ * The file itself. Supervisors see every attachment of the tenant; agents
+ * only the ones they uploaded.
+ */
+exports.getRefundAttachmentFile = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(String(id))) return next(new AppError('Invalid attachment id', 400));
+
+  const attachment = await RefundAttachment.findOne({ _id: id, tenant: req.tenant?._id }).lean();
+  if (!attachment) return next(new AppError('Attachment not found', 404));
+  if (!isSupervisor(req.user) && String(attachment.uploadedBy) !== String(req.user?._id)) {
+    return next(new AppError('You can only open attachments you uploaded', 403));
+  }
+
+  let stream;
+  try {
+    stream = await attachmentStorage().open(attachment.key);
+  } catch (err) {
+    return next(new AppError('Attachment file is missing from storage', 404));
+  }
+
+  const filename = (attachment.originalName || `attachment${ATTACHMENT_TYPES[attachment.mimeType] || ''}`).replace(/["\r\n]/g, '');
+  res.setHeader('Content-Type', attachment.mimeType);
+  res.setHeader('Content-Length', String(attachment.size));
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, no-store');
+  stream.on('error', (err) => {
+    if (!res.headersSent) return next(err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+
+/**
+ * POST /api/v1/refund/pending/:id/attachments  { attachmentIds }
+ * Add evidence to a request that is still waiting for approval. Open to the
+ * agent who filed it and to supervisors.
+ */
+exports.addPendingRefundAttachments = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(String(id))) return next(new AppError('Invalid pending refund id', 400));
+
+  const { ids, error } = parseAttachmentIds(req.body?.attachmentIds);
+  if (error) return next(new AppError(error, 400));
+  if (!ids.length) return next(new AppError('Provide attachmentIds', 400));
+
+  const pending = await PendingRefund.findOne({ _id: id, tenant: req.tenant?._id }).lean();
+  if (!pending) return next(new AppError('Pending refund not found', 404));
+  if (!isSupervisor(req.user) && String(pending.requester) !== String(req.user?._id)) {
+    return next(new AppError('Only the requester or a supervisor can add attachments', 403));
+  }
+  if (pending.status !== 'PENDING') return next(new AppError(`This request is already ${pending.status.toLowerCase()}`, 409));
+
+  const attachments = await RefundAttachment.find({ _id: { $in: ids }, tenant: req.tenant._id }).lean();
+  const problem = attachmentsProblem(attachments, ids, pending.payload?.orderId ?? null);
+  if (problem) return next(new AppError(problem, 400));
+
+  const merged = [...new Set([...(pending.attachments || []).map(String), ...ids])];
+  if (merged.length > MAX_ATTACHMENTS_PER_REFUND) {
+    return next(new AppError(`At most ${MAX_ATTACHMENTS_PER_REFUND} attachments per refund`, 400));
+  }
+  // Only while it is still pending: an approval may have landed meanwhile
+  const updated = await PendingRefund.updateOne({ _id: pending._id, status: 'PENDING' }, { $set: { attachments: merged } });
+  if (!updated.matchedCount) return next(new AppError('This request was resolved meanwhile', 409));
+
+  const docs = await RefundAttachment.find({ _id: { $in: merged } }).sort('createdAt').lean();
+  res.status(200).json({ status: 'success', results: docs.length, data: { attachments: docs.map(attachmentView) } });
+});
@@ -0,0 +1,32 @@
+const RefundRules = require('../models/refundRulesModel');
+const catchAsync = require('./../utils/catchAsync');
+const AppError = require('./../utils/appError');
+const { loadTenantSpend, budgetStatus } = require('../utils/tenantBudget');
+
+/**
+ * GET /api/v1/refund/budget
+ * The store's refund budget for today and this month (tenant time zone):
+ * cap from the active ruleset, value refunded so far and what is left.
+ * Caps only block refunds while the ruleset is in enforce mode.
+ */
+exports.getRefundBudget = catchAsync(async (req, res, next) => {
+  const tenant = req.tenant;
+  if (!tenant?._id) return next(new AppError('Select a tenant to see its refund budget', 400));
+
+  const now = new Date();
+  const [active, spend] = await Promise.all([
+    RefundRules.getActiveForTenant(tenant._id, now),
+    loadTenantSpend(tenant._id, tenant.timezone || 'UTC', now),
+  ]);
+  const rules = active?.rules || { mode: 'observe' };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...budgetStatus(rules, spend),
+      mode: rules.mode || 'observe',
+      enforced: rules.mode === 'enforce',
+      rulesVersion: active?.version || 0,
+    },
+  });
+});
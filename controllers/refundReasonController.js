@@ -0,0 +1,49 @@
+const catchAsync = require('./../utils/catchAsync');
+const AppError = require('./../utils/appError');
+const { DEFAULT_REFUND_REASONS, parseRefundReasons } = require('../utils/refundReasons');
+
+function reasonsView(tenant) {
+  const saved = tenant.settings?.refundReasons;
+  const custom = Array.isArray(saved) && saved.length > 0;
+  const reasons = (custom ? saved : DEFAULT_REFUND_REASONS).map(({ code, label, active }) => ({ code, label, active: active !== false }));
+  return { reasons, isDefault: !custom };
+}
+
+/**
+ * GET /api/v1/refund-reasons
+ * The tenant's refund reason catalogue, retired reasons included
+ * (active: false), or the defaults when none was saved.
+ */
+exports.getRefundReasons = catchAsync(async (req, res, next) => {
+  const tenant = req.tenant;
+  if (!tenant?._id) return next(new AppError('Select a tenant to see its refund reasons', 400));
+
+  const view = reasonsView(tenant);
+  res.status(200).json({ status: 'success', results: view.reasons.length, data: view });
+});
+
+/**
+ * PUT /api/v1/refund-reasons  { reasons: [{ code, label, active? }] }
+ * Replace the catalogue; reasons: null goes back to the defaults. Retire a
+ * reason with active: false rather than removing it, so past refunds keep
+ * their label.
+ */
+exports.setRefundReasons = catchAsync(async (req, res, next) => {
+  const tenant = req.tenant;
+  if (!tenant?._id) return next(new AppError('Select a tenant to set its refund reasons', 400));
+
+  let reasons;
+  if (req.body?.reasons === null) {
+    reasons = undefined;
+  } else {
+    const parsed = parseRefundReasons(req.body?.reasons);
+    if (parsed.error) return next(new AppError(parsed.error, 400));
+    reasons = parsed.reasons;
+  }
+
+  tenant.set('settings.refundReasons', reasons);
+  await tenant.save({ validateModifiedOnly: true });
+
+  const view = reasonsView(tenant);
+  res.status(200).json({ status: 'success', results: view.reasons.length, data: view });
+});
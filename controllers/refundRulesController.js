@@ -1,7 +1,18 @@
 // controllers/rulesController.js
+const { isDeepStrictEqual } = require("util");
 const factory = require("./handlerFactory");
 const RefundRules = require("../models/refundRulesModel");
+const RefundTransaction = require("../models/refundTransactionModel");
+const PendingRefund = require("../models/pendingRefundModel");
+const RuleChangeRequest = require("../models/ruleChangeRequestModel");
+const RuleAudit = require("../models/ruleAuditModel");
+const { logRuleAudit } = require("../utils/logRuleAudit");
+const { parseSummaryRange } = require("./refundStatController");
 const redis = require("../utils/redisClient");
+const { validateConditions, normalizeConditions } = require("../utils/ruleConditions");
+const { BUDGET_FIELDS } = require("../utils/tenantBudget");
+const { REFUND_COUNT_WINDOWS } = require("../utils/customerRefundCount");
+const { REFUND_MODES } = require("../utils/refundModes");
 
 // -------- Helpers --------
 
@@ -39,9 +50,25 @@ function normalizeRules(input = {}) {
   const maxRefundsPerDay = toInt(input.maxRefundsPerDay);
   if (Number.isFinite(maxRefundsPerDay)) out.maxRefundsPerDay = Math.max(maxRefundsPerDay, 0);
 
+  if (REFUND_COUNT_WINDOWS.includes(input.refundCountWindow)) out.refundCountWindow = input.refundCountWindow;
+
+  const onUnknownRefundCount = String(input.onUnknownRefundCount || "").toUpperCase();
+  if (["ALLOW", "REQUIRE_APPROVAL", "DENY"].includes(onUnknownRefundCount))
+    out.onUnknownRefundCount = onUnknownRefundCount;
+
+  for (const field of BUDGET_FIELDS) {
+    const cap = toNum(input[field]);
+    if (Number.isFinite(cap)) out[field] = Math.round(Math.max(cap, 0) * 100) / 100;
+  }
+
   const allowPaymentMethods = toStrArr(input.allowPaymentMethods);
   if (allowPaymentMethods) out.allowPaymentMethods = allowPaymentMethods;
 
+  const allowedRefundModes = toStrArr(input.allowedRefundModes);
+  if (allowedRefundModes) {
+    out.allowedRefundModes = REFUND_MODES.filter((m) => allowedRefundModes.map((x) => x.toLowerCase()).includes(m));
+  }
+
   const requireSupervisorAbovePercent = toNum(input.requireSupervisorAbovePercent);
   if (Number.isFinite(requireSupervisorAbovePercent))
     out.requireSupervisorAbovePercent = Math.min(Math.max(requireSupervisorAbovePercent, 0), 100);
@@ -50,6 +77,10 @@ function normalizeRules(input = {}) {
   if (typeof bypassPercentCapForPartials === "boolean")
     out.bypassPercentCapForPartials = bypassPercentCapForPartials;
 
+  const requireAttachmentAbove = toNum(input.requireAttachmentAbove);
+  if (Number.isFinite(requireAttachmentAbove))
+    out.requireAttachmentAbove = Math.round(Math.max(requireAttachmentAbove, 0) * 100) / 100;
+
   const refundWindowDays = toInt(input.refundWindowDays);
   if (Number.isFinite(refundWindowDays)) out.refundWindowDays = Math.max(refundWindowDays, 0);
 
@@ -62,6 +93,17 @@ function normalizeRules(input = {}) {
   if (Number.isFinite(maxLifetimeRefundCount))
     out.maxLifetimeRefundCount = Math.max(maxLifetimeRefundCount, 0);
 
+  // Declarative conditions are validated rather than coerced
+  if (input.conditions !== undefined && input.conditions !== null) {
+    const errors = validateConditions(input.conditions);
+    if (errors.length) {
+      const err = new Error("Invalid rule conditions");
+      err.details = errors;
+      throw err;
+    }
+    out.conditions = normalizeConditions(input.conditions);
+  }
+
   return out;
 }
 
@@ -74,13 +116,214 @@ async function invalidateRulesCache(tenantId) {
   }
 }
 
-// -------- CRUD (via handlerFactory) --------
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function sendError(res, err) {
+  const code = err.statusCode || (err.name === "ValidationError" || err.details ? 400 : 500);
+  res.status(code).json({ status: code < 500 ? "fail" : "error", message: err.message, details: err.details });
+}
+
+const BACKTEST_MAX_RECORDS = 5000;
+const BACKTEST_MAX_CHANGES = 100;
+const DECISION_SEVERITY = { ALLOW: 0, REQUIRE_APPROVAL: 1, DENY: 2 };
+
+/**
+ * compareRulesets(records, active, draft)
+ * Replays stored rule contexts through both rulesets.
+ * records: [{ source, id, createdAt, orderId, orderName, amount, context }]
+ * active/draft: { rules, version, ruleSetId }
+ * Returns per-outcome counts and values for each side plus the changed decisions.
+ */
+exports.compareRulesets = (records, active, draft) => {
+  // Lazy import to avoid circular deps
+  const { evaluateRefundRules } = require("../middlewares/rules");
+  const emptyOutcomes = () => ({
+    ALLOW: { count: 0, value: 0 },
+    REQUIRE_APPROVAL: { count: 0, value: 0 },
+    DENY: { count: 0, value: 0 },
+  });
+  const result = {
+    replayed: 0,
+    skipped: 0,
+    active: emptyOutcomes(),
+    draft: emptyOutcomes(),
+    changed: { count: 0, stricter: { count: 0, value: 0 }, looser: { count: 0, value: 0 }, items: [] },
+  };
+  const replay = (ctx, side) =>
+    evaluateRefundRules({ ...ctx, rules: side.rules || {}, rulesVersion: side.version ?? null, ruleSetId: side.ruleSetId ?? null });
+
+  for (const record of records) {
+    const ctx = record.context;
+    let before;
+    let after;
+    try {
+      if (!ctx?.meta || !ctx?.refund) throw new Error("incomplete context");
+      before = replay(ctx, active);
+      after = replay(ctx, draft);
+    } catch (_) {
+      result.skipped += 1;
+      continue;
+    }
+    const value = Number(record.amount ?? ctx.refund.requestedAmount ?? ctx.order?.total) || 0;
+    result.replayed += 1;
+    result.active[before.outcome].count += 1;
+    result.active[before.outcome].value += value;
+    result.draft[after.outcome].count += 1;
+    result.draft[after.outcome].value += value;
+
+    if (before.outcome === after.outcome) continue;
+    const direction = DECISION_SEVERITY[after.outcome] > DECISION_SEVERITY[before.outcome] ? "stricter" : "looser";
+    result.changed.count += 1;
+    result.changed[direction].count += 1;
+    result.changed[direction].value += value;
+    if (result.changed.items.length < BACKTEST_MAX_CHANGES) {
+      result.changed.items.push({
+        source: record.source,
+        id: String(record.id),
+        createdAt: record.createdAt,
+        orderId: record.orderId ?? ctx.order?.id ?? null,
+        orderName: record.orderName ?? ctx.order?.name ?? null,
+        amount: value,
+        direction,
+        active: { outcome: before.outcome, reason: before.reason, matched: before.matched },
+        draft: { outcome: after.outcome, reason: after.reason, matched: after.matched },
+      });
+    }
+  }
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  for (const side of [result.active, result.draft, result.changed]) {
+    Object.values(side).forEach((bucket) => {
+      if (bucket && typeof bucket.value === "number") bucket.value = round2(bucket.value);
+    });
+  }
+  return result;
+};
+
+// Stored rule contexts for a tenant and date range, newest first. The ledger
+// keeps one refund-action entry per request; approval requests that predate it
+// (no ledger entry points at them) are read from PendingRefund.
+async function loadBacktestRecords(tenantId, start, end) {
+  const createdAt = { $gte: start, $lte: end };
+  const ledger = await RefundTransaction.find({ tenant: tenantId, action: "refund", context: { $ne: null }, createdAt })
+    .sort({ createdAt: -1 })
+    .limit(BACKTEST_MAX_RECORDS + 1)
+    .select("createdAt orderId orderName amount context")
+    .lean();
+
+  const records = ledger.map((t) => ({
+    source: "ledger",
+    id: t._id,
+    createdAt: t.createdAt,
+    orderId: t.orderId,
+    orderName: t.orderName,
+    amount: t.amount,
+    context: t.context,
+  }));
+
+  const room = BACKTEST_MAX_RECORDS + 1 - records.length;
+  if (room > 0) {
+    const linked = await RefundTransaction.distinct("pendingRefund", { tenant: tenantId, pendingRefund: { $ne: null } });
+    const pending = await PendingRefund.find({ tenant: tenantId, _id: { $nin: linked }, context: { $ne: null }, createdAt })
+      .sort({ createdAt: -1 })
+      .limit(room)
+      .select("createdAt payload context")
+      .lean();
+    pending.forEach((p) => records.push({
+      source: "pending",
+      id: p._id,
+      createdAt: p.createdAt,
+      orderId: p.payload?.orderId ?? null,
+      orderName: null,
+      amount: p.payload?.amount ?? null,
+      context: p.context,
+    }));
+  }
+
+  const truncated = records.length > BACKTEST_MAX_RECORDS;
+  return { records: records.slice(0, BACKTEST_MAX_RECORDS), truncated };
+}
+
+/**
+ * diffRules(before, after)
+ * Field-level diff of two rule payloads. Conditions are matched by id and
+ * reported as `conditions.<id>`.
+ * Returns [{ field, change: "added"|"removed"|"changed", before, after }]
+ */
+exports.diffRules = (before = {}, after = {}) => {
+  const changes = [];
+  const compare = (field, a, b) => {
+    if (a === undefined && b === undefined) return;
+    if (isDeepStrictEqual(a, b)) return;
+    const change = a === undefined ? "added" : b === undefined ? "removed" : "changed";
+    changes.push({ field, change, before: a ?? null, after: b ?? null });
+  };
+
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].filter((f) => f !== "conditions");
+  fields.forEach((field) => compare(field, before?.[field], after?.[field]));
+
+  const byId = (list) => new Map((Array.isArray(list) ? list : []).map((c) => [c.id, c]));
+  const a = byId(before?.conditions);
+  const b = byId(after?.conditions);
+  [...new Set([...a.keys(), ...b.keys()])].forEach((id) => compare(`conditions.${id}`, a.get(id), b.get(id)));
+  return changes;
+};
+
+/**
+ * parseSchedule({ effectiveFrom, effectiveUntil }, now)
+ * null when neither is given (publish immediately). effectiveFrom defaults to
+ * now, effectiveUntil to "no end"; the window must end after it starts and in
+ * the future.
+ */
+exports.parseSchedule = ({ effectiveFrom, effectiveUntil } = {}, now = new Date()) => {
+  const given = (v) => v !== undefined && v !== null && v !== "";
+  if (!given(effectiveFrom) && !given(effectiveUntil)) return null;
+
+  const fail = (message) => {
+    throw httpError(message, 400);
+  };
+  const from = given(effectiveFrom) ? new Date(effectiveFrom) : now;
+  const until = given(effectiveUntil) ? new Date(effectiveUntil) : null;
+  if (isNaN(from.getTime())) fail("effectiveFrom must be a valid date");
+  if (until && isNaN(until.getTime())) fail("effectiveUntil must be a valid date");
+  if (until && until <= from) fail("effectiveUntil must be after effectiveFrom");
+  if (until && until <= now) fail("effectiveUntil must be in the future");
+  return { effectiveFrom: from, effectiveUntil: until };
+};
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) throw httpError(`Invalid version: ${value}`, 400);
+  return version;
+}
+
+async function findVersion(tenantId, value) {
+  const version = parseVersion(value);
+  const doc = await RefundRules.findOne({ tenant: tenantId, version }).populate("createdBy", "name email").lean();
+  if (!doc) throw httpError(`Version ${version} not found`, 404);
+  return doc;
+}
+
+const versionSummary = (doc) => ({
+  version: doc.version,
+  isActive: doc.isActive,
+  createdAt: doc.createdAt,
+  createdBy: doc.createdBy || null,
+  rolledBackFrom: doc.rolledBackFrom ?? null,
+  state: RefundRules.scheduleState(doc),
+  effectiveFrom: doc.effectiveFrom ?? null,
+  effectiveUntil: doc.effectiveUntil ?? null,
+});
+
+// -------- Reads (via handlerFactory) --------
+// Rulesets are only written through proposals, so there is no raw create/update/delete
 
-exports.createRefundRules = factory.createOne(RefundRules);
 exports.getRefundRules = factory.getOne(RefundRules);
 exports.getAllRefundRules = factory.getAll(RefundRules);
-exports.updateRefundRules = factory.updateOne(RefundRules);
-exports.deleteRefundRules = factory.deleteOne(RefundRules);
 
 // -------- High-level endpoints --------
 
@@ -112,33 +355,428 @@ exports.listVersions = async (req, res) => {
     const tenantId = req.tenant?._id || null;
     const limit = Math.min(parseInt(req.query.limit || "20", 10), 100);
     const q = { tenant: tenantId };
-    const docs = await RefundRules.find(q).sort({ version: -1 }).limit(limit).lean();
-    res.status(200).json({ status: "success", data: docs });
+    const now = new Date();
+    const [docs, effective] = await Promise.all([
+      RefundRules.find(q)
+        .sort({ version: -1 })
+        .limit(limit)
+        .populate("createdBy", "name email")
+        .populate("approvedBy", "name email")
+        .lean(),
+      RefundRules.resolveEffective(tenantId, now),
+    ]);
+    const data = docs.map((doc) => ({
+      ...doc,
+      state: RefundRules.scheduleState(doc, now),
+      effective: Boolean(effective && String(effective._id) === String(doc._id)),
+    }));
+    res.status(200).json({ status: "success", data });
   } catch (err) {
     res.status(500).json({ status: "error", message: err.message });
   }
 };
 
 /**
- * POST /api/v1/rules/publish
- * Body: either { rules: {...} } or the rules object directly.
- * Publishes a new active ruleset version (deactivates previous).
+ * GET /api/v1/rules/versions/:a/diff/:b
+ * Field-level changes going from version a to version b.
  */
-exports.publish = async (req, res) => {
+exports.diffVersions = async (req, res) => {
+  try {
+    const tenantId = req.tenant?._id || null;
+    const from = await findVersion(tenantId, req.params.a);
+    const to = await findVersion(tenantId, req.params.b);
+    res.status(200).json({
+      status: "success",
+      data: { from: versionSummary(from), to: versionSummary(to), changes: exports.diffRules(from.rules, to.rules) },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * POST /api/v1/rules/versions/:version/rollback
+ * Proposes republishing an older payload as a new version, so history only
+ * moves forward. Like any publish it needs a second admin's approval.
+ */
+exports.rollbackVersion = async (req, res) => {
   try {
     const tenantId = req.tenant?._id || null;
-    const createdBy = req.user?._id || null;
+    const target = await findVersion(tenantId, req.params.version);
+    if (target.isActive) {
+      return res.status(400).json({ status: "fail", message: `Version ${target.version} is already active` });
+    }
+
+    const proposal = await proposeChange(req, {
+      kind: "rollback",
+      rules: target.rules,
+      rolledBackFrom: target.version,
+      note: req.body?.note,
+    });
+    res.status(202).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Only scheduled versions whose window has not closed can be changed
+function assertSchedulable(doc) {
+  const state = RefundRules.scheduleState(doc);
+  if (state === "scheduled" || state === "live") return;
+  throw httpError(doc.isScheduled
+    ? `Version ${doc.version} is ${state} and can no longer be changed`
+    : `Version ${doc.version} is not scheduled`, 400);
+}
+
+const scheduleWindow = (doc) => ({ effectiveFrom: doc.effectiveFrom ?? null, effectiveUntil: doc.effectiveUntil ?? null });
+
+/**
+ * PATCH /api/v1/rules/versions/:version/schedule
+ * Body: { effectiveFrom?, effectiveUntil?, note? } (effectiveUntil: null removes the end)
+ * Proposes the new window; it applies once a second admin approves it.
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const tenantId = req.tenant?._id || null;
+    const target = await findVersion(tenantId, req.params.version);
+    assertSchedulable(target);
+
+    const body = req.body || {};
+    const schedule = exports.parseSchedule({
+      effectiveFrom: body.effectiveFrom ?? target.effectiveFrom,
+      effectiveUntil: "effectiveUntil" in body ? body.effectiveUntil : target.effectiveUntil,
+    });
+    const proposal = await proposeChange(req, {
+      kind: "schedule_update",
+      rules: target.rules,
+      schedule,
+      target,
+      diff: exports.diffRules(scheduleWindow(target), scheduleWindow(schedule)),
+      note: body.note,
+    });
+    res.status(202).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * DELETE /api/v1/rules/versions/:version/schedule
+ * Proposes cancelling a scheduled version; once approved, the previous
+ * version applies again.
+ */
+exports.cancelSchedule = async (req, res) => {
+  try {
+    const tenantId = req.tenant?._id || null;
+    const target = await findVersion(tenantId, req.params.version);
+    assertSchedulable(target);
+
+    const proposal = await proposeChange(req, {
+      kind: "schedule_cancel",
+      rules: target.rules,
+      target,
+      diff: exports.diffRules(scheduleWindow(target), {}),
+      note: req.body?.note,
+    });
+    res.status(202).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// -------- Two-person publishing --------
+
+const PROPOSAL_POPULATE = [
+  { path: "proposedBy", select: "name email role" },
+  { path: "reviewedBy", select: "name email role" },
+];
+
+// Kinds that publish proposal.rules as a new version; the others change `target`
+const PUBLISH_KINDS = ["publish", "rollback"];
+
+/**
+ * Stores a proposed change with its diff. Publishing kinds diff against the
+ * version in force; the others pass their own diff and the version they
+ * change (target). headVersion (the newest version number) and the target's
+ * updatedAt let approval detect that the rules moved on in the meantime.
+ */
+async function proposeChange(req, { kind = "publish", rules, schedule = null, rolledBackFrom = null, target = null, diff = null, note = null }) {
+  const tenantId = req.tenant?._id || null;
+  const [current, head] = await Promise.all([
+    RefundRules.resolveEffective(tenantId),
+    RefundRules.findOne({ tenant: tenantId }).sort({ version: -1 }).select({ version: 1 }).lean(),
+  ]);
+
+  diff = diff || exports.diffRules(current?.rules || {}, rules);
+  const proposal = await RuleChangeRequest.create({
+    tenant: tenantId,
+    kind,
+    rolledBackFrom,
+    rules,
+    effectiveFrom: schedule?.effectiveFrom || null,
+    effectiveUntil: schedule?.effectiveUntil || null,
+    targetVersion: target?.version ?? null,
+    targetUpdatedAt: target?.updatedAt ?? null,
+    baseVersion: current?.version ?? null,
+    headVersion: head?.version ?? null,
+    diff,
+    proposedBy: req.user._id,
+    note: note ? String(note).trim() || null : null,
+  });
 
+  await logRuleAudit({
+    action: "RULES_PROPOSED",
+    req,
+    tenantId,
+    request: proposal,
+    version: proposal.targetVersion,
+    diff,
+    comment: proposal.note,
+    meta: { kind, rolledBackFrom },
+  });
+  return proposal;
+}
+
+// The version a deactivate/schedule proposal changes, as long as nobody changed it since
+async function findProposalTarget(tenantId, proposal) {
+  const target = await RefundRules.findOne({ tenant: tenantId, version: proposal.targetVersion }).lean();
+  if (!target) throw httpError(`Version ${proposal.targetVersion} not found`, 404);
+  if (new Date(target.updatedAt).getTime() !== new Date(proposal.targetUpdatedAt).getTime()) {
+    throw httpError(`Version ${target.version} changed since this request was made; submit a new one`, 409);
+  }
+  if (proposal.kind === "deactivate") {
+    if (!target.isActive) throw httpError(`Version ${target.version} is no longer active`, 409);
+  } else {
+    assertSchedulable(target);
+  }
+  return target;
+}
+
+// Apply an approved proposal; returns the new or changed version
+async function applyProposal(tenantId, proposal, target, schedule, approvedBy) {
+  if (PUBLISH_KINDS.includes(proposal.kind)) {
+    return RefundRules.publishNewVersion(tenantId, proposal.rules, proposal.proposedBy, {
+      ...(schedule ? { isScheduled: true, ...schedule } : {}),
+      rolledBackFrom: proposal.rolledBackFrom ?? null,
+      approvedBy,
+      changeRequest: proposal._id,
+    });
+  }
+  const update = {
+    deactivate: { isActive: false },
+    schedule_update: schedule,
+    schedule_cancel: { cancelledAt: new Date() },
+  }[proposal.kind];
+  // updatedAt in the filter: nothing may change the version between the check and the write
+  const doc = await RefundRules.findOneAndUpdate(
+    { _id: target._id, updatedAt: target.updatedAt },
+    { $set: update },
+    { new: true }
+  );
+  if (!doc) throw httpError(`Version ${target.version} changed since this request was made; submit a new one`, 409);
+  return doc;
+}
+
+// Audit action for what an approved non-publishing proposal did
+const APPLIED_AUDIT_ACTIONS = {
+  deactivate: "RULES_DEACTIVATED",
+  schedule_update: "SCHEDULE_UPDATED",
+  schedule_cancel: "SCHEDULE_CANCELLED",
+};
+
+/**
+ * assertCanReview(proposal, userId, action) -> throws an httpError when the
+ * user may not approve/reject/withdraw the request. The author can only
+ * withdraw; everyone else can only approve or reject.
+ */
+exports.assertCanReview = (proposal, userId, action) => {
+  if (proposal.status !== "PENDING") throw httpError(`Change request is already ${proposal.status.toLowerCase()}`, 400);
+  const own = String(proposal.proposedBy?._id || proposal.proposedBy) === String(userId);
+  if (action === "withdraw" && !own) throw httpError("Only the proposer can withdraw a change request", 403);
+  if (action === "approve" && own) throw httpError("A different admin must approve this change", 403);
+  if (action === "reject" && own) throw httpError("Withdraw your own change request instead of rejecting it", 403);
+};
+
+async function findProposal(req) {
+  const proposal = await RuleChangeRequest.findOne({ _id: req.params.id, tenant: req.tenant?._id || null });
+  if (!proposal) throw httpError("Change request not found", 404);
+  return proposal;
+}
+
+/**
+ * POST /api/v1/rules/publish
+ * Body: either { rules: {...} } or the rules object directly, plus optional
+ * effectiveFrom/effectiveUntil and note at the top level.
+ * Does not publish: stores a PENDING change request that a different admin
+ * approves (POST /proposals/:id/approve). With a schedule, the approved
+ * version is stored as scheduled and the active one stays put.
+ */
+exports.publish = async (req, res) => {
+  try {
     const raw = req.body?.rules || req.body || {};
     const rulesPayload = normalizeRules(raw);
+    const schedule = exports.parseSchedule(req.body || {});
 
-    const doc = await RefundRules.publishNewVersion(tenantId, rulesPayload, createdBy);
+    const proposal = await proposeChange(req, { rules: rulesPayload, schedule, note: req.body?.note });
+    res.status(202).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * GET /api/v1/rules/proposals?status=PENDING&page&limit
+ */
+exports.listProposals = async (req, res) => {
+  try {
+    const filter = { tenant: req.tenant?._id || null };
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(",").map((s) => s.trim().toUpperCase()) };
+    }
+    const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || "20", 10) || 20));
 
+    const [items, total] = await Promise.all([
+      RuleChangeRequest.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate(PROPOSAL_POPULATE).lean(),
+      RuleChangeRequest.countDocuments(filter),
+    ]);
+    res.status(200).json({ status: "success", results: items.length, page, limit, total, data: { data: items } });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * GET /api/v1/rules/proposals/:id
+ */
+exports.getProposal = async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+    await proposal.populate(PROPOSAL_POPULATE);
+    res.status(200).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * POST /api/v1/rules/proposals/:id/approve
+ * Body: { comment? }
+ * A different admin than the proposer publishes the proposed rules, or
+ * applies the proposed deactivation or schedule change.
+ */
+exports.approveProposal = async (req, res) => {
+  try {
+    const tenantId = req.tenant?._id || null;
+    const proposal = await findProposal(req);
+    exports.assertCanReview(proposal, req.user._id, "approve");
+
+    const head = await RefundRules.findOne({ tenant: tenantId }).sort({ version: -1 }).select({ version: 1 }).lean();
+    if ((head?.version ?? null) !== proposal.headVersion) {
+      throw httpError(`Rules changed since this request was made (now version ${head?.version}); submit a new one`, 409);
+    }
+    const target = PUBLISH_KINDS.includes(proposal.kind) ? null : await findProposalTarget(tenantId, proposal);
+    const schedule = proposal.effectiveFrom || proposal.effectiveUntil
+      ? exports.parseSchedule({ effectiveFrom: proposal.effectiveFrom, effectiveUntil: proposal.effectiveUntil })
+      : null;
+
+    // Claim it so two approvers cannot both publish
+    const comment = req.body?.comment ? String(req.body.comment).trim() || null : null;
+    const claimed = await RuleChangeRequest.findOneAndUpdate(
+      { _id: proposal._id, status: "PENDING" },
+      { $set: { status: "APPROVED", reviewedBy: req.user._id, reviewedAt: new Date(), reviewComment: comment } },
+      { new: true }
+    );
+    if (!claimed) throw httpError("Change request was already reviewed", 409);
+
+    let doc;
+    try {
+      doc = await applyProposal(tenantId, proposal, target, schedule, req.user._id);
+    } catch (err) {
+      await RuleChangeRequest.updateOne(
+        { _id: proposal._id },
+        { $set: { status: "PENDING", reviewedBy: null, reviewedAt: null, reviewComment: null } }
+      );
+      throw err;
+    }
+
+    if (PUBLISH_KINDS.includes(proposal.kind)) {
+      claimed.publishedVersion = doc.version;
+      await claimed.save();
+    }
     await invalidateRulesCache(tenantId);
+    await logRuleAudit({ action: "RULES_APPROVED", req, tenantId, request: claimed, version: doc.version, diff: claimed.diff, comment });
+    if (APPLIED_AUDIT_ACTIONS[proposal.kind]) {
+      await logRuleAudit({ action: APPLIED_AUDIT_ACTIONS[proposal.kind], req, tenantId, request: claimed, version: doc.version, diff: claimed.diff });
+    }
+
+    res.status(201).json({ status: "success", data: { request: claimed, version: doc } });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * POST /api/v1/rules/proposals/:id/reject
+ * Body: { comment } (required)
+ */
+exports.rejectProposal = async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+    const comment = String(req.body?.comment || "").trim();
+    if (!comment) throw httpError("A comment is required to reject a change", 400);
+    exports.assertCanReview(proposal, req.user._id, "reject");
+
+    proposal.status = "REJECTED";
+    proposal.reviewedBy = req.user._id;
+    proposal.reviewedAt = new Date();
+    proposal.reviewComment = comment;
+    await proposal.save();
+    await logRuleAudit({ action: "RULES_REJECTED", req, request: proposal, diff: proposal.diff, comment });
+
+    res.status(200).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * POST /api/v1/rules/proposals/:id/withdraw
+ * Only the proposer can withdraw a pending request.
+ */
+exports.withdrawProposal = async (req, res) => {
+  try {
+    const proposal = await findProposal(req);
+    exports.assertCanReview(proposal, req.user._id, "withdraw");
 
-    res.status(201).json({ status: "success", data: doc });
+    proposal.status = "WITHDRAWN";
+    await proposal.save();
+    await logRuleAudit({ action: "RULES_WITHDRAWN", req, request: proposal });
+
+    res.status(200).json({ status: "success", data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * GET /api/v1/rules/audit?action&page&limit
+ * Proposals, approvals, rejections and schedule changes for this tenant.
+ */
+exports.listRuleAudit = async (req, res) => {
+  try {
+    const filter = { tenant: req.tenant?._id || null };
+    if (req.query.action) filter.action = { $in: String(req.query.action).split(",").map((s) => s.trim()) };
+    const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || "20", 10) || 20));
+
+    const [items, total] = await Promise.all([
+      RuleAudit.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate("actor", "name email role").lean(),
+      RuleAudit.countDocuments(filter),
+    ]);
+    res.status(200).json({ status: "success", results: items.length, page, limit, total, data: { data: items } });
   } catch (err) {
-    res.status(400).json({ status: "fail", message: err.message });
+    sendError(res, err);
   }
 };
 
@@ -167,26 +805,71 @@ exports.simulate = async (req, res) => {
     const decision = evaluateRefundRules(ctx);
     res.status(200).json({ status: "success", data: { rules, decision } });
   } catch (err) {
-    res.status(400).json({ status: "fail", message: err.message });
+    res.status(400).json({ status: "fail", message: err.message, details: err.details });
+  }
+};
+
+/**
+ * POST /api/v1/rules/backtest
+ * Body: { rules: {...draft}, from?, to? } (defaults to the last 30 days)
+ * Replays stored refund contexts through the active ruleset and the draft,
+ * and reports how the decisions and the refund value behind them would move.
+ */
+exports.backtest = async (req, res) => {
+  try {
+    const tenantId = req.tenant?._id || null;
+    if (!req.body?.rules || typeof req.body.rules !== "object") {
+      return res.status(400).json({ status: "fail", message: "Provide draft rules: { rules: {...} }" });
+    }
+    const draftRules = normalizeRules(req.body.rules);
+    const { start, end } = parseSummaryRange({ from: req.body.from, to: req.body.to });
+
+    const active = await RefundRules.getActiveForTenant(tenantId);
+    const { records, truncated } = await loadBacktestRecords(tenantId, start, end);
+
+    const comparison = exports.compareRulesets(
+      records,
+      { rules: active?.rules || { mode: "observe" }, version: active?.version ?? 0, ruleSetId: active?._id ? String(active._id) : null },
+      { rules: draftRules, version: null, ruleSetId: null }
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        range: { from: start, to: end },
+        activeVersion: active?.version ?? null,
+        truncated,
+        ...comparison,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
   }
 };
 
 /**
  * POST /api/v1/rules/deactivate
- * Deactivate the current active ruleset for this tenant.
+ * Body: { note? }
+ * Proposes switching off the tenant's active ruleset, after which refunds
+ * fall back to the platform default. Needs a second admin's approval.
  */
 exports.deactivateActive = async (req, res) => {
   try {
     const tenantId = req.tenant?._id || null;
-    const active = await RefundRules.findOne({ tenant: tenantId, isActive: true });
+    const active = await RefundRules.findOne({ tenant: tenantId, isActive: true }).lean();
     if (!active) {
       return res.status(404).json({ status: "fail", message: "No active ruleset" });
     }
-    active.isActive = false;
-    await active.save();
-    await invalidateRulesCache(tenantId);
-    res.status(200).json({ status: "success" });
+    const fallback = tenantId ? await RefundRules.resolveEffective(null) : null;
+    const proposal = await proposeChange(req, {
+      kind: "deactivate",
+      rules: active.rules,
+      target: active,
+      diff: exports.diffRules(active.rules, fallback?.rules || {}),
+      note: req.body?.note,
+    });
+    res.status(202).json({ status: "success", data: proposal });
   } catch (err) {
-    res.status(400).json({ status: "fail", message: err.message });
+    sendError(res, err);
   }
 };
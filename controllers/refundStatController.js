@@ -1,11 +1,24 @@
+const mongoose = require('mongoose');
 const RefundStat = require('../models/refundStatModel');
+const RefundTransaction = require('../models/refundTransactionModel');
 const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { parseExportFormat, streamExport } = require('../utils/streamExport');
+const RefundRetry = require('../models/refundRetryModel');
+const { findRefundReason } = require('../utils/refundReasons');
+const { isValidTimeZone, zonedMidnight } = require('../utils/tenantBudget');
+
+// Express 5 re-parses req.query on every access, so the filter middlewares
+// below accumulate into req.statsQuery instead of mutating req.query.
+function statsQuery(req) {
+  return req.statsQuery || { ...(req.query || {}) };
+}
 
 // Ensure queries are scoped to the resolved tenant
 exports.scopeToTenant = (req, res, next) => {
   if (req.tenant?._id) {
     // Force tenant scoping regardless of client query
-    req.query.tenant = req.tenant._id.toString();
+    req.statsQuery = { ...statsQuery(req), tenant: req.tenant._id.toString() };
   }
   next();
 };
@@ -13,7 +26,7 @@ exports.scopeToTenant = (req, res, next) => {
 // If a userId is present in params, propagate to query filter
 exports.setUserFilter = (req, res, next) => {
   if (req.params.userId) {
-    req.query.user = req.params.userId;
+    req.statsQuery = { ...statsQuery(req), user: req.params.userId };
   }
   next();
 };
@@ -45,57 +58,55 @@ exports.setDateFilters = (req, res, next) => {
     const filter = {};
     if (start) filter.gte = start.toISOString();
     if (end) filter.lte = end.toISOString();
-    // APIFeatures supports operators when passed as nested object
-    req.query.lastRefundAt = filter;
+    req.statsQuery = { ...statsQuery(req), lastRefundAt: filter };
   }
 
   next();
 };
 
-// Aggregation-based listing to support filtering by attempts.actor accurately
-exports.getAllRefundStats = catchAsync(async (req, res, next) => {
-  const {
-    page = 1,
-    limit = 20,
-    sort = '-lastRefundAt',
-    tenant,
-    user, // when provided, match any attempt actor
-    lastRefundAt,
-    phone,
-  } = req.query || {};
-
-  const p = Math.max(1, parseInt(page));
-  const l = Math.max(1, Math.min(200, parseInt(limit)));
+function toObjectId(value, label) {
+  if (!mongoose.isValidObjectId(value)) throw new AppError(`Invalid ${label} id`, 400);
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+// Phone search: match customer key written as `phone:<value>` accommodating optional +91 and leading zeros
+function phoneMatch(phone) {
+  if (!phone || !String(phone).trim()) return null;
+  const digits = String(phone).trim().replace(/\D/g, '');
+  if (!digits) return null;
+  const last10 = digits.length >= 10 ? digits.slice(-10) : digits;
+  const patterns = [
+    new RegExp(`^phone:(?:\\+?91)?0*${last10}$`, 'i'),
+    new RegExp(`^phone:${digits}$`, 'i'),
+  ];
+  return { $or: patterns.map(r => ({ customer: { $regex: r } })) };
+}
 
+// $match stages shared by list, count and export (tenant, activity date range, phone, attempt actor)
+function buildStatsMatchStages({ tenant, user, lastRefundAt, phone }) {
   const match = {};
-  if (tenant) match.tenant = typeof tenant === 'string' ? RefundStat.db.cast(RefundStat.collection.name, 'tenant', tenant) : tenant;
+  if (tenant) match.tenant = toObjectId(tenant, 'tenant');
+  // The date range matches refunds and, since denied and failed attempts are
+  // recorded too, any attempt (lastAttemptAt)
+  let byDate = null;
   if (lastRefundAt && (lastRefundAt.gte || lastRefundAt.lte)) {
-    match.lastRefundAt = {};
-    if (lastRefundAt.gte) match.lastRefundAt.$gte = new Date(String(lastRefundAt.gte));
-    if (lastRefundAt.lte) match.lastRefundAt.$lte = new Date(String(lastRefundAt.lte));
+    const range = {};
+    if (lastRefundAt.gte) range.$gte = new Date(String(lastRefundAt.gte));
+    if (lastRefundAt.lte) range.$lte = new Date(String(lastRefundAt.lte));
+    byDate = { $or: [{ lastRefundAt: range }, { lastAttemptAt: range }] };
   }
   // Note: do not match by top-level user when filtering by actor; we'll match attempts.actor
 
-  const pipeline = [];
-  if (Object.keys(match).length) pipeline.push({ $match: match });
-  // Phone search: match customer key written as `phone:<value>` accommodating optional +91 and leading zeros
-  if (phone && String(phone).trim()) {
-    const raw = String(phone).trim();
-    const digits = raw.replace(/\D/g, '');
-    if (digits) {
-      const last10 = digits.length >= 10 ? digits.slice(-10) : digits;
-      const patterns = [
-        new RegExp(`^phone:(?:\\+?91)?0*${last10}$`, 'i'),
-        new RegExp(`^phone:${digits}$`, 'i'),
-      ];
-      pipeline.push({ $match: { $or: patterns.map(r => ({ customer: { $regex: r } })) } });
-    }
-  }
-  if (user) {
-    pipeline.push({ $match: { 'attempts.actor': RefundStat.db.cast(RefundStat.collection.name, 'attempts.actor', user) } });
-  }
+  const stages = [];
+  if (Object.keys(match).length) stages.push({ $match: match });
+  if (byDate) stages.push({ $match: byDate });
+  const byPhone = phoneMatch(phone);
+  if (byPhone) stages.push({ $match: byPhone });
+  if (user) stages.push({ $match: { 'attempts.actor': toObjectId(user, 'user') } });
+  return stages;
+}
 
-  // Sorting
+function buildSortStage(sort) {
   const sortStage = {};
   if (typeof sort === 'string' && sort.trim()) {
     const fields = sort.split(',').map(s => s.trim()).filter(Boolean);
@@ -105,41 +116,37 @@ exports.getAllRefundStats = catchAsync(async (req, res, next) => {
   } else {
     sortStage.lastRefundAt = -1;
   }
-  pipeline.push({ $sort: sortStage });
+  return sortStage;
+}
 
-  // Pagination
-  pipeline.push({ $skip: (p - 1) * l }, { $limit: l });
+// Lookups for user (last actor id in `user`) and tenant; include inactive by bypassing Mongoose middleware (native $lookup)
+const LOOKUP_STAGES = [
+  { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'user' } },
+  { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+  { $lookup: { from: 'tenants', localField: 'tenant', foreignField: '_id', as: 'tenant' } },
+  { $unwind: { path: '$tenant', preserveNullAndEmptyArrays: true } }
+];
 
-  // Lookups for user (last actor id in `user`) and tenant; include inactive by bypassing Mongoose middleware (native $lookup)
-  pipeline.push(
-    { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'user' } },
-    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
-    { $lookup: { from: 'tenants', localField: 'tenant', foreignField: '_id', as: 'tenant' } },
-    { $unwind: { path: '$tenant', preserveNullAndEmptyArrays: true } }
-  );
+// Aggregation-based listing to support filtering by attempts.actor accurately
+exports.getAllRefundStats = catchAsync(async (req, res, next) => {
+  const q = statsQuery(req);
+  const { page = 1, limit = 20, sort = '-lastRefundAt' } = q;
+
+  const p = Math.max(1, parseInt(page) || 1);
+  const l = Math.max(1, Math.min(200, parseInt(limit) || 20));
 
-  console.log('Pipeline:', JSON.stringify(pipeline, null, 2));
-
-  const totalPipeline = [
-    ...(Object.keys(match).length ? [{ $match: match }] : []),
-    ...(phone && String(phone).trim() ? (() => {
-      const raw = String(phone).trim();
-      const digits = raw.replace(/\D/g, '');
-      if (!digits) return [];
-      const last10 = digits.length >= 10 ? digits.slice(-10) : digits;
-      const patterns = [
-        new RegExp(`^phone:(?:\\+?91)?0*${last10}$`, 'i'),
-        new RegExp(`^phone:${digits}$`, 'i'),
-      ];
-      return [{ $match: { $or: patterns.map(r => ({ customer: { $regex: r } })) } }];
-    })() : []),
-    ...(user ? [{ $match: { 'attempts.actor': RefundStat.db.cast(RefundStat.collection.name, 'attempts.actor', user) } }] : []),
-    { $count: 'count' }
+  const matchStages = buildStatsMatchStages(q);
+  const pipeline = [
+    ...matchStages,
+    { $sort: buildSortStage(sort) },
+    { $skip: (p - 1) * l },
+    { $limit: l },
+    ...LOOKUP_STAGES,
   ];
 
   const [items, totalArr] = await Promise.all([
     RefundStat.aggregate(pipeline),
-    RefundStat.aggregate(totalPipeline)
+    RefundStat.aggregate([...matchStages, { $count: 'count' }])
   ]);
   const total = totalArr[0]?.count || 0;
 
@@ -153,6 +160,333 @@ exports.getAllRefundStats = catchAsync(async (req, res, next) => {
   });
 });
 
+const STATS_EXPORT_COLUMNS = [
+  { key: 'shop', header: 'Shop' },
+  { key: 'customer', header: 'Customer', width: 24 },
+  { key: 'totalCount', header: 'Total refunds', width: 12 },
+  { key: 'successCount', header: 'Successful', width: 12 },
+  { key: 'failureCount', header: 'Failed', width: 10 },
+  { key: 'lastOutcome', header: 'Last outcome' },
+  { key: 'lastRefundAt', header: 'Last refund at', width: 22 },
+  { key: 'lastAttemptAt', header: 'Last attempt at', width: 22 },
+  { key: 'lastAgent', header: 'Last agent', width: 24 },
+  { key: 'attemptAt', header: 'Attempt at', width: 22 },
+  { key: 'attemptAction', header: 'Action', width: 10 },
+  { key: 'attemptOutcome', header: 'Outcome' },
+  { key: 'attemptAgent', header: 'Agent', width: 24 },
+  { key: 'attemptOrderId', header: 'Order ID' },
+  { key: 'attemptAmount', header: 'Amount', width: 12 },
+  { key: 'attemptPartial', header: 'Partial', width: 8 },
+  { key: 'attemptReason', header: 'Reason' },
+  { key: 'attemptHttpCode', header: 'HTTP code', width: 10 },
+  { key: 'attemptErrorCode', header: 'Error code' },
+  { key: 'attemptErrorMsg', header: 'Error message', width: 40 },
+  { key: 'attemptRulesVer', header: 'Rules version', width: 12 },
+];
+
+// One row per attempt (stat columns repeated); stats without attempts get a single row
+function* flattenStat(stat, actorId) {
+  const actors = new Map((stat.attemptActors || []).map(u => [String(u._id), u.name || u.email || String(u._id)]));
+  const base = {
+    shop: stat.tenant?.name || '',
+    customer: stat.customer,
+    totalCount: stat.totalCount ?? 0,
+    successCount: stat.successCount ?? 0,
+    failureCount: stat.failureCount ?? 0,
+    lastOutcome: stat.lastOutcome || '',
+    lastRefundAt: stat.lastRefundAt || null,
+    lastAttemptAt: stat.lastAttemptAt || null,
+    lastAgent: stat.user?.name || stat.user?.email || '',
+  };
+  const attempts = (stat.attempts || []).filter(a => !actorId || String(a.actor) === actorId);
+  if (!attempts.length) {
+    yield base;
+    return;
+  }
+  for (const a of attempts) {
+    yield {
+      ...base,
+      attemptAt: a.at || null,
+      attemptAction: a.action,
+      attemptOutcome: a.outcome,
+      attemptAgent: a.actor ? actors.get(String(a.actor)) || String(a.actor) : '',
+      attemptOrderId: a.orderId || '',
+      attemptAmount: a.amount ?? null,
+      attemptPartial: a.partial ? 'yes' : 'no',
+      attemptReason: a.reasonCode || '',
+      attemptHttpCode: a.httpCode ?? null,
+      attemptErrorCode: a.errorCode || '',
+      attemptErrorMsg: a.errorMsg || '',
+      attemptRulesVer: a.rulesVer ?? null,
+    };
+  }
+}
+
+// GET /api/v1/refund-stats/export?format=csv|xlsx
+// Same filters as the list (tenant, user, phone, day/startDate/endDate); streams every match, no pagination.
+exports.exportRefundStats = catchAsync(async (req, res, next) => {
+  const q = statsQuery(req);
+  const format = parseExportFormat(q.format);
+  const actorId = q.user ? String(toObjectId(q.user, 'user')) : null;
+
+  const cursor = RefundStat.aggregate([
+    ...buildStatsMatchStages(q),
+    { $sort: buildSortStage(q.sort || '-lastRefundAt') },
+    ...LOOKUP_STAGES,
+    { $lookup: { from: 'users', localField: 'attempts.actor', foreignField: '_id', as: 'attemptActors' } },
+  ]).cursor({ batchSize: 200 });
+
+  async function* rows() {
+    for await (const stat of cursor) yield* flattenStat(stat, actorId);
+  }
+
+  await streamExport(res, {
+    format,
+    filename: `refund-activity-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Refund activity',
+    columns: STATS_EXPORT_COLUMNS,
+    rows: rows(),
+  });
+});
+
+const SUMMARY_GRANULARITIES = ['day', 'week', 'month'];
+const SUMMARY_DEFAULT_DAYS = 30;
+const SUMMARY_MAX_DAYS = 731;
+const SUMMARY_TOP_N = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * parseSummaryRange({ from, to, granularity, tz }, now)
+ * Dates may be ISO timestamps or YYYY-MM-DD. A bare date is a day in `tz`:
+ * `from` starts at its local midnight and `to` covers that whole local day.
+ * Defaults to the last 30 days by day in UTC.
+ */
+exports.parseSummaryRange = ({ from, to, granularity = 'day', tz = 'UTC' } = {}, now = new Date()) => {
+  if (!SUMMARY_GRANULARITIES.includes(String(granularity))) {
+    throw new AppError(`granularity must be one of: ${SUMMARY_GRANULARITIES.join(', ')}`, 400);
+  }
+  if (!isValidTimeZone(String(tz))) throw new AppError(`Unknown time zone: ${tz}`, 400);
+
+  // Local midnight `days` after a YYYY-MM-DD date; null when it is not one
+  const dayStart = (v, days = 0) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v));
+    return m ? zonedMidnight(Number(m[1]), Number(m[2]), Number(m[3]) + days, String(tz)) : null;
+  };
+  const nextDay = to ? dayStart(to, 1) : null;
+  const end = to ? (nextDay ? new Date(nextDay.getTime() - 1) : new Date(String(to))) : now;
+  const start = from ? (dayStart(from) || new Date(String(from))) : new Date(end.getTime() - SUMMARY_DEFAULT_DAYS * DAY_MS);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new AppError('from/to must be valid dates', 400);
+  if (start > end) throw new AppError('from must be before to', 400);
+  if (end - start > SUMMARY_MAX_DAYS * DAY_MS) throw new AppError(`Date range cannot exceed ${SUMMARY_MAX_DAYS} days`, 400);
+
+  return { start, end, granularity: String(granularity), tz: String(tz) };
+};
+
+const sumIf = (cond, value = 1) => ({ $sum: { $cond: [cond, value, 0] } });
+const isSuccess = { $eq: ['$outcome', 'SUCCESS'] };
+const amountOrZero = { $ifNull: ['$amount', 0] };
+
+// GET /api/v1/refund-stats/summary?from&to&granularity=day|week|month&tz
+// Aggregates the refund ledger (RefundTransaction), not RefundStat attempts:
+// attempts are capped at 25 per customer and do not record matched rules, so
+// they cannot answer trend questions.
+exports.getRefundSummary = catchAsync(async (req, res, next) => {
+  const q = statsQuery(req);
+  const { start, end, granularity, tz } = exports.parseSummaryRange(q);
+
+  const match = { createdAt: { $gte: start, $lte: end } };
+  if (q.tenant) match.tenant = toObjectId(q.tenant, 'tenant');
+  if (q.user) {
+    const agent = toObjectId(q.user, 'user');
+    match.$or = [{ actor: agent }, { requester: agent }];
+  }
+
+  const agentRequests = { $match: { action: 'refund' } };
+  const executed = { $match: { outcome: 'SUCCESS' } };
+
+  const [facets] = await RefundTransaction.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$createdAt', unit: granularity, timezone: tz, ...(granularity === 'week' ? { startOfWeek: 'monday' } : {}) } },
+              refundCount: sumIf(isSuccess),
+              refundValue: sumIf(isSuccess, amountOrZero),
+              fullCount: sumIf({ $and: [isSuccess, { $ne: ['$partial', true] }] }),
+              partialCount: sumIf({ $and: [isSuccess, { $eq: ['$partial', true] }] }),
+              denyCount: sumIf({ $eq: ['$outcome', 'DENY'] }),
+              approvalCount: sumIf({ $eq: ['$outcome', 'REQUIRE_APPROVAL'] }),
+              errorCount: sumIf({ $eq: ['$outcome', 'ERROR'] }),
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, period: '$_id', refundCount: 1, refundValue: 1, fullCount: 1, partialCount: 1, denyCount: 1, approvalCount: 1, errorCount: 1 } },
+        ],
+        split: [
+          executed,
+          { $group: { _id: { $cond: [{ $eq: ['$partial', true] }, 'partial', 'full'] }, count: { $sum: 1 }, value: { $sum: amountOrZero } } },
+        ],
+        // Outcome rates are measured on agent requests; approve/deny are supervisor follow-ups
+        outcomes: [
+          agentRequests,
+          { $group: { _id: '$outcome', count: { $sum: 1 } } },
+        ],
+        resolutions: [
+          { $match: { action: { $in: ['approve', 'deny'] } } },
+          { $group: { _id: '$action', count: { $sum: 1 } } },
+        ],
+        topRules: [
+          agentRequests,
+          { $unwind: '$ruleDecision.matched' },
+          { $group: { _id: '$ruleDecision.matched', count: { $sum: 1 }, denyCount: sumIf({ $eq: ['$outcome', 'DENY'] }), approvalCount: sumIf({ $eq: ['$outcome', 'REQUIRE_APPROVAL'] }) } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: SUMMARY_TOP_N },
+          { $project: { _id: 0, rule: '$_id', count: 1, denyCount: 1, approvalCount: 1 } },
+        ],
+        // Approved refunds are credited to the agent who requested them
+        topAgents: [
+          executed,
+          { $group: { _id: { $ifNull: ['$requester', '$actor'] }, count: { $sum: 1 }, value: { $sum: amountOrZero } } },
+          { $sort: { value: -1, count: -1 } },
+          { $limit: SUMMARY_TOP_N },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 0, user: { _id: '$_id', name: '$user.name', email: '$user.email' }, count: 1, value: 1 } },
+        ],
+        // Per refund reason: agent requests, refunds (approved ones included) and denials.
+        // Entries without a reason (older refunds) are left out.
+        topReasons: [
+          { $match: { reasonCode: { $ne: null } } },
+          {
+            $group: {
+              _id: '$reasonCode',
+              count: sumIf({ $eq: ['$action', 'refund'] }),
+              refundCount: sumIf(isSuccess),
+              refundValue: sumIf(isSuccess, amountOrZero),
+              denyCount: sumIf({ $eq: ['$outcome', 'DENY'] }),
+              approvalCount: sumIf({ $eq: ['$outcome', 'REQUIRE_APPROVAL'] }),
+            },
+          },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: SUMMARY_TOP_N },
+          { $project: { _id: 0, reasonCode: '$_id', count: 1, refundCount: 1, refundValue: 1, denyCount: 1, approvalCount: 1 } },
+        ],
+        topCustomers: [
+          { $match: { outcome: 'SUCCESS', customer: { $ne: null } } },
+          { $group: { _id: '$customer', count: { $sum: 1 }, value: { $sum: amountOrZero }, lastAt: { $max: '$createdAt' } } },
+          { $match: { count: { $gte: 2 } } },
+          { $sort: { count: -1, value: -1 } },
+          { $limit: SUMMARY_TOP_N },
+          { $project: { _id: 0, customer: '$_id', count: 1, value: 1, lastAt: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totalRequests = facets.outcomes.reduce((n, o) => n + o.count, 0);
+  const outcomes = {};
+  for (const key of ['SUCCESS', 'DENY', 'REQUIRE_APPROVAL', 'ERROR']) {
+    const count = facets.outcomes.find((o) => o._id === key)?.count || 0;
+    outcomes[key] = { count, rate: totalRequests ? count / totalRequests : 0 };
+  }
+  const split = {};
+  for (const key of ['full', 'partial']) {
+    const row = facets.split.find((r) => r._id === key);
+    split[key] = { count: row?.count || 0, value: row?.value || 0 };
+  }
+  const resolutions = {
+    approved: facets.resolutions.find((r) => r._id === 'approve')?.count || 0,
+    denied: facets.resolutions.find((r) => r._id === 'deny')?.count || 0,
+  };
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      range: { from: start, to: end, granularity, tz },
+      totals: {
+        refundCount: split.full.count + split.partial.count,
+        refundValue: split.full.value + split.partial.value,
+        requests: totalRequests,
+      },
+      split,
+      outcomes,
+      resolutions,
+      series: facets.series,
+      topRules: facets.topRules,
+      topAgents: facets.topAgents,
+      topReasons: facets.topReasons.map((r) => ({ ...r, label: findRefundReason(req.tenant, r.reasonCode)?.label || r.reasonCode })),
+      topCustomers: facets.topCustomers,
+    },
+  });
+});
+
+// Retry queue: refunds the worker will replay (scheduled) or gave up on (needs_attention), one per order
+const { RETRY_STATES } = RefundRetry;
+
+function retryScope(req, id) {
+  const filter = { _id: toObjectId(id, 'retry') };
+  if (req.tenant?._id) filter.tenant = req.tenant._id;
+  return filter;
+}
+
+// GET /api/v1/refund-stats/retries?state=scheduled|needs_attention&page&limit
+exports.getRetryQueue = catchAsync(async (req, res, next) => {
+  const { state, page = 1, limit = 50 } = req.query || {};
+  if (state && !RETRY_STATES.includes(state)) {
+    return next(new AppError(`state must be one of ${RETRY_STATES.join(', ')}`, 400));
+  }
+  const p = Math.max(1, parseInt(page) || 1);
+  const l = Math.max(1, Math.min(200, parseInt(limit) || 50));
+
+  const scope = req.tenant?._id ? { tenant: req.tenant._id } : {};
+  const filter = { ...scope, state: state ? state : { $in: RETRY_STATES } };
+
+  const [items, total, counts] = await Promise.all([
+    RefundRetry.find(filter)
+      .sort({ state: -1, nextRetryAt: 1, lastAttemptAt: -1 })
+      .skip((p - 1) * l)
+      .limit(l)
+      .populate({ path: 'actor', select: 'name email', options: { includeInactive: true } })
+      .populate({ path: 'tenant', select: 'name' })
+      .lean(),
+    RefundRetry.countDocuments(filter),
+    RefundRetry.aggregate([
+      { $match: scope },
+      { $group: { _id: '$state', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    page: p,
+    limit: l,
+    total,
+    counts: Object.fromEntries(RETRY_STATES.map((s) => [s, counts.find((c) => c._id === s)?.count || 0])),
+    data: { data: items },
+  });
+});
+
+// POST /api/v1/refund-stats/retries/:id/retry -> replay now, with a fresh set of attempts
+exports.retryNow = catchAsync(async (req, res, next) => {
+  const retry = await RefundRetry.findOneAndUpdate(
+    retryScope(req, req.params.id),
+    { $set: { state: 'scheduled', nextRetryAt: new Date(), retryCount: 0 } },
+    { new: true }
+  );
+  if (!retry) return next(new AppError('No queued refund with this id', 404));
+  res.status(200).json({ status: 'success', data: { data: retry } });
+});
+
+// POST /api/v1/refund-stats/retries/:id/dismiss -> drop the queued refund (e.g. refunded by hand)
+exports.dismissRetry = catchAsync(async (req, res, next) => {
+  const retry = await RefundRetry.findOneAndDelete(retryScope(req, req.params.id));
+  if (!retry) return next(new AppError('No queued refund with this id', 404));
+  res.status(200).json({ status: 'success', data: { data: retry } });
+});
+
 // Keep single-get via factory (populate not critical here)
 const handlerFactory = require('./handlerFactory');
 exports.getRefundStat = handlerFactory.getOne(RefundStat);
@@ -165,17 +499,8 @@ exports.deleteRefundStats = catchAsync(async (req, res, next) => {
   const match = {};
   if (req.tenant?._id) match.tenant = req.tenant._id;
 
-  if (phone && String(phone).trim()) {
-    const raw = String(phone).trim();
-    const digits = raw.replace(/\D/g, '');
-    if (digits) {
-      const last10 = digits.length >= 10 ? digits.slice(-10) : digits;
-      match.$or = [
-        { customer: { $regex: new RegExp(`^phone:(?:\\+?91)?0*${last10}$`, 'i') } },
-        { customer: { $regex: new RegExp(`^phone:${digits}$`, 'i') } },
-      ];
-    }
-  }
+  const byPhone = phoneMatch(phone);
+  if (byPhone) match.$or = byPhone.$or;
 
   if (from || to) {
     match.lastRefundAt = {};
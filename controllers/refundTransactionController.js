@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const RefundTransaction = require('../models/refundTransactionModel');
+const catchAsync = require('./../utils/catchAsync');
+const AppError = require('./../utils/appError');
+const { parseExportFormat, streamExport } = require('./../utils/streamExport');
+
+const ACTIONS = ['refund', 'approve', 'deny'];
+const OUTCOMES = ['SUCCESS', 'DENY', 'REQUIRE_APPROVAL', 'ERROR'];
+
+const LEDGER_POPULATE = [
+  { path: 'actor', select: 'name email role', options: { includeInactive: true } },
+  { path: 'requester', select: 'name email role', options: { includeInactive: true } },
+  { path: 'tenant', select: 'name' },
+];
+
+// Comma-separated enum filter -> array, or throws on unknown values
+function parseEnumList(value, allowed, label) {
+  const list = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+  const invalid = list.filter((v) => !allowed.includes(v));
+  if (invalid.length) throw new AppError(`Invalid ${label}: ${invalid.join(', ')}`, 400);
+  return list;
+}
+
+// Build the Mongo filter for ledger queries (shared with reports/exports)
+exports.buildLedgerFilter = (req) => {
+  const { tenant, orderId, customer, phone, email, actor, requester, action, outcome, reasonCode, from, to } = req.query || {};
+
+  const filter = {};
+  // Tenant scoping mirrors user audits: middleware tenant wins, else explicit param, else ALL
+  if (req.tenant?._id) filter.tenant = req.tenant._id;
+  else if (tenant) filter.tenant = tenant;
+
+  if (orderId) filter.orderId = String(orderId);
+  if (customer) filter.customer = String(customer);
+  else if (phone) filter.customer = `phone:${String(phone)}`;
+  else if (email) filter.customer = `email:${String(email).toLowerCase()}`;
+
+  for (const [key, value] of [['actor', actor], ['requester', requester]]) {
+    if (!value) continue;
+    if (!mongoose.isValidObjectId(value)) throw new AppError(`Invalid ${key} id`, 400);
+    filter[key] = value;
+  }
+
+  if (action) filter.action = { $in: parseEnumList(action, ACTIONS, 'action') };
+  if (outcome) filter.outcome = { $in: parseEnumList(outcome, OUTCOMES, 'outcome') };
+  if (reasonCode) filter.reasonCode = { $in: String(reasonCode).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean) };
+
+  if (from || to) {
+    const start = from ? new Date(String(from)) : null;
+    const end = to ? new Date(String(to)) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      throw new AppError('from/to must be valid dates', 400);
+    }
+    filter.createdAt = {};
+    if (start) filter.createdAt.$gte = start;
+    if (end) filter.createdAt.$lte = end;
+  }
+
+  return filter;
+};
+
+// GET /api/v1/refund-transactions
+// Query params: page, limit, sort, orderId, customer|phone|email, actor, requester, action, outcome, reasonCode, from, to
+exports.listRefundTransactions = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, sort = '-createdAt' } = req.query || {};
+  const filter = exports.buildLedgerFilter(req);
+
+  const p = Math.max(1, parseInt(page) || 1);
+  const l = Math.max(1, Math.min(200, parseInt(limit) || 20));
+
+  const [items, total] = await Promise.all([
+    RefundTransaction.find(filter)
+      .select('-context')
+      .sort(String(sort))
+      .skip((p - 1) * l)
+      .limit(l)
+      .populate(LEDGER_POPULATE),
+    RefundTransaction.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    page: p,
+    limit: l,
+    total,
+    data: { data: items },
+  });
+});
+
+const LEDGER_EXPORT_COLUMNS = [
+  { key: 'createdAt', header: 'Date', width: 22 },
+  { key: 'shop', header: 'Shop' },
+  { key: 'action', header: 'Action', width: 10 },
+  { key: 'outcome', header: 'Outcome' },
+  { key: 'actor', header: 'Agent', width: 24 },
+  { key: 'requester', header: 'Requested by', width: 24 },
+  { key: 'customer', header: 'Customer', width: 24 },
+  { key: 'orderId', header: 'Order ID' },
+  { key: 'orderName', header: 'Order', width: 12 },
+  { key: 'partial', header: 'Partial', width: 8 },
+  { key: 'reasonCode', header: 'Reason' },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'lineItems', header: 'Line items', width: 40 },
+  { key: 'shopifyRefundId', header: 'Shopify refund ID' },
+  { key: 'gateway', header: 'Gateway' },
+  { key: 'rulesVersion', header: 'Rules version', width: 12 },
+  { key: 'ruleReason', header: 'Rule reason', width: 40 },
+  { key: 'httpCode', header: 'HTTP code', width: 10 },
+  { key: 'errorCode', header: 'Error code' },
+  { key: 'errorMsg', header: 'Error message', width: 40 },
+  { key: 'note', header: 'Note', width: 40 },
+];
+
+const userLabel = (u) => (u ? u.name || u.email || String(u._id) : '');
+
+function toLedgerRow(doc) {
+  return {
+    createdAt: doc.createdAt,
+    shop: doc.tenant?.name || '',
+    action: doc.action,
+    outcome: doc.outcome,
+    actor: userLabel(doc.actor),
+    requester: userLabel(doc.requester),
+    customer: doc.customer || '',
+    orderId: doc.orderId || '',
+    orderName: doc.orderName || '',
+    partial: doc.partial ? 'yes' : 'no',
+    reasonCode: doc.reasonCode || '',
+    amount: doc.amount ?? null,
+    currency: doc.currency || '',
+    // "lineItemId x quantity @ amount" per item
+    lineItems: (doc.lineItems || [])
+      .map((li) => `${li.lineItemId} x ${li.quantity}${li.amount != null ? ` @ ${li.amount}` : ''}`)
+      .join('; '),
+    shopifyRefundId: doc.shopifyRefundId || '',
+    gateway: doc.gateway || '',
+    rulesVersion: doc.rulesVersion ?? null,
+    ruleReason: doc.ruleDecision?.reason || '',
+    httpCode: doc.httpCode ?? null,
+    errorCode: doc.errorCode || '',
+    errorMsg: doc.errorMsg || '',
+    note: doc.note || '',
+  };
+}
+
+// GET /api/v1/refund-transactions/export?format=csv|xlsx
+// Same filters as the list; streams every match, no pagination.
+exports.exportRefundTransactions = catchAsync(async (req, res, next) => {
+  const { sort = '-createdAt', format } = req.query || {};
+  const exportFormat = parseExportFormat(format);
+  const filter = exports.buildLedgerFilter(req);
+
+  const cursor = RefundTransaction.find(filter)
+    .select('-context')
+    .sort(String(sort))
+    .populate(LEDGER_POPULATE)
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  async function* rows() {
+    for await (const doc of cursor) yield toLedgerRow(doc);
+  }
+
+  await streamExport(res, {
+    format: exportFormat,
+    filename: `refund-ledger-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Refund ledger',
+    columns: LEDGER_EXPORT_COLUMNS,
+    rows: rows(),
+  });
+});
+
+// GET /api/v1/refund-transactions/:id (includes the rule context snapshot)
+exports.getRefundTransaction = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError('Invalid refund transaction id', 400));
+  }
+  const filter = { _id: req.params.id };
+  if (req.tenant?._id) filter.tenant = req.tenant._id;
+
+  const doc = await RefundTransaction.findOne(filter).populate(LEDGER_POPULATE);
+  if (!doc) return next(new AppError('No refund transaction found with that ID', 404));
+
+  res.status(200).json({ status: 'success', data: { data: doc } });
+});
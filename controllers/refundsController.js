@@ -1,11 +1,27 @@
-const axios = require("axios");
+const mongoose = require("mongoose");
 const PendingRefund = require("../models/pendingRefundModel");
 const RefundStat=require("../models/refundStatModel");
 const redis = require("../utils/redisClient");
-require("@shopify/shopify-api/adapters/node");
-const { shopifyApi, LATEST_API_VERSION } = require("@shopify/shopify-api");
-const { buildRefundContext, evaluateRefundRules } = require("../middlewares/rules");
+const { shopifyClient, idFromGid } = require("../services/shopifyClient");
+const { restockProblem, refundLineItems } = require("../utils/restock");
+const { calculateRefund, suggestedAmountFor } = require("../utils/refundCalculation");
+const { resolveRefundMode, shippingTotal } = require("../utils/refundModes");
+const { refundReasonsFor, resolveRefundReason, findRefundReason, reasonNote, reasonTag } = require("../utils/refundReasons");
+const { buildRefundContext, applyRefundRules, evaluateRefundRules } = require("../middlewares/rules");
+const BulkRefundJob = require("../models/bulkRefundJobModel");
+const { bulkItemsProblem, bulkItemPayload, bulkItemResult, runChain } = require("../utils/bulkRefund");
 const { appendOrderTags } = require("../utils/appendOrderTags");
+const { recordRefundTransaction } = require("../utils/recordRefundTransaction");
+const { recordRefundAttempt } = require("../utils/recordRefundAttempt");
+const { isRetryableError, scheduleRefundRetry, clearRefundRetry } = require("../utils/refundRetry");
+const {
+  claimPendingRefund,
+  releasePendingRefund,
+  pendingOrderId,
+  refundAfterRequest,
+  approvalReplayBody,
+  describeDrift,
+} = require("../utils/pendingApproval");
 
 // 🔹 Utility: Parse Shopify link headers for pagination
 const parseLinkHeader = (linkHeader) => {
@@ -19,34 +35,15 @@ const parseLinkHeader = (linkHeader) => {
 
 // 🔹 Utility: Fetch order transactions
 const getOrderTransactions = async (tenant, orderId) => {
-  const url = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/orders/${orderId}/transactions.json`;
-  const response = await axios.get(url, {
-    headers: { "X-Shopify-Access-Token": tenant.accessToken },
-  });
-  return response.data.transactions;
+  const { body } = await shopifyClient(tenant).get(`orders/${orderId}/transactions.json`);
+  return body?.transactions || [];
 };
 
-// 🔹 Utility: Check if order already has refunds
-async function hasRefunds(tenant, orderId) {
-  try {
-    const client = new (shopifyApi({
-      apiKey: tenant.apiKey,
-      apiSecretKey: tenant.apiSecret,
-      scopes: ["read_orders", "write_orders"],
-      hostName: tenant.shopDomain,
-      apiVersion: tenant.apiVersion || LATEST_API_VERSION,
-    })).clients.Rest({
-      session: { shop: `${tenant.shopDomain}.myshopify.com`, accessToken: `${tenant.accessToken}` },
-    });
-
-    const response = await client.get({ path: `orders/${orderId}/refunds.json` });
-    const refunds = response.body.refunds || [];
-    return refunds.some((refund) => refund.transactions && refund.transactions.length > 0);
-  } catch (err) {
-    console.error(`Refund check failed for ${orderId}:`, err.message);
-    return true; // safer default
-  }
-}
+// 🔹 Utility: Fetch order refunds
+const getOrderRefunds = async (tenant, orderId) => {
+  const { body } = await shopifyClient(tenant).get(`orders/${orderId}/refunds.json`);
+  return body?.refunds || [];
+};
 
 function runMw(req, res, mw) {
   return new Promise((resolve, reject) => {
@@ -59,6 +56,10 @@ function runMw(req, res, mw) {
 }
 
 function inferErrorCode(err) {
+  // ShopifyApiError carries the HTTP status
+  if (err?.status === 429) return "RATE_LIMIT";
+  if (err?.status >= 500) return "SHOPIFY_5XX";
+  if (err?.status) return `SHOPIFY_${err.status}`;
   const msg = (err && (err.code || err.name || err.message || "")).toString().toUpperCase();
   if (msg.includes("RATE") || msg.includes("429")) return "RATE_LIMIT";
   if (msg.includes("ECONN") || msg.includes("TIMEDOUT") || msg.includes("TIMEOUT")) return "NETWORK";
@@ -105,21 +106,173 @@ exports.mapWithConcurrency = mapWithConcurrency;
 
 // 🔹 Utility: Get orders for a customer by phone
 async function getOrdersByPhone(tenant, phone) {
-  const customerSearchUrl = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/customers/search.json`;
-  const customerResponse = await axios.get(customerSearchUrl, {
-    params:{query:`phone:${phone}`},
-    headers: { "X-Shopify-Access-Token": tenant.accessToken },
-  });
+  const shopify = shopifyClient(tenant);
+  const { body: found } = await shopify.get("customers/search.json", { params: { query: `phone:${phone}` } });
 
-  if (!customerResponse.data.customers.length) return null;
-  const customerId = customerResponse.data.customers[0].id;
+  if (!found?.customers?.length) return null;
+  const customerId = found.customers[0].id;
+
+  const { body } = await shopify.get("orders.json", { params: { customer_id: customerId, status: "any", limit: 5 } });
+  return body?.orders || [];
+}
 
-  const ordersUrl = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/orders.json?customer_id=${customerId}&status=any&limit=5`;
-  const ordersResponse = await axios.get(ordersUrl, {
-    headers: { "X-Shopify-Access-Token": tenant.accessToken },
+// 🔹 Utility: Fetch a single order by id
+async function getOrderById(tenant, orderId) {
+  const { body } = await shopifyClient(tenant).get(`orders/${orderId}.json`);
+  return body?.order || null;
+}
+
+// 🔹 Utility: Normalize requested line items (drops entries without a line item id)
+function normalizeLineItems(lineItems) {
+  if (!Array.isArray(lineItems)) return [];
+  const toNum = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  return lineItems
+    .map((item) => ({
+      lineItemId: toNum(item?.lineItemId),
+      quantity: toNum(item?.quantity) ?? 0,
+      amount: toNum(item?.amount),
+      restock_type: item?.restock_type ? String(item.restock_type).toLowerCase() : null,
+      locationId: toNum(item?.locationId),
+    }))
+    .filter((item) => item.lineItemId != null);
+}
+
+function sumLineItems(lineItems) {
+  return lineItems.reduce((sum, item) => sum + Number(item.amount || 0), 0);
+}
+
+// 🔹 Utility: Build the Shopify refund payload (partial by line items, otherwise full)
+const FULL_REFUND_NOTES = {
+  cancel_and_refund: "Full refund via REST API after cancellation",
+  refund_only: "Full refund via REST API without cancellation",
+  refund_shipping_only: "Shipping refund via REST API",
+};
+
+// Order tag for the kind of refund: partial, full or shipping
+function refundTag(lineItems, mode) {
+  if (lineItems.length) return "partial";
+  return mode === "refund_shipping_only" ? "shipping" : "full";
+}
+
+// amount: what to refund in full (Shopify's calculation); falls back to order.total_price,
+// or the shipping charged for refund_shipping_only
+function buildRefundPayload({ order, transaction, lineItems, note, defaultLocationId = null, amount = null, mode = null }) {
+  if (Array.isArray(lineItems) && lineItems.length > 0) {
+    // Partial refund: per-line quantity and restock (see utils/restock.js)
+    return {
+      refund: {
+        refund_line_items: refundLineItems(lineItems, defaultLocationId),
+        transactions: [
+          {
+            parent_id: transaction.id,
+            amount: sumLineItems(lineItems).toFixed(2),
+            kind: "refund",
+            gateway: transaction.gateway,
+          },
+        ],
+        order_id: order.id,
+        note,
+        notify: true,
+      },
+    };
+  }
+
+  return {
+    refund: {
+      transactions: [
+        {
+          parent_id: transaction.id,
+          amount: amount != null
+            ? amount.toFixed(2)
+            : mode === "refund_shipping_only" ? shippingTotal(order).toFixed(2) : order.total_price,
+          kind: "refund",
+          gateway: transaction.gateway,
+        },
+      ],
+      shipping: { full_refund: true },
+      order_id: order.id,
+      note,
+      notify: true,
+    },
+  };
+}
+
+// Full refund amount from Shopify's calculation, so earlier partial refunds,
+// taxes and shipping are counted; null (use the order's figures) if it fails.
+async function fullRefundAmount(shopify, order, transaction, mode = null) {
+  try {
+    const calculation = await calculateRefund(shopify, order, [], { shippingOnly: mode === "refund_shipping_only" });
+    return suggestedAmountFor(calculation, transaction.id);
+  } catch (e) {
+    console.warn("Refund calculation failed; using the order total:", e.message);
+    return null;
+  }
+}
+
+// RefundStat customer key: the rule context's, else the phone or email on the request/order
+function customerKeyFor(req, order) {
+  if (req?.ruleContext?.meta?.customerKey) return req.ruleContext.meta.customerKey;
+  const ph = req.body?.phone || order?.customer?.phone || order?.phone;
+  const em = order?.customer?.email;
+  return ph ? `phone:${String(ph)}` : (em ? `email:${String(em).toLowerCase()}` : null);
+}
+
+// Queue a refund that failed because Shopify was unavailable (see utils/refundRetry.js)
+function queueRefundRetry(req, order, lineItems, err) {
+  if (!order || !isRetryableError(err)) return null;
+  return scheduleRefundRetry({
+    tenantId: req.tenant?._id,
+    customerKey: customerKeyFor(req, order),
+    request: {
+      phone: req.body?.phone || null,
+      orderId: order.id,
+      amount: req.body?.amount ?? null,
+      lineItems,
+      mode: req.ruleContext?.request?.mode || null,
+      reasonCode: req.ruleContext?.request?.reasonCode || null,
+      attachmentIds: req.ruleContext?.request?.attachmentIds || [],
+      note: req.body?.note || null,
+    },
+    actor: req.user?._id || null,
+    err,
+  });
+}
+
+// 202 when the refund was queued for the worker, 502 when it gave up, 503 when
+// it could not be queued; null when the failure is not retryable
+function sendRetryResponse(res, retry) {
+  if (!retry) return null;
+  const details = { queued: retry.queued, state: retry.state, attempt: retry.attemptNo, nextRetryAt: retry.nextRetryAt };
+  if (retry.queued) {
+    return res.status(202).json({
+      message: "Shopify is unavailable. The refund will be retried automatically.",
+      retryScheduled: true,
+      retry: details,
+    });
+  }
+  if (retry.state === "needs_attention") {
+    return res.status(502).json({
+      error: `Shopify is unavailable. The refund was not processed after ${retry.attemptNo} attempts and needs attention.`,
+      retry: details,
+    });
+  }
+  return res.status(503).json({
+    error: "Shopify is unavailable and the refund could not be queued for retry. It was not processed; try again later.",
+    retry: { ...details, reason: retry.reason || null },
   });
+}
 
-  return ordersResponse.data.orders;
+// Fake res for running buildRefundContext outside the route chain; its error
+// responses are turned into thrown errors carrying the payload.
+function contextCaptureRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    locals: {},
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    json(obj) { const e = new Error(obj?.error || "Context build failed"); e._payload = obj; throw e; }
+  };
 }
 
 // (Removed customer name search utility)
@@ -133,9 +286,8 @@ exports.getOrders = async (req, res) => {
     const tenant = req.tenant; // ✅ injected by middleware
 
     // ---------- Branch A: Search by ORDER NAME (GraphQL) ----------
+    const shopify = shopifyClient(tenant);
     if (orderName) {
-      const gqlUrl = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/graphql.json`;
-
       const query = `
         query OrdersByName($first: Int!, $after: String, $q: String!) {
           orders(first: $first, after: $after, query: $q, sortKey: CREATED_AT, reverse: true) {
@@ -202,31 +354,7 @@ exports.getOrders = async (req, res) => {
             q: qstr,
           };
 
-          const resp = await axios.post(
-            gqlUrl,
-            { query, variables },
-            {
-              headers: {
-                "X-Shopify-Access-Token": tenant.accessToken,
-                "Content-Type": "application/json",
-              },
-              // Optional: small timeout to avoid hanging on a bad candidate
-              timeout: 15000,
-            }
-          );
-
-          if (resp.data?.errors?.length) {
-            lastGqlErrors = resp.data.errors;
-            // Continue to next candidate instead of failing hard
-            continue;
-          }
-
-          const data = resp.data?.data;
-          if (!data) {
-            // malformed response; try next candidate
-            lastError = new Error("Empty GraphQL data");
-            continue;
-          }
+          const { data } = await shopify.graphql(query, variables);
 
           edges = data.orders?.edges || [];
           pageInfoGql = data.orders?.pageInfo || { hasNextPage: false, endCursor: null };
@@ -236,8 +364,9 @@ exports.getOrders = async (req, res) => {
             break;
           }
         } catch (err) {
-          // Network/timeout/Auth/etc — record and continue to next candidate
-          lastError = err;
+          // GraphQL errors, network/timeout/auth — record and continue to next candidate
+          if (err.graphqlErrors) lastGqlErrors = err.graphqlErrors;
+          else lastError = err;
           // eslint-disable-next-line no-console
           console.warn("[ordersByName GraphQL candidate failed]", qstr, err?.message || err);
           continue;
@@ -271,11 +400,7 @@ exports.getOrders = async (req, res) => {
             : 0;
           const net = Math.max(0, base - disc);
           return {
-            id: (() => {
-              const gid = String(li.id || "");
-              const m = gid.match(/\/(\d+)$/);
-              return m ? Number(m[1]) : li.id;
-            })(),
+            id: idFromGid(li.id),
             name: li.name,
             quantity: li.quantity,
             price: net.toFixed(2),
@@ -283,11 +408,7 @@ exports.getOrders = async (req, res) => {
         });
 
         return {
-          id: (() => {
-            const gid = String(node.id || "");
-            const m = gid.match(/\/(\d+)$/);
-            return m ? Number(m[1]) : node.id;
-          })(),
+          id: idFromGid(node.id),
           name: node.name,
           created_at: node.createdAt,
           current_subtotal_price: node.currentSubtotalPriceSet?.presentmentMoney?.amount ?? null,
@@ -313,47 +434,39 @@ exports.getOrders = async (req, res) => {
     }
 
     // ---------- Branch B: REST (phone OR date range) ----------
-    let requestUrl;
+    let params;
     if (phone) {
       // Find customer by phone
-      const customerSearchUrl = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/customers/search.json`;
-      const customerResponse = await axios.get(customerSearchUrl, {
+      const { body: found } = await shopify.get("customers/search.json", {
         params: { query: `phone:${phone}` },
-        headers: { "X-Shopify-Access-Token": tenant.accessToken },
       });
 
-      if (!customerResponse.data.customers.length) {
+      if (!found?.customers?.length) {
         return res.status(404).json({ error: "No customer found with this phone number." });
       }
-      const customerId = customerResponse.data.customers[0].id;
-
-      const queryParams = new URLSearchParams({ limit, status: "any", customer_id: customerId });
-      if (page_info) queryParams.append("page_info", page_info);
+      const customerId = found.customers[0].id;
 
-      requestUrl = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/orders.json?${queryParams.toString()}`;
+      params = { limit, status: "any", customer_id: customerId };
+      if (page_info) params.page_info = page_info;
     } else if (startDate && endDate) {
-      const queryParams = new URLSearchParams({
+      params = {
         limit,
         status: "any",
         created_at_min: startDate,
         created_at_max: endDate,
-      });
-      if (page_info) queryParams.append("page_info", page_info);
-
-      requestUrl = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/orders.json?${queryParams.toString()}`;
+      };
+      if (page_info) params.page_info = page_info;
     } else {
       return res.status(400).json({
         error: "Please provide either a phone number, an orderName, or a date range.",
       });
     }
 
-    const response = await axios.get(requestUrl, {
-      headers: { "X-Shopify-Access-Token": tenant.accessToken },
-    });
+    const response = await shopify.get("orders.json", { params });
 
     const pageInfo = parseLinkHeader(response.headers.link);
 
-    const filteredOrders = response.data.orders.map((order) => ({
+    const filteredOrders = (response.body?.orders || []).map((order) => ({
       id: order.id,
       name: order.name,
       created_at: order.created_at,
@@ -395,22 +508,86 @@ exports.getOrders = async (req, res) => {
 // 🔹 Controller: Refund Order by Phone
 // 🔹 Controller: Refund Order by Phone OR Order ID
 exports.refundOrderByPhone = async (req, res) => {
+  // Hoisted so failures can still be written to the ledger
+  let targetOrder = null;
+  let fullAmount = null;
+  const requested = normalizeLineItems(req.body?.lineItems);
+  // Ledger entry, plus a RefundStat attempt unless it succeeded (stats are updated
+  // below). A queued retry adds its attempt number and backoff to the attempt.
+  const ledger = (entry, { retry = null } = {}) => {
+    const record = {
+      req,
+      action: "refund",
+      orderId: targetOrder?.id ?? req.body?.orderId ?? undefined,
+      orderName: targetOrder?.name || null,
+      partial: requested.length > 0,
+      mode: req.ruleContext?.request?.mode || null,
+      lineItems: requested,
+      amount: requested.length ? sumLineItems(requested) : (fullAmount ?? (targetOrder ? Number(targetOrder.total_price) : null)),
+      currency: targetOrder?.currency || null,
+      note: req.body?.note || null,
+      ruleDecision: res.locals.ruleDecision || null,
+      ...entry,
+    };
+    return Promise.all([
+      recordRefundTransaction(record),
+      record.outcome !== "SUCCESS" && recordRefundAttempt({
+        ...record,
+        customerKey: customerKeyFor(req, targetOrder),
+        attemptNo: retry?.attemptNo || 1,
+        backoffMs: retry?.backoffMs || 0,
+      }),
+    ]);
+  };
+
   try {
+    const defaultLocationId = req.tenant?.settings?.defaultLocationId ?? null;
+    const invalidLines = restockProblem(requested, { defaultLocationId });
+    if (invalidLines) return res.status(400).json({ error: invalidLines });
+
+    // Resolved by buildRefundContext so the rules saw the same mode
+    const resolvedMode = req.ruleContext?.request?.mode
+      ? { mode: req.ruleContext.request.mode }
+      : resolveRefundMode(req.body?.mode, requested);
+    if (resolvedMode.error) return res.status(400).json({ error: resolvedMode.error });
+    const refundMode = resolvedMode.mode;
+
     // Approval gate stays the same
     if (res.locals.ruleDecision?.outcome === "REQUIRE_APPROVAL" && res.locals.requiresApproval) {
+      // Capture the full request so approval can replay it against the same order
+      const partial = requested.length > 0;
+      const requestedAmount = req.body.amount != null && Number.isFinite(Number(req.body.amount))
+        ? Number(req.body.amount)
+        : null;
+      const resolvedOrderId = req.body.orderId || req.ruleContext?.order?.id || null;
       const pending = await PendingRefund.create({
         tenant: req.tenant._id,
         requester: req.user._id,
         payload: {
           phone: req.body.phone || null,
-          orderId: req.body.orderId || null,
-          amount: Number(req.body.amount),
-          note: req.body.note || null
+          orderId: resolvedOrderId != null ? String(resolvedOrderId) : null,
+          amount: partial
+            ? sumLineItems(requested)
+            : (requestedAmount ?? req.ruleContext?.refund?.requestedAmount ?? req.ruleContext?.order?.total ?? null),
+          note: req.body.note || null,
+          partial,
+          mode: refundMode,
+          reasonCode: req.ruleContext?.request?.reasonCode || null,
+          lineItems: requested
         },
+        attachments: req.ruleContext?.request?.attachmentIds || [],
         ruleDecision: res.locals.ruleDecision,
         context: req.ruleContext
       });
 
+      await ledger({
+        outcome: "REQUIRE_APPROVAL",
+        orderId: pending.payload.orderId ?? undefined,
+        amount: pending.payload.amount,
+        pendingRefund: pending._id,
+        httpCode: 202,
+      });
+
       return res.status(202).json({
         message: "Approval required. Request recorded.",
         pendingId: pending._id.toString(),
@@ -419,19 +596,14 @@ exports.refundOrderByPhone = async (req, res) => {
     }
 
     const tenant = req.tenant;
-  const { phone, orderId, lineItems } = req.body;
+  const { phone, orderId } = req.body;
   const note = req.body.note || null;
+  const reasonCode = req.ruleContext?.request?.reasonCode || null;
 
     // --- Resolve target order by orderId (preferred) or by phone ---
-    let targetOrder = null;
-
     if (orderId) {
       // Fetch order directly by ID (works without phone)
-      const url = `https://${tenant.shopDomain}.myshopify.com/admin/api/${tenant.apiVersion}/orders/${orderId}.json`;
-      const r = await axios.get(url, {
-        headers: { "X-Shopify-Access-Token": tenant.accessToken },
-      });
-      targetOrder = r.data?.order || null;
+      targetOrder = await getOrderById(tenant, orderId);
 
       if (!targetOrder) {
         return res.status(404).json({ error: "Order not found for provided orderId." });
@@ -447,101 +619,70 @@ exports.refundOrderByPhone = async (req, res) => {
       return res.status(400).json({ error: "Provide either orderId or phone." });
     }
 
-    // Optional: early bail if (accidentally) refunded
-    // const alreadyRefunded = await hasRefunds(tenant, targetOrder.id);
-    // if (alreadyRefunded) return res.status(400).json({ error: "This order has already been refunded." });
+    const lineMismatch = restockProblem(requested, { order: targetOrder, defaultLocationId });
+    if (lineMismatch) {
+      await ledger({ outcome: "ERROR", httpCode: 400, errorCode: "INVALID_LINE_ITEMS", errorMsg: lineMismatch });
+      return res.status(400).json({ error: lineMismatch });
+    }
 
     // Need a successful parent transaction to refund
     const transactions = await getOrderTransactions(tenant, targetOrder.id);
     const successfulTransaction = transactions.find((t) => t.status === "success");
-    if (!successfulTransaction)
+    if (!successfulTransaction) {
+      await ledger({ outcome: "ERROR", httpCode: 400, errorCode: "NO_TRANSACTION", errorMsg: "No successful transaction found for this order." });
       return res.status(400).json({ error: "No successful transaction found for this order." });
+    }
 
-    const client = new (shopifyApi({
-      apiKey: tenant.apiKey,
-      apiSecretKey: tenant.apiSecret,
-      scopes: ["read_orders", "write_orders"],
-      hostName: tenant.shopDomain,
-      apiVersion: tenant.apiVersion || LATEST_API_VERSION,
-    })).clients.Rest({
-      session: { shop: `${tenant.shopDomain}.myshopify.com`, accessToken: tenant.accessToken },
-    });
+    const shopify = shopifyClient(tenant);
 
     // --- Build refund payload (partial vs full) ---
-    let refundPayload;
-    if (Array.isArray(lineItems) && lineItems.length > 0) {
-      // Partial refund (no restock by default)
-      refundPayload = {
-        refund: {
-          refund_line_items: lineItems.map((item) => ({
-            line_item_id: item.lineItemId,
-            quantity: 0, // quantity 0 when refunding by amount only; set >0 if you intend restock/returns
-            restock_type: "no_restock",
-            location_id: 104836956455, // optional: remove/hardcode per tenant config
-          })),
-          transactions: [
-            {
-              parent_id: successfulTransaction.id,
-              amount: lineItems
-                .reduce((sum, item) => sum + parseFloat(item.amount || 0), 0)
-                .toFixed(2),
-              kind: "refund",
-              gateway: successfulTransaction.gateway,
-            },
-          ],
-          order_id: targetOrder.id,
-            note: note || "Partial refund via REST API",
-          notify: true,
-        },
-      };
-    } else {
-      // Full refund (cancel + refund)
+    if (requested.length === 0) {
+      fullAmount = await fullRefundAmount(shopify, targetOrder, successfulTransaction, refundMode);
+      if (fullAmount === 0) {
+        await ledger({ outcome: "ERROR", httpCode: 400, errorCode: "NOTHING_TO_REFUND", errorMsg: "Nothing left to refund on this order." });
+        return res.status(400).json({ error: "Nothing left to refund on this order." });
+      }
+    }
+
+    // Already cancelled when a retry replays a refund whose cancel went through
+    if (refundMode === "cancel_and_refund" && requested.length === 0 && !targetOrder.cancelled_at) {
+      // Full refund (cancel + refund); refund_only and refund_shipping_only keep the order as it is
       try {
-        await client.post({
-          path: `orders/${targetOrder.id}/cancel`,
-          data: { email: true, reason: "customer" },
-          type: "application/json",
-        });
+        await shopify.post(`orders/${targetOrder.id}/cancel.json`, { email: true, reason: "customer" });
       } catch (cancelErr) {
         console.error("Order cancellation failed:", cancelErr.message);
-        return res.status(500).json({ error: "Order cancellation failed. Refund not processed." });
+        const retry = await queueRefundRetry(req, targetOrder, requested, cancelErr);
+        await ledger(
+          { outcome: "ERROR", httpCode: 500, errorCode: inferErrorCode(cancelErr), errorMsg: `Order cancellation failed: ${cancelErr.message}` },
+          { retry }
+        );
+        return sendRetryResponse(res, retry) || res.status(500).json({ error: "Order cancellation failed. Refund not processed." });
       }
-
-      refundPayload = {
-        refund: {
-          transactions: [
-            {
-              parent_id: successfulTransaction.id,
-              amount: targetOrder.total_price,
-              kind: "refund",
-              gateway: successfulTransaction.gateway,
-            },
-          ],
-          shipping: { full_refund: true },
-          order_id: targetOrder.id,
-          note: note || "Full refund via REST API after cancellation",
-          notify: true,
-        },
-      };
     }
 
-    // --- Execute refund ---
-    const response = await client.post({
-      path: `orders/${targetOrder.id}/refunds`,
-      data: refundPayload,
-      type: "application/json",
+    const refundPayload = buildRefundPayload({
+      order: targetOrder,
+      transaction: successfulTransaction,
+      lineItems: requested,
+      note: reasonNote(findRefundReason(tenant, reasonCode), note || (requested.length ? "Partial refund via REST API" : FULL_REFUND_NOTES[refundMode])),
+      defaultLocationId,
+      amount: fullAmount,
+      mode: refundMode,
     });
 
+    // --- Execute refund ---
+    const response = await shopify.post(`orders/${targetOrder.id}/refunds.json`, refundPayload);
+
     // Best-effort tagging (optional)
     try {
       const tags = [
         'Techit_refunds_app',
         `refunded_by:${req.user?.email}`,
-        `${Array.isArray(lineItems) && lineItems.length > 0 ? 'partial' : 'full'}`
-      ];
+        refundTag(requested, refundMode),
+        reasonTag(reasonCode),
+      ].filter(Boolean);
       await appendOrderTags({
-        shopDomain: req.tenant.shopDomain,
-        accessToken: req.tenant.accessToken,
+        tenant: req.tenant,
         orderId: targetOrder.id,
         tagsToAdd: tags,
         overwrite: false
@@ -551,13 +692,8 @@ exports.refundOrderByPhone = async (req, res) => {
     }
 
     // --- Update RefundStat (idempotency guarded via Redis) ---
+    const customerKey = customerKeyFor(req, targetOrder);
     try {
-      let customerKey = req?.ruleContext?.meta?.customerKey || null;
-      if (!customerKey) {
-        const ph = req.body?.phone || targetOrder?.customer?.phone || targetOrder?.phone;
-        const em = targetOrder?.customer?.email;
-        customerKey = ph ? `phone:${String(ph)}` : (em ? `email:${String(em).toLowerCase()}` : null);
-      }
 
       const refundId = response?.body?.refund?.id || response?.body?.refund?.admin_graphql_api_id || null;
       let canIncrement = true;
@@ -568,9 +704,9 @@ exports.refundOrderByPhone = async (req, res) => {
       }
 
       if (customerKey && canIncrement) {
-        const amountNum = Number(Array.isArray(lineItems) && lineItems.length
-          ? lineItems.reduce((s,i)=>s+Number(i.amount||0),0)
-          : targetOrder.total_price);
+        const amountNum = Number(requested.length
+          ? sumLineItems(requested)
+          : (fullAmount ?? targetOrder.total_price));
         await RefundStat.updateOne(
           { tenant: req.tenant._id, customer: customerKey },
           {
@@ -578,17 +714,16 @@ exports.refundOrderByPhone = async (req, res) => {
             $set: {
               user: req.user._id, // last actor for convenience
               lastRefundAt: new Date(),
+              lastAttemptAt: new Date(),
               lastIp: req.ip || null,
               lastOutcome: "SUCCESS",
               lastErrorCode: null,
               lastErrorMsg: null,
               lastOrderId: String(targetOrder.id),
               lastAmount: amountNum,
-              lastPartial: Array.isArray(lineItems) && lineItems.length > 0,
+              lastPartial: requested.length > 0,
               lastRuleSetId: res.locals?.ruleDecision?.ruleSetId || req.ruleContext?.ruleSetId || null,
               lastRulesVer: res.locals?.ruleDecision?.rulesVersion || req.ruleContext?.rulesVersion || null,
-              retryCount: 0,
-              nextRetryAt: null,
               lastRefundId: response?.body?.refund?.id || null,
             },
             $push: {
@@ -606,9 +741,10 @@ exports.refundOrderByPhone = async (req, res) => {
                   note: note || null,
                   orderId: String(targetOrder.id),
                   amount: amountNum,
-                  partial: Array.isArray(lineItems) && lineItems.length > 0,
+                  partial: requested.length > 0,
                   ruleSetId: res.locals?.ruleDecision?.ruleSetId || req.ruleContext?.ruleSetId || null,
                   rulesVer: res.locals?.ruleDecision?.rulesVersion || req.ruleContext?.rulesVersion || null,
+                  reasonCode,
                 }],
                 $slice: -25
               }
@@ -621,136 +757,322 @@ exports.refundOrderByPhone = async (req, res) => {
       console.error("RefundStat update failed:", e.message);
       // non-fatal
     }
+    // A queued retry for this order is done (manual refund or the worker's replay)
+    await clearRefundRetry({ tenantId: req.tenant._id, orderId: targetOrder.id });
+
+    const refund = response?.body?.refund || null;
+    await ledger({
+      outcome: "SUCCESS",
+      shopifyRefundId: refund?.id != null ? String(refund.id) : null,
+      gateway: successfulTransaction.gateway || null,
+      parentTransactionId: String(successfulTransaction.id),
+      httpCode: 200,
+    });
 
-    return res.status(200).json({ refund: response?.body?.refund || null });
+    return res.status(200).json({ refund });
   } catch (err) {
     console.error("Refund failed:", err.message);
+    const retry = await queueRefundRetry(req, targetOrder, requested, err);
+    await ledger({ outcome: "ERROR", httpCode: 500, errorCode: inferErrorCode(err), errorMsg: err.message }, { retry });
+    return sendRetryResponse(res, retry) || res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+
+const PENDING_STATUSES = ["PENDING", "PROCESSING", "APPROVED", "DENIED"];
+
+// Sortable inbox fields; `-` in front sorts descending
+const PENDING_SORT_FIELDS = { createdAt: "createdAt", status: "status", amount: "payload.amount" };
+
+function pendingSort(sort) {
+  const value = String(sort).trim();
+  const desc = value.startsWith("-");
+  const name = desc ? value.slice(1) : value;
+  if (!Object.hasOwn(PENDING_SORT_FIELDS, name)) return null;
+  return { [PENDING_SORT_FIELDS[name]]: desc ? -1 : 1 };
+}
+
+// Requester/resolver refs are populated including deactivated users so the
+// inbox still shows who filed a request after the agent has left.
+const PENDING_POPULATE = [
+  { path: "requester", select: "name email role", options: { includeInactive: true } },
+  { path: "resolvedBy", select: "name email role", options: { includeInactive: true } },
+  { path: "tenant", select: "name" },
+  { path: "attachments", select: "orderId originalName mimeType size uploadedBy createdAt" },
+];
+
+// 🔹 Controller: List pending refunds (supervisor inbox)
+// Query params: page, limit, sort, status, requester, from, to
+exports.listPendingRefunds = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      sort = "-createdAt",
+      status,
+      requester,
+      from,
+      to,
+    } = req.query || {};
+
+    const sortBy = pendingSort(sort);
+    if (!sortBy) {
+      return res.status(400).json({
+        error: `Invalid sort: ${sort}. Use createdAt, status or amount, with an optional - prefix`,
+      });
+    }
+
+    const filter = {};
+    // Tenant scoping: enforce the resolved tenant; x-tenant-id=ALL lists across tenants
+    if (req.tenant?._id) filter.tenant = req.tenant._id;
+
+    if (status) {
+      const wanted = String(status)
+        .split(",")
+        .map((s) => s.trim().toUpperCase())
+        .filter(Boolean);
+      const invalid = wanted.filter((s) => !PENDING_STATUSES.includes(s));
+      if (invalid.length) {
+        return res.status(400).json({ error: `Invalid status: ${invalid.join(", ")}` });
+      }
+      filter.status = wanted.length === 1 ? wanted[0] : { $in: wanted };
+    }
+
+    if (requester) {
+      if (!mongoose.isValidObjectId(String(requester))) {
+        return res.status(400).json({ error: "Invalid requester id" });
+      }
+      filter.requester = String(requester);
+    }
+
+    if (from || to) {
+      const start = from ? new Date(String(from)) : null;
+      const end = to ? new Date(String(to)) : null;
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return res.status(400).json({ error: "from/to must be valid dates" });
+      }
+      filter.createdAt = {};
+      if (start) filter.createdAt.$gte = start;
+      if (end) filter.createdAt.$lte = end;
+    }
+
+    const p = Math.max(1, parseInt(page) || 1);
+    const l = Math.max(1, Math.min(200, parseInt(limit) || 20));
+
+    const [items, total] = await Promise.all([
+      PendingRefund.find(filter)
+        .sort(sortBy)
+        .skip((p - 1) * l)
+        .limit(l)
+        .populate(PENDING_POPULATE)
+        .lean(),
+      PendingRefund.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      status: "success",
+      results: items.length,
+      page: p,
+      limit: l,
+      total,
+      data: { data: items },
+    });
+  } catch (err) {
+    console.error("listPendingRefunds failed:", err.message);
     return res.status(500).json({ error: "Internal Server Error" });
   }
 };
 
+// 🔹 Controller: Inspect a single pending refund (ruleDecision + context snapshot)
+exports.getPendingRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(String(id))) {
+      return res.status(400).json({ error: "Invalid pending refund id" });
+    }
+
+    const filter = { _id: id };
+    if (req.tenant?._id) filter.tenant = req.tenant._id;
+
+    const pending = await PendingRefund.findOne(filter).populate(PENDING_POPULATE).lean();
+    if (!pending) {
+      return res.status(404).json({ error: "Pending refund not found" });
+    }
+
+    return res.status(200).json({ status: "success", data: { data: pending } });
+  } catch (err) {
+    console.error("getPendingRefund failed:", err.message);
+    return res.status(500).json({ error: "Internal Server Error" });
+  }
+};
 
 exports.approvePendingRefund = async (req, res) => {
+  // Hoisted so failures after the pending record is loaded reach the ledger
+  let pending = null;
+  let targetOrder = null;
+  let fullAmount = null;
+  let replayReq = null;
+  let replayDecision = null;
+  const customerKey = () => customerKeyFor(replayReq || { ruleContext: pending.context, body: pending.payload }, targetOrder);
+  // Ledger entry, plus a RefundStat attempt when the approved refund failed
+  const ledger = (entry) => {
+    const lineItems = normalizeLineItems(pending.payload.lineItems);
+    const record = {
+      req,
+      ruleContext: replayReq?.ruleContext || pending.context || null,
+      action: 'approve',
+      requester: pending.requester,
+      pendingRefund: pending._id,
+      orderId: targetOrder?.id ?? pending.payload.orderId ?? undefined,
+      orderName: targetOrder?.name || null,
+      partial: lineItems.length > 0,
+      mode: resolveRefundMode(pending.payload.mode, lineItems).mode,
+      lineItems,
+      amount: lineItems.length ? sumLineItems(lineItems) : (fullAmount ?? (targetOrder ? Number(targetOrder.total_price) : pending.payload.amount)),
+      currency: targetOrder?.currency || null,
+      note: pending.resolutionNote || String(req.body?.comment || '').trim() || null,
+      ruleDecision: replayDecision || pending.ruleDecision || null,
+      ...entry,
+    };
+    return Promise.all([
+      recordRefundTransaction(record),
+      record.outcome !== 'SUCCESS' && recordRefundAttempt({ ...record, customerKey: customerKey() }),
+    ]);
+  };
+
   try {
     const { pendingId } = req.params;
     const tenant = req.tenant;
+    const comment = String(req.body?.comment || '').trim() || null;
 
-    const pending = await PendingRefund.findOne({
-      _id: pendingId,
-      tenant: tenant._id,
-      status: 'pending'
-    });
+    // Claim it before anything else so a second approve or deny cannot run alongside
+    pending = await claimPendingRefund({ pendingId, tenantId: tenant._id, userId: req.user._id });
     if (!pending) {
+      const current = await PendingRefund.findOne({ _id: pendingId, tenant: tenant._id }).select('status').lean();
+      if (current?.status === 'PROCESSING') {
+        return res.status(409).json({ error: 'This refund is already being approved' });
+      }
       return res.status(404).json({ error: 'Pending refund not found or not pending' });
     }
 
-  const { phone, orderId, lineItems, note } = pending.payload;
+    const { phone, note } = pending.payload;
+    const lineItems = normalizeLineItems(pending.payload.lineItems);
+    const partial = lineItems.length > 0;
+    const orderId = pendingOrderId(pending);
 
-    // --- Fetch target order again (fresh check) ---
-    const orders = await getOrdersByPhone(tenant, phone);
-    if (!orders || orders.length === 0) {
-      return res.status(404).json({ error: 'No orders found for this phone number.' });
+    // --- Fetch the exact order the agent requested (fresh check) ---
+    if (orderId) {
+      targetOrder = await getOrderById(tenant, orderId);
+    } else if (phone) {
+      const orders = await getOrdersByPhone(tenant, phone);
+      targetOrder = orders && orders.length ? orders[0] : null;
     }
-    const targetOrder = orderId
-      ? orders.find(o => String(o.id) === String(orderId))
-      : orders[0];
     if (!targetOrder) {
-      return res.status(404).json({ error: 'Order not found for this customer.' });
+      return res.status(404).json({ error: 'Order for this pending refund was not found.' });
+    }
+
+    // --- Re-evaluate rules against the same request to report drift since filing ---
+    replayReq = {
+      ...req,
+      body: approvalReplayBody(pending, targetOrder, lineItems),
+      // Requests filed before reason codes existed have none
+      refundReasonOptional: true,
+      ruleContext: undefined,
+      requestMemo: new Map(),
+    };
+    const refundMode = replayReq.body.mode;
+    let drift;
+    try {
+      await runMw(replayReq, contextCaptureRes(), buildRefundContext);
+      // Evaluate as the original requester so approver privileges do not mask changes
+      if (pending.context?.user) replayReq.ruleContext.user = pending.context.user;
+      // Agent limits were loaded for the approver; compare against the requester's
+      if (pending.context) replayReq.ruleContext.agent = pending.context.agent ?? null;
+      replayDecision = evaluateRefundRules(replayReq.ruleContext);
+      drift = describeDrift(pending.ruleDecision, replayDecision);
+    } catch (e) {
+      // Drift is informational; the supervisor's approval still stands
+      console.warn('approvePendingRefund: rule replay failed (non-fatal):', e.message);
+      drift = { ...describeDrift(pending.ruleDecision, null), changed: null, error: e.message };
     }
 
     // --- Standard refund execution (same as refundOrderByPhone) ---
-    const alreadyRefunded = await hasRefunds(tenant, targetOrder.id);
-    if (alreadyRefunded) {
-      return res.status(400).json({ error: 'This order has already been refunded.' });
+    // Only a refund made since the request was filed blocks it; earlier partial refunds do not
+    let refunds;
+    try {
+      refunds = await getOrderRefunds(tenant, targetOrder.id);
+    } catch (e) {
+      console.error(`Refund check failed for ${targetOrder.id}:`, e.message);
+      await ledger({ outcome: 'ERROR', httpCode: 502, errorCode: 'REFUND_CHECK_FAILED', errorMsg: e.message });
+      return res.status(502).json({ error: "Could not check the order's refunds in Shopify. Try again.", drift });
+    }
+    if (refundAfterRequest(refunds, pending)) {
+      await ledger({ outcome: 'ERROR', httpCode: 400, errorCode: 'ALREADY_REFUNDED', errorMsg: 'This order was refunded after the request was filed.' });
+      return res.status(400).json({ error: 'This order was refunded after the request was filed.', drift });
+    }
+
+    // Restock locations resolve against the store's current default
+    const defaultLocationId = tenant.settings?.defaultLocationId ?? null;
+    const lineMismatch = restockProblem(lineItems, { order: targetOrder, defaultLocationId });
+    if (lineMismatch) {
+      await ledger({ outcome: 'ERROR', httpCode: 400, errorCode: 'INVALID_LINE_ITEMS', errorMsg: lineMismatch });
+      return res.status(400).json({ error: lineMismatch, drift });
     }
 
     const transactions = await getOrderTransactions(tenant, targetOrder.id);
     const successfulTransaction = transactions.find(t => t.status === 'success');
     if (!successfulTransaction) {
-      return res.status(400).json({ error: 'No successful transaction found for this order.' });
+      await ledger({ outcome: 'ERROR', httpCode: 400, errorCode: 'NO_TRANSACTION', errorMsg: 'No successful transaction found for this order.' });
+      return res.status(400).json({ error: 'No successful transaction found for this order.', drift });
     }
 
-    const client = new (shopifyApi({
-      apiKey: tenant.apiKey,
-      apiSecretKey: tenant.apiSecret,
-      scopes: ['read_orders', 'write_orders'],
-      hostName: tenant.shopDomain,
-      apiVersion: tenant.apiVersion || LATEST_API_VERSION,
-    })).clients.Rest({
-      session: { shop: tenant.shopDomain, accessToken: tenant.accessToken },
-    });
+    const shopify = shopifyClient(tenant);
 
-    let refundPayload;
-    if (lineItems && lineItems.length > 0) {
-      refundPayload = {
-        refund: {
-          refund_line_items: lineItems.map(item => ({
-            line_item_id: item.lineItemId,
-            quantity: item.quantity,
-            restock_type: item.restock_type || 'return',
-            location_id: item.locationId || null,
-          })),
-          transactions: [
-            {
-              parent_id: successfulTransaction.id,
-              amount: lineItems.reduce((sum, i) => sum + parseFloat(i.amount || 0), 0).toFixed(2),
-              kind: 'refund',
-              gateway: successfulTransaction.gateway,
-            },
-          ],
-          order_id: targetOrder.id,
-          note: note || 'Partial refund approved by supervisor',
-          notify: true,
-        },
-      };
-    } else {
+    if (!partial) {
       // Full refund
+      fullAmount = await fullRefundAmount(shopify, targetOrder, successfulTransaction, refundMode);
+      if (fullAmount === 0) {
+        await ledger({ outcome: 'ERROR', httpCode: 400, errorCode: 'NOTHING_TO_REFUND', errorMsg: 'Nothing left to refund on this order.' });
+        return res.status(400).json({ error: 'Nothing left to refund on this order.', drift });
+      }
+    }
+
+    if (!partial && refundMode === 'cancel_and_refund') {
       try {
-        await client.post({
-          path: `orders/${targetOrder.id}/cancel`,
-          data: { email: true, reason: 'customer' },
-          type: 'application/json',
-        });
+        await shopify.post(`orders/${targetOrder.id}/cancel.json`, { email: true, reason: 'customer' });
       } catch (cancelErr) {
         console.error('Order cancellation failed:', cancelErr.message);
-        return res.status(500).json({ error: 'Order cancellation failed. Refund not processed.' });
+        await ledger({ outcome: 'ERROR', httpCode: 500, errorCode: inferErrorCode(cancelErr), errorMsg: `Order cancellation failed: ${cancelErr.message}` });
+        return res.status(500).json({ error: 'Order cancellation failed. Refund not processed.', drift });
       }
-
-      refundPayload = {
-        refund: {
-          transactions: [
-            {
-              parent_id: successfulTransaction.id,
-              amount: targetOrder.total_price,
-              kind: 'refund',
-              gateway: successfulTransaction.gateway,
-            },
-          ],
-          shipping: { full_refund: true },
-          order_id: targetOrder.id,
-          note: note || 'Full refund approved by supervisor',
-          notify: true,
-        },
-      };
     }
 
-    const response = await client.post({
-      path: `orders/${targetOrder.id}/refunds`,
-      data: refundPayload,
-      type: 'application/json',
+    const refundPayload = buildRefundPayload({
+      order: targetOrder,
+      transaction: successfulTransaction,
+      lineItems,
+      note: reasonNote(
+        findRefundReason(tenant, pending.payload.reasonCode),
+        note || `${partial ? 'Partial' : refundMode === 'refund_shipping_only' ? 'Shipping' : 'Full'} refund approved by supervisor`
+      ),
+      defaultLocationId,
+      amount: fullAmount,
+      mode: refundMode,
     });
 
+    const response = await shopify.post(`orders/${targetOrder.id}/refunds.json`, refundPayload);
+
     // Append tags on successful approved refund (best-effort)
     try {
       const tags = [
         'refunded_via_portal',
         'approved_by_supervisor',
         `refunded_by:${req.user?.name || req.user?.email || req.user?._id || 'unknown'}`,
-        `${Array.isArray(lineItems) && lineItems.length > 0 ? 'partial' : 'full'}`
-      ];
+        refundTag(lineItems, refundMode),
+        reasonTag(pending.payload.reasonCode),
+      ].filter(Boolean);
       await appendOrderTags({
-        shopDomain: req.tenant.shopDomain,
-        accessToken: req.tenant.accessToken,
+        tenant: req.tenant,
         orderId: targetOrder.id,
         tagsToAdd: tags,
         overwrite: false
@@ -760,25 +1082,30 @@ exports.approvePendingRefund = async (req, res) => {
     }
 
   // --- Mark pending as approved ---
-    pending.status = 'approved';
-    pending.approvedBy = req.user._id;
-    pending.approvedAt = new Date();
+    pending.status = 'APPROVED';
+    pending.resolvedBy = req.user._id;
+    pending.resolvedAt = new Date();
+    pending.resolutionNote = comment;
+    pending.replayDecision = replayDecision;
     await pending.save();
 
     // --- Update RefundStat on approved path as well ---
     try {
-      let customerKey = req?.ruleContext?.meta?.customerKey || null;
-      if (!customerKey) {
-        const phone = pending?.payload?.phone || targetOrder?.customer?.phone || targetOrder?.phone;
-        const email = targetOrder?.customer?.email;
-        customerKey = phone ? `phone:${String(phone)}` : (email ? `email:${String(email).toLowerCase()}` : null);
-      }
-      if (customerKey) {
+      const statCustomer = customerKey();
+      if (statCustomer) {
         await RefundStat.updateOne(
-          { tenant: req.tenant._id, customer: customerKey },
+          { tenant: req.tenant._id, customer: statCustomer },
           {
-            $inc: { totalCount: 1 },
-            $set: { user: req.user._id, lastRefundAt: new Date(), lastIp: req.ip || null },
+            $inc: { totalCount: 1, successCount: 1 },
+            $set: {
+              user: req.user._id,
+              lastRefundAt: new Date(),
+              lastAttemptAt: new Date(),
+              lastIp: req.ip || null,
+              lastOutcome: 'SUCCESS',
+              lastErrorCode: null,
+              lastErrorMsg: null,
+            },
             $push: {
               attempts: {
                 $each: [{
@@ -792,8 +1119,9 @@ exports.approvePendingRefund = async (req, res) => {
                   backoffMs: 0,
                   actor: req.user._id,
                   orderId: String(targetOrder.id),
-                  amount: Array.isArray(lineItems) && lineItems.length > 0 ? lineItems.reduce((sum, i) => sum + Number(i.amount || 0), 0) : Number(targetOrder.total_price || 0),
-                  partial: Array.isArray(lineItems) && lineItems.length > 0,
+                  amount: partial ? sumLineItems(lineItems) : Number(fullAmount ?? targetOrder.total_price ?? 0),
+                  partial,
+                  reasonCode: pending.payload.reasonCode || null,
                 }],
                 $slice: -25
               }
@@ -806,14 +1134,32 @@ exports.approvePendingRefund = async (req, res) => {
       console.error('RefundStat update (approve) failed:', e.message);
     }
 
+    const refund = response?.body?.refund || null;
+    await ledger({
+      outcome: 'SUCCESS',
+      shopifyRefundId: refund?.id != null ? String(refund.id) : null,
+      gateway: successfulTransaction.gateway || null,
+      parentTransactionId: String(successfulTransaction.id),
+      httpCode: 200,
+    });
+
     return res.status(200).json({
       message: 'Refund executed successfully',
-      refund: response?.body?.refund || null,
-      pendingId: pending._id.toString()
+      refund,
+      pendingId: pending._id.toString(),
+      drift
     });
   } catch (err) {
     console.error('approvePendingRefund failed:', err.message);
+    if (pending) {
+      await ledger({ outcome: 'ERROR', httpCode: 500, errorCode: inferErrorCode(err), errorMsg: err.message });
+    }
     return res.status(500).json({ error: 'Internal Server Error' });
+  } finally {
+    // Anything short of a refund hands the request back to the inbox
+    if (pending?.status === 'PROCESSING') {
+      await releasePendingRefund(pending).catch((e) => console.error('releasePendingRefund failed:', e.message));
+    }
   }
 };
 
@@ -821,20 +1167,50 @@ exports.denyPendingRefund = async (req, res) => {
   try {
     const { pendingId } = req.params;
     const tenant = req.tenant;
+    const comment = String(req.body?.comment || '').trim();
+    if (!comment) {
+      return res.status(400).json({ error: 'A comment is required to deny a refund' });
+    }
 
-    const pending = await PendingRefund.findOne({
-      _id: pendingId,
-      tenant: tenant._id,
-      status: 'pending'
-    });
+    // Atomic, so a deny cannot land on a request an approval has claimed
+    const pending = await PendingRefund.findOneAndUpdate(
+      { _id: pendingId, tenant: tenant._id, status: 'PENDING' },
+      { $set: { status: 'DENIED', resolvedBy: req.user._id, resolvedAt: new Date(), resolutionNote: comment } },
+      { new: true }
+    );
     if (!pending) {
+      const current = await PendingRefund.findOne({ _id: pendingId, tenant: tenant._id }).select('status').lean();
+      if (current?.status === 'PROCESSING') {
+        return res.status(409).json({ error: 'This refund is being approved and cannot be denied' });
+      }
       return res.status(404).json({ error: 'Pending refund not found or not pending' });
     }
 
-    pending.status = 'denied';
-    pending.deniedBy = req.user._id;
-    pending.deniedAt = new Date();
-    await pending.save();
+    const lineItems = normalizeLineItems(pending.payload.lineItems);
+    const record = {
+      req,
+      ruleContext: pending.context || null,
+      action: 'deny',
+      outcome: 'DENY',
+      requester: pending.requester,
+      pendingRefund: pending._id,
+      orderId: pending.payload.orderId ?? undefined,
+      partial: lineItems.length > 0,
+      lineItems,
+      amount: pending.payload.amount ?? null,
+      note: comment,
+      ruleDecision: pending.ruleDecision || null,
+      httpCode: 200,
+    };
+    await Promise.all([
+      recordRefundTransaction(record),
+      recordRefundAttempt({
+        ...record,
+        customerKey: customerKeyFor({ ruleContext: pending.context, body: pending.payload }, null),
+        errorCode: 'SUPERVISOR_DENIED',
+        errorMsg: comment,
+      }),
+    ]);
 
     return res.status(200).json({
       message: 'Pending refund denied',
@@ -866,7 +1242,9 @@ exports.bulkPreviewRefunds = async (req, res) => {
         phone: item.phone || defaultPhone || null,
         orderId: item.orderId || null,
         amount: item.amount,
-        lineItems: Array.isArray(item.lineItems) ? item.lineItems : []
+        lineItems: Array.isArray(item.lineItems) ? item.lineItems : [],
+        mode: item.mode || null,
+        reasonCode: item.reasonCode || req.body?.reasonCode || null
       };
 
       // Fake req/res to reuse buildRefundContext
@@ -875,18 +1253,14 @@ exports.bulkPreviewRefunds = async (req, res) => {
         tenant,
         user,
         body: payload,
+        // Previews may be run before a reason is picked or files are attached
+        refundReasonOptional: true,
+        refundPreview: true,
         ruleContext: undefined,
         requestMemo,
         cashbackLookupOptions: { useRedisCache: true },
       };
-      const fakeRes = {
-        statusCode: 200,
-        headers: {},
-        locals: {},
-        status(code) { this.statusCode = code; return this; },
-        setHeader(name, value) { this.headers[name] = value; },
-        json(obj) { const e = new Error(obj?.error || "Context build failed"); e._payload = obj; throw e; }
-      };
+      const fakeRes = contextCaptureRes();
 
       // Execute the context builder (I/O overlaps across workers)
       await runMw(fakeReq, fakeRes, buildRefundContext);
@@ -913,6 +1287,10 @@ exports.bulkPreviewRefunds = async (req, res) => {
         rulesVersion: fakeReq.ruleContext.rulesVersion,
         ruleSetId: fakeReq.ruleContext.ruleSetId,
         attemptsToday: fakeReq.ruleContext.meta?.attemptsToday,
+        attemptsTodayStatus: fakeReq.ruleContext.meta?.attemptsTodayStatus || "unknown",
+        // Mode the decision was made for, and the modes the ruleset allows (null = all)
+        refundMode: fakeReq.ruleContext.request?.mode || null,
+        allowedRefundModes: fakeReq.ruleContext.rules?.allowedRefundModes?.length ? fakeReq.ruleContext.rules.allowedRefundModes : null,
         daysSinceDelivery: fakeReq.ruleContext.meta?.daysSinceDelivery,
         cashbackStatus: fakeReq.ruleContext.meta?.cashbackStatus || "unavailable",
         availableBalance: fakeReq.ruleContext.meta?.availableBalance ?? null,
@@ -960,3 +1338,165 @@ exports.bulkPreviewRefunds = async (req, res) => {
     return res.status(500).json({ error: "Failed to preview refunds in bulk" });
   }
 };
+
+// Batches up to this size are answered when done; larger ones return 202 and run in the background
+const BULK_SYNC_LIMIT = 10;
+
+function bulkJobView(job) {
+  return {
+    jobId: job._id.toString(),
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    counts: job.counts,
+    results: job.results,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Run every item of a job through the /refund chain, recording each result as it lands.
+ * Items run one at a time: customer refund counts, the tenant budget and agent
+ * limits only see refunds that finished, so two items in flight could both pass
+ * a limit that allows one. Each recorded result also keeps the job's updatedAt
+ * fresh, which is how failStaleJobs tells a running job from an interrupted one.
+ */
+async function runBulkRefundJob(job, req, chain = [buildRefundContext, applyRefundRules, exports.refundOrderByPhone]) {
+  const { phone: defaultPhone, reasonCode: defaultReason, items } = job.request;
+  await BulkRefundJob.updateOne({ _id: job._id }, { $set: { status: "running", startedAt: new Date() } });
+
+  // No retries: a refund that failed halfway must not be sent again
+  for (let idx = 0; idx < items.length; idx++) {
+    const item = items[idx];
+    let result;
+    try {
+      const itemReq = {
+        ...req,
+        body: bulkItemPayload(item, defaultPhone, defaultReason),
+        ruleContext: undefined,
+        // per item, so refund counts include the items before it
+        requestMemo: new Map(),
+      };
+      const response = await runChain(itemReq, chain);
+      result = bulkItemResult(idx, item, response);
+    } catch (err) {
+      console.error(`[bulkRefund] item ${idx} failed:`, err.message);
+      result = bulkItemResult(idx, item, { statusCode: 500, body: { error: err.message || "Refund failed" } });
+    }
+    await BulkRefundJob.updateOne(
+      { _id: job._id },
+      { $set: { [`results.${idx}`]: result }, $inc: { processed: 1, [`counts.${result.status}`]: 1 } }
+    );
+  }
+
+  return BulkRefundJob.findByIdAndUpdate(
+    job._id,
+    { $set: { status: "completed", finishedAt: new Date() } },
+    { new: true }
+  );
+}
+exports.runBulkRefundJob = runBulkRefundJob;
+
+// 🔹 Controller: Execute refunds in bulk (same body as bulk preview)
+// Body: { phone?, reasonCode?, items: [{ orderId?, phone?, amount?, lineItems?, mode?, reasonCode?, note? }] }
+exports.bulkRefund = async (req, res) => {
+  try {
+    const defaultPhone = req.body?.phone || null;
+    const defaultReason = req.body?.reasonCode || null;
+    const items = req.body?.items;
+    const problem = bulkItemsProblem(items, defaultPhone);
+    if (problem) return res.status(400).json({ error: problem });
+    // Check reasons up front so a batch is not refunded halfway
+    const reasons = refundReasonsFor(req.tenant);
+    for (let i = 0; i < items.length; i++) {
+      const { error } = resolveRefundReason(items[i]?.reasonCode || defaultReason, reasons);
+      if (error) return res.status(400).json({ error: `Item ${i}: ${error}` });
+    }
+
+    const job = await BulkRefundJob.create({
+      tenant: req.tenant._id,
+      createdBy: req.user._id,
+      request: { phone: defaultPhone, reasonCode: defaultReason, items },
+      total: items.length,
+      results: items.map((item, index) => ({ index, orderId: item?.orderId != null ? String(item.orderId) : null })),
+    });
+
+    if (items.length <= BULK_SYNC_LIMIT) {
+      const done = await runBulkRefundJob(job, req);
+      return res.status(200).json(bulkJobView(done));
+    }
+
+    runBulkRefundJob(job, req).catch(async (err) => {
+      console.error("[bulkRefund] job failed:", err.message);
+      await BulkRefundJob.updateOne(
+        { _id: job._id },
+        { $set: { status: "failed", error: err.message, finishedAt: new Date() } }
+      ).catch(() => {});
+    });
+    return res.status(202).json(bulkJobView(job));
+  } catch (err) {
+    console.error("[bulkRefund] failed:", err.message);
+    return res.status(500).json({ error: "Failed to run bulk refund" });
+  }
+};
+
+// 🔹 Controller: Progress and results of a bulk refund job (own jobs; supervisors see all)
+exports.getBulkRefundJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ error: "Invalid job id" });
+    }
+    const filter = { _id: jobId, tenant: req.tenant._id };
+    if (!["platform_admin", "super_admin"].includes(req.user?.role)) filter.createdBy = req.user._id;
+
+    // A job whose server restarted mid-run would otherwise show running forever
+    await BulkRefundJob.failStaleJobs(filter);
+    const job = await BulkRefundJob.findOne(filter).lean();
+    if (!job) return res.status(404).json({ error: "Bulk refund job not found" });
+    return res.status(200).json(bulkJobView(job));
+  } catch (err) {
+    console.error("[getBulkRefundJob] failed:", err.message);
+    return res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// 🔹 Controller: Calculate a refund with Shopify (nothing is refunded)
+// Body: { orderId, mode?, lineItems?: [{ lineItemId, quantity, restock_type?, locationId? }], shipping?: { fullRefund } | { amount } }
+exports.calculateRefund = async (req, res) => {
+  try {
+    const tenant = req.tenant;
+    const orderId = req.body?.orderId;
+    if (!orderId) {
+      return res.status(400).json({ error: "Provide orderId." });
+    }
+    const lineItems = normalizeLineItems(req.body?.lineItems);
+    const defaultLocationId = tenant?.settings?.defaultLocationId ?? null;
+
+    const order = await getOrderById(tenant, orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found for provided orderId." });
+    }
+    const invalid = restockProblem(lineItems, { order, defaultLocationId });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const { mode, error: modeError } = resolveRefundMode(req.body?.mode, lineItems);
+    if (modeError) return res.status(400).json({ error: modeError });
+
+    const calculation = await calculateRefund(shopifyClient(tenant), order, lineItems, {
+      shipping: req.body?.shipping || null,
+      shippingOnly: mode === "refund_shipping_only",
+      defaultLocationId,
+    });
+    return res.status(200).json({ orderId: order.id, partial: lineItems.length > 0, mode, ...calculation });
+  } catch (err) {
+    // Shopify rejects selections it cannot refund (e.g. more than is left) with 422
+    if (err.status === 422 || err.status === 400) {
+      return res.status(422).json({ error: "Shopify could not calculate this refund", details: err.body?.errors || null });
+    }
+    console.error("[calculateRefund] failed:", err.message);
+    return res.status(500).json({ error: "Failed to calculate refund" });
+  }
+};
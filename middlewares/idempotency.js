@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const redis = require("../utils/redisClient");
+const IdempotencyKey = require("../models/idempotencyKeyModel");
+
+const IDEMPOTENCY_TTL_SEC = Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+// How long a request may hold its key. An IN_PROGRESS key past its lease was
+// left by a process that crashed or was redeployed mid-request, and the next
+// retry takes it over.
+const IDEMPOTENCY_LEASE_SEC = Number(process.env.IDEMPOTENCY_LEASE_SECONDS) || 5 * 60;
+// Retry-After sent while another request holds the key
+const IN_PROGRESS_RETRY_AFTER_SEC = 2;
+const MAX_KEY_LENGTH = 255;
+
+function redisKey(tenantId, key) {
+  return `idem:${tenantId}:${key}`;
+}
+
+// JSON.stringify with sorted object keys so { a, b } and { b, a } hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * fingerprintRequest({ method, path, userId, body })
+ * Identifies "the same request" for an Idempotency-Key.
+ */
+function fingerprintRequest({ method, path, userId, body }) {
+  const str = stableStringify({
+    method: String(method || "").toUpperCase(),
+    path: String(path || ""),
+    user: userId ? String(userId) : null,
+    body: body || {},
+  });
+  return crypto.createHash("sha256").update(str).digest("hex");
+}
+
+function replay(res, record) {
+  res.setHeader("Idempotent-Replayed", "true");
+  return res.status(record.responseCode || 200).json(record.responseBody);
+}
+
+function conflict(res, message) {
+  return res.status(409).json({ error: message });
+}
+
+function inProgress(res) {
+  res.setHeader("Retry-After", String(IN_PROGRESS_RETRY_AFTER_SEC));
+  return conflict(res, "A request with this Idempotency-Key is still being processed");
+}
+
+const leaseUntil = (now = Date.now()) => new Date(now + IDEMPOTENCY_LEASE_SEC * 1000);
+
+// Take over an IN_PROGRESS key whose lease ran out; null when someone else got it first
+function takeOverStale(existing, now = Date.now()) {
+  if (existing.lockedUntil && new Date(existing.lockedUntil).getTime() > now) return null;
+  return IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: "IN_PROGRESS", lockedUntil: existing.lockedUntil ?? null },
+    { $set: { lockedUntil: leaseUntil(now) } },
+    { new: true }
+  ).lean();
+}
+
+async function loadCached(tenantId, key) {
+  try {
+    const cached = await redis.get(redisKey(tenantId, key));
+    return cached ? JSON.parse(cached) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function storeCached(tenantId, key, record) {
+  try {
+    await redis.set(redisKey(tenantId, key), JSON.stringify(record), "EX", IDEMPOTENCY_TTL_SEC);
+  } catch (_) {
+    // Redis is only a fast path; Mongo holds the record.
+  }
+}
+
+/**
+ * idempotency(req, res, next)
+ * Honors an optional `Idempotency-Key` header (requires req.tenant).
+ * - first request: records the key as IN_PROGRESS, captures the final response
+ * - duplicate with the same fingerprint: replays the stored response
+ * - same key, different request: 409
+ * - still in progress: 409 with Retry-After; past its lease the key is taken over
+ * The response is recorded when the handler sends it, so a client that
+ * disconnected meanwhile gets it on retry. 5xx responses release the key.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+    const tenantId = String(req.tenant?._id || "");
+    if (!tenantId) return res.status(500).json({ error: "Tenant not loaded" });
+
+    const fingerprint = fingerprintRequest({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      userId: req.user?._id,
+      body: req.body,
+    });
+
+    // Fast path: completed responses are mirrored in Redis
+    const cached = await loadCached(tenantId, key);
+    if (cached) {
+      if (cached.fingerprint !== fingerprint) {
+        return conflict(res, "Idempotency-Key was already used with a different request");
+      }
+      return replay(res, cached);
+    }
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        tenant: req.tenant._id,
+        key,
+        user: req.user?._id || null,
+        fingerprint,
+        lockedUntil: leaseUntil(),
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SEC * 1000),
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      const existing = await IdempotencyKey.findOne({ tenant: req.tenant._id, key }).lean();
+      if (!existing) return inProgress(res);
+      if (existing.fingerprint !== fingerprint) {
+        return conflict(res, "Idempotency-Key was already used with a different request");
+      }
+      if (existing.status === "COMPLETED") {
+        await storeCached(tenantId, key, existing);
+        return replay(res, existing);
+      }
+      record = await takeOverStale(existing);
+      if (!record) return inProgress(res);
+    }
+
+    // Record the response as soon as the handler sends it. The client may
+    // already be gone ("close" without "finish"); the outcome is still kept
+    // for its retry.
+    let settled = false;
+    const settle = async (statusCode, body) => {
+      if (settled) return;
+      settled = true;
+      try {
+        if (statusCode >= 500) {
+          await IdempotencyKey.deleteOne({ _id: record._id });
+          return;
+        }
+        const completed = { fingerprint, responseCode: statusCode, responseBody: body ?? null };
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: "COMPLETED", lockedUntil: null, ...completed } }
+        );
+        await storeCached(tenantId, key, completed);
+      } catch (e) {
+        console.error("[idempotency] failed to store response:", e.message);
+      }
+    };
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, body);
+      return originalJson(body);
+    };
+    // Responses sent without res.json; a close before anything was sent means
+    // the handler is still running and will record through res.json
+    const settleSent = () => {
+      if (res.headersSent) settle(res.statusCode, null);
+    };
+    res.on("finish", settleSent);
+    res.on("close", settleSent);
+
+    return next();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error("[idempotency] failed:", err.message);
+    return res.status(500).json({ error: "Failed to process Idempotency-Key" });
+  }
+}
+
+module.exports = {
+  idempotency,
+  fingerprintRequest,
+};
@@ -1,10 +1,20 @@
-const axios = require("axios");
 const redis = require("../utils/redisClient");
 
 // ---- Model-backed rule loading ----
 const RefundRules = require("../models/refundRulesModel");
 const RefundStat = require("../models/refundStatModel");
+const RefundAttachment = require("../models/refundAttachmentModel");
 const { getFlitsCashback } = require("../services/flitsService");
+const { shopifyClient } = require("../services/shopifyClient");
+const { recordRefundTransaction } = require("../utils/recordRefundTransaction");
+const { recordRefundAttempt } = require("../utils/recordRefundAttempt");
+const { evaluateConditions } = require("../utils/ruleConditions");
+const { loadAgentLimits, loadAgentUsage, evaluateAgentLimits, requestedRefundValue } = require("../utils/agentLimits");
+const { hasBudget, loadTenantSpend } = require("../utils/tenantBudget");
+const { loadCustomerRefundCount } = require("../utils/customerRefundCount");
+const { resolveRefundMode, shippingTotal } = require("../utils/refundModes");
+const { refundReasonsFor, resolveRefundReason } = require("../utils/refundReasons");
+const { parseAttachmentIds, attachmentsProblem } = require("../utils/refundAttachments");
 
 // Optional JSON Schema validation (keeps Admin/UI and server in sync)
 let validateRefundRules = null;
@@ -23,23 +33,21 @@ async function loadActiveRules(tenantId) {
   if (cached) return JSON.parse(cached);
 
   // Fallback to DB
-  const active = await RefundRules.getActiveForTenant(tenantId || null);
+  const now = new Date();
+  const active = await RefundRules.getActiveForTenant(tenantId || null, now);
   const payload = active
     ? { rules: active.rules || { mode: "observe" }, version: active.version || 1, id: String(active._id) }
     : { rules: { mode: "observe" }, version: 0, id: null };
 
-  // Cache in Redis
-  await redis.set(key, JSON.stringify(payload), "EX", RULES_TTL_SEC);
+  // Cache in Redis, but not past the next scheduled switch
+  const nextChange = await RefundRules.nextScheduleChange(tenantId || null, now);
+  const ttl = nextChange
+    ? Math.max(1, Math.min(RULES_TTL_SEC, Math.ceil((nextChange - now) / 1000)))
+    : RULES_TTL_SEC;
+  await redis.set(key, JSON.stringify(payload), "EX", ttl);
   return payload;
 }
 
-function pickApiVersion(tenant) {
-  return tenant.apiVersion || "2024-07";
-}
-function shopHeaders(tenant) {
-  return { "X-Shopify-Access-Token": tenant.accessToken };
-}
-
 function memoizeRequest(cache, key, loader) {
   if (!cache) return loader();
   if (cache.has(key)) return cache.get(key);
@@ -58,7 +66,7 @@ async function buildRefundContext(req, res, next) {
     const tenant = req.tenant;
     if (!tenant) return res.status(500).json({ error: "Tenant not loaded" });
 
-    const { phone, orderId, amount, lineItems } = req.body || {};
+    const { phone, orderId, amount, lineItems, mode, reasonCode, attachmentIds } = req.body || {};
     if (!phone && !orderId) {
       return res.status(400).json({ error: "Provide phone or orderId for refund context" });
     }
@@ -69,6 +77,14 @@ async function buildRefundContext(req, res, next) {
     const rulesVersion = active.version || 0;
     const ruleSetId = active.id || null;
 
+    const refundMode = resolveRefundMode(mode, lineItems, rules.allowedRefundModes);
+    if (refundMode.error) return res.status(400).json({ error: refundMode.error });
+    // Required on refunds; previews and approval replays set refundReasonOptional
+    const refundReason = resolveRefundReason(reasonCode, refundReasonsFor(tenant), { required: !req.refundReasonOptional });
+    if (refundReason.error) return res.status(400).json({ error: refundReason.error });
+    const attachmentRefs = parseAttachmentIds(attachmentIds);
+    if (attachmentRefs.error) return res.status(400).json({ error: attachmentRefs.error });
+
     // Optional schema validation (safe in dev; remove if not needed)
     if (validateRefundRules) {
       const ok = validateRefundRules(rules);
@@ -77,8 +93,7 @@ async function buildRefundContext(req, res, next) {
       }
     }
 
-    const apiVersion = pickApiVersion(tenant);
-    const base = `https://${tenant.shopDomain}.myshopify.com/admin/api/${apiVersion}`;
+    const shopify = shopifyClient(tenant);
 
     // Resolve customer by phone (if provided)
     let customerId = null;
@@ -88,12 +103,8 @@ async function buildRefundContext(req, res, next) {
           req.requestMemo,
           `shopify:customer:phone:${String(phone)}`,
           async () => {
-            const url = `https://${tenant.shopDomain}.myshopify.com/admin/api/2024-07/customers/search.json`;
-            const resp = await axios.get(url, {
-              params: { query: `phone:${phone}` },
-              headers: shopHeaders(tenant),
-            });
-            return resp.data.customers?.[0]?.id || null;
+            const { body } = await shopify.get("customers/search.json", { params: { query: `phone:${phone}` } });
+            return body?.customers?.[0]?.id || null;
           }
         );
       } catch (_) {
@@ -104,29 +115,38 @@ async function buildRefundContext(req, res, next) {
     // Resolve order (explicit or latest by customer)
     let order = null;
     if (orderId) {
-      const url = `${base}/orders/${orderId}.json`;
-      const r = await axios.get(url, { headers: shopHeaders(tenant) });
-      order = r.data?.order || null;
+      const { body } = await shopify.get(`orders/${orderId}.json`);
+      order = body?.order || null;
       if (order && !customerId) customerId = order.customer?.id || null;
     } else if (customerId) {
-      const url = `${base}/orders.json?customer_id=${customerId}&status=any&limit=1`;
-      const r = await axios.get(url, { headers: shopHeaders(tenant) });
-      order = (r.data.orders && r.data.orders[0]) || null;
+      const { body } = await shopify.get("orders.json", { params: { customer_id: customerId, status: "any", limit: 1 } });
+      order = body?.orders?.[0] || null;
+    }
+
+    // Evidence must belong to this tenant and have been uploaded for this order
+    if (attachmentRefs.ids.length) {
+      const attachments = await RefundAttachment.find({ _id: { $in: attachmentRefs.ids }, tenant: tenant._id })
+        .select("orderId")
+        .lean();
+      const problem = attachmentsProblem(attachments, attachmentRefs.ids, order?.id ?? null);
+      if (problem) return res.status(400).json({ error: problem });
     }
 
     // Order total & requested percent
     const orderTotal = order ? Number(order.total_price) : null;
-    const requestedAmount = amount != null ? Number(amount) : null;
+    // A shipping-only refund is worth the order's shipping unless an amount is given
+    const requestedAmount = amount != null
+      ? Number(amount)
+      : refundMode.mode === "refund_shipping_only" && order ? shippingTotal(order) : null;
     const requestedPercent =
       orderTotal && requestedAmount ? (requestedAmount / orderTotal) * 100 : null;
 
     // Is the target order already refunded?
     let targetOrderAlreadyRefunded = false;
     if (order?.id) {
-      const url = `${base}/orders/${order.id}/refunds.json`;
       try {
-        const r = await axios.get(url, { headers: shopHeaders(tenant) });
-        const refunds = r.data.refunds || [];
+        const { body } = await shopify.get(`orders/${order.id}/refunds.json`);
+        const refunds = body?.refunds || [];
         targetOrderAlreadyRefunded = refunds.some(
           (ref) => ref.transactions && ref.transactions.length > 0
         );
@@ -136,29 +156,6 @@ async function buildRefundContext(req, res, next) {
       }
     }
 
-    // How many refunds has this customer had today?
-    let attemptsToday = 0;
-    if (customerId) {
-      const since = new Date();
-      since.setHours(0, 0, 0, 0);
-      try {
-        const url = `${base}/orders.json?customer_id=${customerId}&status=any&created_at_min=${since.toISOString()}`;
-        const or = await axios.get(url, { headers: shopHeaders(tenant) });
-        const orders = or.data.orders || [];
-        for (const o of orders) {
-          const rurl = `${base}/orders/${o.id}/refunds.json`;
-          const rr = await axios.get(rurl, { headers: shopHeaders(tenant) });
-          const refunds = rr.data.refunds || [];
-          attemptsToday += refunds.filter(
-            (ref) => ref.transactions && ref.transactions.length > 0
-          ).length;
-        }
-      } catch {
-        // conservative in dev
-        attemptsToday = Number.MAX_SAFE_INTEGER;
-      }
-    }
-
     let lifetimeRefundCount = 0;
     let customerKey = null;
 
@@ -173,6 +170,16 @@ async function buildRefundContext(req, res, next) {
         lifetimeRefundCount = stat?.totalCount || 0;
     }
 
+    // How many refunds has this customer had in the counting window? (Shopify + our ledger)
+    const refundCount = await loadCustomerRefundCount({
+      tenant,
+      shopify,
+      customerId,
+      customerKey,
+      window: rules.refundCountWindow,
+      requestCache: req.requestMemo,
+    });
+
     function resolveDeliveredAt(o) {
         if (!o) return null;
         const fulf = Array.isArray(o.fulfillments) ? o.fulfillments : [];
@@ -200,6 +207,28 @@ async function buildRefundContext(req, res, next) {
       useRedisCache: req.cashbackLookupOptions?.useRedisCache === true,
     });
 
+    // Per-agent caps for the acting user, with what they refunded today and in the last hour
+    let agent = null;
+    const agentLimits = await loadAgentLimits(tenant._id, req.user);
+    if (agentLimits) {
+      let usage = null;
+      try {
+        usage = (await loadAgentUsage(tenant._id, [req.user._id])).get(String(req.user._id));
+      } catch (e) {
+        console.warn("[rules] agent usage unavailable:", e.message);
+      }
+      agent = { limits: agentLimits, usage };
+    }
+
+    // What the store has refunded this day and month, when the ruleset caps it
+    let spend = null;
+    if (hasBudget(rules)) {
+      try {
+        spend = await loadTenantSpend(tenant._id, tenant.timezone || "UTC");
+      } catch (e) {
+        console.warn("[rules] tenant refund total unavailable:", e.message);
+      }
+    }
 
     // Build context object for the evaluator
     req.ruleContext = {
@@ -209,6 +238,7 @@ async function buildRefundContext(req, res, next) {
       rules,
       user: {
         id: req.user && req.user._id ? String(req.user._id) : null,
+        role: req.user?.role || null,
         roles: (req.user && req.user.roles) || [],
       },
       order: order
@@ -217,6 +247,8 @@ async function buildRefundContext(req, res, next) {
             customerId,
             total: orderTotal,
             paymentMethod: (order.payment_gateway_names[0] || order.processing_method || "").toLowerCase(),
+            name: order.name || null,
+            tags: String(order.tags || "").split(",").map((t) => t.trim()).filter(Boolean),
           }
         : null,
       refund: {
@@ -224,12 +256,18 @@ async function buildRefundContext(req, res, next) {
         requestedPercent: requestedPercent != null ? Number(requestedPercent) : null,
       },
       meta: {
-        attemptsToday,
+        attemptsToday: refundCount.count,
+        attemptsTodayStatus: refundCount.status,
+        attemptsWindow: refundCount.window,
+        attemptsSince: refundCount.since.toISOString(),
         targetOrderAlreadyRefunded,
         deliveredAt,
         daysSinceDelivery,
         lifetimeRefundCount,
         customerKey,
+        refundedToday: spend ? spend.today : null,
+        refundedThisMonth: spend ? spend.month : null,
+        budgetTimeZone: spend ? spend.timeZone : null,
         cashbackStatus: cashback.status,
         cashbackFetchedAt: cashback.fetchedAt,
         availableBalance: cashback.availableBalance,
@@ -242,8 +280,14 @@ async function buildRefundContext(req, res, next) {
         totalCredits: cashback.availableBalance,
       },
       request: {
-        lineItems: Array.isArray(lineItems) ? lineItems : []
+        lineItems: Array.isArray(lineItems) ? lineItems : [],
+        mode: refundMode.mode,
+        reasonCode: refundReason.reason?.code || null,
+        attachmentIds: attachmentRefs.ids,
+        // Previews run before files are attached, so evidence rules skip them
+        attachmentCount: req.refundPreview && !attachmentRefs.ids.length ? null : attachmentRefs.ids.length,
       },
+      agent,
       now: new Date().toISOString(),
     };
 
@@ -255,10 +299,23 @@ async function buildRefundContext(req, res, next) {
   }
 }
 
+const OUTCOME_SEVERITY = { ALLOW: 0, REQUIRE_APPROVAL: 1, DENY: 2 };
+
+// One decision.trace entry: what a check looked at and what it concluded.
+// status "skipped" means the check is configured but did not run (missing
+// data, or an earlier check already denied); outcome is null then.
+function traceStep(rule, { status = "evaluated", observed = null, threshold = null, outcome = null, detail = null } = {}) {
+  return { rule, source: "builtin", status, observed, threshold, outcome, detail };
+}
+
+const EARLIER_DENY = "An earlier check already denied the refund";
+const COUNT_WINDOW_LABELS = { today: "today", rolling24h: "in the last 24 hours", tenantDay: "today" };
+
 /**
  * evaluateRefundRules(context)
  * Simple evaluator for dev. Extend as needed.
- * Returns a Decision object that includes rulesVersion & ruleSetId.
+ * Returns a Decision object that includes rulesVersion & ruleSetId, plus a
+ * per-rule `trace` so agents can see which checks passed, failed or were skipped.
  */
 function evaluateRefundRules(context) {
   const { rules, user, order, refund, meta, rulesVersion, ruleSetId } = context;
@@ -266,140 +323,305 @@ function evaluateRefundRules(context) {
   const bypass = rules?.bypassPercentCapForPartials !== false; // default true
   const matched = [];
   const limits = {};
+  const trace = [];
   let outcome = "ALLOW";
   let reason = "Allowed by default";
 
   // 0) Cashback deny rule (uses context.meta.totalSpentCredits populated during context build)
-  if (
-    outcome !== "DENY" &&
-    typeof meta?.totalSpentCreditsRaw === "number" &&
-    Number.isFinite(meta.totalSpentCreditsRaw)
-  ) {
-    // If your Flits amounts are in paise (e.g., 39900), compare against that; otherwise adjust.
-    const threshold = (typeof rules.cashbackSpentThreshold === 'number' && Number.isFinite(rules.cashbackSpentThreshold))
-      ? rules.cashbackSpentThreshold
-      : 39900; // default used in your earlier check
-    limits.cashbackSpentThreshold = threshold;
-    limits.observedCashbackSpentCreditsRaw = meta.totalSpentCreditsRaw;
+  // If your Flits amounts are in paise (e.g., 39900), compare against that; otherwise adjust.
+  const cashbackThreshold = (typeof rules.cashbackSpentThreshold === 'number' && Number.isFinite(rules.cashbackSpentThreshold))
+    ? rules.cashbackSpentThreshold
+    : 39900; // default used in your earlier check
+  const spentRaw = meta?.totalSpentCreditsRaw;
+  if (!(typeof spentRaw === "number" && Number.isFinite(spentRaw))) {
+    trace.push(traceStep("cashbackSpentThreshold", {
+      status: "skipped",
+      threshold: cashbackThreshold,
+      detail: `Cashback data ${meta?.cashbackStatus || "unavailable"}`,
+    }));
+  } else {
+    limits.cashbackSpentThreshold = cashbackThreshold;
+    limits.observedCashbackSpentCreditsRaw = spentRaw;
     limits.observedCashbackSpentCredits = meta.totalSpentCredits; // normalized
-    if (Math.abs(meta.totalSpentCreditsRaw) >= threshold) {
+    const hit = Math.abs(spentRaw) >= cashbackThreshold;
+    if (hit) {
       matched.push("cashbackSpentThreshold");
       outcome = "DENY";
       reason = "Customer has already utilised cashback; refund not eligible";
     }
+    trace.push(traceStep("cashbackSpentThreshold", { observed: spentRaw, threshold: cashbackThreshold, outcome: hit ? "DENY" : "ALLOW" }));
   }
 
   // --- A) Lifetime refund count ---
-  if (
-    outcome !== "DENY" &&
-    typeof rules.maxLifetimeRefundCount === "number" &&
-    rules.maxLifetimeRefundCount >= 0 &&
-    typeof meta.lifetimeRefundCount === "number"
-    ) {
-        const projected = meta.lifetimeRefundCount + 1;
-        limits.maxLifetimeRefundCount = rules.maxLifetimeRefundCount;
-        if (projected > rules.maxLifetimeRefundCount) {
-            matched.push("maxLifetimeRefundCount");
-            outcome = "DENY";
-            reason = `Lifetime refund count exceeded: ${projected} > ${rules.maxLifetimeRefundCount}`;
-        }
+  if (typeof rules.maxLifetimeRefundCount === "number" && rules.maxLifetimeRefundCount >= 0) {
+    const threshold = rules.maxLifetimeRefundCount;
+    if (outcome === "DENY") {
+      trace.push(traceStep("maxLifetimeRefundCount", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (typeof meta.lifetimeRefundCount !== "number") {
+      trace.push(traceStep("maxLifetimeRefundCount", { status: "skipped", threshold, detail: "Lifetime refund count unavailable" }));
+    } else {
+      const projected = meta.lifetimeRefundCount + 1;
+      limits.maxLifetimeRefundCount = threshold;
+      const hit = projected > threshold;
+      if (hit) {
+        matched.push("maxLifetimeRefundCount");
+        outcome = "DENY";
+        reason = `Lifetime refund count exceeded: ${projected} > ${threshold}`;
+      }
+      trace.push(traceStep("maxLifetimeRefundCount", { observed: projected, threshold, outcome: hit ? "DENY" : "ALLOW" }));
     }
+  }
 
   // --- B) Refund window after delivery ---
-  if (
-   outcome !== "DENY" &&
-   typeof rules.refundWindowDays === "number" &&
-   rules.refundWindowDays >= 0
-  ) {
-   if (typeof meta.daysSinceDelivery === "number") {
-     limits.refundWindowDays = rules.refundWindowDays;
-     if (meta.daysSinceDelivery > rules.refundWindowDays) {
-       matched.push("refundWindowDays");
-       outcome = "DENY";
-       reason = `Refund window exceeded: ${meta.daysSinceDelivery}d > ${rules.refundWindowDays}d after delivery`;
-     }
-   }
- }
-    
+  if (typeof rules.refundWindowDays === "number" && rules.refundWindowDays >= 0) {
+    const threshold = rules.refundWindowDays;
+    if (outcome === "DENY") {
+      trace.push(traceStep("refundWindowDays", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (typeof meta.daysSinceDelivery !== "number") {
+      trace.push(traceStep("refundWindowDays", { status: "skipped", threshold, detail: "Delivery date unknown" }));
+    } else {
+      limits.refundWindowDays = threshold;
+      const hit = meta.daysSinceDelivery > threshold;
+      if (hit) {
+        matched.push("refundWindowDays");
+        outcome = "DENY";
+        reason = `Refund window exceeded: ${meta.daysSinceDelivery}d > ${threshold}d after delivery`;
+      }
+      trace.push(traceStep("refundWindowDays", { observed: meta.daysSinceDelivery, threshold, outcome: hit ? "DENY" : "ALLOW" }));
+    }
+  }
+
   // 1) Already refunded?
-  if (rules.blockIfAlreadyRefunded && meta.targetOrderAlreadyRefunded) {
-    matched.push("blockIfAlreadyRefunded");
-    outcome = "DENY";
-    reason = "Order already has a refund recorded";
+  if (rules.blockIfAlreadyRefunded) {
+    const hit = Boolean(meta.targetOrderAlreadyRefunded);
+    if (hit) {
+      matched.push("blockIfAlreadyRefunded");
+      outcome = "DENY";
+      reason = "Order already has a refund recorded";
+    }
+    trace.push(traceStep("blockIfAlreadyRefunded", { observed: hit, threshold: true, outcome: hit ? "DENY" : "ALLOW" }));
   }
 
   // 2) Percent cap
-  if (
-    !((isPartial && bypass)) &&
-    outcome !== "DENY" &&
-    typeof refund.requestedPercent === "number" &&
-    typeof rules.maxRefundPercent === "number"
-  ) {
-    limits.maxRefundPercent = rules.maxRefundPercent;
-    if (refund.requestedPercent > rules.maxRefundPercent) {
-      matched.push("maxRefundPercent");
-      outcome = "DENY";
-      reason = `Requested ${refund.requestedPercent.toFixed(2)}% exceeds max ${rules.maxRefundPercent}%`;
+  if (typeof rules.maxRefundPercent === "number") {
+    const threshold = rules.maxRefundPercent;
+    if (isPartial && bypass) {
+      trace.push(traceStep("maxRefundPercent", { status: "skipped", threshold, detail: "Partial refunds bypass the percent cap" }));
+    } else if (outcome === "DENY") {
+      trace.push(traceStep("maxRefundPercent", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (typeof refund.requestedPercent !== "number") {
+      trace.push(traceStep("maxRefundPercent", { status: "skipped", threshold, detail: "Requested percent unknown" }));
+    } else {
+      limits.maxRefundPercent = threshold;
+      const hit = refund.requestedPercent > threshold;
+      if (hit) {
+        matched.push("maxRefundPercent");
+        outcome = "DENY";
+        reason = `Requested ${refund.requestedPercent.toFixed(2)}% exceeds max ${threshold}%`;
+      }
+      trace.push(traceStep("maxRefundPercent", { observed: refund.requestedPercent, threshold, outcome: hit ? "DENY" : "ALLOW" }));
     }
   }
 
-  // 3) Daily attempt cap
-  if (
-    outcome !== "DENY" &&
-    typeof rules.maxRefundsPerDay === "number" &&
-    rules.maxRefundsPerDay >= 0
-  ) {
-    if (meta.attemptsToday >= rules.maxRefundsPerDay) {
-      matched.push("maxRefundsPerDay");
-      outcome = "DENY";
-      reason = `Customer already hit ${meta.attemptsToday} refunds today (limit ${rules.maxRefundsPerDay})`;
+  // 3) Daily attempt cap. A partial count (Shopify unavailable, ledger only)
+  // can still deny; otherwise an uncounted day follows rules.onUnknownRefundCount.
+  if (typeof rules.maxRefundsPerDay === "number" && rules.maxRefundsPerDay >= 0) {
+    const threshold = rules.maxRefundsPerDay;
+    const count = typeof meta.attemptsToday === "number" ? meta.attemptsToday : null;
+    const counted = count !== null && (meta.attemptsTodayStatus || "counted") === "counted";
+    const period = COUNT_WINDOW_LABELS[meta.attemptsWindow] || COUNT_WINDOW_LABELS.today;
+    if (outcome === "DENY") {
+      trace.push(traceStep("maxRefundsPerDay", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (count !== null && (counted || count >= threshold)) {
+      const hit = count >= threshold;
+      if (hit) {
+        matched.push("maxRefundsPerDay");
+        outcome = "DENY";
+        reason = `Customer already hit ${count} refunds ${period} (limit ${threshold})`;
+      }
+      trace.push(traceStep("maxRefundsPerDay", {
+        observed: count,
+        threshold,
+        outcome: hit ? "DENY" : "ALLOW",
+        detail: counted ? null : "Counted from our records only; Shopify was unavailable",
+      }));
+    } else {
+      const onUnknown = rules.onUnknownRefundCount || "REQUIRE_APPROVAL";
+      const detail = count === null
+        ? `Refund count ${period} unavailable`
+        : `Shopify unavailable; ${count} refunds ${period} in our records`;
+      if (onUnknown === "ALLOW") {
+        trace.push(traceStep("maxRefundsPerDay", { status: "skipped", observed: count, threshold, detail }));
+      } else {
+        matched.push("maxRefundsPerDay");
+        if (OUTCOME_SEVERITY[onUnknown] > OUTCOME_SEVERITY[outcome]) {
+          outcome = onUnknown;
+          reason = `Could not count the customer's refunds ${period}`;
+        }
+        trace.push(traceStep("maxRefundsPerDay", { observed: count, threshold, outcome: onUnknown, detail }));
+      }
     }
   }
 
   // 4) Payment method whitelist
-  if (
-    outcome !== "DENY" &&
-    order &&
-    Array.isArray(rules.allowPaymentMethods) &&
-    rules.allowPaymentMethods.length
-  ) {
-    // Normalize both sides to be resilient to spaces, hyphens, underscores and punctuation
-    const normalizePm = (s) =>
-      String(s || "")
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, " ") // collapse non-alphanumerics to spaces
-        .trim()
-        .replace(/\s+/g, " "); // single-space
-
-    const pmRaw = order.paymentMethod || "";
-    const pm = normalizePm(pmRaw);
-    const allowList = rules.allowPaymentMethods.map((x) => normalizePm(x));
-
-    const isAllowed = pm && allowList.some((a) => a === pm || pm.includes(a) || a.includes(pm));
-    if (!isAllowed) {
-      matched.push("allowPaymentMethods");
-      outcome = "DENY";
-      reason = `Payment method ${pmRaw.toLowerCase()} is not allowed for refunds`;
+  if (Array.isArray(rules.allowPaymentMethods) && rules.allowPaymentMethods.length) {
+    const threshold = rules.allowPaymentMethods;
+    if (outcome === "DENY") {
+      trace.push(traceStep("allowPaymentMethods", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (!order) {
+      trace.push(traceStep("allowPaymentMethods", { status: "skipped", threshold, detail: "Order not found" }));
+    } else {
+      // Normalize both sides to be resilient to spaces, hyphens, underscores and punctuation
+      const normalizePm = (s) =>
+        String(s || "")
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, " ") // collapse non-alphanumerics to spaces
+          .trim()
+          .replace(/\s+/g, " "); // single-space
+
+      const pmRaw = order.paymentMethod || "";
+      const pm = normalizePm(pmRaw);
+      const allowList = rules.allowPaymentMethods.map((x) => normalizePm(x));
+
+      const isAllowed = pm && allowList.some((a) => a === pm || pm.includes(a) || a.includes(pm));
+      if (!isAllowed) {
+        matched.push("allowPaymentMethods");
+        outcome = "DENY";
+        reason = `Payment method ${pmRaw.toLowerCase()} is not allowed for refunds`;
+      }
+      trace.push(traceStep("allowPaymentMethods", { observed: pmRaw || null, threshold, outcome: isAllowed ? "ALLOW" : "DENY" }));
+    }
+  }
+
+  // 4a) Refund modes the ruleset allows (cancel_and_refund, refund_only, refund_shipping_only)
+  if (Array.isArray(rules.allowedRefundModes) && rules.allowedRefundModes.length) {
+    const threshold = rules.allowedRefundModes;
+    const mode = context.request?.mode || null;
+    if (outcome === "DENY") {
+      trace.push(traceStep("allowedRefundModes", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (!mode) {
+      trace.push(traceStep("allowedRefundModes", { status: "skipped", threshold, detail: "Refund mode unknown" }));
+    } else {
+      const isAllowed = threshold.includes(mode);
+      if (!isAllowed) {
+        matched.push("allowedRefundModes");
+        outcome = "DENY";
+        reason = `Refund mode ${mode} is not allowed (allowed: ${threshold.join(", ")})`;
+      }
+      trace.push(traceStep("allowedRefundModes", { observed: mode, threshold, outcome: isAllowed ? "ALLOW" : "DENY" }));
+    }
+  }
+
+  // 4b) Store-wide refund budget: value refunded today / this month plus this refund
+  const amount = requestedRefundValue(context);
+  const budgets = [
+    ["maxDailyRefundValue", meta.refundedToday, "today", "Daily"],
+    ["maxMonthlyRefundValue", meta.refundedThisMonth, "this month", "Monthly"],
+  ];
+  for (const [rule, spent, period, label] of budgets) {
+    if (!(typeof rules[rule] === "number" && rules[rule] >= 0)) continue;
+    const threshold = rules[rule];
+    if (outcome === "DENY") {
+      trace.push(traceStep(rule, { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (typeof spent !== "number") {
+      trace.push(traceStep(rule, { status: "skipped", threshold, detail: "Store refund total unavailable" }));
+    } else if (amount == null) {
+      trace.push(traceStep(rule, { status: "skipped", threshold, detail: "Refund amount unknown" }));
+    } else {
+      const projected = Math.round((spent + amount) * 100) / 100;
+      limits[rule] = threshold;
+      const hit = projected > threshold;
+      if (hit) {
+        const left = Math.round(Math.max(0, threshold - spent) * 100) / 100;
+        matched.push(rule);
+        outcome = "DENY";
+        reason = `${label} store refund budget exceeded: ₹${spent} refunded ${period} of ₹${threshold}, ₹${left} left`;
+      }
+      trace.push(traceStep(rule, {
+        observed: projected,
+        threshold,
+        outcome: hit ? "DENY" : "ALLOW",
+        detail: meta.budgetTimeZone ? `Counted in ${meta.budgetTimeZone}` : null,
+      }));
+    }
+  }
+
+  // 4c) Evidence: refunds above the threshold need at least one attachment
+  if (typeof rules.requireAttachmentAbove === "number" && rules.requireAttachmentAbove >= 0) {
+    const threshold = rules.requireAttachmentAbove;
+    const attached = context.request?.attachmentCount;
+    if (outcome === "DENY") {
+      trace.push(traceStep("requireAttachmentAbove", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (amount == null) {
+      trace.push(traceStep("requireAttachmentAbove", { status: "skipped", threshold, detail: "Refund amount unknown" }));
+    } else if (typeof attached !== "number") {
+      trace.push(traceStep("requireAttachmentAbove", { status: "skipped", threshold, detail: "Attachments are checked when the refund is submitted" }));
+    } else {
+      limits.requireAttachmentAbove = threshold;
+      const hit = amount > threshold && attached === 0;
+      if (hit) {
+        matched.push("requireAttachmentAbove");
+        outcome = "DENY";
+        reason = `Attach evidence (a photo or document) for refunds above ₹${threshold}`;
+      }
+      trace.push(traceStep("requireAttachmentAbove", {
+        observed: amount,
+        threshold,
+        outcome: hit ? "DENY" : "ALLOW",
+        detail: `${attached} attachment(s)`,
+      }));
     }
   }
 
   // 5) Supervisor requirement
-  if (
-    outcome !== "DENY" &&
-    typeof refund.requestedPercent === "number" &&
-    typeof rules.requireSupervisorAbovePercent === "number"
-  ) {
-    if (refund.requestedPercent > rules.requireSupervisorAbovePercent) {
+  if (typeof rules.requireSupervisorAbovePercent === "number") {
+    const threshold = rules.requireSupervisorAbovePercent;
+    if (outcome === "DENY") {
+      trace.push(traceStep("requireSupervisorAbovePercent", { status: "skipped", threshold, detail: EARLIER_DENY }));
+    } else if (typeof refund.requestedPercent !== "number") {
+      trace.push(traceStep("requireSupervisorAbovePercent", { status: "skipped", threshold, detail: "Requested percent unknown" }));
+    } else if (refund.requestedPercent > threshold) {
       const hasSupervisor = (user.roles || []).includes("super_admin");
       matched.push("requireSupervisorAbovePercent");
       if (!hasSupervisor) {
         outcome = "REQUIRE_APPROVAL";
-        reason = `Supervisor required above ${rules.requireSupervisorAbovePercent}%`;
+        reason = `Supervisor required above ${threshold}%`;
       }
+      trace.push(traceStep("requireSupervisorAbovePercent", {
+        observed: refund.requestedPercent,
+        threshold,
+        outcome: hasSupervisor ? "ALLOW" : "REQUIRE_APPROVAL",
+        detail: hasSupervisor ? "Supervisor override" : null,
+      }));
+    } else {
+      trace.push(traceStep("requireSupervisorAbovePercent", { observed: refund.requestedPercent, threshold, outcome: "ALLOW" }));
     }
   }
 
-  return { outcome, reason, limits, matched, rulesVersion, ruleSetId };
+  // 6) Tenant-defined conditions (utils/ruleConditions.js). They can only make
+  // the decision stricter: an ALLOW rule stops later conditions, not the checks above.
+  const custom = evaluateConditions(rules?.conditions, context);
+  matched.push(...custom.matched);
+  trace.push(...custom.trace);
+  if (custom.matched.length) limits.conditions = custom.limits;
+  if (custom.outcome && OUTCOME_SEVERITY[custom.outcome] > OUTCOME_SEVERITY[outcome]) {
+    outcome = custom.outcome;
+    reason = custom.rule.message || `Matched rule ${custom.rule.id}`;
+  }
+
+  // 7) Per-agent limits (utils/agentLimits.js), set by admins for the acting
+  // user or their role. agentLimit is kept apart because it applies in every mode.
+  const agent = evaluateAgentLimits(context);
+  matched.push(...agent.matched);
+  trace.push(...agent.trace);
+  if (Object.keys(agent.limits).length) limits.agent = agent.limits;
+  if (agent.outcome && OUTCOME_SEVERITY[agent.outcome] > OUTCOME_SEVERITY[outcome]) {
+    outcome = agent.outcome;
+    reason = agent.reason;
+  }
+  const agentLimit = agent.outcome ? { outcome: agent.outcome, reason: agent.reason, matched: agent.matched } : null;
+
+  return { outcome, reason, limits, matched, warnings: custom.warnings, trace, agentLimit, rulesVersion, ruleSetId };
 }
 
 /**
@@ -408,6 +630,8 @@ function evaluateRefundRules(context) {
  * - observe: never block (adds decision to res.locals)
  * - warn:    never block but attach warnings header/body
  * - enforce: block on DENY or REQUIRE_APPROVAL (unless actor is super_admin)
+ * Exceeded agent limits block in every mode; outside enforce mode the
+ * decision is narrowed to the agent limit's outcome and reason.
  */
 function applyRefundRules(req, res, next) {
   try {
@@ -420,29 +644,60 @@ function applyRefundRules(req, res, next) {
     // Attach for downstream handler and for logging/audit
     res.locals.ruleDecision = decision;
 
-    // observe → never block
-    if (rules.mode === "observe") return next();
-
-    // warn → attach header and continue
+    // warn → attach header
     if (rules.mode === "warn") {
       try {
-        res.setHeader("X-Rule-Decision", JSON.stringify(decision));
+        // trace stays in res.locals; it can outgrow header size limits
+        const { trace: _trace, ...summary } = decision;
+        res.setHeader("X-Rule-Decision", JSON.stringify(summary));
       } catch (_) {}
-      return next();
     }
 
-    // enforce → block or require approval
-    if (rules.mode === "enforce") {
-      if (decision.outcome === "DENY") {
-        return res.status(403).json({ error: "Refund denied by policy", decision });
-      }
-      if (decision.outcome === "REQUIRE_APPROVAL") {
-        res.locals.requiresApproval = !(ctx.user.roles || []).includes("super_admin");
-      }
-      return next();
+    // observe / warn / unknown mode → only agent limits block
+    let enforced = decision;
+    if (rules.mode !== "enforce") {
+      if (!decision.agentLimit) return next();
+      enforced = { ...decision, outcome: decision.agentLimit.outcome, reason: decision.agentLimit.reason };
+      res.locals.ruleDecision = enforced;
     }
 
-    // unknown mode → treat as observe
+    // block or require approval
+    if (enforced.outcome === "DENY") {
+      const requested = Array.isArray(req.body?.lineItems) ? req.body.lineItems : [];
+      const amount = ctx.refund?.requestedAmount ?? ctx.order?.total ?? null;
+      const reason = enforced.reason || "Refund denied by policy";
+      // Fire-and-forget: the ledger and stats writes never block or fail the response
+      recordRefundAttempt({
+        req,
+        outcome: "DENY",
+        httpCode: 403,
+        errorCode: "POLICY_DENIED",
+        errorMsg: reason,
+        orderId: ctx.order?.id ?? null,
+        amount,
+        partial: requested.length > 0,
+        ruleDecision: enforced,
+      });
+      recordRefundTransaction({
+        req,
+        action: "refund",
+        outcome: "DENY",
+        partial: requested.length > 0,
+        amount,
+        lineItems: requested
+          .filter((li) => li && Number.isFinite(Number(li.lineItemId)))
+          .map((li) => ({ lineItemId: Number(li.lineItemId), quantity: Number(li.quantity) || 0, amount: li.amount != null ? Number(li.amount) : null })),
+        note: req.body?.note || null,
+        ruleDecision: enforced,
+        httpCode: 403,
+        errorCode: "POLICY_DENIED",
+        errorMsg: reason,
+      });
+      return res.status(403).json({ error: "Refund denied by policy", decision: enforced });
+    }
+    if (enforced.outcome === "REQUIRE_APPROVAL") {
+      res.locals.requiresApproval = !(ctx.user.roles || []).includes("super_admin");
+    }
     return next();
   } catch (err) {
     // eslint-disable-next-line no-console
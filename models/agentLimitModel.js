@@ -0,0 +1,52 @@
+// models/agentLimitModel.js
+// Refund caps for every user with a role in a tenant, or for one user.
+// A user's limit overrides the role's field by field (utils/agentLimits.js).
+
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const limitField = { type: Number, min: 0, default: null };
+
+const AgentLimitSchema = new Schema(
+  {
+    tenant: { type: Types.ObjectId, ref: "Tenant", required: true, index: true },
+
+    scope: { type: String, enum: ["role", "user"], required: true },
+    role: {
+      type: String,
+      enum: ["super_admin", "refund_agent", "platform_admin", "user_admin"],
+      required: function () {
+        return this.scope === "role";
+      },
+    },
+    user: {
+      type: Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return this.scope === "user";
+      },
+    },
+
+    // null = no cap for that field
+    maxSingleRefund: limitField,
+    maxDailyRefundValue: limitField,
+    maxRefundsPerHour: limitField,
+
+    // what an exceeded limit does to the refund
+    onExceed: { type: String, enum: ["DENY", "REQUIRE_APPROVAL"], default: "REQUIRE_APPROVAL" },
+
+    updatedBy: { type: Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+AgentLimitSchema.index(
+  { tenant: 1, role: 1 },
+  { unique: true, partialFilterExpression: { scope: "role" } }
+);
+AgentLimitSchema.index(
+  { tenant: 1, user: 1 },
+  { unique: true, partialFilterExpression: { scope: "user" } }
+);
+
+module.exports = mongoose.model("AgentLimit", AgentLimitSchema);
@@ -0,0 +1,82 @@
+// models/bulkRefundJobModel.js
+// One POST /refund/bulk batch: the requested items and a result per item,
+// updated as each item runs so clients can poll progress.
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const BULK_ITEM_STATUSES = ["queued", "refunded", "pending_approval", "retry_scheduled", "denied", "failed"];
+const JOB_TTL_DAYS = 7;
+// Every finished item touches the job (updatedAt). A queued or running job
+// untouched for this long was interrupted by a restart or crash.
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const BulkRefundResultSchema = new Schema({
+  index:     { type: Number, required: true },
+  orderId:   { type: String, default: null },
+  status:    { type: String, enum: BULK_ITEM_STATUSES, default: "queued" },
+  httpCode:  { type: Number, default: null },
+  refundId:  { type: String, default: null }, // Shopify refund id (refunded)
+  pendingId: { type: String, default: null }, // PendingRefund id (pending_approval)
+  reason:    { type: String, default: null }, // rule decision reason (denied / pending_approval)
+  matched:   { type: [String], default: [] },
+  error:     { type: String, default: null },
+}, { _id: false });
+
+const BulkRefundJobSchema = new Schema({
+  tenant:    { type: Types.ObjectId, ref: "Tenant", required: true },
+  createdBy: { type: Types.ObjectId, ref: "User", required: true },
+
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued"
+  },
+
+  // the request as sent: { phone, reasonCode, items }
+  request: { type: Schema.Types.Mixed, default: null },
+
+  total:     { type: Number, required: true },
+  processed: { type: Number, default: 0 },
+  counts: {
+    refunded:         { type: Number, default: 0 },
+    pending_approval: { type: Number, default: 0 },
+    retry_scheduled:  { type: Number, default: 0 },
+    denied:           { type: Number, default: 0 },
+    failed:           { type: Number, default: 0 },
+  },
+  results: { type: [BulkRefundResultSchema], default: [] },
+  error:   { type: String, default: null }, // set when the whole job failed
+
+  startedAt:  { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  expiresAt:  { type: Date, default: () => new Date(Date.now() + JOB_TTL_DAYS * 24 * 60 * 60 * 1000) },
+}, { timestamps: true });
+
+BulkRefundJobSchema.index({ tenant: 1, createdBy: 1, createdAt: -1 });
+
+// Let Mongo purge old jobs; the ledger keeps every refund they made
+BulkRefundJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+BulkRefundJobSchema.index({ status: 1, updatedAt: 1 });
+
+/**
+ * Mark interrupted jobs failed so clients stop polling them. Jobs are not
+ * resumed: the item running at the crash may already have been refunded.
+ * @param {Object} [filter] narrows the jobs checked, e.g. { _id }
+ */
+BulkRefundJobSchema.statics.failStaleJobs = function (filter = {}, now = new Date()) {
+  return this.updateMany(
+    { ...filter, status: { $in: ["queued", "running"] }, updatedAt: { $lt: new Date(now.getTime() - STALE_JOB_MS) } },
+    {
+      $set: {
+        status: "failed",
+        error: "The job was interrupted before it finished. Items still queued were not run; check the refund ledger before resubmitting them.",
+        finishedAt: now,
+      },
+    }
+  );
+};
+
+const BulkRefundJob = mongoose.model("BulkRefundJob", BulkRefundJobSchema);
+BulkRefundJob.STALE_JOB_MS = STALE_JOB_MS;
+module.exports = BulkRefundJob;
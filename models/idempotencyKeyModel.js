@@ -0,0 +1,36 @@
+// models/idempotencyKeyModel.js
+// Stored Idempotency-Key requests so retries of POST /refund replay the
+// original response instead of refunding twice.
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const IdempotencyKeySchema = new Schema({
+  tenant: { type: Types.ObjectId, ref: "Tenant", required: true },
+  key: { type: String, required: true, maxlength: 255 },
+  user: { type: Types.ObjectId, ref: "User", default: null },
+
+  // sha256 of method + path + actor + body; a different fingerprint for the same key is a conflict
+  fingerprint: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: ["IN_PROGRESS", "COMPLETED"],
+    default: "IN_PROGRESS"
+  },
+  // lease of the request holding an IN_PROGRESS key; past it, a retry takes the key over
+  lockedUntil: { type: Date, default: null },
+
+  // final response, replayed verbatim for duplicates
+  responseCode: { type: Number, default: null },
+  responseBody: { type: Schema.Types.Mixed, default: null },
+
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+// One record per tenant + key
+IdempotencyKeySchema.index({ tenant: 1, key: 1 }, { unique: true });
+
+// Let Mongo purge expired keys
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
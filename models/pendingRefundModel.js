@@ -2,6 +2,15 @@
 const mongoose = require("mongoose");
 const { Schema, Types } = mongoose;
 
+// one requested line of a partial refund, replayed as-is on approval
+const PendingLineItemSchema = new Schema({
+  lineItemId: { type: Number, required: true },
+  quantity: { type: Number, default: 0 },
+  amount: { type: Number, default: null },
+  restock_type: { type: String, default: null },
+  locationId: { type: Number, default: null }
+}, { _id: false });
+
 const PendingRefundSchema = new Schema({
   tenant: { type: Types.ObjectId, ref: "Tenant", index: true, required: true },
   requester: { type: Types.ObjectId, ref: "User", index: true, required: true },
@@ -11,15 +20,25 @@ const PendingRefundSchema = new Schema({
     phone: String,
     orderId: String,
     amount: { type: Number, required: false },
-    note: { type: String, required: false }
+    note: { type: String, required: false },
+    partial: { type: Boolean, default: false },
+    // full refund mode (cancel_and_refund | refund_only | refund_shipping_only); null on older records
+    mode: { type: String, default: null },
+    // refund reason code (utils/refundReasons.js); null on older records
+    reasonCode: { type: String, default: null },
+    lineItems: { type: [PendingLineItemSchema], default: [] }
   },
 
+  // evidence files (RefundAttachment), sent with the request or added while it is pending
+  attachments: { type: [{ type: Types.ObjectId, ref: "RefundAttachment" }], default: [] },
+
   // snapshot for audit & reproducibility
   ruleDecision: {
     outcome: { type: String, enum: ["REQUIRE_APPROVAL"], required: true },
     reason: String,
     limits: Schema.Types.Mixed,
     matched: [String],
+    trace: { type: [Schema.Types.Mixed], default: undefined },
     rulesVersion: Number,
     ruleSetId: { type: String }
   },
@@ -27,15 +46,23 @@ const PendingRefundSchema = new Schema({
   // optional context snapshot (helps supervisors)
   context: Schema.Types.Mixed,
 
+  // decision re-evaluated at approval time (compare with ruleDecision for drift)
+  replayDecision: { type: Schema.Types.Mixed, default: null },
+
+  // PROCESSING: claimed by a supervisor whose approval is running against Shopify
   status: {
     type: String,
-    enum: ["PENDING", "APPROVED", "DENIED"],
+    enum: ["PENDING", "PROCESSING", "APPROVED", "DENIED"],
     default: "PENDING",
     index: true
   },
+  claimedBy: { type: Types.ObjectId, ref: "User", default: null },
+  claimedAt: { type: Date, default: null },
 
   resolvedBy: { type: Types.ObjectId, ref: "User", default: null },
-  resolvedAt: { type: Date, default: null }
+  resolvedAt: { type: Date, default: null },
+  // supervisor's comment when approving/denying (required on deny)
+  resolutionNote: { type: String, default: null, maxlength: 1000 }
 }, { timestamps: true });
 
 PendingRefundSchema.index({ tenant: 1, status: 1, createdAt: -1 });
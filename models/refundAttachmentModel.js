@@ -0,0 +1,22 @@
+// models/refundAttachmentModel.js
+// A file an agent uploaded as evidence for a refund on one order. The bytes
+// live in the attachment storage adapter (services/attachmentStorage.js);
+// refunds and approval requests reference these documents by id.
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const RefundAttachmentSchema = new Schema({
+  tenant:     { type: Types.ObjectId, ref: "Tenant", required: true },
+  uploadedBy: { type: Types.ObjectId, ref: "User", required: true },
+  orderId:    { type: String, required: true },
+
+  storage:      { type: String, required: true }, // adapter name, e.g. "local"
+  key:          { type: String, required: true }, // where the adapter keeps the bytes
+  originalName: { type: String, default: null },
+  mimeType:     { type: String, required: true }, // detected from the content
+  size:         { type: Number, required: true },
+}, { timestamps: true });
+
+RefundAttachmentSchema.index({ tenant: 1, orderId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.RefundAttachment || mongoose.model("RefundAttachment", RefundAttachmentSchema);
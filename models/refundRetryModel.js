@@ -0,0 +1,49 @@
+// models/refundRetryModel.js
+// One refund that failed because Shopify was unavailable, queued for the
+// retry worker (services/refundRetryWorker.js). Keyed by tenant + order, so
+// every failed order of a customer is retried on its own; the customer's
+// RefundStat keeps only the attempt trail and counters.
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const RETRY_STATES = ["scheduled", "needs_attention"];
+
+const RefundRetrySchema = new Schema({
+  tenant:   { type: Types.ObjectId, ref: "Tenant", required: true },
+  customer: { type: String, default: null }, // "phone:..." or "email:..." (same key as RefundStat)
+  orderId:  { type: String, required: true },
+
+  // scheduled: the worker replays request at nextRetryAt; needs_attention: it gave up
+  state:    { type: String, enum: RETRY_STATES, required: true },
+  request:  { type: Schema.Types.Mixed, required: true }, // POST /refund body to replay, with the resolved orderId
+  actor:    { type: Types.ObjectId, ref: "User", default: null }, // agent the refund is replayed as
+
+  // Exponential backoff without jitter
+  retryCount:    { type: Number, default: 0 },             // failed attempts so far
+  nextRetryAt:   { type: Date, default: null },
+  retryBaseMs:   { type: Number, default: 15_000 },
+  maxRetryMs:    { type: Number, default: 15 * 60_000 },
+  firstFailedAt: { type: Date, default: null },            // refunds Shopify made after this count as done
+  lastAttemptAt: { type: Date, default: null },
+  lastErrorCode: { type: String, default: null },
+  lastErrorMsg:  { type: String, default: null },
+}, { timestamps: true });
+
+// One queued refund per order
+RefundRetrySchema.index({ tenant: 1, orderId: 1 }, { unique: true });
+// The worker's due query and the admin queue
+RefundRetrySchema.index({ state: 1, nextRetryAt: 1 });
+RefundRetrySchema.index({ tenant: 1, state: 1, nextRetryAt: 1 });
+
+/**
+ * Backoff before the next attempt: retryBaseMs, doubling per failure, capped
+ * at maxRetryMs.
+ */
+RefundRetrySchema.methods.computeBackoffMs = function () {
+  const a = Math.max(1, this.retryCount);
+  return Math.min(this.retryBaseMs * (2 ** (a - 1)), this.maxRetryMs);
+};
+
+const RefundRetry = mongoose.model("RefundRetry", RefundRetrySchema);
+RefundRetry.RETRY_STATES = RETRY_STATES;
+module.exports = RefundRetry;
@@ -4,6 +4,27 @@
 
 const mongoose = require("mongoose");
 const { Schema, Types } = mongoose;
+const { validateConditions } = require("../utils/ruleConditions");
+const { REFUND_MODES } = require("../utils/refundModes");
+
+// --- Tenant-defined condition (see utils/ruleConditions.js for the grammar) ---
+const RuleConditionSchema = new Schema(
+  {
+    id: { type: String, required: true, trim: true },
+    outcome: {
+      type: String,
+      enum: ["ALLOW", "DENY", "REQUIRE_APPROVAL", "WARN"],
+      required: true,
+    },
+    // lower runs first
+    priority: { type: Number, default: 100 },
+    message: { type: String, default: null },
+    enabled: { type: Boolean, default: true },
+    // { all | any | not | { path, op, value } } tree, validated on publish
+    when: { type: Schema.Types.Mixed, required: true },
+  },
+  { _id: false, id: false }
+);
 
 // --- Rule payload mirrors schemas/refundRules.schema.json ---
 const RefundRulesPayloadSchema = new Schema(
@@ -25,10 +46,32 @@ const RefundRulesPayloadSchema = new Schema(
       min: 0,
       default: 2,
     },
+    // What "per day" means for maxRefundsPerDay (see utils/customerRefundCount.js)
+    refundCountWindow: {
+      type: String,
+      enum: ["today", "rolling24h", "tenantDay"],
+      default: "today",
+    },
+    // Outcome when the customer's refunds cannot be counted
+    onUnknownRefundCount: {
+      type: String,
+      enum: ["ALLOW", "REQUIRE_APPROVAL", "DENY"],
+      default: "REQUIRE_APPROVAL",
+    },
+    // Store-wide cap on refunded value per day / month (tenant time zone); null = none
+    maxDailyRefundValue: { type: Number, min: 0, default: null },
+    maxMonthlyRefundValue: { type: Number, min: 0, default: null },
+    // Refunds above this value need an attachment (photo, courier proof); null = never
+    requireAttachmentAbove: { type: Number, min: 0, default: null },
     allowPaymentMethods: {
       type: [String],
       default: ["card", "upi", "cod"],
     },
+    // Full refund modes agents may use; empty = all of them
+    allowedRefundModes: {
+      type: [{ type: String, enum: REFUND_MODES }],
+      default: [],
+    },
     requireSupervisorAbovePercent: {
       type: Number,
       min: 0,
@@ -41,6 +84,15 @@ const RefundRulesPayloadSchema = new Schema(
       type: Boolean,
       default: true,
     },
+    conditions: {
+      type: [RuleConditionSchema],
+      default: [],
+      validate: {
+        validator: (list) =>
+          validateConditions((list || []).map((c) => (c?.toObject ? c.toObject() : c))).length === 0,
+        message: "Invalid rule conditions",
+      },
+    },
   },
   { _id: false }
 );
@@ -82,6 +134,44 @@ const RefundRulesSchema = new Schema(
       index: true,
     },
 
+    // Scheduled versions leave the base (isActive) version alone and take
+    // precedence only inside [effectiveFrom, effectiveUntil); see resolveEffective.
+    isScheduled: {
+      type: Boolean,
+      default: false,
+    },
+    effectiveFrom: {
+      type: Date,
+      default: null,
+    },
+    // null = no end; when the window closes the previous version applies again
+    effectiveUntil: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+
+    // two-person rule: the second admin and the approved change request
+    approvedBy: {
+      type: Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    changeRequest: {
+      type: Types.ObjectId,
+      ref: "RuleChangeRequest",
+      default: null,
+    },
+
+    // set when this version republished an older one (rollback)
+    rolledBackFrom: {
+      type: Number,
+      default: null,
+    },
+
     // actual rule payload
     rules: {
       type: RefundRulesPayloadSchema,
@@ -122,40 +212,98 @@ RefundRulesSchema.index({ tenant: 1, version: -1 });
 // 3) Housekeeping / recency queries.
 RefundRulesSchema.index({ updatedAt: -1 });
 
+// 4) Scheduled versions per tenant.
+RefundRulesSchema.index({ tenant: 1, isScheduled: 1, effectiveFrom: 1 });
+
 // --- Statics / helpers ---
 
 /**
- * Get the active ruleset for a tenant, or fall back to platform default.
+ * Where a version stands at `now`:
+ * active | inactive for regular versions,
+ * scheduled | live | expired | cancelled for scheduled ones.
+ */
+RefundRulesSchema.statics.scheduleState = function (doc, now = new Date()) {
+  if (!doc?.isScheduled) return doc?.isActive ? "active" : "inactive";
+  if (doc.cancelledAt) return "cancelled";
+  if (doc.effectiveFrom && new Date(doc.effectiveFrom) > now) return "scheduled";
+  if (doc.effectiveUntil && new Date(doc.effectiveUntil) <= now) return "expired";
+  return "live";
+};
+
+/**
+ * The version in force for one tenant (no platform fallback): the highest
+ * version among the active one and scheduled versions whose window contains `now`.
  * @param {ObjectId|null} tenantId
+ * @param {Date} now
  */
-RefundRulesSchema.statics.getActiveForTenant = async function (tenantId) {
-  const model = this;
+RefundRulesSchema.statics.resolveEffective = async function (tenantId, now = new Date()) {
+  return this.findOne({
+    tenant: tenantId,
+    $or: [
+      { isActive: true },
+      {
+        isScheduled: true,
+        cancelledAt: null,
+        effectiveFrom: { $lte: now },
+        $or: [{ effectiveUntil: null }, { effectiveUntil: { $gt: now } }],
+      },
+    ],
+  })
+    .sort({ version: -1 })
+    .lean();
+};
 
-  // Try tenant-specific
-  const tenantActive = await model
-    .findOne({ tenant: tenantId, isActive: true })
+/**
+ * Next time a scheduled window opens or closes for the tenant or the
+ * platform default, or null. Bounds how long the resolved rules may be cached.
+ */
+RefundRulesSchema.statics.nextScheduleChange = async function (tenantId, now = new Date()) {
+  const docs = await this.find({
+    tenant: { $in: [tenantId || null, null] },
+    isScheduled: true,
+    cancelledAt: null,
+    $or: [{ effectiveFrom: { $gt: now } }, { effectiveUntil: { $gt: now } }],
+  })
+    .select({ effectiveFrom: 1, effectiveUntil: 1 })
     .lean();
 
+  const times = docs
+    .flatMap((d) => [d.effectiveFrom, d.effectiveUntil])
+    .filter((t) => t && new Date(t) > now)
+    .map((t) => new Date(t).getTime());
+  return times.length ? new Date(Math.min(...times)) : null;
+};
+
+/**
+ * Get the ruleset in force for a tenant, or fall back to platform default.
+ * Scheduled versions win inside their window (see resolveEffective).
+ * @param {ObjectId|null} tenantId
+ * @param {Date} now
+ */
+RefundRulesSchema.statics.getActiveForTenant = async function (tenantId, now = new Date()) {
+  // Try tenant-specific
+  const tenantActive = await this.resolveEffective(tenantId, now);
   if (tenantActive) return tenantActive;
 
   // Fallback: platform default (tenant:null)
-  const platformDefault = await model
-    .findOne({ tenant: null, isActive: true })
-    .lean();
-
+  const platformDefault = await this.resolveEffective(null, now);
   return platformDefault || null;
 };
 
 /**
  * Publish a new version for a tenant (deactivate old, insert new).
+ * With extra.isScheduled the new version is stored alongside the active one
+ * and only applies inside its effectiveFrom/effectiveUntil window.
  * @param {ObjectId|null} tenantId
  * @param {Object} rulesPayload (matches RefundRulesPayloadSchema)
  * @param {ObjectId|null} createdBy
+ * @param {Object} [extra] additional top-level fields, e.g. { rolledBackFrom }
  */
 RefundRulesSchema.statics.publishNewVersion = async function (
   tenantId,
   rulesPayload,
-  createdBy = null
+  createdBy = null,
+  extra = {}
 ) {
   const session = await this.db.startSession();
   session.startTransaction();
@@ -171,22 +319,27 @@ RefundRulesSchema.statics.publishNewVersion = async function (
 
     const nextVersion = latest ? latest.version + 1 : 1;
 
+    const scheduled = Boolean(extra.isScheduled);
+
     // Deactivate any currently active ruleset
-    await model.updateMany(
-      { tenant: tenantId, isActive: true },
-      { $set: { isActive: false } },
-      { session }
-    );
+    if (!scheduled) {
+      await model.updateMany(
+        { tenant: tenantId, isActive: true },
+        { $set: { isActive: false } },
+        { session }
+      );
+    }
 
-    // Create new active ruleset
+    // Create new active (or scheduled) ruleset
     const doc = await model.create(
       [
         {
           tenant: tenantId || null,
           version: nextVersion,
-          isActive: true,
+          isActive: !scheduled,
           createdBy: createdBy || null,
           rules: rulesPayload || {},
+          ...extra,
         },
       ],
       { session }
@@ -23,6 +23,7 @@ const AttemptSchema = new Schema({
   partial:    { type: Boolean, default: false },
   ruleSetId:  { type: String, default: null },
   rulesVer:   { type: Number, default: null },
+  reasonCode: { type: String, default: null },       // refund reason picked by the agent
 }, { _id: false });
 
 const RefundStatSchema = new Schema({
@@ -73,6 +74,8 @@ RefundStatSchema.index({ tenant: 1, customer: 1 }, { unique: true });
 // Fast queries to find due retries and hot failure accounts
 RefundStatSchema.index({ tenant: 1, nextRetryAt: 1 });
 RefundStatSchema.index({ tenant: 1, failureCount: -1 });
+// Activity logs sort by the latest attempt (refunds, denials, failures)
+RefundStatSchema.index({ tenant: 1, lastAttemptAt: -1 });
 // For filtering logs by user accurately (matches any attempt actor)
 RefundStatSchema.index({ tenant: 1, 'attempts.actor': 1, lastRefundAt: -1 });
 
@@ -0,0 +1,71 @@
+// models/refundTransactionModel.js
+// Durable, per-refund ledger. One document per executed, denied, pending or
+// failed refund; RefundStat remains the per-customer counter cache.
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const LedgerLineItemSchema = new Schema({
+  lineItemId: { type: Number, required: true },
+  quantity:   { type: Number, default: 0 },
+  amount:     { type: Number, default: null },
+  restock_type: { type: String, default: null },
+  locationId: { type: Number, default: null },
+}, { _id: false });
+
+const RefundTransactionSchema = new Schema({
+  tenant:   { type: Types.ObjectId, ref: "Tenant", required: true },
+  // agent (or supervisor on approve/deny) who performed the action
+  actor:    { type: Types.ObjectId, ref: "User", default: null },
+  // agent who filed the original request (differs from actor on approve/deny)
+  requester: { type: Types.ObjectId, ref: "User", default: null },
+
+  action:   { type: String, enum: ["refund", "approve", "deny"], required: true },
+  outcome:  { type: String, enum: ["SUCCESS", "DENY", "REQUIRE_APPROVAL", "ERROR"], required: true },
+
+  // Customer + order identity
+  customer:          { type: String, default: null }, // "phone:..." or "email:..." (same key as RefundStat)
+  shopifyCustomerId: { type: String, default: null },
+  orderId:           { type: String, default: null },
+  orderName:         { type: String, default: null },
+
+  // What was (or would have been) refunded
+  partial:   { type: Boolean, default: false },
+  mode:      { type: String, default: null }, // cancel_and_refund | refund_only | refund_shipping_only
+  amount:    { type: Number, default: null },
+  currency:  { type: String, default: null },
+  lineItems: { type: [LedgerLineItemSchema], default: [] },
+  note:      { type: String, default: null },
+  reasonCode: { type: String, default: null }, // tenant refund reason (utils/refundReasons.js)
+  attachments: { type: [{ type: Types.ObjectId, ref: "RefundAttachment" }], default: [] }, // evidence sent with the request
+
+  // Shopify side (SUCCESS only)
+  shopifyRefundId: { type: String, default: null },
+  gateway:         { type: String, default: null },
+  parentTransactionId: { type: String, default: null },
+
+  // Approval linkage
+  pendingRefund: { type: Types.ObjectId, ref: "PendingRefund", default: null },
+
+  // Rules snapshot for audit / backtesting
+  ruleSetId:    { type: String, default: null },
+  rulesVersion: { type: Number, default: null },
+  ruleDecision: { type: Schema.Types.Mixed, default: null },
+  context:      { type: Schema.Types.Mixed, default: null }, // rule context without the ruleset payload
+
+  // Failure details
+  httpCode:  { type: Number, default: null },
+  errorCode: { type: String, default: null },
+  errorMsg:  { type: String, default: null }, // truncated (<= 500 chars)
+
+  ip: { type: String, default: null },
+}, { timestamps: true });
+
+// Reporting / lookup paths
+RefundTransactionSchema.index({ tenant: 1, createdAt: -1 });
+RefundTransactionSchema.index({ tenant: 1, orderId: 1, createdAt: -1 });
+RefundTransactionSchema.index({ tenant: 1, customer: 1, createdAt: -1 });
+RefundTransactionSchema.index({ tenant: 1, actor: 1, createdAt: -1 });
+RefundTransactionSchema.index({ tenant: 1, outcome: 1, createdAt: -1 });
+RefundTransactionSchema.index({ tenant: 1, reasonCode: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RefundTransaction", RefundTransactionSchema);
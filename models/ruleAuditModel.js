@@ -0,0 +1,46 @@
+// models/ruleAuditModel.js
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const RuleAuditSchema = new Schema(
+  {
+    action: {
+      type: String,
+      enum: [
+        "RULES_PROPOSED",
+        "RULES_APPROVED",
+        "RULES_REJECTED",
+        "RULES_WITHDRAWN",
+        "SCHEDULE_UPDATED",
+        "SCHEDULE_CANCELLED",
+        "RULES_DEACTIVATED",
+      ],
+      required: true,
+      index: true,
+    },
+
+    // who performed the action
+    actor: { type: Types.ObjectId, ref: "User", required: true, index: true },
+
+    // null tenant means "platform default"
+    tenant: { type: Types.ObjectId, ref: "Tenant", default: null, index: true },
+
+    // what it touched
+    request: { type: Types.ObjectId, ref: "RuleChangeRequest", default: null },
+    version: { type: Number, default: null },
+
+    // field-level changes (see diffRules) and free-text comment
+    diff: { type: [Schema.Types.Mixed], default: [] },
+    comment: { type: String, default: null },
+    meta: { type: Schema.Types.Mixed, default: null },
+
+    // request context
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+RuleAuditSchema.index({ tenant: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RuleAudit", RuleAuditSchema);
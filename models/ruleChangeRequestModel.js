@@ -0,0 +1,63 @@
+// models/ruleChangeRequestModel.js
+// A proposed ruleset change awaiting a second admin (two-person rule).
+// Approval publishes the rules (publish, rollback) or changes an existing
+// version (deactivate, schedule_update, schedule_cancel); the proposer cannot approve.
+
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+const RuleChangeRequestSchema = new Schema(
+  {
+    // null tenant means "platform default"
+    tenant: { type: Types.ObjectId, ref: "Tenant", default: null, index: true },
+
+    // publish: new rules from the editor; rollback: an older version's rules;
+    // deactivate: switch off the active version; schedule_update/schedule_cancel:
+    // move or cancel a scheduled version's window
+    kind: {
+      type: String,
+      enum: ["publish", "rollback", "deactivate", "schedule_update", "schedule_cancel"],
+      default: "publish",
+    },
+    rolledBackFrom: { type: Number, default: null },
+
+    // rules to publish (see normalizeRules); for the other kinds, the target version's rules
+    rules: { type: Schema.Types.Mixed, required: true },
+    // schedule of the new version, or the new window for schedule_update
+    effectiveFrom: { type: Date, default: null },
+    effectiveUntil: { type: Date, default: null },
+
+    // version a deactivate/schedule change applies to, and its updatedAt when
+    // proposed; approval refuses if that version changed since
+    targetVersion: { type: Number, default: null },
+    targetUpdatedAt: { type: Date, default: null },
+
+    // version in force when proposed; the diff is computed against it
+    baseVersion: { type: Number, default: null },
+    // newest version when proposed; approval refuses if another was published since
+    headVersion: { type: Number, default: null },
+    diff: { type: [Schema.Types.Mixed], default: [] },
+
+    status: {
+      type: String,
+      enum: ["PENDING", "APPROVED", "REJECTED", "WITHDRAWN"],
+      default: "PENDING",
+      index: true,
+    },
+
+    proposedBy: { type: Types.ObjectId, ref: "User", required: true },
+    note: { type: String, default: null },
+
+    reviewedBy: { type: Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewComment: { type: String, default: null },
+
+    // set on approval
+    publishedVersion: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+RuleChangeRequestSchema.index({ tenant: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RuleChangeRequest", RuleChangeRequestSchema);
@@ -1,10 +1,17 @@
 const mongoose = require("mongoose");
 const { encrypt, decrypt } = require("../utils/encryption");
+const { isValidTimeZone } = require("../utils/tenantBudget");
 
 const tenantSchema = new mongoose.Schema({
   name: { type: String, required: true },
   shopDomain: { type: String, required: true },
   apiVersion: { type: String, default: "2025-07" },
+  // IANA zone the store's refund budget days and months are counted in
+  timezone: {
+    type: String,
+    default: "UTC",
+    validate: { validator: isValidTimeZone, message: "Unknown time zone" },
+  },
 
   // Sensitive fields
   accessToken: { 
@@ -25,6 +32,18 @@ const tenantSchema = new mongoose.Schema({
   settings: {
     refundRules: Object,
     cashbackRules: Object,
+    // Shopify location restocked refund lines go to unless the agent picks one
+    defaultLocationId: { type: Number, default: null },
+    // Reason codes agents pick from (utils/refundReasons.js); empty uses the defaults
+    refundReasons: {
+      type: [{
+        _id: false,
+        code: { type: String, required: true },
+        label: { type: String, required: true },
+        active: { type: Boolean, default: true },
+      }],
+      default: undefined,
+    },
   }
 }, { 
   timestamps: true,
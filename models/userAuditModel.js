@@ -6,7 +6,7 @@ const UserAuditSchema = new Schema(
   {
     action: {
       type: String,
-      enum: ['USER_CREATED', 'USER_DELETED', 'USER_RESTORED'],
+      enum: ['USER_CREATED', 'USER_DELETED', 'USER_RESTORED', 'USER_LIMITS_UPDATED'],
       required: true,
       index: true,
     },
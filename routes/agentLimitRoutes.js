@@ -0,0 +1,28 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const tenantMiddleware = require('../middlewares/tenantMiddleware');
+const agentLimitController = require('../controllers/agentLimitController');
+
+const router = express.Router();
+
+// secure all endpoints
+const secure = [authController.protect, tenantMiddleware];
+const adminsOnly = authController.restrictTo('platform_admin', 'super_admin');
+
+// GET /api/v1/agent-limits -> role and user limits for the tenant
+router.get('/', secure, adminsOnly, agentLimitController.listAgentLimits);
+
+// GET /api/v1/agent-limits/budgets -> each user's effective limits, usage today and remaining budget
+router.get('/budgets', secure, adminsOnly, agentLimitController.getBudgets);
+
+router
+  .route('/roles/:role')
+  .put(secure, adminsOnly, agentLimitController.setRoleLimits)
+  .delete(secure, adminsOnly, agentLimitController.clearRoleLimits);
+
+router
+  .route('/users/:userId')
+  .put(secure, adminsOnly, agentLimitController.setUserLimits)
+  .delete(secure, adminsOnly, agentLimitController.clearUserLimits);
+
+module.exports = router;
@@ -1,15 +1,23 @@
 const express = require('express');
-const { getOrders, refundOrderByPhone,approvePendingRefund, denyPendingRefund, bulkPreviewRefunds } = require('../controllers/refundsController');
+const { getOrders, refundOrderByPhone,approvePendingRefund, denyPendingRefund, bulkPreviewRefunds, bulkRefund, getBulkRefundJob, calculateRefund, listPendingRefunds, getPendingRefund } = require('../controllers/refundsController');
 const { buildRefundContext, applyRefundRules} = require("../middlewares/rules");
+const { getRefundBudget } = require('../controllers/refundBudgetController');
+const { getLocations, setDefaultLocation } = require('../controllers/locationController');
+const { getRefundReasons, setRefundReasons } = require('../controllers/refundReasonController');
+const { uploadAttachmentFiles, uploadRefundAttachments, getRefundAttachmentFile, addPendingRefundAttachments } = require('../controllers/refundAttachmentController');
+const { idempotency } = require('../middlewares/idempotency');
 const authController = require('../controllers/authController');
 const tenantMiddleware = require('../middlewares/tenantMiddleware');
 const router = express.Router();
 
 // Apply auth + tenant context only to this router's endpoints
 const secure = [authController.protect, tenantMiddleware];
+const supervisors = authController.restrictTo('platform_admin', 'super_admin');
 
 function requireSuperAdmin(req, res, next) {
-  if (!req.user?.roles?.includes('super_admin')) {
+  // Users carry a single `role`; keep `roles` for older token payloads
+  const roles = req.user?.role ? [req.user.role] : (req.user?.roles || []);
+  if (!roles.includes('super_admin')) {
     return res.status(403).json({ error: 'Super admin required' });
   }
   next();
@@ -21,6 +29,7 @@ router.route('/orders').get(secure, getOrders);
 router.route('/refund')
   .post(
     secure, 
+    idempotency,
     buildRefundContext,
     applyRefundRules,
     refundOrderByPhone
@@ -28,6 +37,33 @@ router.route('/refund')
   
 router.post('/refund/preview/bulk', secure, bulkPreviewRefunds);
 
+// Execute many refunds through the /refund rules pipeline; large batches are polled by job id
+router.post('/refund/bulk', secure, idempotency, bulkRefund);
+router.get('/refund/bulk/:jobId', secure, getBulkRefundJob);
+
+// What Shopify would refund for a selection (earlier refunds, tax and shipping included)
+router.post('/refund/calculate', secure, calculateRefund);
+
+// Store-wide refund budget: spent vs remaining today and this month
+router.get('/refund/budget', secure, getRefundBudget);
+
+// Shopify locations for restocking refunded items; supervisors set the default
+router.get('/locations', secure, getLocations);
+router.patch('/locations/default', secure, supervisors, setDefaultLocation);
+
+// Refund reason catalogue agents pick from; supervisors edit it
+router.get('/refund-reasons', secure, getRefundReasons);
+router.put('/refund-reasons', secure, supervisors, setRefundReasons);
+
+// Evidence files for refunds: upload for an order, open one, add to a pending request
+router.post('/refund/attachments', secure, uploadAttachmentFiles, uploadRefundAttachments);
+router.get('/refund/attachments/:id', secure, getRefundAttachmentFile);
+
+// Supervisor inbox: list/inspect PendingRefund records (tenant scoped)
+router.get('/refund/pending', secure, supervisors, listPendingRefunds);
+router.get('/refund/pending/:id', secure, supervisors, getPendingRefund);
+router.post('/refund/pending/:id/attachments', secure, addPendingRefundAttachments);
+
 router.post(
   '/refund/:pendingId/approve',
   secure,
@@ -6,23 +6,33 @@ const rules = require("../controllers/refundRulesController");
 
 const router = express.Router();
 const secure = [auth.protect, tenantMiddleware];
+const admins = auth.restrictTo("platform_admin", "super_admin");
 
-router.get("/active", secure, rules.getActive);
-router.get("/versions", secure, rules.listVersions);
-router.post("/publish", secure, rules.publish);
-router.post("/simulate", secure, rules.simulate);
-router.post("/deactivate", secure, rules.deactivateActive);
-
-// (optional) expose factory CRUD for admins
+router.get("/active", secure, admins, rules.getActive);
+router.get("/versions", secure, admins, rules.listVersions);
+router.get("/versions/:a/diff/:b", secure, admins, rules.diffVersions);
+router.post("/versions/:version/rollback", secure, admins, rules.rollbackVersion);
 router
-  .route("/")
-  .get(secure, rules.getAllRefundRules)
-  .post(secure, rules.createRefundRules);
+  .route("/versions/:version/schedule")
+  .patch(secure, admins, rules.updateSchedule)
+  .delete(secure, admins, rules.cancelSchedule);
+router.post("/publish", secure, admins, rules.publish);
+router.post("/simulate", secure, admins, rules.simulate);
+router.post("/backtest", secure, admins, rules.backtest);
+router.post("/deactivate", secure, admins, rules.deactivateActive);
 
-router
-  .route("/:id")
-  .get(secure, rules.getRefundRules)
-  .patch(secure, rules.updateRefundRules)
-  .delete(secure, rules.deleteRefundRules);
+// Publishing, rollbacks, schedule changes and deactivation are proposals
+// until a second admin approves them
+router.get("/proposals", secure, admins, rules.listProposals);
+router.get("/proposals/:id", secure, admins, rules.getProposal);
+router.post("/proposals/:id/approve", secure, admins, rules.approveProposal);
+router.post("/proposals/:id/reject", secure, admins, rules.rejectProposal);
+router.post("/proposals/:id/withdraw", secure, admins, rules.withdrawProposal);
+router.get("/audit", secure, admins, rules.listRuleAudit);
+
+// Raw ruleset documents across tenants, read-only: every write goes through a proposal
+const platformOnly = auth.restrictTo("platform_admin");
+router.get("/", secure, platformOnly, rules.getAllRefundRules);
+router.get("/:id", secure, platformOnly, rules.getRefundRules);
 
 module.exports = router;
@@ -16,6 +16,17 @@ const filters = [statsController.scopeToTenant, statsController.setDateFilters];
 router.get('/', secure, adminsOnly, filters, statsController.getAllRefundStats);
 router.delete('/', secure, authController.restrictTo('platform_admin'), filters, statsController.deleteRefundStats);
 
+// GET /api/v1/refund-stats/summary -> KPIs and time series over the refund ledger
+router.get('/summary', secure, adminsOnly, statsController.scopeToTenant, statsController.getRefundSummary);
+
+// GET /api/v1/refund-stats/export?format=csv|xlsx -> stream all matches (same filters as list)
+router.get('/export', secure, adminsOnly, filters, statsController.exportRefundStats);
+
+// Retry queue: refunds waiting for the retry worker or needing attention (one per order)
+router.get('/retries', secure, adminsOnly, statsController.getRetryQueue);
+router.post('/retries/:id/retry', secure, adminsOnly, statsController.retryNow);
+router.post('/retries/:id/dismiss', secure, adminsOnly, statsController.dismissRetry);
+
 // GET /api/v1/refund-stats/user/:userId -> list all for a specific user
 router.get('/user/:userId', secure, adminsOnly, filters, statsController.setUserFilter, statsController.getAllRefundStats);
 
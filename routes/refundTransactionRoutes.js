@@ -0,0 +1,21 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const tenantMiddleware = require('../middlewares/tenantMiddleware');
+const ledgerController = require('../controllers/refundTransactionController');
+
+const router = express.Router();
+
+// secure all endpoints
+const secure = [authController.protect, tenantMiddleware];
+const adminsOnly = authController.restrictTo('platform_admin', 'super_admin');
+
+// GET /api/v1/refund-transactions -> ledger entries with filters
+router.get('/', secure, adminsOnly, ledgerController.listRefundTransactions);
+
+// GET /api/v1/refund-transactions/export?format=csv|xlsx -> stream all matches (same filters as list)
+router.get('/export', secure, adminsOnly, ledgerController.exportRefundTransactions);
+
+// GET /api/v1/refund-transactions/:id -> single entry incl. rule context snapshot
+router.get('/:id', secure, adminsOnly, ledgerController.getRefundTransaction);
+
+module.exports = router;
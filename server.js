@@ -53,6 +53,9 @@ const userRouter = require("./routes/userRoutes");
 const webhookRoutes = require("./routes/webhook");
 const refundRulesRouter = require("./routes/refundRulesRoutes");
 const userAuditRouter = require("./routes/userAuditRoutes");
+const refundTransactionRouter = require("./routes/refundTransactionRoutes");
+const agentLimitRouter = require("./routes/agentLimitRoutes");
+const BulkRefundJob = require("./models/bulkRefundJobModel");
 
 const allowedOrigins = [
   "http://localhost:5173", // React dev server
@@ -82,6 +85,8 @@ app.use("/api/v1/tenants", tenantRouter);
 app.use("/api/v1/refund-rules", refundRulesRouter);
 app.use("/api/v1/refund-stats", refundStatRouter);
 app.use("/api/v1/user-audits", userAuditRouter);
+app.use("/api/v1/refund-transactions", refundTransactionRouter);
+app.use("/api/v1/agent-limits", agentLimitRouter);
 
 // Serve Users-only OpenAPI spec and Swagger UI
 try {
@@ -169,6 +174,32 @@ try {
 } catch (e) {
   console.warn("User Audit Swagger docs not loaded:", e.message);
 }
+// Serve Refund Transactions (ledger) OpenAPI spec and Swagger UI
+try {
+  const rtSpecPath = path.join(__dirname, "docs", "openapi.refund-transactions.json");
+  const rtOpenapi = JSON.parse(fs.readFileSync(rtSpecPath, "utf-8"));
+  app.get("/openapi.refund-transactions.json", (req, res) => res.json(rtOpenapi));
+  app.use(
+    "/api-docs/refund-transactions",
+    swaggerUi.serveFiles(rtOpenapi, {}),
+    swaggerUi.setup(rtOpenapi),
+  );
+} catch (e) {
+  console.warn("Refund Transactions Swagger docs not loaded:", e.message);
+}
+// Serve Agent Limits OpenAPI spec and Swagger UI
+try {
+  const alSpecPath = path.join(__dirname, "docs", "openapi.agent-limits.json");
+  const alOpenapi = JSON.parse(fs.readFileSync(alSpecPath, "utf-8"));
+  app.get("/openapi.agent-limits.json", (req, res) => res.json(alOpenapi));
+  app.use(
+    "/api-docs/agent-limits",
+    swaggerUi.serveFiles(alOpenapi, {}),
+    swaggerUi.setup(alOpenapi),
+  );
+} catch (e) {
+  console.warn("Agent Limits Swagger docs not loaded:", e.message);
+}
 app.use(globalErrorHandler);
 
 app.use((req, res, next) => {
@@ -187,6 +218,12 @@ mongoose.connect(DB, {
 });
 mongoose.connection.on("connected", () => {
   console.log("Mongoose connected to MongoDB");
+  // Bulk jobs run in this process; any left running by a previous one were interrupted
+  BulkRefundJob.failStaleJobs()
+    .then(({ modifiedCount }) => {
+      if (modifiedCount) console.log(`Marked ${modifiedCount} interrupted bulk refund job(s) failed`);
+    })
+    .catch((err) => console.error("Failed to close interrupted bulk refund jobs:", err.message));
 });
 
 mongoose.connection.on("error", (err) => {
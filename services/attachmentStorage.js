@@ -0,0 +1,62 @@
+// services/attachmentStorage.js
+// Where refund attachment files live. An adapter stores bytes under a key and
+// hands them back as a stream; RefundAttachment keeps the key and metadata.
+//
+//   const storage = attachmentStorage();
+//   const key = await storage.save({ tenantId, buffer, ext: ".jpg" });
+//   const stream = await storage.open(key);
+//   await storage.remove(key);
+//
+// The default adapter writes to local disk under ATTACHMENT_DIR
+// (uploads/attachments by default), one folder per tenant. To keep files
+// elsewhere (S3, GCS, ...), call setAttachmentStorage(adapter) at startup
+// with an object that has the same name/save/open/remove methods.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "uploads", "attachments");
+
+function localDiskStorage(root = process.env.ATTACHMENT_DIR || DEFAULT_DIR) {
+  const base = path.resolve(root);
+
+  // Keys are generated here, but never let a stored key point outside the root
+  function fileFor(key) {
+    const file = path.resolve(base, String(key));
+    if (!file.startsWith(base + path.sep)) throw new Error(`Invalid attachment key ${key}`);
+    return file;
+  }
+
+  return {
+    name: "local",
+    async save({ tenantId, buffer, ext = "" }) {
+      const key = `${String(tenantId)}/${crypto.randomUUID()}${ext}`;
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: "wx" });
+      return key;
+    },
+    async open(key) {
+      const file = fileFor(key);
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+let adapter = null;
+
+function attachmentStorage() {
+  if (!adapter) adapter = localDiskStorage();
+  return adapter;
+}
+
+function setAttachmentStorage(next) {
+  adapter = next || null;
+}
+
+module.exports = { localDiskStorage, attachmentStorage, setAttachmentStorage };
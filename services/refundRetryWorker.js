@@ -0,0 +1,229 @@
+// services/refundRetryWorker.js
+// Replays refunds queued by utils/refundRetry.js once their nextRetryAt is
+// due. Each replay runs the POST /refund chain again as the agent who asked
+// for it, so rules, approvals, the ledger and RefundStat behave as for a
+// live request, and a replay that fails the same way is rescheduled there.
+//
+// Replays are idempotent: a refund Shopify created for the order after the
+// first failure (the request may have gone through before it timed out)
+// closes the retry instead of refunding again.
+
+const RefundRetry = require("../models/refundRetryModel");
+const RefundStat = require("../models/refundStatModel");
+const Tenant = require("../models/tenantModel");
+const User = require("../models/userModel");
+const { shopifyClient } = require("./shopifyClient");
+const { buildRefundContext, applyRefundRules } = require("../middlewares/rules");
+const { refundOrderByPhone } = require("../controllers/refundsController");
+const { runChain } = require("../utils/bulkRefund");
+const { recordRefundAttempt } = require("../utils/recordRefundAttempt");
+const { recordRefundTransaction } = require("../utils/recordRefundTransaction");
+const { isRetryableError, applyRetryFailure, refundSince } = require("../utils/refundRetry");
+
+const POLL_MS = Number(process.env.REFUND_RETRY_POLL_MS) || 15_000;
+// A claimed retry is hidden from other workers this long; if the worker dies it comes back
+const LEASE_MS = 5 * 60_000;
+const BATCH_SIZE = 10;
+const MAX_ATTEMPTS = 25;
+
+// Claim the oldest due retry by pushing its nextRetryAt past the lease
+function claimDueRetry(now = new Date()) {
+  return RefundRetry.findOneAndUpdate(
+    { state: "scheduled", nextRetryAt: { $lte: now } },
+    { $set: { nextRetryAt: new Date(now.getTime() + LEASE_MS), lastAttemptAt: now } },
+    { sort: { nextRetryAt: 1 }, new: true }
+  );
+}
+
+// RefundStat attempt for the retry's customer, as the agent who asked for the refund
+function recordAttempt(retry, entry) {
+  return recordRefundAttempt({
+    req: { tenant: { _id: retry.tenant } },
+    customerKey: retry.customer,
+    actor: retry.actor,
+    action: "refund",
+    attemptNo: (retry.retryCount || 0) + 1,
+    orderId: retry.orderId,
+    ...entry,
+  });
+}
+
+async function needsAttention(retry, message, httpCode = null) {
+  retry.state = "needs_attention";
+  retry.nextRetryAt = null;
+  retry.lastErrorCode = "RETRY_FAILED";
+  retry.lastErrorMsg = String(message).slice(0, 500);
+  await retry.save();
+  await recordAttempt(retry, { outcome: "ERROR", httpCode, errorCode: "RETRY_FAILED", errorMsg: retry.lastErrorMsg });
+  return { status: "needs_attention", message };
+}
+
+// Money Shopify moved for a refund; the queued amount when it lists no transactions
+function refundedAmount(refund, request) {
+  const paid = (refund.transactions || []).filter((t) => t?.kind === "refund" && !["failure", "error"].includes(t.status));
+  if (!paid.length) return request.amount != null ? Number(request.amount) : null;
+  return Math.round(paid.reduce((sum, t) => sum + Number(t.amount || 0), 0) * 100) / 100;
+}
+
+// Shopify shows the refund went through before the request timed out. It is
+// written to the ledger like any executed refund, so budgets, agent limits,
+// customer counts and the summary include it.
+async function closeAlreadyRefunded(retry, done) {
+  const now = new Date();
+  const request = retry.request || {};
+  const lineItems = Array.isArray(request.lineItems) ? request.lineItems : [];
+  const transaction = (done.transactions || []).find((t) => t?.kind === "refund") || null;
+  await RefundRetry.deleteOne({ _id: retry._id });
+  await recordRefundTransaction({
+    req: { tenant: { _id: retry.tenant }, user: { _id: retry.actor } },
+    action: "refund",
+    outcome: "SUCCESS",
+    customer: retry.customer,
+    orderId: retry.orderId,
+    partial: lineItems.length > 0,
+    mode: request.mode || null,
+    lineItems,
+    amount: refundedAmount(done, request),
+    currency: transaction?.currency || null,
+    note: request.note || null,
+    reasonCode: request.reasonCode || null,
+    attachments: request.attachmentIds || [],
+    shopifyRefundId: String(done.id),
+    gateway: transaction?.gateway || null,
+    parentTransactionId: transaction?.parent_id != null ? String(transaction.parent_id) : null,
+    httpCode: 200,
+    errorCode: "ALREADY_REFUNDED",
+  });
+  if (!retry.customer || !retry.actor) return;
+  await RefundStat.updateOne(
+    { tenant: retry.tenant, customer: retry.customer },
+    {
+      $setOnInsert: { user: retry.actor },
+      $inc: { totalCount: 1, successCount: 1 },
+      $set: {
+        lastOutcome: "SUCCESS",
+        lastRefundAt: now,
+        lastAttemptAt: now,
+        lastOrderId: retry.orderId,
+        lastRefundId: String(done.id),
+      },
+      $push: {
+        attempts: {
+          $each: [{
+            at: now,
+            action: "refund",
+            outcome: "SUCCESS",
+            httpCode: 200,
+            errorCode: "ALREADY_REFUNDED",
+            attemptNo: (retry.retryCount || 0) + 1,
+            actor: retry.actor,
+            orderId: retry.orderId,
+          }],
+          $slice: -MAX_ATTEMPTS,
+        },
+      },
+    },
+    { upsert: true }
+  ).catch((err) => console.warn("[refundRetry] could not update RefundStat:", err.message));
+}
+
+/**
+ * processRetry(retry) -> { status, message? }
+ * status: refunded | already_refunded | pending_approval | rescheduled | needs_attention
+ */
+async function processRetry(retry) {
+  const request = retry.request || {};
+  const tenant = await Tenant.findById(retry.tenant);
+  if (!tenant) return needsAttention(retry, "Tenant not found");
+  const user = await User.findById(retry.actor);
+  if (!user) return needsAttention(retry, "The agent who requested this refund is no longer active");
+
+  // Did the failed request reach Shopify after all?
+  try {
+    const { body } = await shopifyClient(tenant).get(`orders/${retry.orderId}/refunds.json`);
+    const done = refundSince(body?.refunds, retry.firstFailedAt);
+    if (done) {
+      await closeAlreadyRefunded(retry, done);
+      return { status: "already_refunded" };
+    }
+  } catch (err) {
+    if (!isRetryableError(err)) return needsAttention(retry, `Could not check the order's refunds: ${err.message}`, err.status || null);
+    const result = applyRetryFailure(retry, { request, actor: retry.actor, err });
+    await retry.save();
+    await recordAttempt(retry, {
+      outcome: "ERROR",
+      httpCode: err.status || null,
+      errorCode: retry.lastErrorCode,
+      errorMsg: retry.lastErrorMsg,
+      attemptNo: result.attemptNo,
+      backoffMs: result.backoffMs,
+    });
+    return { status: result.queued ? "rescheduled" : "needs_attention", message: err.message };
+  }
+
+  const req = {
+    tenant,
+    user,
+    body: { ...request },
+    headers: {},
+    ip: null,
+    ruleContext: undefined,
+    requestMemo: new Map(),
+    // Retries queued before reasons were required carry no reasonCode
+    refundReasonOptional: true,
+  };
+  const { statusCode, body } = await runChain(req, [buildRefundContext, applyRefundRules, refundOrderByPhone]);
+
+  // 200 cleared the retry; a transient failure rescheduled it (202) or gave up (502)
+  if (statusCode === 200) return { status: "refunded" };
+  if (body?.retry) return { status: body.retryScheduled ? "rescheduled" : "needs_attention", message: body.error || body.message };
+  if (statusCode === 202) {
+    await RefundRetry.deleteOne({ _id: retry._id });
+    return { status: "pending_approval", message: body?.pendingId ? `Pending approval ${body.pendingId}` : undefined };
+  }
+  const fresh = await RefundRetry.findById(retry._id);
+  const reason = body?.decision?.reason ? `${body.error}: ${body.decision.reason}` : body?.error;
+  return needsAttention(fresh || retry, reason || `Retry failed with status ${statusCode}`, statusCode);
+}
+
+// Process up to BATCH_SIZE due retries; returns how many ran
+async function runDueRetries({ limit = BATCH_SIZE, now = new Date() } = {}) {
+  let count = 0;
+  while (count < limit) {
+    const retry = await claimDueRetry(now);
+    if (!retry) break;
+    count++;
+    try {
+      const result = await processRetry(retry);
+      console.log(`[refundRetry] order ${retry.orderId}: ${result.status}`);
+    } catch (err) {
+      console.error("[refundRetry] retry failed:", err.message);
+      await needsAttention(retry, err.message).catch(() => {});
+    }
+  }
+  return count;
+}
+
+/**
+ * startRefundRetryWorker({ pollMs }) -> stop()
+ * Polls for due retries; one batch at a time.
+ */
+function startRefundRetryWorker({ pollMs = POLL_MS } = {}) {
+  let timer = null;
+  let stopped = false;
+  const tick = async () => {
+    try {
+      await runDueRetries();
+    } catch (err) {
+      console.error("[refundRetry] poll failed:", err.message);
+    }
+    if (!stopped) timer = setTimeout(tick, pollMs);
+  };
+  timer = setTimeout(tick, 0);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = { claimDueRetry, processRetry, runDueRetries, startRefundRetryWorker };
@@ -0,0 +1,251 @@
+// services/shopifyClient.js
+// One tenant-aware client for the Shopify Admin API (REST and GraphQL).
+//
+//   const shopify = shopifyClient(req.tenant);
+//   const { body } = await shopify.get(`orders/${id}.json`, { params: { fields: "id,name" } });
+//   await shopify.post(`orders/${id}/refunds.json`, payload);
+//   await shopify.post(`orders/${id}/refunds/calculate.json`, payload, { idempotent: true });
+//   const { data } = await shopify.graphql(query, variables);
+//
+// - URLs and the access token header come from the tenant; the API version is
+//   tenant.apiVersion (DEFAULT_API_VERSION when unset).
+// - REST calls read X-Shopify-Shop-Api-Call-Limit and GraphQL calls read
+//   extensions.cost.throttleStatus; the next call to the same shop waits when
+//   the bucket is nearly empty.
+// - 429 (and GraphQL THROTTLED) is retried after Retry-After or the bucket
+//   refill time. 5xx and network errors are retried with backoff for reads
+//   only: a refund POST or mutation that timed out may have gone through.
+//   Pass { idempotent: true } for a POST that changes nothing (refunds/calculate).
+// - Every request has a timeout.
+// Set SHOPIFY_API_BASE_URL (or options.baseUrl) to point at a local stub
+// (services/shopifyStub.js) instead of https://<shop>.myshopify.com.
+
+const axios = require("axios");
+
+const DEFAULT_API_VERSION = "2025-07";
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const MAX_WAIT_MS = 10000;
+const REST_LEAK_PER_SEC = 2; // standard plans; Plus stores leak faster
+const REST_HEADROOM = 2; // calls kept free in the REST bucket
+const DEFAULT_QUERY_COST = 50;
+
+// Per-shop bucket state, shared by every client in the process
+const buckets = new Map();
+
+class ShopifyApiError extends Error {
+  constructor(message, { status = null, code = null, body = null, graphqlErrors = null } = {}) {
+    super(message);
+    this.name = "ShopifyApiError";
+    this.status = status;
+    this.code = code || (status ? `SHOPIFY_${status}` : "SHOPIFY_ERROR");
+    this.body = body;
+    this.graphqlErrors = graphqlErrors;
+    // axios-shaped, for callers that read err.response
+    this.response = status ? { status, data: body } : undefined;
+  }
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function shopName(shopDomain) {
+  return String(shopDomain || "").trim().replace(/^https?:\/\//i, "").replace(/\.myshopify\.com\/?$/i, "");
+}
+
+function bucketFor(shop) {
+  if (!buckets.has(shop)) buckets.set(shop, { rest: null, graphql: null });
+  return buckets.get(shop);
+}
+
+// "32/40" -> { used: 32, max: 40 }
+function parseCallLimit(header) {
+  const m = String(header || "").match(/^(\d+)\/(\d+)$/);
+  return m ? { used: Number(m[1]), max: Number(m[2]) } : null;
+}
+
+/**
+ * restWaitMs(rest, now) -> ms to wait before the next REST call
+ * rest: { used, max, at } from the last X-Shopify-Shop-Api-Call-Limit header
+ */
+function restWaitMs(rest, now = Date.now()) {
+  if (!rest) return 0;
+  const used = Math.max(0, rest.used - ((now - rest.at) / 1000) * REST_LEAK_PER_SEC);
+  const free = rest.max - used;
+  if (free >= REST_HEADROOM) return 0;
+  return Math.min(MAX_WAIT_MS, Math.ceil(((REST_HEADROOM - free) / REST_LEAK_PER_SEC) * 1000));
+}
+
+/**
+ * graphqlWaitMs(gql, cost, now) -> ms until `cost` points are available
+ * gql: { available, max, restoreRate, at } from extensions.cost.throttleStatus
+ */
+function graphqlWaitMs(gql, cost = DEFAULT_QUERY_COST, now = Date.now()) {
+  if (!gql || !(gql.restoreRate > 0)) return 0;
+  const available = Math.min(gql.max, gql.available + ((now - gql.at) / 1000) * gql.restoreRate);
+  const needed = Math.min(cost, gql.max);
+  if (available >= needed) return 0;
+  return Math.min(MAX_WAIT_MS, Math.ceil(((needed - available) / gql.restoreRate) * 1000));
+}
+
+// Exponential backoff with jitter; Retry-After (seconds) wins when present
+function backoffMs(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(MAX_WAIT_MS, seconds * 1000);
+  const base = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(MAX_WAIT_MS, base + Math.floor(Math.random() * BACKOFF_BASE_MS));
+}
+
+const isNetworkError = (err) => !err.response && Boolean(err.code || err.request);
+
+/**
+ * shopifyClient(tenant, options) -> { get, post, put, delete, graphql, apiVersion, baseUrl }
+ * options: { baseUrl, timeoutMs, maxRetries, httpClient, sleep }
+ * REST methods resolve to { status, headers, body }; graphql to { data, extensions }.
+ */
+function shopifyClient(tenant, options = {}) {
+  if (!tenant?.shopDomain || !tenant?.accessToken) {
+    throw new ShopifyApiError("Tenant is missing shopDomain or accessToken", { code: "SHOPIFY_NOT_CONFIGURED" });
+  }
+  const shop = shopName(tenant.shopDomain);
+  const apiVersion = tenant.apiVersion || DEFAULT_API_VERSION;
+  const origin = (options.baseUrl || process.env.SHOPIFY_API_BASE_URL || `https://${shop}.myshopify.com`).replace(/\/+$/, "");
+  const baseUrl = `${origin}/admin/api/${apiVersion}`;
+  const timeout = options.timeoutMs || Number(process.env.SHOPIFY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const http = options.httpClient || axios;
+  const sleep = options.sleep || defaultSleep;
+  const bucket = bucketFor(shop);
+
+  async function send({ method, path, params, data, safe, waitBefore }) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      const wait = waitBefore();
+      if (wait > 0) await sleep(wait);
+
+      let resp;
+      try {
+        resp = await http.request({
+          method,
+          url: `${baseUrl}/${String(path).replace(/^\/+/, "")}`,
+          params,
+          data,
+          timeout,
+          headers: { "X-Shopify-Access-Token": tenant.accessToken, "Content-Type": "application/json" },
+          validateStatus: () => true,
+        });
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        lastError = err;
+        if (!safe || attempt === maxRetries) break;
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+
+      const limit = parseCallLimit(resp.headers?.["x-shopify-shop-api-call-limit"]);
+      if (limit) bucket.rest = { ...limit, at: Date.now() };
+
+      const retryable = resp.status === 429 || (safe && resp.status >= 500);
+      if (retryable && attempt < maxRetries) {
+        await sleep(backoffMs(attempt, resp.headers?.["retry-after"]));
+        continue;
+      }
+      if (resp.status >= 400) {
+        const code = resp.status === 429 ? "RATE_LIMITED" : undefined;
+        throw new ShopifyApiError(`Shopify ${method.toUpperCase()} ${path} failed with ${resp.status}`, {
+          status: resp.status,
+          code,
+          body: resp.data,
+        });
+      }
+      return resp;
+    }
+    throw new ShopifyApiError(`Shopify ${method.toUpperCase()} ${path} failed: ${lastError?.message}`, {
+      code: lastError?.code || "NETWORK",
+    });
+  }
+
+  function rest(method) {
+    return async (path, dataOrOptions = {}, writeOptions = {}) => {
+      const isRead = method === "get";
+      const { params } = isRead ? dataOrOptions : {};
+      const resp = await send({
+        method,
+        path,
+        params,
+        data: isRead ? undefined : dataOrOptions,
+        safe: isRead || writeOptions.idempotent === true,
+        waitBefore: () => restWaitMs(bucket.rest),
+      });
+      return { status: resp.status, headers: resp.headers || {}, body: resp.data };
+    };
+  }
+
+  async function graphql(query, variables = {}) {
+    const isMutation = /^\s*mutation\b/.test(query);
+    let lastCost = DEFAULT_QUERY_COST;
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      const resp = await send({
+        method: "post",
+        path: "graphql.json",
+        data: { query, variables },
+        safe: !isMutation,
+        waitBefore: () => graphqlWaitMs(bucket.graphql, lastCost),
+      });
+      const body = resp.data || {};
+      const cost = body.extensions?.cost;
+      if (cost?.throttleStatus) {
+        const t = cost.throttleStatus;
+        bucket.graphql = { available: t.currentlyAvailable, max: t.maximumAvailable, restoreRate: t.restoreRate, at: Date.now() };
+        lastCost = cost.requestedQueryCost || lastCost;
+      }
+      const errors = Array.isArray(body.errors) ? body.errors : [];
+      const throttled = errors.some((e) => e?.extensions?.code === "THROTTLED");
+      if (throttled && attempt < maxRetries) {
+        // waitBefore sleeps until the cost is restored; without cost data, back off
+        if (graphqlWaitMs(bucket.graphql, lastCost) === 0) await sleep(backoffMs(attempt));
+        continue;
+      }
+      if (errors.length) {
+        throw new ShopifyApiError(`Shopify GraphQL errors: ${errors.map((e) => e?.message).join("; ")}`, {
+          status: resp.status,
+          code: throttled ? "RATE_LIMITED" : "SHOPIFY_GRAPHQL",
+          body,
+          graphqlErrors: errors,
+        });
+      }
+      if (!body.data) throw new ShopifyApiError("Empty GraphQL data", { status: resp.status, code: "SHOPIFY_GRAPHQL", body });
+      return { data: body.data, extensions: body.extensions || null };
+    }
+    throw new ShopifyApiError("Shopify GraphQL throttled", { code: "RATE_LIMITED" });
+  }
+
+  return {
+    apiVersion,
+    baseUrl,
+    get: rest("get"),
+    post: rest("post"),
+    put: rest("put"),
+    delete: rest("delete"),
+    graphql,
+  };
+}
+
+// Numeric id from a GraphQL gid ("gid://shopify/Order/123" -> 123)
+function idFromGid(gid) {
+  const m = String(gid || "").match(/\/(\d+)$/);
+  return m ? Number(m[1]) : gid;
+}
+
+module.exports = {
+  DEFAULT_API_VERSION,
+  ShopifyApiError,
+  shopifyClient,
+  shopName,
+  idFromGid,
+  parseCallLimit,
+  restWaitMs,
+  graphqlWaitMs,
+  // test hook: forget bucket state between cases
+  resetBuckets: () => buckets.clear(),
+};
@@ -0,0 +1,83 @@
+// services/shopifyStub.js
+// A local HTTP stand-in for the Shopify Admin API, for tests and offline
+// development. Point the client at it with shopifyClient(tenant, { baseUrl })
+// or SHOPIFY_API_BASE_URL.
+//
+//   const stub = await startShopifyStub({
+//     "GET /orders/1.json": { body: { order: { id: 1 } } },
+//     "POST /graphql.json": (req) => ({ body: { data: {} } }),
+//   });
+//   ... stub.url, stub.requests ...
+//   await stub.close();
+//
+// Routes are "METHOD /path" with the /admin/api/<version> prefix removed.
+// A route is a response { status, headers, body }, a function of the request
+// returning one, or an array of those served in turn (the last one repeats).
+// Unknown routes answer 404.
+
+const http = require("http");
+
+function startShopifyStub(routes = {}) {
+  const requests = [];
+  const served = new Map();
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://stub");
+      const match = url.pathname.match(/^\/admin\/api\/([^/]+)(\/.*)$/);
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = raw;
+      }
+      const entry = {
+        method: req.method,
+        path: match ? match[2] : url.pathname,
+        apiVersion: match ? match[1] : null,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+      };
+      requests.push(entry);
+
+      const key = `${entry.method} ${entry.path}`;
+      let route = routes[key];
+      if (Array.isArray(route)) {
+        const n = served.get(key) || 0;
+        served.set(key, n + 1);
+        route = route[Math.min(n, route.length - 1)];
+      }
+      Promise.resolve(typeof route === "function" ? route(entry) : route)
+        .then((reply) => {
+          const { status = reply ? 200 : 404, headers = {}, body: out = reply ? {} : { errors: "Not Found" }, delayMs = 0 } = reply || {};
+          setTimeout(() => {
+            res.writeHead(status, { "Content-Type": "application/json", ...headers });
+            res.end(JSON.stringify(out));
+          }, delayMs);
+        })
+        .catch((err) => {
+          res.writeHead(500, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ errors: err.message }));
+        });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise((done) => {
+          if (typeof server.closeAllConnections === "function") server.closeAllConnections();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startShopifyStub };
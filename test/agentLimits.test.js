@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveAgentLimits, evaluateAgentLimits, remainingBudget } = require("../utils/agentLimits");
+const { parseLimits } = require("../controllers/agentLimitController");
+const { evaluateRefundRules } = require("../middlewares/rules");
+
+test("resolveAgentLimits lets user limits override the role field by field", () => {
+  assert.equal(resolveAgentLimits(null, null), null);
+  assert.equal(resolveAgentLimits({ maxSingleRefund: null }, { onExceed: "DENY" }), null);
+
+  const limits = resolveAgentLimits(
+    { maxSingleRefund: 2000, maxDailyRefundValue: null },
+    { maxSingleRefund: 1000, maxDailyRefundValue: 5000, onExceed: "DENY" }
+  );
+  assert.equal(limits.maxSingleRefund, 2000);
+  assert.equal(limits.maxDailyRefundValue, 5000);
+  assert.equal(limits.maxRefundsPerHour, null);
+  assert.equal(limits.onExceed, "DENY");
+  assert.deepEqual(limits.source, { maxSingleRefund: "user", maxDailyRefundValue: "role" });
+});
+
+test("evaluateAgentLimits checks the amount, daily budget and hourly count", () => {
+  const limits = resolveAgentLimits({ maxSingleRefund: 3000, maxDailyRefundValue: 5000, maxRefundsPerHour: 3 }, null);
+  const ctx = (amount, usage) => ({ refund: { requestedAmount: amount }, agent: { limits, usage } });
+
+  const ok = evaluateAgentLimits(ctx(1000, { todayValue: 3500, lastHourCount: 2 }));
+  assert.equal(ok.outcome, null);
+  assert.deepEqual(ok.trace.map((t) => [t.rule, t.outcome]), [
+    ["agent.maxSingleRefund", "ALLOW"],
+    ["agent.maxDailyRefundValue", "ALLOW"],
+    ["agent.maxRefundsPerHour", "ALLOW"],
+  ]);
+
+  const over = evaluateAgentLimits(ctx(2000, { todayValue: 3500, lastHourCount: 3 }));
+  assert.equal(over.outcome, "REQUIRE_APPROVAL");
+  assert.deepEqual(over.matched, ["agent.maxDailyRefundValue", "agent.maxRefundsPerHour"]);
+  assert.match(over.reason, /Daily refund budget exceeded: ₹3500 refunded today, ₹1500 left/);
+
+  const unknown = evaluateAgentLimits({ request: { lineItems: [{ lineItemId: 1 }] }, agent: { limits, usage: null } });
+  assert.equal(unknown.outcome, null);
+  assert.deepEqual(unknown.trace.map((t) => t.detail), ["Refund amount unknown", "Agent usage unavailable", "Agent usage unavailable"]);
+});
+
+test("agent limits can tighten but not relax the rule decision", () => {
+  const base = {
+    rules: { mode: "observe", maxRefundPercent: 50, cashbackSpentThreshold: 39900 },
+    user: { roles: [] },
+    order: { total: 1000 },
+    refund: { requestedAmount: 400, requestedPercent: 40 },
+    meta: {},
+    request: { lineItems: [] },
+  };
+  const denyAgent = { limits: resolveAgentLimits({ maxSingleRefund: 300, onExceed: "DENY" }, null), usage: null };
+
+  const decision = evaluateRefundRules({ ...base, agent: denyAgent });
+  assert.equal(decision.outcome, "DENY");
+  assert.deepEqual(decision.agentLimit.matched, ["agent.maxSingleRefund"]);
+  assert.match(decision.reason, /single refund limit of ₹300/);
+  assert.equal(decision.limits.agent["agent.maxSingleRefund"], 300);
+
+  const clean = evaluateRefundRules({ ...base, agent: null });
+  assert.equal(clean.outcome, "ALLOW");
+  assert.equal(clean.agentLimit, null);
+});
+
+test("parseLimits and remainingBudget", () => {
+  assert.deepEqual(parseLimits({ maxSingleRefund: "1500", maxDailyRefundValue: "", onExceed: "DENY" }), {
+    maxSingleRefund: 1500,
+    maxDailyRefundValue: null,
+    maxRefundsPerHour: null,
+    onExceed: "DENY",
+  });
+  assert.throws(() => parseLimits({ maxSingleRefund: -1 }), /0 or more/);
+  assert.throws(() => parseLimits({ maxRefundsPerHour: 1.5 }), /whole number/);
+  assert.throws(() => parseLimits({ onExceed: "WARN" }), /onExceed/);
+
+  assert.deepEqual(remainingBudget({ maxDailyRefundValue: 5000, maxRefundsPerHour: null }, { todayValue: 5200.5, lastHourCount: 1 }), {
+    value: 0,
+    refundsThisHour: null,
+  });
+});
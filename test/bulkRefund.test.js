@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { BULK_MAX_ITEMS, bulkItemsProblem, bulkItemPayload, bulkItemResult, runChain } = require("../utils/bulkRefund");
+const BulkRefundJob = require("../models/bulkRefundJobModel");
+const RefundStat = require("../models/refundStatModel");
+const RefundTransaction = require("../models/refundTransactionModel");
+const { applyRefundRules } = require("../middlewares/rules");
+const { runBulkRefundJob, getBulkRefundJob } = require("../controllers/refundsController");
+
+const tenantId = "64b0000000000000000000aa";
+const agentId = "64b000000000000000000001";
+const jobId = "64b0000000000000000000dd";
+
+test("bulkItemsProblem needs an order or phone per item and no repeated orders", () => {
+  assert.match(bulkItemsProblem([]), /Provide items/);
+  assert.match(bulkItemsProblem(Array.from({ length: BULK_MAX_ITEMS + 1 }, (_, i) => ({ orderId: i }))), /At most 100/);
+  assert.match(bulkItemsProblem([{ orderId: 1 }, { amount: 10 }]), /Item 1: provide orderId or phone/);
+  assert.equal(bulkItemsProblem([{ orderId: 1 }, { amount: 10 }], "+919999999999"), null);
+  assert.match(bulkItemsProblem([{ orderId: 1 }, { orderId: "1" }]), /order 1 appears more than once/);
+
+  assert.deepEqual(bulkItemPayload({ orderId: 5, mode: "refund_only" }, "+91", "damaged"), {
+    phone: "+91",
+    orderId: 5,
+    amount: undefined,
+    lineItems: [],
+    mode: "refund_only",
+    reasonCode: "damaged",
+    attachmentIds: [],
+    note: null,
+  });
+  assert.equal(bulkItemPayload({ orderId: 5, reasonCode: "goodwill" }, null, "damaged").reasonCode, "goodwill");
+});
+
+test("bulkItemResult maps the /refund response to an item status", () => {
+  const item = { orderId: 7 };
+  assert.deepEqual(bulkItemResult(0, item, { statusCode: 200, body: { refund: { id: 99, order_id: 7 } } }), {
+    index: 0, orderId: "7", status: "refunded", httpCode: 200, refundId: "99", pendingId: null, reason: null, matched: [], error: null,
+  });
+
+  const pending = bulkItemResult(1, item, {
+    statusCode: 202,
+    body: { pendingId: "p1", ruleDecision: { outcome: "REQUIRE_APPROVAL", reason: "Over 20%", matched: ["requireSupervisorAbovePercent"] } },
+  });
+  assert.equal(pending.status, "pending_approval");
+  assert.equal(pending.pendingId, "p1");
+  assert.deepEqual(pending.matched, ["requireSupervisorAbovePercent"]);
+
+  const retry = bulkItemResult(4, item, { statusCode: 202, body: { retryScheduled: true, message: "Shopify is unavailable." } });
+  assert.equal(retry.status, "retry_scheduled");
+
+  const denied = bulkItemResult(2, item, { statusCode: 403, body: { error: "Refund denied by policy", decision: { outcome: "DENY", reason: "Window" } } });
+  assert.equal(denied.status, "denied");
+  assert.equal(denied.reason, "Window");
+
+  const failed = bulkItemResult(3, item, { statusCode: 400, body: { error: "Nothing left to refund on this order." } });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "Nothing left to refund on this order.");
+});
+
+test("runChain stops at the first response and surfaces errors", async () => {
+  const calls = [];
+  const mark = (name) => (req, res, next) => { calls.push(name); next(); };
+  const respond = async (req, res) => { res.locals.seen = req.body.orderId; return res.status(202).json({ ok: true }); };
+  const never = () => { throw new Error("should not run"); };
+
+  const res = await runChain({ body: { orderId: 1 } }, [mark("a"), mark("b"), respond, never]);
+  assert.deepEqual(calls, ["a", "b"]);
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(res.body, { ok: true });
+  assert.equal(res.locals.seen, 1);
+
+  await assert.rejects(runChain({}, [async () => { throw new Error("boom"); }]), /boom/);
+  await assert.rejects(runChain({}, [(req, res, next) => next(new Error("nope"))]), /nope/);
+  await assert.rejects(runChain({}, [mark("c")]), /without a response/);
+});
+
+test("bulk items for one customer run in turn, so a daily limit of 1 refunds only the first", async (t) => {
+  const refunded = [];
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  // Counts the customer's refunds the way buildRefundContext would: only finished ones
+  const context = async (req, res, next) => {
+    await tick();
+    req.ruleContext = {
+      rules: { mode: "enforce", maxRefundsPerDay: 1, conditions: [] },
+      user: { id: agentId, roles: ["user"] },
+      order: { id: req.body.orderId, total: 500, paymentMethod: "upi", tags: [] },
+      refund: { requestedAmount: 500, requestedPercent: 100 },
+      meta: { customerKey: "phone:+919999999999", attemptsToday: refunded.length, daysSinceDelivery: null },
+      request: { lineItems: [], mode: "refund_only", attachmentCount: null },
+    };
+    next();
+  };
+  const refund = async (req, res) => {
+    await tick();
+    refunded.push(req.body.orderId);
+    return res.status(200).json({ refund: { id: 900 + req.body.orderId, order_id: req.body.orderId } });
+  };
+
+  const updates = [];
+  t.mock.method(BulkRefundJob, "updateOne", async (filter, update) => {
+    updates.push(update);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(BulkRefundJob, "findByIdAndUpdate", async () => ({ status: "completed" }));
+  t.mock.method(RefundStat, "updateOne", async () => ({ modifiedCount: 1 }));
+  t.mock.method(RefundTransaction, "create", async (doc) => doc);
+
+  const job = { _id: jobId, request: { phone: "+919999999999", reasonCode: null, items: [{ orderId: 1 }, { orderId: 2 }] } };
+  const req = { tenant: { _id: tenantId }, user: { _id: agentId }, headers: {} };
+  await runBulkRefundJob(job, req, [context, applyRefundRules, refund]);
+
+  assert.deepEqual(refunded, [1]);
+  const results = updates.map((u) => u.$set?.["results.0"] || u.$set?.["results.1"]).filter(Boolean);
+  assert.deepEqual(results.map((r) => r.status), ["refunded", "denied"]);
+  assert.deepEqual(results[1].matched, ["maxRefundsPerDay"]);
+});
+
+test("queued or running jobs that stopped recording progress are failed", async (t) => {
+  const update = t.mock.method(BulkRefundJob, "updateMany", async () => ({ modifiedCount: 1 }));
+  const now = new Date("2026-03-01T10:00:00Z");
+
+  await BulkRefundJob.failStaleJobs({ _id: jobId, tenant: tenantId }, now);
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: jobId,
+    tenant: tenantId,
+    status: { $in: ["queued", "running"] },
+    updatedAt: { $lt: new Date(now.getTime() - BulkRefundJob.STALE_JOB_MS) },
+  });
+  assert.equal(change.$set.status, "failed");
+  assert.match(change.$set.error, /interrupted/);
+  assert.equal(change.$set.finishedAt, now);
+
+  // polling checks the polled job before reading it
+  t.mock.method(BulkRefundJob, "findOne", () => ({ lean: async () => null }));
+  const res = { status(code) { this.statusCode = code; return this; }, json() { return this; } };
+  await getBulkRefundJob({ params: { jobId }, tenant: { _id: tenantId }, user: { _id: agentId, role: "user" } }, res);
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(update.mock.calls[1].arguments[0]._id, jobId);
+  assert.deepEqual(update.mock.calls[1].arguments[0].createdBy, agentId);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { countingWindowStart, countRefundsSince, combineRefundCounts } = require("../utils/customerRefundCount");
+const { evaluateRefundRules } = require("../middlewares/rules");
+
+test("countingWindowStart supports rolling and tenant-day windows", () => {
+  const now = new Date("2026-10-19T20:00:00Z");
+  assert.equal(countingWindowStart("rolling24h", now).toISOString(), "2026-10-18T20:00:00.000Z");
+  assert.equal(countingWindowStart("tenantDay", now, "Asia/Kolkata").toISOString(), "2026-10-19T18:30:00.000Z");
+  const serverDay = new Date(now);
+  serverDay.setHours(0, 0, 0, 0);
+  assert.equal(countingWindowStart("today", now).getTime(), serverDay.getTime());
+});
+
+test("countRefundsSince counts refunds that moved money inside the window", () => {
+  const since = new Date("2026-10-19T00:00:00Z");
+  const nodes = [
+    {
+      refunds: [
+        { createdAt: "2026-10-19T09:00:00Z", totalRefundedSet: { shopMoney: { amount: "499.00" } } },
+        { createdAt: "2026-10-18T23:00:00Z", totalRefundedSet: { shopMoney: { amount: "100.00" } } },
+        { createdAt: "2026-10-19T10:00:00Z", totalRefundedSet: { shopMoney: { amount: "0.00" } } },
+      ],
+    },
+    { refunds: [{ createdAt: "2026-10-19T11:00:00Z", totalRefundedSet: { shopMoney: { amount: "50" } } }] },
+    { refunds: [] },
+  ];
+  assert.equal(countRefundsSince(nodes, since), 2);
+});
+
+test("combineRefundCounts reports how much is known", () => {
+  assert.deepEqual(combineRefundCounts(1, 2), { count: 2, status: "counted" });
+  assert.deepEqual(combineRefundCounts(3, null), { count: 3, status: "counted" });
+  assert.deepEqual(combineRefundCounts(null, 1), { count: 1, status: "partial" });
+  assert.deepEqual(combineRefundCounts(null, null), { count: null, status: "unknown" });
+});
+
+test("maxRefundsPerDay handles partial and unknown counts explicitly", () => {
+  const context = (meta, rules = {}) => ({
+    rules: { mode: "enforce", maxRefundsPerDay: 2, cashbackSpentThreshold: 39900, ...rules },
+    user: { roles: [] },
+    order: null,
+    refund: { requestedAmount: null, requestedPercent: null },
+    meta,
+    request: { lineItems: [] },
+  });
+  const step = (decision) => decision.trace.find((t) => t.rule === "maxRefundsPerDay");
+
+  const unknown = evaluateRefundRules(context({ attemptsToday: null, attemptsTodayStatus: "unknown", attemptsWindow: "today" }));
+  assert.equal(unknown.outcome, "REQUIRE_APPROVAL");
+  assert.equal(unknown.reason, "Could not count the customer's refunds today");
+  assert.equal(step(unknown).detail, "Refund count today unavailable");
+
+  const allowed = evaluateRefundRules(context({ attemptsToday: null, attemptsTodayStatus: "unknown" }, { onUnknownRefundCount: "ALLOW" }));
+  assert.equal(allowed.outcome, "ALLOW");
+  assert.equal(step(allowed).status, "skipped");
+
+  const partialUnder = evaluateRefundRules(context({ attemptsToday: 1, attemptsTodayStatus: "partial", attemptsWindow: "rolling24h" }, { onUnknownRefundCount: "DENY" }));
+  assert.equal(partialUnder.outcome, "DENY");
+  assert.equal(step(partialUnder).detail, "Shopify unavailable; 1 refunds in the last 24 hours in our records");
+
+  const partialOver = evaluateRefundRules(context({ attemptsToday: 2, attemptsTodayStatus: "partial", attemptsWindow: "rolling24h" }));
+  assert.equal(partialOver.outcome, "DENY");
+  assert.equal(partialOver.reason, "Customer already hit 2 refunds in the last 24 hours (limit 2)");
+
+  const counted = evaluateRefundRules(context({ attemptsToday: 1, attemptsTodayStatus: "counted" }));
+  assert.equal(counted.outcome, "ALLOW");
+  assert.equal(step(counted).observed, 1);
+});
@@ -0,0 +1,28 @@
+const { EventEmitter } = require("node:events");
+
+// Minimal Express response for calling controllers and middleware directly:
+// records the status, headers and JSON body, and emits finish/close on demand
+function fakeRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    headersSent: false,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    json(body) {
+      this.body = body;
+      this.headersSent = true;
+      return this;
+    },
+  });
+  return res;
+}
+
+module.exports = { fakeRes };
@@ -0,0 +1,193 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const IdempotencyKey = require("../models/idempotencyKeyModel");
+const { fingerprintRequest, idempotency } = require("../middlewares/idempotency");
+const { fakeRes } = require("./helpers/fakeRes");
+
+test("fingerprint ignores object key order", () => {
+  const a = fingerprintRequest({
+    method: "post",
+    path: "/api/v1/refund",
+    userId: "user-1",
+    body: { orderId: 1, lineItems: [{ lineItemId: 2, amount: 10 }] },
+  });
+  const b = fingerprintRequest({
+    method: "POST",
+    path: "/api/v1/refund",
+    userId: "user-1",
+    body: { lineItems: [{ amount: 10, lineItemId: 2 }], orderId: 1 },
+  });
+
+  assert.equal(a, b);
+});
+
+test("fingerprint changes with the body or the actor", () => {
+  const base = { method: "POST", path: "/api/v1/refund", userId: "user-1", body: { orderId: 1 } };
+
+  assert.notEqual(fingerprintRequest(base), fingerprintRequest({ ...base, body: { orderId: 2 } }));
+  assert.notEqual(fingerprintRequest(base), fingerprintRequest({ ...base, userId: "user-2" }));
+});
+
+test("fingerprint treats undefined fields as absent", () => {
+  const base = { method: "POST", path: "/api/v1/refund", userId: "user-1" };
+
+  assert.equal(
+    fingerprintRequest({ ...base, body: { orderId: 1, note: undefined } }),
+    fingerprintRequest({ ...base, body: { orderId: 1 } })
+  );
+});
+
+const tenantId = "64b0000000000000000000aa";
+const userId = "64b000000000000000000001";
+let keySeq = 0;
+
+function fakeReq(key, body = { orderId: 1 }) {
+  return {
+    method: "POST",
+    baseUrl: "/api/v1",
+    path: "/refund",
+    headers: { "idempotency-key": key },
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    tenant: { _id: tenantId },
+    user: { _id: userId },
+    body,
+  };
+}
+
+// Runs the middleware; next() reports whether the request went through
+async function run(req, res = fakeRes()) {
+  let passed = false;
+  await idempotency(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+function stubStore(t, existing) {
+  const calls = { create: [], updateOne: [], deleteOne: [], takeOver: [] };
+  t.mock.method(IdempotencyKey, "create", async (doc) => {
+    calls.create.push(doc);
+    if (existing) throw duplicateKey();
+    return { _id: "k1", ...doc };
+  });
+  t.mock.method(IdempotencyKey, "findOne", () => ({ lean: async () => existing }));
+  t.mock.method(IdempotencyKey, "findOneAndUpdate", (filter, update) => {
+    calls.takeOver.push({ filter, update });
+    return { lean: async () => ({ ...existing, ...update.$set }) };
+  });
+  t.mock.method(IdempotencyKey, "updateOne", async (filter, update) => {
+    calls.updateOne.push({ filter, update });
+    return { matchedCount: 1 };
+  });
+  t.mock.method(IdempotencyKey, "deleteOne", async (filter) => {
+    calls.deleteOne.push(filter);
+    return { deletedCount: 1 };
+  });
+  return calls;
+}
+
+test("a first request holds the key under a lease and records its response", async (t) => {
+  const calls = stubStore(t, null);
+  const req = fakeReq(`first-${++keySeq}`);
+
+  const { res, passed } = await run(req);
+  assert.equal(passed, true);
+  assert.equal(calls.create.length, 1);
+  assert.ok(calls.create[0].lockedUntil > new Date());
+
+  res.status(200).json({ message: "Refund executed successfully" });
+  await settled();
+  assert.deepEqual(calls.updateOne[0].filter, { _id: "k1" });
+  assert.equal(calls.updateOne[0].update.$set.status, "COMPLETED");
+  assert.equal(calls.updateOne[0].update.$set.responseCode, 200);
+  assert.deepEqual(calls.updateOne[0].update.$set.responseBody, { message: "Refund executed successfully" });
+
+  // the same key is now answered from the cache without touching Mongo
+  const again = await run(fakeReq(req.headers["idempotency-key"]));
+  assert.equal(again.passed, false);
+  assert.equal(again.res.headers["Idempotent-Replayed"], "true");
+  assert.deepEqual(again.res.body, { message: "Refund executed successfully" });
+  assert.equal(calls.create.length, 1);
+});
+
+const fingerprintOf = (req) => fingerprintRequest({ method: "POST", path: "/api/v1/refund", userId, body: req.body });
+
+test("a duplicate replays the stored response; a different body gets 409", async (t) => {
+  const req = fakeReq(`dup-${++keySeq}`);
+  const calls = stubStore(t, {
+    _id: "k1",
+    fingerprint: fingerprintOf(req),
+    status: "COMPLETED",
+    responseCode: 202,
+    responseBody: { pendingId: "p1" },
+  });
+
+  const replayed = await run(req);
+  assert.equal(replayed.passed, false);
+  assert.equal(replayed.res.statusCode, 202);
+  assert.deepEqual(replayed.res.body, { pendingId: "p1" });
+  assert.equal(replayed.res.headers["Idempotent-Replayed"], "true");
+
+  // a fresh key so the stored record, not the cache, is compared
+  const changed = await run(fakeReq(`dup-${++keySeq}`, { orderId: 2 }));
+  assert.equal(changed.passed, false);
+  assert.equal(changed.res.statusCode, 409);
+  assert.match(changed.res.body.error, /different request/);
+  assert.equal(calls.takeOver.length, 0);
+});
+
+test("a key still in progress gets 409 with Retry-After until its lease runs out", async (t) => {
+  const req = fakeReq(`busy-${++keySeq}`);
+  const existing = { _id: "k1", fingerprint: fingerprintOf(req), status: "IN_PROGRESS", lockedUntil: new Date(Date.now() + 60000) };
+  const calls = stubStore(t, existing);
+
+  const busy = await run(req);
+  assert.equal(busy.passed, false);
+  assert.equal(busy.res.statusCode, 409);
+  assert.match(busy.res.body.error, /still being processed/);
+  assert.ok(Number(busy.res.headers["Retry-After"]) > 0);
+  assert.equal(calls.takeOver.length, 0);
+
+  // the holder crashed: its lease ran out and the retry takes the key over
+  existing.lockedUntil = new Date(Date.now() - 1000);
+  const retried = await run(req);
+  assert.equal(retried.passed, true);
+  assert.deepEqual(calls.takeOver[0].filter, { _id: "k1", status: "IN_PROGRESS", lockedUntil: existing.lockedUntil });
+  assert.ok(calls.takeOver[0].update.$set.lockedUntil > new Date());
+
+  retried.res.status(200).json({ message: "ok" });
+  await settled();
+  assert.equal(calls.updateOne[0].update.$set.status, "COMPLETED");
+});
+
+test("5xx responses release the key", async (t) => {
+  const calls = stubStore(t, null);
+  const { res } = await run(fakeReq(`fail-${++keySeq}`));
+
+  res.status(500).json({ error: "Internal Server Error" });
+  await settled();
+  assert.deepEqual(calls.deleteOne, [{ _id: "k1" }]);
+  assert.equal(calls.updateOne.length, 0);
+});
+
+test("a client that disconnects still gets the outcome on retry", async (t) => {
+  const calls = stubStore(t, null);
+  const { res } = await run(fakeReq(`gone-${++keySeq}`));
+
+  // the socket closes before the handler answers; the key stays held
+  res.emit("close");
+  await settled();
+  assert.equal(calls.updateOne.length + calls.deleteOne.length, 0);
+
+  res.status(200).json({ message: "Refund executed successfully" });
+  res.emit("finish");
+  await settled();
+  assert.equal(calls.updateOne.length, 1);
+  assert.equal(calls.updateOne[0].update.$set.responseCode, 200);
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PendingRefund = require("../models/pendingRefundModel");
+const { evaluateRefundRules } = require("../middlewares/rules");
+const {
+  PENDING_CLAIM_MS,
+  claimPendingRefund,
+  releasePendingRefund,
+  pendingOrderId,
+  refundAfterRequest,
+  approvalReplayBody,
+  describeDrift,
+} = require("../utils/pendingApproval");
+const { approvePendingRefund, denyPendingRefund } = require("../controllers/refundsController");
+const { fakeRes } = require("./helpers/fakeRes");
+
+const tenantId = "64b0000000000000000000aa";
+const supervisorId = "64b000000000000000000002";
+const pendingId = "64b0000000000000000000bb";
+
+const statusLookup = (status) => () => ({ select: () => ({ lean: async () => (status ? { status } : null) }) });
+
+test("approval replays the stored order and line items", () => {
+  const lineItems = [{ lineItemId: 11, quantity: 1, amount: 250, restock_type: "return", locationId: 5 }];
+  const pending = {
+    payload: { phone: "+919999999999", orderId: "4001", amount: 250, reasonCode: "damaged", lineItems },
+    attachments: ["64b0000000000000000000c1"],
+    context: { order: { id: 4002 } },
+  };
+
+  assert.equal(pendingOrderId(pending), "4001");
+  // records filed before the orderId was stored fall back to the context snapshot
+  assert.equal(pendingOrderId({ payload: { phone: "+919999999999" }, context: { order: { id: 4002 } } }), 4002);
+  assert.equal(pendingOrderId({ payload: { phone: "+919999999999" } }), null);
+
+  assert.deepEqual(approvalReplayBody(pending, { id: 4001 }, lineItems), {
+    phone: "+919999999999",
+    orderId: 4001,
+    amount: 250,
+    lineItems,
+    mode: "refund_only",
+    reasonCode: "damaged",
+    attachmentIds: ["64b0000000000000000000c1"],
+  });
+
+  // a full refund filed before refund modes existed still cancels
+  const full = approvalReplayBody({ payload: { orderId: "4001" } }, { id: 4001 }, []);
+  assert.equal(full.mode, "cancel_and_refund");
+  assert.equal(full.reasonCode, null);
+  assert.deepEqual(full.attachmentIds, []);
+});
+
+test("only a refund made after the request was filed blocks its approval", () => {
+  const pending = { createdAt: new Date("2026-03-01T10:00:00Z") };
+  const partial = { id: 1, created_at: "2026-02-20T09:00:00Z", transactions: [{ id: 11, amount: "250.00" }] };
+  const restockOnly = { id: 2, created_at: "2026-03-01T11:00:00Z", transactions: [] };
+  const replayed = { id: 3, created_at: "2026-03-01T10:05:00Z", transactions: [{ id: 12, amount: "250.00" }] };
+
+  // an earlier partial refund leaves the rest of the order refundable
+  assert.equal(refundAfterRequest([partial], pending), null);
+  assert.equal(refundAfterRequest([partial, restockOnly], pending), null);
+  assert.equal(refundAfterRequest([partial, replayed], pending).id, 3);
+  assert.equal(refundAfterRequest([], pending), null);
+});
+
+test("drift compares the stored decision with the replayed one", () => {
+  const context = (threshold, rulesVersion = 3) => ({
+    rules: { mode: "enforce", requireSupervisorAbovePercent: threshold, conditions: [], version: rulesVersion },
+    user: { id: "u1", roles: ["user"] },
+    order: { id: 4001, total: 1000, paymentMethod: "upi", tags: [] },
+    refund: { requestedAmount: 600, requestedPercent: 60 },
+    meta: { attemptsToday: 0, daysSinceDelivery: null },
+    request: { lineItems: [], mode: "cancel_and_refund", attachmentCount: null },
+  });
+  const filed = evaluateRefundRules(context(50));
+  assert.equal(filed.outcome, "REQUIRE_APPROVAL");
+
+  const same = describeDrift(filed, evaluateRefundRules(context(50)));
+  assert.equal(same.changed, false);
+  assert.deepEqual(same.before.matched, ["requireSupervisorAbovePercent"]);
+
+  const relaxed = describeDrift(filed, evaluateRefundRules(context(80)));
+  assert.equal(relaxed.changed, true);
+  assert.equal(relaxed.before.outcome, "REQUIRE_APPROVAL");
+  assert.equal(relaxed.after.outcome, "ALLOW");
+  assert.deepEqual(relaxed.after.matched, []);
+
+  const republished = describeDrift({ ...filed, rulesVersion: 3 }, { ...filed, rulesVersion: 4 });
+  assert.equal(republished.changed, true);
+
+  // a replay that could not run still reports what was stored
+  const failed = describeDrift(filed, null);
+  assert.equal(failed.changed, true);
+  assert.equal(failed.after, null);
+  assert.equal(failed.before.outcome, "REQUIRE_APPROVAL");
+});
+
+test("claiming takes a pending request, or one whose claim went stale", async (t) => {
+  const calls = [];
+  t.mock.method(PendingRefund, "findOneAndUpdate", async (filter, update) => {
+    calls.push({ filter, update });
+    return null;
+  });
+  t.mock.method(PendingRefund, "updateOne", async (filter, update) => {
+    calls.push({ filter, update });
+    return { matchedCount: 1 };
+  });
+
+  const now = new Date("2026-03-01T10:00:00Z");
+  await claimPendingRefund({ pendingId, tenantId, userId: supervisorId, now });
+  assert.deepEqual(calls[0].filter, {
+    _id: pendingId,
+    tenant: tenantId,
+    $or: [
+      { status: "PENDING" },
+      { status: "PROCESSING", claimedAt: { $lt: new Date(now.getTime() - PENDING_CLAIM_MS) } },
+    ],
+  });
+  assert.deepEqual(calls[0].update, { $set: { status: "PROCESSING", claimedBy: supervisorId, claimedAt: now } });
+
+  await releasePendingRefund({ _id: pendingId, claimedAt: now });
+  assert.deepEqual(calls[1].filter, { _id: pendingId, status: "PROCESSING", claimedAt: now });
+  assert.equal(calls[1].update.$set.status, "PENDING");
+});
+
+test("a second approve or a deny while an approval runs gets 409", async (t) => {
+  t.mock.method(PendingRefund, "findOneAndUpdate", async () => null);
+  t.mock.method(PendingRefund, "findOne", statusLookup("PROCESSING"));
+  const req = { params: { pendingId }, tenant: { _id: tenantId }, user: { _id: supervisorId }, body: { comment: "dup" } };
+
+  const approve = fakeRes();
+  await approvePendingRefund(req, approve);
+  assert.equal(approve.statusCode, 409);
+
+  const deny = fakeRes();
+  await denyPendingRefund(req, deny);
+  assert.equal(deny.statusCode, 409);
+  assert.match(deny.body.error, /being approved/);
+
+  PendingRefund.findOne.mock.mockImplementation(statusLookup("APPROVED"));
+  const resolved = fakeRes();
+  await approvePendingRefund(req, resolved);
+  assert.equal(resolved.statusCode, 404);
+});
+
+test("an approval that stops before refunding releases its claim", async (t) => {
+  const claimedAt = new Date();
+  const claimed = { _id: pendingId, status: "PROCESSING", claimedAt, payload: { lineItems: [] }, context: null };
+  t.mock.method(PendingRefund, "findOneAndUpdate", async () => claimed);
+  const release = t.mock.method(PendingRefund, "updateOne", async () => ({ matchedCount: 1 }));
+
+  // no orderId, phone or context: the order cannot be found
+  const res = fakeRes();
+  await approvePendingRefund({ params: { pendingId }, tenant: { _id: tenantId }, user: { _id: supervisorId }, body: {} }, res);
+  assert.equal(res.statusCode, 404);
+  assert.equal(release.mock.callCount(), 1);
+  assert.deepEqual(release.mock.calls[0].arguments[0], { _id: pendingId, status: "PROCESSING", claimedAt });
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PendingRefund = require("../models/pendingRefundModel");
+const { listPendingRefunds, getPendingRefund } = require("../controllers/refundsController");
+const { fakeRes } = require("./helpers/fakeRes");
+
+const tenantId = "64b0000000000000000000aa";
+const requesterId = "64b000000000000000000001";
+
+// Records the filter and sort each list call sends to Mongo
+function stubList(t, items = []) {
+  const calls = { filter: null, sort: null, count: null };
+  t.mock.method(PendingRefund, "find", (filter) => {
+    calls.filter = filter;
+    const query = {
+      sort(value) {
+        calls.sort = value;
+        return query;
+      },
+      skip: () => query,
+      limit: () => query,
+      populate: () => query,
+      lean: async () => items,
+    };
+    return query;
+  });
+  t.mock.method(PendingRefund, "countDocuments", async (filter) => {
+    calls.count = filter;
+    return items.length;
+  });
+  return calls;
+}
+
+async function list(query, tenant = { _id: tenantId }) {
+  const res = fakeRes();
+  await listPendingRefunds({ query, tenant }, res);
+  return res;
+}
+
+test("pending list filters by status, requester and date inside the tenant", async (t) => {
+  const calls = stubList(t, [{ _id: "p1" }]);
+
+  const res = await list({ status: "pending,denied", requester: requesterId, from: "2026-01-01", to: "2026-01-31T23:59:59Z" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.total, 1);
+  assert.deepEqual(calls.filter, {
+    tenant: tenantId,
+    status: { $in: ["PENDING", "DENIED"] },
+    requester: requesterId,
+    createdAt: { $gte: new Date("2026-01-01"), $lte: new Date("2026-01-31T23:59:59Z") },
+  });
+  assert.deepEqual(calls.count, calls.filter);
+  assert.deepEqual(calls.sort, { createdAt: -1 });
+
+  await list({ status: "APPROVED" });
+  assert.deepEqual(calls.filter, { tenant: tenantId, status: "APPROVED" });
+
+  // x-tenant-id=ALL leaves no tenant on the request
+  await list({}, null);
+  assert.deepEqual(calls.filter, {});
+});
+
+test("pending list rejects bad filters before querying", async (t) => {
+  const calls = stubList(t);
+
+  assert.match((await list({ status: "PENDING,LOST" })).body.error, /Invalid status: LOST/);
+  assert.match((await list({ requester: "nope" })).body.error, /Invalid requester id/);
+  assert.match((await list({ from: "yesterday" })).body.error, /from\/to must be valid dates/);
+  assert.equal(calls.filter, null);
+});
+
+test("pending list sorts only by createdAt, status or amount", async (t) => {
+  const calls = stubList(t);
+
+  await list({ sort: "amount" });
+  assert.deepEqual(calls.sort, { "payload.amount": 1 });
+  await list({ sort: "-status" });
+  assert.deepEqual(calls.sort, { status: -1 });
+  await list({ sort: "createdAt" });
+  assert.deepEqual(calls.sort, { createdAt: 1 });
+
+  calls.sort = null;
+  for (const sort of ["context.user", "-payload.phone", "createdAt,status", "__proto__", ""]) {
+    const res = await list({ sort });
+    assert.equal(res.statusCode, 400, sort);
+    assert.match(res.body.error, /Invalid sort/);
+  }
+  assert.equal(calls.sort, null);
+});
+
+test("pending detail is looked up within the tenant", async (t) => {
+  let filter = null;
+  t.mock.method(PendingRefund, "findOne", (f) => {
+    filter = f;
+    return { populate: () => ({ lean: async () => null }) };
+  });
+
+  const id = "64b0000000000000000000bb";
+  const res = fakeRes();
+  await getPendingRefund({ params: { id }, tenant: { _id: tenantId } }, res);
+  assert.deepEqual(filter, { _id: id, tenant: tenantId });
+  assert.equal(res.statusCode, 404);
+
+  filter = null;
+  const invalid = fakeRes();
+  await getPendingRefund({ params: { id: "nope" }, tenant: { _id: tenantId } }, invalid);
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(filter, null);
+});
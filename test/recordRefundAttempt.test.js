@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { refundAttemptUpdate, recordRefundAttempt } = require("../utils/recordRefundAttempt");
+
+test("denied and failed attempts count as failures; approvals do not", () => {
+  const now = new Date("2026-01-01T10:00:00Z");
+  const denied = refundAttemptUpdate({
+    outcome: "DENY",
+    httpCode: 403,
+    errorCode: "POLICY_DENIED",
+    errorMsg: "x".repeat(600),
+    actor: "u1",
+    orderId: 42,
+    amount: "199.5",
+    partial: true,
+    rulesVer: 7,
+  }, now);
+
+  assert.deepEqual(denied.$inc, { failureCount: 1 });
+  assert.equal(denied.$set.lastOutcome, "DENY");
+  assert.equal(denied.$set.lastErrorCode, "POLICY_DENIED");
+  assert.equal(denied.$set.lastErrorMsg.length, 500);
+  assert.equal(denied.$set.lastAttemptAt, now);
+  assert.equal(denied.$set.lastRulesVer, 7);
+  assert.equal("lastRefundAt" in denied.$set, false);
+
+  const [attempt] = denied.$push.attempts.$each;
+  assert.equal(denied.$push.attempts.$slice, -25);
+  assert.equal(attempt.action, "refund");
+  assert.equal(attempt.orderId, "42");
+  assert.equal(attempt.amount, 199.5);
+  assert.equal(attempt.partial, true);
+  assert.equal(attempt.httpCode, 403);
+
+  assert.deepEqual(refundAttemptUpdate({ outcome: "ERROR", errorCode: "SHOPIFY_5XX" }).$inc, { failureCount: 1 });
+  const pending = refundAttemptUpdate({ outcome: "REQUIRE_APPROVAL", httpCode: 202 });
+  assert.deepEqual(pending.$inc, { failureCount: 0 });
+  assert.equal(pending.$set.lastErrorMsg, null);
+});
+
+test("recordRefundAttempt skips requests without a tenant, customer or actor", async () => {
+  assert.equal(await recordRefundAttempt({ outcome: "DENY" }), null);
+  assert.equal(await recordRefundAttempt({ req: { tenant: { _id: "t1" }, user: { _id: "u1" } }, outcome: "DENY" }), null);
+  assert.equal(await recordRefundAttempt({ req: { tenant: { _id: "t1" } }, customerKey: "phone:1", outcome: "DENY" }), null);
+});
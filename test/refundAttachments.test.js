@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  sniffFileType,
+  checkAttachmentFile,
+  parseAttachmentIds,
+  attachmentsProblem,
+} = require("../utils/refundAttachments");
+const { localDiskStorage } = require("../services/attachmentStorage");
+const { evaluateRefundRules } = require("../middlewares/rules");
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+const WEBP = Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("WEBPVP8 ")]);
+const PDF = Buffer.from("%PDF-1.7\n");
+
+test("attachments are typed by content and size-limited", () => {
+  assert.equal(sniffFileType(JPEG), "image/jpeg");
+  assert.equal(sniffFileType(PNG), "image/png");
+  assert.equal(sniffFileType(WEBP), "image/webp");
+  assert.equal(sniffFileType(PDF), "application/pdf");
+  assert.equal(sniffFileType(Buffer.from("<svg onload=alert(1)>")), null);
+
+  assert.deepEqual(checkAttachmentFile({ originalname: "box.jpg", buffer: JPEG }), { type: "image/jpeg", error: null });
+  assert.match(checkAttachmentFile({ originalname: "x.html", buffer: Buffer.from("<html></html>") }).error, /x.html is not a JPEG, PNG, WebP or PDF/);
+  assert.match(checkAttachmentFile({ originalname: "big.pdf", buffer: PDF }, { maxBytes: 4 }).error, /big.pdf is larger than/);
+  assert.match(checkAttachmentFile({ originalname: "empty.png", buffer: Buffer.alloc(0) }).error, /empty.png is empty/);
+});
+
+test("attachmentIds must be known ids uploaded for the refunded order", () => {
+  const a = "64b000000000000000000001";
+  const b = "64b000000000000000000002";
+  assert.deepEqual(parseAttachmentIds(undefined), { ids: [], error: null });
+  assert.deepEqual(parseAttachmentIds([a, a, b]), { ids: [a, b], error: null });
+  assert.match(parseAttachmentIds(a).error, /must be an array/);
+  assert.match(parseAttachmentIds(["nope"]).error, /Invalid attachment id nope/);
+  assert.match(parseAttachmentIds(Array.from({ length: 11 }, (_, i) => `64b0000000000000000000${String(i).padStart(2, "0")}`)).error, /At most 10/);
+
+  const docs = [{ _id: a, orderId: "42" }, { _id: b, orderId: "43" }];
+  assert.equal(attachmentsProblem(docs.slice(0, 1), [a], 42), null);
+  assert.match(attachmentsProblem(docs.slice(0, 1), [a, b], 42), new RegExp(`Attachment ${b} not found`));
+  assert.match(attachmentsProblem(docs, [a, b], 42), /uploaded for order 43, not 42/);
+});
+
+test("local disk storage keeps files per tenant and refuses keys outside its folder", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+  try {
+    const storage = localDiskStorage(root);
+    const key = await storage.save({ tenantId: "t1", buffer: PDF, ext: ".pdf" });
+    assert.match(key, /^t1\/[0-9a-f-]{36}\.pdf$/);
+
+    const chunks = [];
+    for await (const chunk of await storage.open(key)) chunks.push(chunk);
+    assert.deepEqual(Buffer.concat(chunks), PDF);
+
+    await assert.rejects(storage.open("../outside.pdf"), /Invalid attachment key/);
+    await storage.remove(key);
+    await assert.rejects(storage.open(key));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("requireAttachmentAbove denies larger refunds without evidence and skips previews", () => {
+  const context = (amount, attachmentCount) => ({
+    rules: { mode: "enforce", requireAttachmentAbove: 2000, conditions: [] },
+    user: { id: "u1", roles: [] },
+    order: { id: 1, total: 5000, paymentMethod: "upi", tags: [] },
+    refund: { requestedAmount: amount, requestedPercent: null },
+    meta: { attemptsToday: 0, daysSinceDelivery: null },
+    request: { lineItems: [], mode: "refund_only", attachmentCount },
+  });
+  const step = (decision) => decision.trace.find((t) => t.rule === "requireAttachmentAbove");
+
+  const denied = evaluateRefundRules(context(2500, 0));
+  assert.equal(denied.outcome, "DENY");
+  assert.deepEqual(denied.matched, ["requireAttachmentAbove"]);
+  assert.match(denied.reason, /Attach evidence .* above ₹2000/);
+
+  assert.equal(evaluateRefundRules(context(2500, 1)).outcome, "ALLOW");
+  assert.equal(evaluateRefundRules(context(1500, 0)).outcome, "ALLOW");
+  assert.equal(step(evaluateRefundRules(context(2500, null))).status, "skipped");
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculationRequest, calculateRefund, suggestedAmountFor } = require("../utils/refundCalculation");
+const { shopifyClient, resetBuckets } = require("../services/shopifyClient");
+const { startShopifyStub } = require("../services/shopifyStub");
+
+const order = {
+  id: 2001,
+  line_items: [
+    { id: 21, quantity: 3 },
+    { id: 22, quantity: 1 },
+  ],
+  // one unit of line 21 and all of line 22 were refunded earlier
+  refunds: [{ refund_line_items: [{ line_item_id: 21, quantity: 1 }, { line_item_id: 22, quantity: 1 }] }],
+};
+
+test("a full calculation asks for what is left plus shipping", () => {
+  assert.deepEqual(calculationRequest(order), {
+    refund: {
+      refund_line_items: [{ line_item_id: 21, quantity: 2, restock_type: "no_restock" }],
+      shipping: { full_refund: true },
+    },
+  });
+
+  const partial = calculationRequest(order, [{ lineItemId: 21, quantity: 1, restock_type: "return", locationId: null }], {
+    shipping: { amount: 40 },
+    defaultLocationId: 9,
+  });
+  assert.deepEqual(partial.refund, {
+    refund_line_items: [{ line_item_id: 21, quantity: 1, restock_type: "return", location_id: 9 }],
+    shipping: { amount: "40.00" },
+  });
+  assert.equal(calculationRequest(order, [{ lineItemId: 21, quantity: 1 }]).refund.shipping, undefined);
+});
+
+test("calculateRefund summarises Shopify's answer and retries a failed calculation", async (t) => {
+  resetBuckets();
+  const stub = await startShopifyStub({
+    "POST /orders/2001/refunds/calculate.json": [
+      { status: 503, body: { errors: "Unavailable" } },
+      {
+        body: {
+          refund: {
+            currency: "INR",
+            shipping: { amount: "50.00", tax: "9.00", maximum_refundable: "50.00" },
+            refund_line_items: [{ line_item_id: 21, quantity: 1, restock_type: "no_restock", subtotal: "200.00", total_tax: "36.00" }],
+            transactions: [
+              { parent_id: 7, kind: "suggested_refund", gateway: "razorpay", amount: "295.00", maximum_refundable: "736.00" },
+            ],
+          },
+        },
+      },
+    ],
+  });
+  t.after(() => stub.close());
+
+  const shopify = shopifyClient({ shopDomain: "demo", accessToken: "shpat_test" }, { baseUrl: stub.url, sleep: async () => {} });
+  const calc = await calculateRefund(shopify, order, [{ lineItemId: 21, quantity: 1 }], { shipping: { fullRefund: true } });
+
+  assert.equal(stub.requests.length, 2);
+  assert.equal(calc.currency, "INR");
+  assert.deepEqual(calc.lineItems[0], {
+    lineItemId: 21,
+    quantity: 1,
+    remainingQuantity: 2,
+    restock_type: "no_restock",
+    locationId: null,
+    subtotal: 200,
+    tax: 36,
+    amount: 236,
+    maximumRefundable: 472,
+  });
+  assert.deepEqual(calc.shipping, { amount: 50, tax: 9, maximumRefundable: 50 });
+  assert.equal(calc.suggestedAmount, 295);
+  assert.equal(calc.maximumRefundable, 736);
+  assert.equal(suggestedAmountFor(calc, 7), 295);
+  assert.equal(suggestedAmountFor(calc, 8), 295);
+});
@@ -0,0 +1,200 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const RefundTransaction = require("../models/refundTransactionModel");
+const { recordRefundTransaction } = require("../utils/recordRefundTransaction");
+const { buildLedgerFilter } = require("../controllers/refundTransactionController");
+
+const tenantId = "64b0000000000000000000aa";
+const agentId = "64b000000000000000000001";
+const supervisorId = "64b000000000000000000002";
+const pendingId = "64b0000000000000000000bb";
+const attachmentId = "64b0000000000000000000c1";
+
+const ruleContext = {
+  rules: { mode: "enforce", maxRefundsPerDay: 2, conditions: [] },
+  ruleSetId: "rs-1",
+  rulesVersion: 7,
+  user: { id: agentId, roles: ["user"] },
+  order: { id: 4001, customerId: 9001, total: 1200 },
+  refund: { requestedAmount: 1200, requestedPercent: 100 },
+  meta: { customerKey: "phone:+919999999999", attemptsToday: 0 },
+  request: { lineItems: [], mode: "refund_only", reasonCode: "damaged", attachmentIds: [attachmentId], attachmentCount: 1 },
+};
+
+const agentReq = (ctx = ruleContext) => ({
+  tenant: { _id: tenantId },
+  user: { _id: agentId },
+  headers: { "x-forwarded-for": "203.0.113.7, 10.0.0.1" },
+  ip: "10.0.0.1",
+  ruleContext: ctx,
+});
+
+// Captures what would be written; each document must also pass the schema
+function stubCreate(t) {
+  const written = [];
+  t.mock.method(RefundTransaction, "create", async (doc) => {
+    assert.equal(new RefundTransaction(doc).validateSync(), undefined);
+    written.push(doc);
+    return doc;
+  });
+  return written;
+}
+
+test("an executed refund records the order, customer, rules and Shopify refund", async (t) => {
+  const written = stubCreate(t);
+  await recordRefundTransaction({
+    req: agentReq(),
+    action: "refund",
+    outcome: "SUCCESS",
+    orderName: "#1001",
+    partial: false,
+    mode: "refund_only",
+    amount: 1200,
+    currency: "INR",
+    shopifyRefundId: "77",
+    gateway: "razorpay",
+    parentTransactionId: "55",
+    httpCode: 200,
+  });
+
+  const [entry] = written;
+  assert.equal(entry.tenant, tenantId);
+  assert.equal(entry.actor, agentId);
+  assert.equal(entry.customer, "phone:+919999999999");
+  assert.equal(entry.orderId, "4001");
+  assert.equal(entry.shopifyCustomerId, "9001");
+  assert.equal(entry.reasonCode, "damaged");
+  assert.deepEqual(entry.attachments, [attachmentId]);
+  assert.equal(entry.ruleSetId, "rs-1");
+  assert.equal(entry.rulesVersion, 7);
+  assert.equal(entry.shopifyRefundId, "77");
+  assert.equal(entry.ip, "203.0.113.7");
+  assert.equal(entry.errorMsg, null);
+  // the snapshot keeps the context but not the ruleset it was evaluated with
+  assert.equal("rules" in entry.context, false);
+  assert.deepEqual(entry.context.meta, ruleContext.meta);
+});
+
+test("denied, pending and failed refunds record why", async (t) => {
+  const written = stubCreate(t);
+  const decision = { outcome: "DENY", reason: "Max 2 refunds per day", matched: ["maxRefundsPerDay"] };
+
+  await recordRefundTransaction({
+    req: agentReq(),
+    action: "refund",
+    outcome: "DENY",
+    amount: 1200,
+    ruleDecision: decision,
+    httpCode: 403,
+    errorCode: "POLICY_DENIED",
+    errorMsg: decision.reason,
+  });
+  await recordRefundTransaction({
+    req: agentReq(),
+    action: "refund",
+    outcome: "REQUIRE_APPROVAL",
+    orderId: "4001",
+    pendingRefund: pendingId,
+    httpCode: 202,
+  });
+  await recordRefundTransaction({
+    req: agentReq(),
+    action: "refund",
+    outcome: "ERROR",
+    httpCode: 500,
+    errorCode: "SHOPIFY_5XX",
+    errorMsg: "x".repeat(800),
+  });
+
+  const [denied, pending, failed] = written;
+  assert.equal(denied.outcome, "DENY");
+  assert.deepEqual(denied.ruleDecision, decision);
+  assert.equal(denied.errorCode, "POLICY_DENIED");
+  assert.equal(denied.errorMsg, "Max 2 refunds per day");
+  assert.equal(denied.shopifyRefundId, undefined);
+
+  assert.equal(pending.outcome, "REQUIRE_APPROVAL");
+  assert.equal(pending.pendingRefund, pendingId);
+  assert.equal(pending.httpCode, 202);
+  assert.equal(pending.errorCode, undefined);
+
+  assert.equal(failed.outcome, "ERROR");
+  assert.equal(failed.errorCode, "SHOPIFY_5XX");
+  assert.equal(failed.errorMsg.length, 500);
+  assert.equal(failed.orderId, "4001");
+});
+
+test("approve and deny record the supervisor as actor and the agent as requester", async (t) => {
+  const written = stubCreate(t);
+  const supervisorReq = { tenant: { _id: tenantId }, user: { _id: supervisorId }, ip: "10.0.0.2", headers: {} };
+  const pendingFields = { requester: agentId, pendingRefund: pendingId, ruleContext };
+
+  await recordRefundTransaction({ req: supervisorReq, action: "approve", outcome: "SUCCESS", ...pendingFields, shopifyRefundId: "78", httpCode: 200 });
+  await recordRefundTransaction({ req: supervisorReq, action: "deny", outcome: "DENY", ...pendingFields, note: "Photo shows no damage", httpCode: 200 });
+
+  for (const entry of written) {
+    assert.equal(entry.actor, supervisorId);
+    assert.equal(entry.requester, agentId);
+    assert.equal(entry.pendingRefund, pendingId);
+    // taken from the stored request context, not the supervisor's request
+    assert.equal(entry.customer, "phone:+919999999999");
+    assert.equal(entry.orderId, "4001");
+    assert.equal(entry.reasonCode, "damaged");
+    assert.equal(entry.ip, "10.0.0.2");
+  }
+  assert.equal(written[0].action, "approve");
+  assert.equal(written[0].shopifyRefundId, "78");
+  assert.equal(written[1].action, "deny");
+  assert.equal(written[1].note, "Photo shows no damage");
+});
+
+test("a failed ledger write does not fail the refund", async (t) => {
+  t.mock.method(RefundTransaction, "create", async () => {
+    throw new Error("connection lost");
+  });
+  t.mock.method(console, "warn", () => {});
+  assert.equal(await recordRefundTransaction({ req: agentReq(), action: "refund", outcome: "SUCCESS" }), null);
+});
+
+test("ledger filter is scoped to the tenant and filters by actor and date", () => {
+  const filter = (query, tenant = { _id: tenantId }) => buildLedgerFilter({ query, tenant });
+
+  assert.deepEqual(filter({}), { tenant: tenantId });
+  // the tenant resolved by middleware wins over a query param
+  assert.deepEqual(filter({ tenant: "64b0000000000000000000ff" }), { tenant: tenantId });
+  // x-tenant-id=ALL: an explicit tenant param narrows, otherwise every tenant
+  assert.deepEqual(filter({ tenant: "64b0000000000000000000ff" }, null), { tenant: "64b0000000000000000000ff" });
+  assert.deepEqual(filter({}, null), {});
+
+  assert.deepEqual(filter({ actor: supervisorId, requester: agentId, action: "approve,deny" }), {
+    tenant: tenantId,
+    actor: supervisorId,
+    requester: agentId,
+    action: { $in: ["approve", "deny"] },
+  });
+  assert.deepEqual(filter({ phone: "+919999999999", outcome: "ERROR" }), {
+    tenant: tenantId,
+    customer: "phone:+919999999999",
+    outcome: { $in: ["ERROR"] },
+  });
+
+  assert.deepEqual(filter({ from: "2026-01-01", to: "2026-01-31T23:59:59Z" }).createdAt, {
+    $gte: new Date("2026-01-01"),
+    $lte: new Date("2026-01-31T23:59:59Z"),
+  });
+  assert.deepEqual(filter({ from: "2026-01-01" }).createdAt, { $gte: new Date("2026-01-01") });
+
+  const status = (query) => {
+    try {
+      filter(query);
+    } catch (err) {
+      return [err.statusCode, err.message];
+    }
+    return null;
+  };
+  assert.deepEqual(status({ actor: "nope" }), [400, "Invalid actor id"]);
+  assert.deepEqual(status({ requester: "nope" }), [400, "Invalid requester id"]);
+  assert.deepEqual(status({ to: "someday" }), [400, "from/to must be valid dates"]);
+  assert.deepEqual(status({ outcome: "SUCCESS,MAYBE" }), [400, "Invalid outcome: MAYBE"]);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolveRefundMode, shippingTotal } = require("../utils/refundModes");
+const { evaluateRefundRules } = require("../middlewares/rules");
+
+test("resolveRefundMode defaults, validates and keeps partials refund-only", () => {
+  assert.deepEqual(resolveRefundMode(undefined), { mode: "cancel_and_refund", error: null });
+  assert.deepEqual(resolveRefundMode("REFUND_ONLY"), { mode: "refund_only", error: null });
+  assert.deepEqual(resolveRefundMode(null, [], ["refund_shipping_only", "refund_only"]), { mode: "refund_shipping_only", error: null });
+  assert.deepEqual(resolveRefundMode(null, [], ["cancel_and_refund"]), { mode: "cancel_and_refund", error: null });
+  assert.deepEqual(resolveRefundMode(null, [{ lineItemId: 1 }]), { mode: "refund_only", error: null });
+
+  assert.match(resolveRefundMode("void").error, /mode must be one of/);
+  assert.match(resolveRefundMode("cancel_and_refund", [{ lineItemId: 1 }]).error, /always refund_only/);
+
+  assert.equal(shippingTotal({ total_shipping_price_set: { shop_money: { amount: "79.00" } } }), 79);
+  assert.equal(shippingTotal({ shipping_lines: [{ price: "40.00" }, { price: "10.50" }] }), 50.5);
+});
+
+test("allowedRefundModes denies other modes and is skipped without one", () => {
+  const context = (mode) => ({
+    rules: { mode: "enforce", allowedRefundModes: ["refund_only", "refund_shipping_only"], conditions: [] },
+    user: { id: "u1", roles: [] },
+    order: { id: 1, total: 1000, paymentMethod: "upi", tags: [] },
+    refund: { requestedAmount: null, requestedPercent: null },
+    meta: { attemptsToday: 0, daysSinceDelivery: null },
+    request: { lineItems: [], mode },
+  });
+  const step = (decision) => decision.trace.find((t) => t.rule === "allowedRefundModes");
+
+  const denied = evaluateRefundRules(context("cancel_and_refund"));
+  assert.equal(denied.outcome, "DENY");
+  assert.deepEqual(denied.matched, ["allowedRefundModes"]);
+  assert.match(denied.reason, /Refund mode cancel_and_refund is not allowed/);
+  assert.equal(step(denied).observed, "cancel_and_refund");
+
+  const allowed = evaluateRefundRules(context("refund_only"));
+  assert.equal(allowed.outcome, "ALLOW");
+  assert.equal(step(allowed).outcome, "ALLOW");
+
+  assert.equal(step(evaluateRefundRules(context(null))).status, "skipped");
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_REFUND_REASONS,
+  refundReasonsFor,
+  parseRefundReasons,
+  resolveRefundReason,
+  findRefundReason,
+  reasonNote,
+  reasonTag,
+} = require("../utils/refundReasons");
+
+const tenant = {
+  settings: {
+    refundReasons: [
+      { code: "damaged", label: "Damaged item", active: true },
+      { code: "goodwill", label: "Goodwill", active: true },
+      { code: "courier_lost", label: "Lost by courier", active: false },
+    ],
+  },
+};
+
+test("tenants without a catalogue use the defaults", () => {
+  assert.equal(refundReasonsFor({ settings: {} }), DEFAULT_REFUND_REASONS);
+  assert.equal(refundReasonsFor({ settings: { refundReasons: [] } }), DEFAULT_REFUND_REASONS);
+  assert.equal(refundReasonsFor(tenant).length, 3);
+});
+
+test("parseRefundReasons normalises codes and rejects bad catalogues", () => {
+  const { reasons, error } = parseRefundReasons([{ code: " Wrong_Size ", label: " Wrong size " }, { code: "other", label: "Other", active: false }]);
+  assert.equal(error, null);
+  assert.deepEqual(reasons, [
+    { code: "wrong_size", label: "Wrong size", active: true },
+    { code: "other", label: "Other", active: false },
+  ]);
+
+  assert.match(parseRefundReasons([]).error, /Provide reasons/);
+  assert.match(parseRefundReasons([{ code: "bad code", label: "x" }]).error, /Reason 0: code/);
+  assert.match(parseRefundReasons([{ code: "a", label: "A" }, { code: "A", label: "B" }]).error, /code a appears more than once/);
+  assert.match(parseRefundReasons([{ code: "a", label: "" }]).error, /Reason 0: label/);
+  assert.match(parseRefundReasons([{ code: "a", label: "A", active: false }]).error, /At least one reason must be active/);
+});
+
+test("resolveRefundReason requires an active reason from the catalogue", () => {
+  const reasons = refundReasonsFor(tenant);
+  assert.deepEqual(resolveRefundReason("GOODWILL", reasons), { reason: { code: "goodwill", label: "Goodwill" }, error: null });
+  assert.match(resolveRefundReason(null, reasons).error, /reasonCode is required: one of damaged, goodwill$/);
+  assert.deepEqual(resolveRefundReason("", reasons, { required: false }), { reason: null, error: null });
+  assert.match(resolveRefundReason("lost", reasons).error, /Unknown reasonCode lost/);
+  assert.match(resolveRefundReason("courier_lost", reasons, { required: false }).error, /no longer in use/);
+});
+
+test("reason labels go into the Shopify note and the code into a tag", () => {
+  assert.equal(reasonNote(findRefundReason(tenant, "damaged"), "Box crushed"), "Damaged item: Box crushed");
+  assert.equal(reasonNote(findRefundReason(tenant, "courier_lost"), null), "Lost by courier");
+  assert.equal(reasonNote(findRefundReason(tenant, null), "Full refund"), "Full refund");
+  assert.deepEqual(findRefundReason(tenant, "gone"), { code: "gone", label: "gone" });
+  assert.equal(reasonTag("goodwill"), "refund_reason:goodwill");
+  assert.equal(reasonTag(null), null);
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+// The worker loads tenantModel, which reads its token encryption key on load
+process.env.ENCRYPTION_KEY ||= "0".repeat(64);
+
+const RefundRetry = require("../models/refundRetryModel");
+const RefundStat = require("../models/refundStatModel");
+const RefundTransaction = require("../models/refundTransactionModel");
+const Tenant = require("../models/tenantModel");
+const User = require("../models/userModel");
+const { isRetryableError, applyRetryFailure, scheduleRefundRetry, refundSince } = require("../utils/refundRetry");
+const { ShopifyApiError, resetBuckets } = require("../services/shopifyClient");
+const { startShopifyStub } = require("../services/shopifyStub");
+const { processRetry } = require("../services/refundRetryWorker");
+
+const newRetry = () => new RefundRetry({
+  tenant: new mongoose.Types.ObjectId(),
+  customer: "phone:+919999999999",
+  orderId: "42",
+  retryBaseMs: 1000,
+  maxRetryMs: 5000,
+});
+
+test("only unavailable, throttled and unanswered Shopify calls are retried", () => {
+  assert.equal(isRetryableError(new ShopifyApiError("down", { status: 503 })), true);
+  assert.equal(isRetryableError(new ShopifyApiError("slow down", { status: 429 })), true);
+  assert.equal(isRetryableError(new ShopifyApiError("no answer", { code: "ETIMEDOUT" })), true);
+  assert.equal(isRetryableError(new ShopifyApiError("no answer", { code: "NETWORK" })), true);
+  assert.equal(isRetryableError(new ShopifyApiError("rejected", { status: 422 })), false);
+  assert.equal(isRetryableError(new ShopifyApiError("no token", { code: "SHOPIFY_NOT_CONFIGURED" })), false);
+  assert.equal(isRetryableError(new Error("bug")), false);
+});
+
+test("applyRetryFailure backs off, then gives up into needs_attention", () => {
+  const retry = newRetry();
+  const now = new Date("2026-01-01T10:00:00Z");
+  const err = new ShopifyApiError("Shopify POST failed with 502", { status: 502 });
+  const request = { orderId: 42, lineItems: [], mode: "refund_only" };
+
+  const first = applyRetryFailure(retry, { request, err, now, maxAttempts: 3 });
+  assert.deepEqual(first, { queued: true, state: "scheduled", attemptNo: 1, nextRetryAt: new Date("2026-01-01T10:00:01Z"), backoffMs: 1000 });
+  assert.equal(retry.request.orderId, "42");
+  assert.equal(retry.firstFailedAt.getTime(), now.getTime());
+  assert.equal(retry.lastErrorCode, "SHOPIFY_502");
+  assert.equal(retry.validateSync(), undefined);
+
+  const second = applyRetryFailure(retry, { request, err, now, maxAttempts: 3 });
+  assert.equal(second.nextRetryAt.getTime() - now.getTime(), 2000);
+
+  const third = applyRetryFailure(retry, { request, err, now, maxAttempts: 3 });
+  assert.deepEqual(third, { queued: false, state: "needs_attention", attemptNo: 3, nextRetryAt: null, backoffMs: 0 });
+  assert.equal(retry.firstFailedAt.getTime(), now.getTime());
+});
+
+test("every failed order of a customer is queued on its own", async (t) => {
+  const tenantId = new mongoose.Types.ObjectId();
+  const saved = new Map();
+  t.mock.method(RefundRetry, "findOne", async ({ orderId }) => saved.get(orderId) || null);
+  t.mock.method(RefundRetry.prototype, "save", async function () {
+    saved.set(this.orderId, this);
+    return this;
+  });
+  const err = new ShopifyApiError("down", { status: 503 });
+  const failure = (orderId) => ({ tenantId, customerKey: "phone:+919999999999", request: { orderId }, err });
+
+  assert.equal((await scheduleRefundRetry(failure(1))).queued, true);
+  assert.equal((await scheduleRefundRetry(failure(2))).queued, true);
+  const again = await scheduleRefundRetry(failure(1));
+  assert.equal(again.attemptNo, 2);
+
+  assert.deepEqual([...saved.keys()], ["1", "2"]);
+  assert.equal(saved.get("2").retryCount, 1);
+  assert.equal(saved.get("2").state, "scheduled");
+});
+
+test("a retry that cannot be saved is reported as not queued", async (t) => {
+  t.mock.method(RefundRetry, "findOne", async () => {
+    throw new Error("connection lost");
+  });
+  t.mock.method(console, "warn", () => {});
+
+  const result = await scheduleRefundRetry({
+    tenantId: new mongoose.Types.ObjectId(),
+    request: { orderId: 7 },
+    err: new ShopifyApiError("down", { status: 503 }),
+  });
+  assert.equal(result.queued, false);
+  assert.equal(result.state, null);
+  assert.match(result.reason, /could not be saved/);
+});
+
+test("refundSince finds a refund Shopify made after the first failure", () => {
+  const since = new Date("2026-01-01T10:00:00Z");
+  const refunds = [
+    { id: 1, created_at: "2025-12-30T09:00:00Z" },
+    { id: 2, created_at: "2026-01-01T10:00:05+00:00" },
+  ];
+  assert.equal(refundSince(refunds, since).id, 2);
+  assert.equal(refundSince(refunds.slice(0, 1), since), null);
+});
+
+test("a refund Shopify already made closes the retry and is written to the ledger", async (t) => {
+  resetBuckets();
+  const stub = await startShopifyStub({
+    "GET /orders/42/refunds.json": {
+      body: {
+        refunds: [{
+          id: 77,
+          created_at: "2026-01-01T10:00:05Z",
+          transactions: [
+            { id: 501, kind: "refund", status: "success", amount: "300.00", currency: "INR", gateway: "razorpay", parent_id: 55 },
+            { id: 502, kind: "refund", status: "success", amount: "199.50", currency: "INR", gateway: "razorpay", parent_id: 55 },
+          ],
+        }],
+      },
+    },
+  });
+  const baseUrl = process.env.SHOPIFY_API_BASE_URL;
+  process.env.SHOPIFY_API_BASE_URL = stub.url;
+  t.after(() => {
+    process.env.SHOPIFY_API_BASE_URL = baseUrl;
+    return stub.close();
+  });
+
+  const retry = newRetry();
+  retry.actor = new mongoose.Types.ObjectId();
+  applyRetryFailure(retry, {
+    request: { orderId: 42, lineItems: [], mode: "refund_only", reasonCode: "damaged", amount: null },
+    actor: retry.actor,
+    err: new ShopifyApiError("no answer", { code: "ETIMEDOUT" }),
+    now: new Date("2026-01-01T10:00:00Z"),
+  });
+
+  t.mock.method(Tenant, "findById", async () => ({ _id: retry.tenant, shopDomain: "demo-store.myshopify.com", accessToken: "shpat_test" }));
+  t.mock.method(User, "findById", async () => ({ _id: retry.actor }));
+  const deleted = t.mock.method(RefundRetry, "deleteOne", async () => ({ deletedCount: 1 }));
+  const stat = t.mock.method(RefundStat, "updateOne", async () => ({ modifiedCount: 1 }));
+  const written = [];
+  t.mock.method(RefundTransaction, "create", async (doc) => {
+    assert.equal(new RefundTransaction(doc).validateSync(), undefined);
+    written.push(doc);
+    return doc;
+  });
+
+  assert.deepEqual(await processRetry(retry), { status: "already_refunded" });
+  assert.deepEqual(deleted.mock.calls[0].arguments[0], { _id: retry._id });
+  assert.equal(stat.mock.calls[0].arguments[1].$inc.totalCount, 1);
+
+  const [entry] = written;
+  assert.equal(entry.tenant, retry.tenant);
+  assert.equal(entry.actor, retry.actor);
+  assert.equal(entry.action, "refund");
+  assert.equal(entry.outcome, "SUCCESS");
+  assert.equal(entry.customer, "phone:+919999999999");
+  assert.equal(entry.orderId, "42");
+  assert.equal(entry.shopifyRefundId, "77");
+  assert.equal(entry.amount, 499.5);
+  assert.equal(entry.currency, "INR");
+  assert.equal(entry.parentTransactionId, "55");
+  assert.equal(entry.reasonCode, "damaged");
+  assert.equal(entry.mode, "refund_only");
+  assert.equal(entry.partial, false);
+  assert.equal(entry.errorCode, "ALREADY_REFUNDED");
+});
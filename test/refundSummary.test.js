@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseSummaryRange } = require("../controllers/refundStatController");
+
+const now = new Date("2025-03-31T12:00:00.000Z");
+
+test("summary range defaults to the last 30 days by day in UTC", () => {
+  const range = parseSummaryRange({}, now);
+  assert.equal(range.granularity, "day");
+  assert.equal(range.tz, "UTC");
+  assert.equal(range.end.toISOString(), now.toISOString());
+  assert.equal(range.start.toISOString(), "2025-03-01T12:00:00.000Z");
+});
+
+test("a bare YYYY-MM-DD `to` covers the whole day", () => {
+  const range = parseSummaryRange({ from: "2025-01-01", to: "2025-01-31", granularity: "week" }, now);
+  assert.equal(range.start.toISOString(), "2025-01-01T00:00:00.000Z");
+  assert.equal(range.end.toISOString(), "2025-01-31T23:59:59.999Z");
+  assert.equal(range.granularity, "week");
+});
+
+test("bare dates are local days in the requested time zone", () => {
+  // IST is UTC+5:30: 1 Jan starts at 31 Dec 18:30 UTC
+  const kolkata = parseSummaryRange({ from: "2025-01-01", to: "2025-01-31", tz: "Asia/Kolkata" }, now);
+  assert.equal(kolkata.start.toISOString(), "2024-12-31T18:30:00.000Z");
+  assert.equal(kolkata.end.toISOString(), "2025-01-31T18:29:59.999Z");
+
+  // New York moves to daylight time on 9 March 2025
+  const newYork = parseSummaryRange({ from: "2025-03-01", to: "2025-03-10", tz: "America/New_York" }, now);
+  assert.equal(newYork.start.toISOString(), "2025-03-01T05:00:00.000Z");
+  assert.equal(newYork.end.toISOString(), "2025-03-11T03:59:59.999Z");
+
+  // timestamps are taken as given
+  const exact = parseSummaryRange({ from: "2025-01-01T06:00:00Z", to: "2025-01-02T06:00:00Z", tz: "Asia/Kolkata" }, now);
+  assert.equal(exact.start.toISOString(), "2025-01-01T06:00:00.000Z");
+  assert.equal(exact.end.toISOString(), "2025-01-02T06:00:00.000Z");
+});
+
+test("summary range rejects bad input with 400s", () => {
+  const expect400 = (query) => assert.throws(() => parseSummaryRange(query, now), (err) => err.statusCode === 400);
+  expect400({ granularity: "hour" });
+  expect400({ tz: "Mars/Olympus" });
+  expect400({ from: "not-a-date" });
+  expect400({ from: "2025-02-01", to: "2025-01-01" });
+  expect400({ from: "2020-01-01", to: "2025-01-01" });
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { restockProblem, refundLineItems } = require("../utils/restock");
+
+const order = {
+  id: 1001,
+  name: "#1001",
+  line_items: [
+    { id: 11, quantity: 2 },
+    { id: 12, quantity: 1 },
+  ],
+};
+
+test("refund lines carry quantity, restock type and location", () => {
+  const lines = refundLineItems(
+    [
+      { lineItemId: 11, quantity: 2, restock_type: "return", locationId: null },
+      { lineItemId: 12, quantity: 1, restock_type: "cancel", locationId: 77 },
+      { lineItemId: 13, quantity: 0, restock_type: "return", locationId: null },
+      { lineItemId: 14, quantity: 1, restock_type: null, locationId: 77 },
+    ],
+    55
+  );
+
+  assert.deepEqual(lines, [
+    { line_item_id: 11, quantity: 2, restock_type: "return", location_id: 55 },
+    { line_item_id: 12, quantity: 1, restock_type: "cancel", location_id: 77 },
+    { line_item_id: 13, quantity: 0, restock_type: "no_restock" },
+    { line_item_id: 14, quantity: 1, restock_type: "no_restock" },
+  ]);
+});
+
+test("restock requests are checked before and after the order is loaded", () => {
+  const ok = [{ lineItemId: 11, quantity: 1, restock_type: "return", locationId: null }];
+  assert.equal(restockProblem(ok, { defaultLocationId: 55 }), null);
+  assert.match(restockProblem(ok), /choose a restock location/);
+  assert.equal(restockProblem([{ ...ok[0], locationId: 77 }]), null);
+
+  assert.match(restockProblem([{ ...ok[0], restock_type: "legacy_restock" }], { defaultLocationId: 55 }), /restock_type must be one of/);
+  assert.match(restockProblem([{ ...ok[0], quantity: 1.5 }], { defaultLocationId: 55 }), /whole number/);
+
+  assert.equal(restockProblem([{ ...ok[0], quantity: 2 }], { order, defaultLocationId: 55 }), null);
+  assert.match(restockProblem([{ ...ok[0], quantity: 3 }], { order, defaultLocationId: 55 }), /more than the 2 ordered/);
+  assert.match(restockProblem([{ ...ok[0], lineItemId: 99 }], { order, defaultLocationId: 55 }), /not on order #1001/);
+});
@@ -0,0 +1,211 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The routes load tenantModel, which reads its token encryption key on load
+process.env.ENCRYPTION_KEY ||= "0".repeat(64);
+
+const RefundRules = require("../models/refundRulesModel");
+const RuleChangeRequest = require("../models/ruleChangeRequestModel");
+const RuleAudit = require("../models/ruleAuditModel");
+const rulesController = require("../controllers/refundRulesController");
+const rulesRouter = require("../routes/refundRulesRoutes");
+const { fakeRes } = require("./helpers/fakeRes");
+
+const { assertCanReview } = rulesController;
+
+const author = "64b000000000000000000001";
+const reviewer = "64b000000000000000000002";
+
+const statusOf = (proposal, userId, action) => {
+  try {
+    assertCanReview(proposal, userId, action);
+  } catch (err) {
+    return err.statusCode;
+  }
+  return null;
+};
+
+test("assertCanReview keeps the author from approving or rejecting their own change", () => {
+  const proposal = { status: "PENDING", proposedBy: author };
+  assert.equal(statusOf(proposal, author, "approve"), 403);
+  assert.equal(statusOf(proposal, author, "reject"), 403);
+  assert.equal(statusOf(proposal, author, "withdraw"), null);
+
+  assert.equal(statusOf(proposal, reviewer, "approve"), null);
+  assert.equal(statusOf(proposal, reviewer, "reject"), null);
+  assert.equal(statusOf(proposal, reviewer, "withdraw"), 403);
+
+  // populated proposer
+  assert.equal(statusOf({ status: "PENDING", proposedBy: { _id: author } }, author, "approve"), 403);
+});
+
+test("assertCanReview only allows pending requests", () => {
+  for (const status of ["APPROVED", "REJECTED", "WITHDRAWN"]) {
+    assert.equal(statusOf({ status, proposedBy: author }, reviewer, "approve"), 400);
+    assert.equal(statusOf({ status, proposedBy: author }, author, "withdraw"), 400);
+  }
+});
+
+const tenantId = "64b0000000000000000000aa";
+const activeUpdatedAt = new Date("2026-02-01T00:00:00Z");
+const scheduledUpdatedAt = new Date("2026-02-02T00:00:00Z");
+const active = { _id: "rv4", tenant: tenantId, version: 4, isActive: true, rules: { mode: "enforce", maxRefundsPerDay: 2 }, updatedAt: activeUpdatedAt };
+const scheduled = {
+  _id: "rv5",
+  tenant: tenantId,
+  version: 5,
+  isActive: false,
+  isScheduled: true,
+  effectiveFrom: new Date(Date.now() + 86400000),
+  effectiveUntil: null,
+  cancelledAt: null,
+  rules: { mode: "enforce", maxRefundsPerDay: 5 },
+  updatedAt: scheduledUpdatedAt,
+};
+
+// Mongoose-like query resolving to value, awaited directly or through lean()
+function query(value) {
+  const q = {
+    sort: () => q,
+    select: () => q,
+    populate: () => q,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+}
+
+// Rules in force: v4 active, v5 scheduled; records every write to a ruleset
+function stubRules(t, versions = { 4: active, 5: scheduled }) {
+  const writes = [];
+  t.mock.method(RefundRules, "findOne", (filter) => {
+    if (filter.isActive) return query(versions[4]);
+    if (filter.version != null) return query(versions[filter.version] || null);
+    return query({ version: 5 });
+  });
+  t.mock.method(RefundRules, "resolveEffective", async () => versions[4]);
+  for (const method of ["findOneAndUpdate", "findByIdAndUpdate", "updateOne", "updateMany", "publishNewVersion"]) {
+    t.mock.method(RefundRules, method, async (...args) => {
+      writes.push({ method, args });
+      return method === "findOneAndUpdate" ? { ...versions[4], ...args[1].$set } : null;
+    });
+  }
+  const proposals = [];
+  t.mock.method(RuleChangeRequest, "create", async (doc) => {
+    proposals.push(doc);
+    return { _id: "cr1", status: "PENDING", ...doc };
+  });
+  t.mock.method(RuleAudit, "create", async (doc) => doc);
+  return { writes, proposals };
+}
+
+const adminReq = (userId, extra = {}) => ({ tenant: { _id: tenantId }, user: { _id: userId }, params: {}, body: {}, headers: {}, ...extra });
+
+test("one admin cannot deactivate rules or change a schedule directly", async (t) => {
+  const { writes, proposals } = stubRules(t);
+
+  const deactivate = fakeRes();
+  await rulesController.deactivateActive(adminReq(author, { body: { note: "use platform rules" } }), deactivate);
+  const reschedule = fakeRes();
+  const until = new Date(Date.now() + 3 * 86400000).toISOString();
+  await rulesController.updateSchedule(adminReq(author, { params: { version: "5" }, body: { effectiveUntil: until } }), reschedule);
+  const cancel = fakeRes();
+  await rulesController.cancelSchedule(adminReq(author, { params: { version: "5" } }), cancel);
+
+  for (const res of [deactivate, reschedule, cancel]) {
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.data.status, "PENDING");
+  }
+  assert.deepEqual(writes, []);
+
+  const [off, moved, cancelled] = proposals;
+  assert.equal(off.kind, "deactivate");
+  assert.equal(off.targetVersion, 4);
+  assert.equal(off.targetUpdatedAt, activeUpdatedAt);
+  assert.equal(off.headVersion, 5);
+  assert.equal(off.note, "use platform rules");
+
+  assert.equal(moved.kind, "schedule_update");
+  assert.equal(moved.targetVersion, 5);
+  assert.equal(moved.effectiveUntil.toISOString(), until);
+  assert.deepEqual(moved.diff.map((c) => c.field), ["effectiveUntil"]);
+
+  assert.equal(cancelled.kind, "schedule_cancel");
+  assert.equal(cancelled.targetUpdatedAt, scheduledUpdatedAt);
+});
+
+function stubProposal(t, proposal) {
+  t.mock.method(RuleChangeRequest, "findOne", async () => proposal);
+  const claims = [];
+  t.mock.method(RuleChangeRequest, "findOneAndUpdate", async (filter, update) => {
+    claims.push(update);
+    return { ...proposal, ...update.$set, save: async () => {} };
+  });
+  t.mock.method(RuleChangeRequest, "updateOne", async () => ({ matchedCount: 1 }));
+  return claims;
+}
+
+const deactivateProposal = (extra = {}) => ({
+  _id: "cr1",
+  tenant: tenantId,
+  kind: "deactivate",
+  status: "PENDING",
+  proposedBy: author,
+  rules: active.rules,
+  targetVersion: 4,
+  targetUpdatedAt: activeUpdatedAt,
+  headVersion: 5,
+  diff: [],
+  ...extra,
+});
+
+test("a deactivation applies only when a different admin approves it", async (t) => {
+  const { writes } = stubRules(t);
+  const claims = stubProposal(t, deactivateProposal());
+
+  const own = fakeRes();
+  await rulesController.approveProposal(adminReq(author, { params: { id: "cr1" } }), own);
+  assert.equal(own.statusCode, 403);
+  assert.deepEqual(writes, []);
+  assert.deepEqual(claims, []);
+
+  const other = fakeRes();
+  await rulesController.approveProposal(adminReq(reviewer, { params: { id: "cr1" } }), other);
+  assert.equal(other.statusCode, 201);
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0].method, "findOneAndUpdate");
+  assert.deepEqual(writes[0].args[0], { _id: "rv4", updatedAt: activeUpdatedAt });
+  assert.deepEqual(writes[0].args[1], { $set: { isActive: false } });
+});
+
+test("approval refuses a deactivation or schedule change made stale by another change", async (t) => {
+  const { writes } = stubRules(t, { 4: active, 5: { ...scheduled, updatedAt: new Date() } });
+
+  stubProposal(t, deactivateProposal({ headVersion: 4 }));
+  const published = fakeRes();
+  await rulesController.approveProposal(adminReq(reviewer, { params: { id: "cr1" } }), published);
+  assert.equal(published.statusCode, 409);
+
+  RuleChangeRequest.findOne.mock.mockImplementation(async () => deactivateProposal({
+    kind: "schedule_cancel",
+    rules: scheduled.rules,
+    targetVersion: 5,
+    targetUpdatedAt: scheduledUpdatedAt,
+  }));
+  const moved = fakeRes();
+  await rulesController.approveProposal(adminReq(reviewer, { params: { id: "cr1" } }), moved);
+  assert.equal(moved.statusCode, 409);
+  assert.match(moved.body.message, /Version 5 changed since this request was made/);
+  assert.deepEqual(writes, []);
+});
+
+test("raw ruleset documents are read-only; every write is a proposal", () => {
+  const methodsOf = (path) => rulesRouter.stack
+    .filter((layer) => layer.route?.path === path)
+    .flatMap((layer) => Object.keys(layer.route.methods));
+  assert.deepEqual(methodsOf("/"), ["get"]);
+  assert.deepEqual(methodsOf("/:id"), ["get"]);
+  assert.equal(rulesController.createRefundRules, undefined);
+  assert.equal(rulesController.updateRefundRules, undefined);
+  assert.equal(rulesController.deleteRefundRules, undefined);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { compareRulesets } = require("../controllers/refundRulesController");
+
+function record(id, { percent, amount, daysSinceDelivery = 2 } = {}) {
+  return {
+    source: "ledger",
+    id,
+    createdAt: new Date("2025-10-01T10:00:00Z"),
+    orderId: String(id),
+    orderName: `#${id}`,
+    amount,
+    context: {
+      user: { id: "u1", roles: [] },
+      order: { id, total: 1000, paymentMethod: "prepaid" },
+      refund: { requestedAmount: amount, requestedPercent: percent },
+      meta: { attemptsToday: 0, daysSinceDelivery },
+      request: { lineItems: [] },
+    },
+  };
+}
+
+const active = { rules: { mode: "enforce", maxRefundPercent: 100 }, version: 4, ruleSetId: "rs4" };
+
+test("compareRulesets counts outcomes for both rulesets and lists changed decisions", () => {
+  const records = [
+    record(1, { percent: 20, amount: 200 }),
+    record(2, { percent: 60, amount: 600.1 }),
+    record(3, { percent: 90, amount: 900.2, daysSinceDelivery: 40 }),
+  ];
+  const draft = { rules: { mode: "enforce", maxRefundPercent: 100, requireSupervisorAbovePercent: 50, refundWindowDays: 30 } };
+  const result = compareRulesets(records, active, draft);
+
+  assert.equal(result.replayed, 3);
+  assert.deepEqual(result.active.ALLOW, { count: 3, value: 1700.3 });
+  assert.deepEqual(result.draft.ALLOW, { count: 1, value: 200 });
+  assert.deepEqual(result.draft.REQUIRE_APPROVAL, { count: 1, value: 600.1 });
+  assert.deepEqual(result.draft.DENY, { count: 1, value: 900.2 });
+  assert.equal(result.changed.count, 2);
+  assert.deepEqual(result.changed.stricter, { count: 2, value: 1500.3 });
+  assert.equal(result.changed.looser.count, 0);
+  assert.deepEqual(result.changed.items.map((i) => [i.orderId, i.active.outcome, i.draft.outcome]), [
+    ["2", "ALLOW", "REQUIRE_APPROVAL"],
+    ["3", "ALLOW", "DENY"],
+  ]);
+  assert.deepEqual(result.changed.items[1].draft.matched, ["refundWindowDays"]);
+});
+
+test("compareRulesets skips records without a usable context", () => {
+  const broken = { source: "pending", id: 9, createdAt: new Date(), amount: 10, context: { order: { id: 9 } } };
+  const result = compareRulesets([broken, record(1, { percent: 10, amount: 100 })], active, active);
+  assert.equal(result.replayed, 1);
+  assert.equal(result.skipped, 1);
+  assert.equal(result.changed.count, 0);
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateConditions, normalizeConditions, evaluateConditions } = require("../utils/ruleConditions");
+const { evaluateRefundRules } = require("../middlewares/rules");
+
+const highValueCod = {
+  id: "high-value-cod",
+  outcome: "REQUIRE_APPROVAL",
+  priority: 10,
+  message: "COD orders above 5000 need a supervisor",
+  when: {
+    all: [
+      { path: "order.paymentMethod", op: "contains", value: "cod" },
+      { path: "order.total", op: "gt", value: 5000 },
+    ],
+  },
+};
+
+function context(overrides = {}) {
+  return {
+    rules: { mode: "enforce", conditions: [] },
+    user: { id: "u1", roles: [] },
+    order: { id: 1, total: 6000, paymentMethod: "cash on delivery (cod)", tags: ["vip", "sale"] },
+    refund: { requestedAmount: 100, requestedPercent: 1 },
+    meta: { attemptsToday: 0, daysSinceDelivery: null, cashbackStatus: "unavailable" },
+    request: { lineItems: [] },
+    rulesVersion: 3,
+    ruleSetId: "rs1",
+    ...overrides,
+  };
+}
+
+test("validateConditions accepts a well-formed rule and reports bad ones", () => {
+  assert.deepEqual(validateConditions([highValueCod]), []);
+  const errors = validateConditions([
+    { id: "bad id!", outcome: "BLOCK", when: { path: "tenant.secret", op: "gt", value: "x" } },
+    { id: "dup", outcome: "DENY", when: { all: [] } },
+    { id: "dup", outcome: "WARN", when: { not: { path: "order.__proto__", op: "exists", value: true } } },
+  ]);
+  assert.ok(errors.some((e) => e.startsWith("conditions[0].id")));
+  assert.ok(errors.some((e) => e.startsWith("conditions[0].outcome")));
+  assert.ok(errors.some((e) => e.startsWith("conditions[0].when.path")));
+  assert.ok(errors.some((e) => e.startsWith("conditions[0].when.value")));
+  assert.ok(errors.some((e) => e.startsWith("conditions[1].when.all")));
+  assert.ok(errors.some((e) => e.includes('duplicate id "dup"')));
+  assert.ok(errors.some((e) => e.includes('invalid path segment "__proto__"')));
+});
+
+test("missing data never matches a rule", () => {
+  const rules = normalizeConditions([
+    { id: "late", outcome: "DENY", when: { path: "meta.daysSinceDelivery", op: "gt", value: 7 } },
+    { id: "not-late", outcome: "DENY", when: { not: { path: "meta.daysSinceDelivery", op: "lte", value: 7 } } },
+  ]);
+  const result = evaluateConditions(rules, context());
+  assert.equal(result.outcome, null);
+  assert.deepEqual(result.matched, []);
+});
+
+test("rules run by priority; WARN continues and ALLOW stops later rules", () => {
+  const rules = normalizeConditions([
+    { id: "deny-sale", outcome: "DENY", priority: 50, when: { path: "order.tags", op: "contains", value: "SALE" } },
+    { id: "vip-allow", outcome: "ALLOW", priority: 20, when: { path: "order.tags", op: "contains", value: "vip" } },
+    { id: "cashback-unknown", outcome: "WARN", priority: 1, when: { path: "meta.cashbackStatus", op: "in", value: ["unavailable", "error"] } },
+  ]);
+  const result = evaluateConditions(rules, context());
+  assert.equal(result.outcome, "ALLOW");
+  assert.deepEqual(result.matched, ["cashback-unknown", "vip-allow"]);
+  assert.equal(result.warnings[0].id, "cashback-unknown");
+});
+
+test("evaluateRefundRules applies conditions with the usual decision shape", () => {
+  const decision = evaluateRefundRules(context({ rules: { mode: "enforce", conditions: normalizeConditions([highValueCod]) } }));
+  assert.equal(decision.outcome, "REQUIRE_APPROVAL");
+  assert.equal(decision.reason, "COD orders above 5000 need a supervisor");
+  assert.deepEqual(decision.matched, ["high-value-cod"]);
+  assert.equal(decision.limits.conditions["high-value-cod"][1].observed, 6000);
+  assert.equal(decision.rulesVersion, 3);
+});
+
+test("conditions cannot relax a built-in DENY", () => {
+  const decision = evaluateRefundRules(context({
+    rules: {
+      mode: "enforce",
+      maxRefundPercent: 10,
+      conditions: normalizeConditions([{ id: "allow-all", outcome: "ALLOW", when: { path: "order.total", op: "gte", value: 0 } }]),
+    },
+    refund: { requestedAmount: 3000, requestedPercent: 50 },
+  }));
+  assert.equal(decision.outcome, "DENY");
+  assert.deepEqual(decision.matched, ["maxRefundPercent", "allow-all"]);
+});
+
+test("decision.trace reports evaluated and skipped checks with observed values", () => {
+  const rules = {
+    mode: "enforce",
+    refundWindowDays: 7,
+    maxRefundsPerDay: 2,
+    maxRefundPercent: 50,
+    conditions: normalizeConditions([
+      { id: "late", outcome: "DENY", priority: 1, when: { path: "meta.daysSinceDelivery", op: "gt", value: 7 } },
+      highValueCod,
+      { id: "after-decision", outcome: "WARN", priority: 200, when: { path: "order.total", op: "gt", value: 0 } },
+    ]),
+  };
+  const decision = evaluateRefundRules(context({ rules, meta: { attemptsToday: 3, daysSinceDelivery: null, cashbackStatus: "unavailable" } }));
+  const byRule = Object.fromEntries(decision.trace.map((t) => [t.rule, t]));
+
+  assert.equal(decision.outcome, "DENY");
+  assert.deepEqual(byRule.cashbackSpentThreshold, {
+    rule: "cashbackSpentThreshold", source: "builtin", status: "skipped",
+    observed: null, threshold: 39900, outcome: null, detail: "Cashback data unavailable",
+  });
+  assert.equal(byRule.refundWindowDays.status, "skipped");
+  assert.equal(byRule.refundWindowDays.detail, "Delivery date unknown");
+  assert.equal(byRule.maxRefundPercent.outcome, "ALLOW");
+  assert.equal(byRule.maxRefundPercent.observed, 1);
+  assert.equal(byRule.maxRefundsPerDay.outcome, "DENY");
+  assert.equal(byRule.maxRefundsPerDay.observed, 3);
+  assert.equal(byRule.late.status, "skipped");
+  assert.equal(byRule.late.detail, "Missing data: meta.daysSinceDelivery");
+  assert.equal(byRule["high-value-cod"].outcome, "REQUIRE_APPROVAL");
+  assert.deepEqual(byRule["high-value-cod"].observed, { "order.paymentMethod": "cash on delivery (cod)", "order.total": 6000 });
+  assert.equal(byRule["after-decision"].status, "skipped");
+  assert.equal(byRule["after-decision"].detail, "Rule high-value-cod already decided");
+  assert.equal(byRule.allowPaymentMethods, undefined);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseSchedule } = require("../controllers/refundRulesController");
+const RefundRules = require("../models/refundRulesModel");
+
+const now = new Date("2025-11-28T12:00:00Z");
+
+test("parseSchedule returns null without dates and defaults effectiveFrom to now", () => {
+  assert.equal(parseSchedule({}, now), null);
+  assert.equal(parseSchedule({ effectiveFrom: "", effectiveUntil: null }, now), null);
+  assert.deepEqual(parseSchedule({ effectiveUntil: "2025-12-01T00:00:00Z" }, now), {
+    effectiveFrom: now,
+    effectiveUntil: new Date("2025-12-01T00:00:00Z"),
+  });
+  assert.deepEqual(parseSchedule({ effectiveFrom: "2025-11-29T00:00:00+05:30" }, now), {
+    effectiveFrom: new Date("2025-11-28T18:30:00Z"),
+    effectiveUntil: null,
+  });
+});
+
+test("parseSchedule rejects invalid and closed windows", () => {
+  const code = (input) => {
+    try {
+      parseSchedule(input, now);
+    } catch (err) {
+      return [err.statusCode, err.message];
+    }
+    return null;
+  };
+  assert.deepEqual(code({ effectiveFrom: "soon" }), [400, "effectiveFrom must be a valid date"]);
+  assert.deepEqual(code({ effectiveFrom: "2025-12-02", effectiveUntil: "2025-12-01" }), [400, "effectiveUntil must be after effectiveFrom"]);
+  assert.deepEqual(code({ effectiveFrom: "2025-11-01", effectiveUntil: "2025-11-02" }), [400, "effectiveUntil must be in the future"]);
+});
+
+test("scheduleState follows the window", () => {
+  const scheduled = { isScheduled: true, effectiveFrom: new Date("2025-11-29T00:00:00Z"), effectiveUntil: new Date("2025-12-01T00:00:00Z") };
+  assert.equal(RefundRules.scheduleState({ isActive: true }, now), "active");
+  assert.equal(RefundRules.scheduleState({ isActive: false }, now), "inactive");
+  assert.equal(RefundRules.scheduleState(scheduled, now), "scheduled");
+  assert.equal(RefundRules.scheduleState(scheduled, new Date("2025-11-30T00:00:00Z")), "live");
+  assert.equal(RefundRules.scheduleState(scheduled, new Date("2025-12-01T00:00:00Z")), "expired");
+  assert.equal(RefundRules.scheduleState({ ...scheduled, cancelledAt: now }, now), "cancelled");
+});
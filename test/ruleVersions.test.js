@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffRules } = require("../controllers/refundRulesController");
+
+const lateDeny = { id: "late", outcome: "DENY", priority: 100, message: null, enabled: true, when: { path: "meta.daysSinceDelivery", op: "gt", value: 7 } };
+const vip = { id: "vip", outcome: "ALLOW", priority: 10, message: null, enabled: true, when: { path: "order.tags", op: "contains", value: "vip" } };
+
+test("diffRules reports changed, added and removed fields", () => {
+  const before = { mode: "observe", maxRefundPercent: 30, allowPaymentMethods: ["card", "upi"], refundWindowDays: null, conditions: [] };
+  const after = { mode: "enforce", maxRefundPercent: 30, allowPaymentMethods: ["card", "upi", "cod"], refundWindowDays: 14, maxRefundsPerDay: 2, conditions: [] };
+  assert.deepEqual(diffRules(before, after), [
+    { field: "mode", change: "changed", before: "observe", after: "enforce" },
+    { field: "allowPaymentMethods", change: "changed", before: ["card", "upi"], after: ["card", "upi", "cod"] },
+    { field: "refundWindowDays", change: "changed", before: null, after: 14 },
+    { field: "maxRefundsPerDay", change: "added", before: null, after: 2 },
+  ]);
+});
+
+test("diffRules matches conditions by id", () => {
+  const changes = diffRules(
+    { conditions: [lateDeny, vip] },
+    { conditions: [{ ...lateDeny, when: { ...lateDeny.when, value: 10 } }, { ...vip }, { ...vip, id: "vip2" }] }
+  );
+  assert.deepEqual(changes.map((c) => [c.field, c.change]), [
+    ["conditions.late", "changed"],
+    ["conditions.vip2", "added"],
+  ]);
+  assert.equal(changes[0].after.when.value, 10);
+  assert.deepEqual(diffRules({ conditions: [vip] }, { conditions: [] }).map((c) => c.change), ["removed"]);
+});
+
+test("diffRules returns nothing for identical payloads", () => {
+  const rules = { mode: "warn", allowPaymentMethods: ["cod"], conditions: [vip] };
+  assert.deepEqual(diffRules(rules, JSON.parse(JSON.stringify(rules))), []);
+});
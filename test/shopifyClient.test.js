@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { shopifyClient, restWaitMs, graphqlWaitMs, resetBuckets } = require("../services/shopifyClient");
+const { startShopifyStub } = require("../services/shopifyStub");
+
+const tenant = { shopDomain: "demo-store.myshopify.com", accessToken: "shpat_test", apiVersion: "2024-10" };
+
+// Records waits instead of sleeping
+function fakeSleep() {
+  const waits = [];
+  const sleep = async (ms) => { waits.push(ms); };
+  return { waits, sleep };
+}
+
+test("REST calls use the tenant's API version, token and params", async (t) => {
+  resetBuckets();
+  const stub = await startShopifyStub({
+    "GET /customers/search.json": { body: { customers: [{ id: 7 }] }, headers: { "X-Shopify-Shop-Api-Call-Limit": "3/40" } },
+  });
+  t.after(() => stub.close());
+
+  const shopify = shopifyClient(tenant, { baseUrl: stub.url });
+  const { body, status } = await shopify.get("customers/search.json", { params: { query: "phone:+911234567890" } });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { customers: [{ id: 7 }] });
+  assert.equal(stub.requests[0].apiVersion, "2024-10");
+  assert.equal(stub.requests[0].headers["x-shopify-access-token"], "shpat_test");
+  assert.deepEqual(stub.requests[0].query, { query: "phone:+911234567890" });
+  assert.equal(shopify.baseUrl, `${stub.url}/admin/api/2024-10`);
+});
+
+test("429 and 5xx are retried for reads; writes only retry 429", async (t) => {
+  resetBuckets();
+  const stub = await startShopifyStub({
+    "GET /orders/1.json": [
+      { status: 429, headers: { "Retry-After": "2" }, body: { errors: "Exceeded 2 calls per second" } },
+      { status: 503, body: { errors: "Unavailable" } },
+      { body: { order: { id: 1 } } },
+    ],
+    "POST /orders/1/refunds.json": [
+      { status: 429, body: { errors: "Throttled" } },
+      { status: 502, body: { errors: "Bad gateway" } },
+      { body: { refund: { id: 9 } } },
+    ],
+  });
+  t.after(() => stub.close());
+
+  const { waits, sleep } = fakeSleep();
+  const shopify = shopifyClient(tenant, { baseUrl: stub.url, sleep });
+
+  const { body } = await shopify.get("orders/1.json");
+  assert.deepEqual(body, { order: { id: 1 } });
+  assert.equal(waits[0], 2000);
+  assert.equal(waits.length, 2);
+
+  await assert.rejects(shopify.post("orders/1/refunds.json", { refund: {} }), (err) => {
+    assert.equal(err.name, "ShopifyApiError");
+    assert.equal(err.status, 502);
+    assert.equal(err.code, "SHOPIFY_502");
+    return true;
+  });
+  assert.equal(stub.requests.filter((r) => r.method === "POST").length, 2);
+});
+
+test("requests time out and writes are not retried after a timeout", async (t) => {
+  resetBuckets();
+  const stub = await startShopifyStub({ "POST /orders/2/cancel.json": { delayMs: 300, body: {} } });
+  t.after(() => stub.close());
+
+  const shopify = shopifyClient(tenant, { baseUrl: stub.url, timeoutMs: 50, sleep: fakeSleep().sleep });
+  await assert.rejects(shopify.post("orders/2/cancel.json", { reason: "customer" }), (err) => {
+    assert.equal(err.code, "ECONNABORTED");
+    return true;
+  });
+  assert.equal(stub.requests.length, 1);
+});
+
+test("GraphQL throttling waits for the cost to be restored and retries", async (t) => {
+  resetBuckets();
+  const throttleStatus = (available) => ({ maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 50 });
+  const stub = await startShopifyStub({
+    "POST /graphql.json": [
+      {
+        body: {
+          errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+          extensions: { cost: { requestedQueryCost: 120, throttleStatus: throttleStatus(20) } },
+        },
+      },
+      { body: { data: { shop: { name: "Demo" } }, extensions: { cost: { requestedQueryCost: 120, throttleStatus: throttleStatus(880) } } } },
+    ],
+  });
+  t.after(() => stub.close());
+
+  const { waits, sleep } = fakeSleep();
+  const shopify = shopifyClient(tenant, { baseUrl: stub.url, sleep });
+  const { data } = await shopify.graphql("query { shop { name } }");
+
+  assert.deepEqual(data, { shop: { name: "Demo" } });
+  assert.equal(stub.requests.length, 2);
+  assert.equal(waits.length, 1);
+  assert.ok(waits[0] > 1500 && waits[0] <= 2000, `waited ${waits[0]}ms`);
+
+  const failing = await startShopifyStub({ "POST /graphql.json": { body: { errors: [{ message: "Field 'nope' doesn't exist" }] } } });
+  t.after(() => failing.close());
+  await assert.rejects(shopifyClient(tenant, { baseUrl: failing.url }).graphql("query { nope }"), (err) => {
+    assert.equal(err.code, "SHOPIFY_GRAPHQL");
+    assert.equal(err.graphqlErrors.length, 1);
+    return true;
+  });
+});
+
+test("bucket maths", () => {
+  const now = 10_000;
+  assert.equal(restWaitMs(null, now), 0);
+  assert.equal(restWaitMs({ used: 30, max: 40, at: now }, now), 0);
+  assert.equal(restWaitMs({ used: 40, max: 40, at: now }, now), 1000);
+  assert.equal(restWaitMs({ used: 40, max: 40, at: now - 1000 }, now), 0);
+
+  const gql = { available: 100, max: 1000, restoreRate: 50, at: now };
+  assert.equal(graphqlWaitMs(gql, 50, now), 0);
+  assert.equal(graphqlWaitMs(gql, 200, now), 2000);
+  assert.equal(graphqlWaitMs(gql, 200, now + 1000), 1000);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { csvCell, csvLine, parseExportFormat, streamExport } = require("../utils/streamExport");
+
+function serve(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+async function* rowsOf(items) {
+  for (const item of items) yield item;
+}
+
+test("csvCell quotes separators and neutralises formulas", () => {
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(12.5), "12.5");
+  assert.equal(csvCell("a,b"), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell("=SUM(A1)"), "'=SUM(A1)");
+  assert.equal(csvCell(new Date("2025-01-02T03:04:05.000Z")), "2025-01-02T03:04:05.000Z");
+  assert.equal(csvLine(["x", 1, null]), "x,1,\r\n");
+});
+
+test("parseExportFormat defaults to csv and rejects unknown formats", () => {
+  assert.equal(parseExportFormat(undefined), "csv");
+  assert.equal(parseExportFormat("XLSX"), "xlsx");
+  assert.throws(() => parseExportFormat("pdf"), /Unsupported export format/);
+});
+
+test("streamExport writes a CSV attachment row by row", async () => {
+  const columns = [{ key: "id", header: "ID" }, { key: "amount", header: "Amount" }];
+  const server = await serve((req, res) => {
+    streamExport(res, { format: "csv", filename: "out", columns, rows: rowsOf([{ id: "a", amount: 1 }, { id: "b", amount: null }]) });
+  });
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+    assert.equal(res.headers.get("content-disposition"), 'attachment; filename="out.csv"');
+    const body = Buffer.from(await res.arrayBuffer()).toString("utf8");
+    assert.equal(body, "\uFEFFID,Amount\r\na,1\r\nb,\r\n");
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test("streamExport surfaces errors raised before the first row", async () => {
+  async function* failing() {
+    throw new Error("query failed");
+  }
+  const res = { setHeader() { throw new Error("headers must not be sent"); } };
+  await assert.rejects(
+    streamExport(res, { format: "csv", filename: "out", columns: [], rows: failing() }),
+    /query failed/
+  );
+});
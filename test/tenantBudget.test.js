@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { budgetPeriods, budgetStatus, isValidTimeZone } = require("../utils/tenantBudget");
+const { evaluateRefundRules } = require("../middlewares/rules");
+
+test("budgetPeriods starts the day and month at local midnight", () => {
+  // 20:00 UTC on 31 Oct is already 1 Nov in India
+  const kolkata = budgetPeriods(new Date("2026-10-31T20:00:00Z"), "Asia/Kolkata");
+  assert.equal(kolkata.dayStart.toISOString(), "2026-10-31T18:30:00.000Z");
+  assert.equal(kolkata.dayEnd.toISOString(), "2026-11-01T18:30:00.000Z");
+  assert.equal(kolkata.monthStart.toISOString(), "2026-10-31T18:30:00.000Z");
+  assert.equal(kolkata.monthEnd.toISOString(), "2026-11-30T18:30:00.000Z");
+
+  // New York leaves daylight saving time on 1 Nov 2026
+  const ny = budgetPeriods(new Date("2026-11-01T12:00:00Z"), "America/New_York");
+  assert.equal(ny.dayStart.toISOString(), "2026-11-01T04:00:00.000Z");
+  assert.equal(ny.dayEnd.toISOString(), "2026-11-02T05:00:00.000Z");
+  assert.equal(ny.monthEnd.toISOString(), "2026-12-01T05:00:00.000Z");
+
+  assert.equal(budgetPeriods(new Date("2026-12-31T23:59:59Z")).monthEnd.toISOString(), "2027-01-01T00:00:00.000Z");
+  assert.equal(isValidTimeZone("Asia/Kolkata"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+});
+
+test("budgetStatus reports spent and remaining per period", () => {
+  const spend = { timeZone: "UTC", today: 4200, month: 61000, dayStart: "d0", dayEnd: "d1", monthStart: "m0", monthEnd: "m1" };
+  assert.deepEqual(budgetStatus({ maxDailyRefundValue: 5000 }, spend), {
+    timeZone: "UTC",
+    daily: { cap: 5000, spent: 4200, remaining: 800, since: "d0", resetsAt: "d1" },
+    monthly: { cap: null, spent: 61000, remaining: null, since: "m0", resetsAt: "m1" },
+  });
+});
+
+test("store refund budget denies refunds that would exceed the daily or monthly cap", () => {
+  const context = (meta, requestedAmount = 900) => ({
+    rules: { mode: "enforce", maxDailyRefundValue: 5000, maxMonthlyRefundValue: 100000, cashbackSpentThreshold: 39900 },
+    user: { roles: [] },
+    order: { total: 1000 },
+    refund: { requestedAmount, requestedPercent: null },
+    meta: { budgetTimeZone: "Asia/Kolkata", ...meta },
+    request: { lineItems: [] },
+  });
+
+  const ok = evaluateRefundRules(context({ refundedToday: 4100, refundedThisMonth: 20000 }));
+  assert.equal(ok.outcome, "ALLOW");
+  assert.equal(ok.limits.maxDailyRefundValue, 5000);
+
+  const daily = evaluateRefundRules(context({ refundedToday: 4200, refundedThisMonth: 20000 }));
+  assert.equal(daily.outcome, "DENY");
+  assert.deepEqual(daily.matched, ["maxDailyRefundValue"]);
+  assert.equal(daily.reason, "Daily store refund budget exceeded: ₹4200 refunded today of ₹5000, ₹800 left");
+  const byRule = Object.fromEntries(daily.trace.map((t) => [t.rule, t]));
+  assert.equal(byRule.maxDailyRefundValue.observed, 5100);
+  assert.equal(byRule.maxDailyRefundValue.detail, "Counted in Asia/Kolkata");
+  assert.equal(byRule.maxMonthlyRefundValue.detail, "An earlier check already denied the refund");
+
+  const monthly = evaluateRefundRules(context({ refundedToday: 0, refundedThisMonth: 99500 }));
+  assert.deepEqual(monthly.matched, ["maxMonthlyRefundValue"]);
+
+  const unknown = evaluateRefundRules(context({ refundedToday: null, refundedThisMonth: null }));
+  assert.equal(unknown.outcome, "ALLOW");
+  assert.equal(unknown.trace.find((t) => t.rule === "maxDailyRefundValue").detail, "Store refund total unavailable");
+});
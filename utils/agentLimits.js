@@ -0,0 +1,206 @@
+// utils/agentLimits.js
+// Per-agent refund limits: caps an admin sets for a role or a single user
+// (models/agentLimitModel.js), checked against what that agent has already
+// refunded. A user's own limit overrides the role's, field by field.
+
+const mongoose = require("mongoose");
+const AgentLimit = require("../models/agentLimitModel");
+const RefundTransaction = require("../models/refundTransactionModel");
+
+const LIMIT_FIELDS = ["maxSingleRefund", "maxDailyRefundValue", "maxRefundsPerHour"];
+const HOUR_MS = 60 * 60 * 1000;
+
+const isLimit = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * resolveAgentLimits(userLimit, roleLimit) -> effective limits or null
+ * Each field comes from the user's limit when set there, else the role's.
+ * `source` records where each field came from; onExceed follows the same rule.
+ */
+function resolveAgentLimits(userLimit, roleLimit) {
+  const limits = { onExceed: "REQUIRE_APPROVAL", source: {} };
+  let any = false;
+  for (const field of LIMIT_FIELDS) {
+    if (isLimit(userLimit?.[field])) {
+      limits[field] = userLimit[field];
+      limits.source[field] = "user";
+      any = true;
+    } else if (isLimit(roleLimit?.[field])) {
+      limits[field] = roleLimit[field];
+      limits.source[field] = "role";
+      any = true;
+    } else {
+      limits[field] = null;
+    }
+  }
+  if (!any) return null;
+  limits.onExceed = userLimit?.onExceed || roleLimit?.onExceed || "REQUIRE_APPROVAL";
+  return limits;
+}
+
+// Start of the current day in server time, like the customer daily cap
+function startOfDay(now = new Date()) {
+  const since = new Date(now);
+  since.setHours(0, 0, 0, 0);
+  return since;
+}
+
+/**
+ * loadAgentLimits(tenantId, user) -> effective limits for one agent, or null
+ */
+async function loadAgentLimits(tenantId, user) {
+  if (!tenantId || !user?._id) return null;
+  const docs = await AgentLimit.find({
+    tenant: tenantId,
+    $or: [{ scope: "user", user: user._id }, ...(user.role ? [{ scope: "role", role: user.role }] : [])],
+  }).lean();
+  return resolveAgentLimits(docs.find((d) => d.scope === "user"), docs.find((d) => d.scope === "role"));
+}
+
+/**
+ * loadAgentUsage(tenantId, userIds, now) -> Map(userId -> usage)
+ * Counts refunds executed for each agent: their own direct refunds plus the
+ * ones a supervisor approved on their request.
+ * usage: { todayValue, todayCount, lastHourCount, since }
+ */
+async function loadAgentUsage(tenantId, userIds, now = new Date()) {
+  const since = startOfDay(now);
+  const hourAgo = new Date(now.getTime() - HOUR_MS);
+  const ids = userIds.map(String);
+  const usage = new Map(ids.map((id) => [id, { todayValue: 0, todayCount: 0, lastHourCount: 0, since }]));
+  if (!ids.length) return usage;
+
+  const windowStart = since < hourAgo ? since : hourAgo;
+  const rows = await RefundTransaction.aggregate([
+    {
+      $match: {
+        tenant: tenantId,
+        outcome: "SUCCESS",
+        action: { $in: ["refund", "approve"] },
+        createdAt: { $gte: windowStart },
+      },
+    },
+    { $addFields: { agent: { $cond: [{ $eq: ["$action", "approve"] }, "$requester", "$actor"] } } },
+    { $match: { agent: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $group: {
+        _id: "$agent",
+        todayValue: { $sum: { $cond: [{ $gte: ["$createdAt", since] }, { $ifNull: ["$amount", 0] }, 0] } },
+        todayCount: { $sum: { $cond: [{ $gte: ["$createdAt", since] }, 1, 0] } },
+        lastHourCount: { $sum: { $cond: [{ $gte: ["$createdAt", hourAgo] }, 1, 0] } },
+      },
+    },
+  ]);
+  for (const row of rows) {
+    usage.set(String(row._id), {
+      todayValue: round2(row.todayValue),
+      todayCount: row.todayCount,
+      lastHourCount: row.lastHourCount,
+      since,
+    });
+  }
+  return usage;
+}
+
+/**
+ * remainingBudget(limits, usage) -> { value, refundsThisHour } (null = no cap)
+ */
+function remainingBudget(limits, usage) {
+  return {
+    value: isLimit(limits?.maxDailyRefundValue)
+      ? round2(Math.max(0, limits.maxDailyRefundValue - (usage?.todayValue || 0)))
+      : null,
+    refundsThisHour: isLimit(limits?.maxRefundsPerHour)
+      ? Math.max(0, limits.maxRefundsPerHour - (usage?.lastHourCount || 0))
+      : null,
+  };
+}
+
+// Value of the refund being requested, or null when it cannot be known yet
+function requestedRefundValue(context) {
+  const requested = context?.refund?.requestedAmount;
+  if (typeof requested === "number" && Number.isFinite(requested)) return requested;
+  const items = Array.isArray(context?.request?.lineItems) ? context.request.lineItems : [];
+  if (items.length) {
+    const amounts = items.map((li) => (li?.amount != null ? Number(li.amount) : NaN));
+    return amounts.every(Number.isFinite) ? round2(amounts.reduce((a, b) => a + b, 0)) : null;
+  }
+  const total = context?.order?.total;
+  return typeof total === "number" && Number.isFinite(total) ? total : null;
+}
+
+function limitTrace(rule, fields) {
+  return { rule, source: "agent", status: "evaluated", observed: null, threshold: null, outcome: null, detail: null, ...fields };
+}
+
+/**
+ * evaluateAgentLimits(context) -> { outcome|null, reason|null, matched, limits, trace }
+ * Reads context.agent = { limits, usage } (set by buildRefundContext).
+ * The first exceeded limit gives the reason; outcome is limits.onExceed.
+ */
+function evaluateAgentLimits(context) {
+  const result = { outcome: null, reason: null, matched: [], limits: {}, trace: [] };
+  const { limits, usage } = context?.agent || {};
+  if (!limits) return result;
+
+  const onExceed = limits.onExceed === "DENY" ? "DENY" : "REQUIRE_APPROVAL";
+  const amount = requestedRefundValue(context);
+  const hit = (rule, reason) => {
+    result.matched.push(rule);
+    if (!result.reason) result.reason = reason;
+    result.outcome = onExceed;
+  };
+  const check = (field, observed, exceeded, reason, missing) => {
+    const rule = `agent.${field}`;
+    const threshold = limits[field];
+    if (!isLimit(threshold)) return;
+    result.limits[rule] = threshold;
+    if (observed == null) {
+      result.trace.push(limitTrace(rule, { status: "skipped", threshold, detail: missing }));
+      return;
+    }
+    const over = exceeded(observed);
+    if (over) hit(rule, reason(observed));
+    result.trace.push(limitTrace(rule, {
+      observed,
+      threshold,
+      outcome: over ? onExceed : "ALLOW",
+      detail: limits.source?.[field] === "user" ? "Limit set for this user" : "Limit set for this role",
+    }));
+  };
+  const inr = (n) => `₹${round2(n)}`;
+
+  check(
+    "maxSingleRefund",
+    amount,
+    (v) => v > limits.maxSingleRefund,
+    (v) => `Refund of ${inr(v)} is above your single refund limit of ${inr(limits.maxSingleRefund)}`,
+    "Refund amount unknown"
+  );
+  check(
+    "maxDailyRefundValue",
+    usage && amount != null ? round2(usage.todayValue + amount) : null,
+    (v) => v > limits.maxDailyRefundValue,
+    () => `Daily refund budget exceeded: ${inr(usage.todayValue)} refunded today, ${inr(Math.max(0, limits.maxDailyRefundValue - usage.todayValue))} left`,
+    usage ? "Refund amount unknown" : "Agent usage unavailable"
+  );
+  check(
+    "maxRefundsPerHour",
+    usage ? usage.lastHourCount + 1 : null,
+    (v) => v > limits.maxRefundsPerHour,
+    () => `Hourly refund limit reached: ${usage.lastHourCount} refunds in the last hour (limit ${limits.maxRefundsPerHour})`,
+    "Agent usage unavailable"
+  );
+  return result;
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  resolveAgentLimits,
+  loadAgentLimits,
+  loadAgentUsage,
+  remainingBudget,
+  requestedRefundValue,
+  evaluateAgentLimits,
+};
@@ -1,27 +1,23 @@
 // append-order-tags.ts
-const fetch = require('node-fetch');
-
-const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-07';
+const { shopifyClient } = require('../services/shopifyClient');
 
 /**
  * Append or overwrite tags on a Shopify order (Admin GraphQL).
  * - If overwrite=false (default): uses tagsAdd to merge tags (no read needed).
  * - If overwrite=true: uses orderUpdate(input: { id, tags }) to REPLACE the full tag list with tagsToAdd.
- * 
- * @param shopDomain your shop subdomain (without protocol), e.g. "acme-store"
- * @param accessToken Admin API access token
+ *
+ * @param tenant tenant document (shopDomain, accessToken, apiVersion)
  * @param orderId numeric ID (123...) or GID ("gid://shopify/Order/...")
  * @param tagsToAdd string[]
  * @param overwrite if true, replaces tags with tagsToAdd
  */
 async function appendOrderTags({
-  shopDomain,
-  accessToken,
+  tenant,
   orderId,
   tagsToAdd = [],
   overwrite = false,
 }) {
-  if (!shopDomain || !accessToken || !orderId || !Array.isArray(tagsToAdd)) {
+  if (!tenant || !orderId || !Array.isArray(tagsToAdd)) {
     throw new Error('appendOrderTags: missing required params');
   }
 
@@ -30,11 +26,7 @@ async function appendOrderTags({
     ? String(orderId)
     : `gid://shopify/Order/${orderId}`;
 
-  const endpoint = `https://${shopDomain}.myshopify.com/admin/api/${API_VERSION}/graphql.json`;
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': accessToken,
-  };
+  const shopify = shopifyClient(tenant);
 
   if (!overwrite) {
     // === APPEND (merge) ===
@@ -50,24 +42,13 @@ async function appendOrderTags({
         }
       }
     `;
-    const variables = { id: gid, tags: tagsToAdd };
-
-    const resp = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ query: mutation, variables }),
-    });
-    const json = await resp.json();
+    const { data } = await shopify.graphql(mutation, { id: gid, tags: tagsToAdd });
 
-    // top-level GraphQL errors
-    if (json.errors?.length) {
-      throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors)}`);
-    }
-    const ue = json?.data?.tagsAdd?.userErrors || [];
+    const ue = data?.tagsAdd?.userErrors || [];
     if (ue.length) {
       throw new Error(`Shopify userErrors: ${JSON.stringify(ue)}`);
     }
-    const node = json?.data?.tagsAdd?.node || null;
+    const node = data?.tagsAdd?.node || null;
     return node;
   }
 
@@ -81,23 +62,13 @@ async function appendOrderTags({
       }
     }
   `;
-  const variables = { input: { id: gid, tags: tagsToAdd } };
+  const { data } = await shopify.graphql(mutation, { input: { id: gid, tags: tagsToAdd } });
 
-  const resp = await fetch(endpoint, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({ query: mutation, variables }),
-  });
-  const json = await resp.json();
-
-  if (json.errors?.length) {
-    throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors)}`);
-  }
-  const ue = json?.data?.orderUpdate?.userErrors || [];
+  const ue = data?.orderUpdate?.userErrors || [];
   if (ue.length) {
     throw new Error(`Shopify userErrors: ${JSON.stringify(ue)}`);
   }
-  return json?.data?.orderUpdate?.order || null;
+  return data?.orderUpdate?.order || null;
 }
 
 module.exports = { appendOrderTags };
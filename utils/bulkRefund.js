@@ -0,0 +1,119 @@
+// utils/bulkRefund.js
+// POST /refund/bulk runs each item through the same chain as POST /refund
+// (buildRefundContext -> applyRefundRules -> refundOrderByPhone) and turns
+// the response into one result per item:
+//   refunded          200, Shopify refunded it
+//   pending_approval  202, a PendingRefund was filed
+//   retry_scheduled   202, Shopify was unavailable; the retry worker will replay it
+//   denied            403, the rules denied it
+//   failed            anything else (bad request, Shopify error, ...)
+
+const BULK_MAX_ITEMS = 100;
+
+/**
+ * bulkItemsProblem(items, defaultPhone) -> message | null
+ * Each item needs an orderId or a phone (its own or the top-level one), and
+ * an order may appear only once so a batch cannot refund it twice.
+ */
+function bulkItemsProblem(items, defaultPhone = null) {
+  if (!Array.isArray(items) || !items.length) return "Provide items: [{ orderId, amount?, lineItems?, mode? }]";
+  if (items.length > BULK_MAX_ITEMS) return `At most ${BULK_MAX_ITEMS} items per batch`;
+  const seen = new Set();
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i] || {};
+    if (item.orderId == null && !item.phone && !defaultPhone) {
+      return `Item ${i}: provide orderId or phone`;
+    }
+    if (item.orderId != null) {
+      const id = String(item.orderId);
+      if (seen.has(id)) return `Item ${i}: order ${id} appears more than once`;
+      seen.add(id);
+    }
+  }
+  return null;
+}
+
+// POST /refund body for one item; the top-level phone and reason fill in for the item's
+function bulkItemPayload(item, defaultPhone = null, defaultReason = null) {
+  return {
+    phone: item.phone || defaultPhone || null,
+    orderId: item.orderId ?? null,
+    amount: item.amount,
+    lineItems: Array.isArray(item.lineItems) ? item.lineItems : [],
+    mode: item.mode || null,
+    reasonCode: item.reasonCode || defaultReason || null,
+    attachmentIds: Array.isArray(item.attachmentIds) ? item.attachmentIds : [],
+    note: item.note || null,
+  };
+}
+
+/**
+ * bulkItemResult(index, item, { statusCode, body }) -> BulkRefundJob result
+ * orderId is the order that was refunded when the response names it.
+ */
+function bulkItemResult(index, item, { statusCode, body }) {
+  const decision = body?.decision || body?.ruleDecision || null;
+  const result = {
+    index,
+    orderId: item?.orderId != null ? String(item.orderId) : null,
+    status: "failed",
+    httpCode: statusCode,
+    refundId: null,
+    pendingId: null,
+    reason: decision?.reason || null,
+    matched: Array.isArray(decision?.matched) ? decision.matched : [],
+    error: null,
+  };
+  if (statusCode === 200) {
+    result.status = "refunded";
+    result.refundId = body?.refund?.id != null ? String(body.refund.id) : null;
+    if (body?.refund?.order_id != null) result.orderId = String(body.refund.order_id);
+  } else if (statusCode === 202 && body?.retryScheduled) {
+    result.status = "retry_scheduled";
+    result.error = body.message || null;
+  } else if (statusCode === 202) {
+    result.status = "pending_approval";
+    result.pendingId = body?.pendingId || null;
+  } else if (statusCode === 403 && decision) {
+    result.status = "denied";
+  } else {
+    result.error = body?.error || `Refund failed with status ${statusCode}`;
+  }
+  return result;
+}
+
+// Fake res that records the first response instead of sending it
+function captureRes(onEnd) {
+  return {
+    statusCode: 200,
+    headers: {},
+    locals: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    json(obj) { this.body = obj; onEnd(this); return this; },
+  };
+}
+
+/**
+ * runChain(req, handlers) -> { statusCode, body, locals }
+ * Runs Express-style handlers in order until one responds. Rejects when a
+ * handler throws, calls next(err) or the chain ends without a response.
+ */
+function runChain(req, handlers) {
+  return new Promise((resolve, reject) => {
+    const res = captureRes(resolve);
+    let i = 0;
+    const next = (err) => {
+      if (err) return reject(err);
+      const handler = handlers[i++];
+      if (!handler) return reject(new Error("Handler chain ended without a response"));
+      Promise.resolve()
+        .then(() => handler(req, res, next))
+        .catch(reject);
+    };
+    next();
+  });
+}
+
+module.exports = { BULK_MAX_ITEMS, bulkItemsProblem, bulkItemPayload, bulkItemResult, runChain };
@@ -0,0 +1,147 @@
+// utils/customerRefundCount.js
+// How many refunds a customer has had in the counting window, for the
+// maxRefundsPerDay check. Two sources:
+//   - Shopify: one GraphQL query for the customer's orders touched since the
+//     window start, counting refunds created after it (includes refunds made
+//     outside this app);
+//   - our ledger: refunds executed through this app for the customer key.
+// The count is the larger of the two. status says how much we know:
+//   counted  Shopify answered (the ledger only covers for its indexing lag)
+//   partial  only the ledger answered; the count is a lower bound
+//   unknown  neither source could be read
+
+const RefundTransaction = require("../models/refundTransactionModel");
+const { budgetPeriods } = require("./tenantBudget");
+const { shopifyClient } = require("../services/shopifyClient");
+
+const REFUND_COUNT_WINDOWS = ["today", "rolling24h", "tenantDay"];
+const DEFAULT_WINDOW = "today";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGES = 5;
+
+const CUSTOMER_REFUNDS_QUERY = `
+  query CustomerRefundsSince($first: Int!, $after: String, $q: String!) {
+    orders(first: $first, after: $after, query: $q) {
+      edges {
+        node {
+          id
+          refunds(first: 50) {
+            createdAt
+            totalRefundedSet { shopMoney { amount } }
+          }
+        }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/**
+ * countingWindowStart(window, now, timeZone) -> Date
+ * today       midnight in server time (the original behaviour)
+ * rolling24h  the last 24 hours
+ * tenantDay   midnight in the tenant's time zone
+ */
+function countingWindowStart(window = DEFAULT_WINDOW, now = new Date(), timeZone = "UTC") {
+  if (window === "rolling24h") return new Date(now.getTime() - DAY_MS);
+  if (window === "tenantDay") return budgetPeriods(now, timeZone).dayStart;
+  const since = new Date(now);
+  since.setHours(0, 0, 0, 0);
+  return since;
+}
+
+// Refunds that moved money, created at or after `since`, in GraphQL order nodes
+function countRefundsSince(orderNodes, since) {
+  let count = 0;
+  for (const node of orderNodes) {
+    for (const refund of node?.refunds || []) {
+      const at = new Date(refund?.createdAt).getTime();
+      const amount = Number(refund?.totalRefundedSet?.shopMoney?.amount);
+      if (at >= since.getTime() && amount > 0) count += 1;
+    }
+  }
+  return count;
+}
+
+async function countShopifyRefunds(shopify, customerId, since) {
+  const q = `customer_id:${customerId} updated_at:>='${since.toISOString()}' status:any`;
+  const nodes = [];
+  let after = null;
+  for (let page = 0; page < MAX_PAGES; page += 1) {
+    const { data } = await shopify.graphql(CUSTOMER_REFUNDS_QUERY, { first: 50, after, q });
+    const orders = data.orders;
+    nodes.push(...(orders?.edges || []).map((e) => e.node));
+    if (!orders?.pageInfo?.hasNextPage) return countRefundsSince(nodes, since);
+    after = orders.pageInfo.endCursor;
+  }
+  throw new Error(`More than ${MAX_PAGES * 50} orders updated since ${since.toISOString()}`);
+}
+
+async function countLocalRefunds(tenantId, customerKey, since) {
+  return RefundTransaction.countDocuments({
+    tenant: tenantId,
+    customer: customerKey,
+    outcome: "SUCCESS",
+    action: { $in: ["refund", "approve"] },
+    createdAt: { $gte: since },
+  });
+}
+
+/**
+ * combineRefundCounts(shopify, local) -> { count, status }
+ * Each argument is a number, or null when that source failed or does not apply.
+ */
+function combineRefundCounts(shopify, local) {
+  if (typeof shopify === "number") {
+    return { count: Math.max(shopify, typeof local === "number" ? local : 0), status: "counted" };
+  }
+  if (typeof local === "number") return { count: local, status: "partial" };
+  return { count: null, status: "unknown" };
+}
+
+/**
+ * loadCustomerRefundCount({ tenant, shopify, customerId, customerKey, window, now, requestCache })
+ * shopify defaults to a client for the tenant (services/shopifyClient.js).
+ * -> { count|null, status, window, since, sources: { shopify, local } }
+ */
+async function loadCustomerRefundCount({ tenant, shopify, customerId, customerKey, window, now = new Date(), requestCache = null }) {
+  const mode = REFUND_COUNT_WINDOWS.includes(window) ? window : DEFAULT_WINDOW;
+  const since = countingWindowStart(mode, now, tenant.timezone || "UTC");
+
+  const shopifyTask = customerId
+    ? (() => {
+        const key = `shopify:refundCount:${customerId}:${since.toISOString()}`;
+        if (requestCache?.has(key)) return requestCache.get(key);
+        const task = countShopifyRefunds(shopify || shopifyClient(tenant), customerId, since);
+        if (requestCache) requestCache.set(key, task);
+        return task;
+      })()
+    : Promise.resolve(null);
+  const localTask = customerKey ? countLocalRefunds(tenant._id, customerKey, since) : Promise.resolve(null);
+
+  const [shopifyCount, localCount] = await Promise.all([
+    shopifyTask.catch((e) => {
+      console.warn("[rules] Shopify refund count unavailable:", e.message);
+      return null;
+    }),
+    localTask.catch((e) => {
+      console.warn("[rules] local refund count unavailable:", e.message);
+      return null;
+    }),
+  ]);
+
+  return {
+    ...combineRefundCounts(shopifyCount, localCount),
+    window: mode,
+    since,
+    sources: { shopify: shopifyCount, local: localCount },
+  };
+}
+
+module.exports = {
+  REFUND_COUNT_WINDOWS,
+  countingWindowStart,
+  countRefundsSince,
+  combineRefundCounts,
+  loadCustomerRefundCount,
+};
@@ -0,0 +1,36 @@
+// utils/logRuleAudit.js
+const RuleAudit = require("../models/ruleAuditModel");
+
+exports.logRuleAudit = async function logRuleAudit({
+  action,
+  req = null,
+  tenantId = req?.tenant?._id || null,
+  request = null,
+  version = null,
+  diff = [],
+  comment = null,
+  meta = null,
+}) {
+  try {
+    const ip =
+      (req?.headers?.["x-forwarded-for"]?.split(",")[0] || "").trim() ||
+      req?.ip ||
+      null;
+
+    await RuleAudit.create({
+      action,
+      actor: req?.user?._id,
+      tenant: tenantId,
+      request: request?._id || request,
+      version,
+      diff,
+      comment,
+      meta,
+      ip,
+      userAgent: req?.headers?.["user-agent"] || null,
+    });
+  } catch (e) {
+    // never block the main flow because of logging
+    console.warn("[RuleAudit] failed to write audit log:", e.message);
+  }
+};
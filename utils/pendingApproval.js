@@ -0,0 +1,102 @@
+// utils/pendingApproval.js
+// Approving a PendingRefund replays the stored request against the exact
+// order the agent chose and reports how the rules decision changed since it
+// was filed. The approval first claims the request (status PROCESSING) so a
+// second supervisor or a double click cannot refund it again while Shopify
+// is being called; a failed approval releases the claim back to PENDING.
+
+const PendingRefund = require("../models/pendingRefundModel");
+const { resolveRefundMode } = require("./refundModes");
+const { refundSince } = require("./refundRetry");
+
+// A claim older than this belongs to an approval that died mid-way (crash,
+// deploy) and may be taken over. The already-refunded check still runs.
+const PENDING_CLAIM_MS = 10 * 60 * 1000;
+
+function claimPendingRefund({ pendingId, tenantId, userId, now = new Date() }) {
+  return PendingRefund.findOneAndUpdate(
+    {
+      _id: pendingId,
+      tenant: tenantId,
+      $or: [
+        { status: "PENDING" },
+        { status: "PROCESSING", claimedAt: { $lt: new Date(now.getTime() - PENDING_CLAIM_MS) } },
+      ],
+    },
+    { $set: { status: "PROCESSING", claimedBy: userId, claimedAt: now } },
+    { new: true }
+  );
+}
+
+// Only this claim is released; a newer one taken over after it went stale stays
+function releasePendingRefund(pending) {
+  return PendingRefund.updateOne(
+    { _id: pending._id, status: "PROCESSING", claimedAt: pending.claimedAt },
+    { $set: { status: "PENDING", claimedBy: null, claimedAt: null } }
+  );
+}
+
+// Older records may only carry the phone; the context snapshot still knows the order
+function pendingOrderId(pending) {
+  return pending.payload?.orderId || pending.context?.order?.id || null;
+}
+
+/**
+ * refundAfterRequest(refunds, pending) -> Shopify refund | null
+ * A refund on the order made after the request was filed means this approval
+ * already ran (one that crashed after refunding). Earlier refunds, such as a
+ * previous partial refund, do not block approving another one.
+ */
+function refundAfterRequest(refunds, pending) {
+  const moved = (refunds || []).filter((r) => Array.isArray(r?.transactions) && r.transactions.length > 0);
+  return refundSince(moved, pending.createdAt);
+}
+
+/**
+ * approvalReplayBody(pending, order, lineItems) -> POST /refund body
+ * lineItems are the stored line items, normalized. The order is the one
+ * fetched for pendingOrderId, so the replay never re-searches by phone.
+ */
+function approvalReplayBody(pending, order, lineItems) {
+  const payload = pending.payload || {};
+  return {
+    phone: payload.phone || null,
+    orderId: order.id,
+    amount: payload.amount,
+    lineItems,
+    // Requests filed before refund modes existed always cancelled
+    mode: resolveRefundMode(payload.mode, lineItems).mode,
+    reasonCode: payload.reasonCode || null,
+    attachmentIds: (pending.attachments || []).map(String),
+  };
+}
+
+// Compare the decision stored at request time with a fresh evaluation
+function describeDrift(before, after) {
+  const pick = (d) => (d ? {
+    outcome: d.outcome || null,
+    reason: d.reason || null,
+    matched: Array.isArray(d.matched) ? [...d.matched] : [],
+    rulesVersion: d.rulesVersion ?? null,
+  } : null);
+  const a = pick(before);
+  const b = pick(after);
+  const sameMatched = !!a && !!b &&
+    a.matched.length === b.matched.length &&
+    a.matched.every((m) => b.matched.includes(m));
+  return {
+    changed: !a || !b || a.outcome !== b.outcome || !sameMatched || a.rulesVersion !== b.rulesVersion,
+    before: a,
+    after: b,
+  };
+}
+
+module.exports = {
+  PENDING_CLAIM_MS,
+  claimPendingRefund,
+  releasePendingRefund,
+  pendingOrderId,
+  refundAfterRequest,
+  approvalReplayBody,
+  describeDrift,
+};
@@ -0,0 +1,106 @@
+// utils/recordRefundAttempt.js
+const RefundStat = require('../models/refundStatModel');
+
+const MAX_ERROR_MSG = 500;
+const MAX_ATTEMPTS = 25;
+// Outcomes counted in failureCount; REQUIRE_APPROVAL is neither a success nor a failure
+const FAILED_OUTCOMES = ['DENY', 'ERROR'];
+
+/**
+ * refundAttemptUpdate(entry, now) -> RefundStat update
+ * Pushes one attempt onto the ring buffer and refreshes the last* snapshot.
+ * totalCount/successCount and lastRefundAt stay with the success paths.
+ */
+function refundAttemptUpdate({
+  action = 'refund',
+  outcome,
+  httpCode = null,
+  errorCode = null,
+  errorMsg = null,
+  actor = null,
+  ip = null,
+  orderId = null,
+  amount = null,
+  partial = false,
+  ruleSetId = null,
+  rulesVer = null,
+  reasonCode = null,
+  attemptNo = 1,
+  backoffMs = 0,
+}, now = new Date()) {
+  const msg = errorMsg ? String(errorMsg).slice(0, MAX_ERROR_MSG) : null;
+  const order = orderId != null ? String(orderId) : null;
+  const value = amount != null && Number.isFinite(Number(amount)) ? Number(amount) : null;
+  return {
+    $inc: { failureCount: FAILED_OUTCOMES.includes(outcome) ? 1 : 0 },
+    $set: {
+      user: actor,
+      lastIp: ip,
+      lastOutcome: outcome,
+      lastErrorCode: errorCode,
+      lastErrorMsg: msg,
+      lastAttemptAt: now,
+      lastRuleSetId: ruleSetId,
+      lastRulesVer: rulesVer,
+    },
+    $push: {
+      attempts: {
+        $each: [{
+          at: now,
+          action,
+          outcome,
+          httpCode,
+          errorCode,
+          errorMsg: msg,
+          attemptNo,
+          backoffMs,
+          actor,
+          orderId: order,
+          amount: value,
+          partial: !!partial,
+          ruleSetId,
+          rulesVer,
+          reasonCode,
+        }],
+        $slice: -MAX_ATTEMPTS,
+      },
+    },
+  };
+}
+
+/**
+ * Record a denied, pending or failed refund on the customer's RefundStat.
+ * The customer key, reason, rules version and actor come from the request
+ * unless given. Never throws: like the ledger, stats must not block a response.
+ */
+async function recordRefundAttempt({
+  req = null,
+  ruleContext = req?.ruleContext || null,
+  customerKey = ruleContext?.meta?.customerKey || null,
+  ruleDecision = null,
+  actor = req?.user?._id || null,
+  ...entry
+}) {
+  const tenant = req?.tenant?._id;
+  // user is required on RefundStat, so an upsert needs an actor
+  if (!tenant || !customerKey || !actor) return null;
+  try {
+    return await RefundStat.updateOne(
+      { tenant, customer: customerKey },
+      refundAttemptUpdate({
+        ruleSetId: ruleDecision?.ruleSetId || ruleContext?.ruleSetId || null,
+        rulesVer: ruleDecision?.rulesVersion ?? ruleContext?.rulesVersion ?? null,
+        reasonCode: ruleContext?.request?.reasonCode || null,
+        ip: req?.ip || null,
+        ...entry,
+        actor,
+      }),
+      { upsert: true }
+    );
+  } catch (e) {
+    console.warn('[RefundStat] failed to record attempt:', e.message);
+    return null;
+  }
+}
+
+module.exports = { refundAttemptUpdate, recordRefundAttempt };
@@ -0,0 +1,52 @@
+// utils/recordRefundTransaction.js
+const RefundTransaction = require('../models/refundTransactionModel');
+
+const MAX_ERROR_MSG = 500;
+
+// Rule context minus the ruleset payload (rulesVersion/ruleSetId identify it)
+function snapshotContext(ctx) {
+  if (!ctx) return null;
+  const { rules, ...rest } = ctx;
+  return rest;
+}
+
+/**
+ * Write one ledger entry. Fields derivable from `ruleContext` (customer,
+ * order, reason code, attachments, rules version, context snapshot) are filled in unless given.
+ * Never throws: the ledger must not block a refund response.
+ */
+exports.recordRefundTransaction = async function recordRefundTransaction({
+  req = null,
+  ruleContext = req?.ruleContext || null,
+  ...entry
+}) {
+  try {
+    const ip =
+      (req?.headers?.['x-forwarded-for']?.split(',')[0] || '').trim() ||
+      req?.ip ||
+      null;
+
+    const orderId = entry.orderId ?? ruleContext?.order?.id ?? null;
+    const shopifyCustomerId = entry.shopifyCustomerId ?? ruleContext?.order?.customerId ?? null;
+    const errorMsg = entry.errorMsg ? String(entry.errorMsg).slice(0, MAX_ERROR_MSG) : null;
+
+    return await RefundTransaction.create({
+      tenant: req?.tenant?._id,
+      actor: req?.user?._id || null,
+      customer: ruleContext?.meta?.customerKey || null,
+      reasonCode: ruleContext?.request?.reasonCode || null,
+      attachments: ruleContext?.request?.attachmentIds || [],
+      ruleSetId: ruleContext?.ruleSetId || null,
+      rulesVersion: ruleContext?.rulesVersion ?? null,
+      context: snapshotContext(ruleContext),
+      ip,
+      ...entry,
+      orderId: orderId != null ? String(orderId) : null,
+      shopifyCustomerId: shopifyCustomerId != null ? String(shopifyCustomerId) : null,
+      errorMsg,
+    });
+  } catch (e) {
+    console.warn('[RefundTransaction] failed to write ledger entry:', e.message);
+    return null;
+  }
+};
@@ -0,0 +1,105 @@
+// utils/refundAttachments.js
+// Evidence for a refund (damaged-item photos, courier proof). Agents upload
+// files for an order with POST /refund/attachments, then send the returned
+// ids as `attachmentIds` on POST /refund. The ids go on the ledger and on the
+// approval request, and the rule context gets request.attachmentCount so a
+// ruleset can require evidence above an amount (requireAttachmentAbove).
+
+const mongoose = require("mongoose");
+
+// Accepted types by content, not by the name or type the browser sent
+const ATTACHMENT_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_REFUND = 10;
+
+function maxAttachmentBytes() {
+  const mb = Number(process.env.ATTACHMENT_MAX_MB);
+  return Math.round((Number.isFinite(mb) && mb > 0 ? mb : 5) * 1024 * 1024);
+}
+
+// Type from the file's first bytes, or null when it is none of ATTACHMENT_TYPES
+function sniffFileType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP") return "image/webp";
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "application/pdf";
+  return null;
+}
+
+/**
+ * checkAttachmentFile(file) -> { type, error }
+ * file is a multer memory-storage file ({ originalname, size, buffer }).
+ */
+function checkAttachmentFile(file, { maxBytes = maxAttachmentBytes() } = {}) {
+  const name = file?.originalname || "file";
+  if (!file?.buffer?.length) return { type: null, error: `${name} is empty` };
+  if (file.buffer.length > maxBytes) {
+    return { type: null, error: `${name} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB` };
+  }
+  const type = sniffFileType(file.buffer);
+  if (!type) return { type: null, error: `${name} is not a JPEG, PNG, WebP or PDF file` };
+  return { type, error: null };
+}
+
+/**
+ * parseAttachmentIds(value) -> { ids, error }
+ * attachmentIds on POST /refund: an array of RefundAttachment ids, deduplicated.
+ */
+function parseAttachmentIds(value) {
+  if (value == null) return { ids: [], error: null };
+  if (!Array.isArray(value)) return { ids: null, error: "attachmentIds must be an array" };
+  const ids = [...new Set(value.map((id) => String(id)))];
+  if (ids.length > MAX_ATTACHMENTS_PER_REFUND) {
+    return { ids: null, error: `At most ${MAX_ATTACHMENTS_PER_REFUND} attachments per refund` };
+  }
+  const bad = ids.find((id) => !mongoose.isValidObjectId(id));
+  if (bad) return { ids: null, error: `Invalid attachment id ${bad}` };
+  return { ids, error: null };
+}
+
+/**
+ * attachmentsProblem(attachments, ids, orderId) -> message | null
+ * Every id must be an attachment of this tenant (the caller scoped the
+ * query) uploaded for the refunded order.
+ */
+function attachmentsProblem(attachments, ids, orderId) {
+  const found = new Map(attachments.map((a) => [String(a._id), a]));
+  const missing = ids.find((id) => !found.has(id));
+  if (missing) return `Attachment ${missing} not found`;
+  if (orderId != null) {
+    const other = attachments.find((a) => String(a.orderId) !== String(orderId));
+    if (other) return `Attachment ${other._id} was uploaded for order ${other.orderId}, not ${orderId}`;
+  }
+  return null;
+}
+
+// Metadata shown to clients; the storage key stays on the server
+function attachmentView(doc) {
+  return {
+    _id: doc._id,
+    orderId: doc.orderId,
+    originalName: doc.originalName,
+    mimeType: doc.mimeType,
+    size: doc.size,
+    uploadedBy: doc.uploadedBy,
+    createdAt: doc.createdAt,
+  };
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_REFUND,
+  maxAttachmentBytes,
+  sniffFileType,
+  checkAttachmentFile,
+  parseAttachmentIds,
+  attachmentsProblem,
+  attachmentView,
+};
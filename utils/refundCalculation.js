@@ -0,0 +1,118 @@
+// utils/refundCalculation.js
+// What Shopify would refund for a selection, from
+// POST orders/{id}/refunds/calculate.json. Shopify accounts for earlier
+// refunds, taxes, discounts and shipping; order.total_price and the amounts
+// agents type in per line do not.
+
+const { refundLineItems } = require("./restock");
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+// line item id -> quantity not yet refunded
+function remainingQuantities(order) {
+  const refunded = new Map();
+  for (const refund of order?.refunds || []) {
+    for (const rli of refund?.refund_line_items || []) {
+      const id = Number(rli.line_item_id);
+      refunded.set(id, (refunded.get(id) || 0) + Number(rli.quantity || 0));
+    }
+  }
+  const left = new Map();
+  for (const li of order?.line_items || []) {
+    const id = Number(li.id);
+    left.set(id, Math.max(0, Number(li.quantity || 0) - (refunded.get(id) || 0)));
+  }
+  return left;
+}
+
+/**
+ * calculationRequest(order, lineItems, { shipping, shippingOnly, defaultLocationId }) -> refunds/calculate body
+ * No line items means a full refund: every line at its remaining quantity
+ * (none when shippingOnly), plus all shipping unless `shipping` says otherwise.
+ * shipping: { fullRefund: boolean } or { amount: number }
+ */
+function calculationRequest(order, lineItems = [], { shipping = null, shippingOnly = false, defaultLocationId = null } = {}) {
+  const full = lineItems.length === 0;
+  let lines = refundLineItems(lineItems, defaultLocationId);
+  if (shippingOnly) lines = [];
+  else if (full) {
+    lines = [...remainingQuantities(order)]
+      .filter(([, quantity]) => quantity > 0)
+      .map(([id, quantity]) => ({ line_item_id: id, quantity, restock_type: "no_restock" }));
+  }
+  const refund = { refund_line_items: lines };
+  const amount = shipping?.amount != null && shipping.amount !== "" ? Number(shipping.amount) : null;
+  if (Number.isFinite(amount)) refund.shipping = { amount: amount.toFixed(2) };
+  else if (shipping?.fullRefund ?? full) refund.shipping = { full_refund: true };
+  return { refund };
+}
+
+/**
+ * summarizeCalculation(refund, remaining) -> amounts per line, shipping and transaction
+ * A line's amount is what Shopify refunds for the requested quantity (tax
+ * included); maximumRefundable is the same per unit over every unit left.
+ */
+function summarizeCalculation(refund, remaining = new Map()) {
+  const lineItems = (refund?.refund_line_items || []).map((l) => {
+    const quantity = Number(l.quantity || 0);
+    const amount = round2(Number(l.subtotal || 0) + Number(l.total_tax || 0));
+    const left = remaining.get(Number(l.line_item_id)) ?? quantity;
+    return {
+      lineItemId: Number(l.line_item_id),
+      quantity,
+      remainingQuantity: left,
+      restock_type: l.restock_type || "no_restock",
+      locationId: l.location_id ?? null,
+      subtotal: round2(l.subtotal),
+      tax: round2(l.total_tax),
+      amount,
+      maximumRefundable: quantity > 0 ? round2((amount / quantity) * left) : 0,
+    };
+  });
+  const transactions = (refund?.transactions || []).map((t) => ({
+    parentId: t.parent_id ?? null,
+    gateway: t.gateway || null,
+    amount: round2(t.amount),
+    maximumRefundable: round2(t.maximum_refundable),
+  }));
+  const shipping = refund?.shipping || {};
+  return {
+    currency: refund?.currency || null,
+    lineItems,
+    shipping: {
+      amount: round2(shipping.amount),
+      tax: round2(shipping.tax),
+      maximumRefundable: round2(shipping.maximum_refundable),
+    },
+    transactions,
+    suggestedAmount: round2(transactions.reduce((sum, t) => sum + t.amount, 0)),
+    maximumRefundable: round2(transactions.reduce((sum, t) => sum + t.maximumRefundable, 0)),
+  };
+}
+
+/**
+ * calculateRefund(shopify, order, lineItems, options) -> summarizeCalculation(...)
+ * options as for calculationRequest. Nothing is refunded.
+ */
+async function calculateRefund(shopify, order, lineItems = [], options = {}) {
+  const { body } = await shopify.post(
+    `orders/${order.id}/refunds/calculate.json`,
+    calculationRequest(order, lineItems, options),
+    { idempotent: true }
+  );
+  return summarizeCalculation(body?.refund, remainingQuantities(order));
+}
+
+// Amount Shopify suggests refunding against one parent transaction (all of them if none match)
+function suggestedAmountFor(calculation, parentId) {
+  const own = calculation.transactions.filter((t) => String(t.parentId) === String(parentId));
+  return own.length ? round2(own.reduce((sum, t) => sum + t.amount, 0)) : calculation.suggestedAmount;
+}
+
+module.exports = {
+  remainingQuantities,
+  calculationRequest,
+  summarizeCalculation,
+  calculateRefund,
+  suggestedAmountFor,
+};
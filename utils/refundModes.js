@@ -0,0 +1,40 @@
+// utils/refundModes.js
+// What a full refund does with the order (`mode` on POST /refund):
+//   cancel_and_refund     cancel the order, then refund everything left
+//   refund_only           refund everything left; the order stays open/fulfilled
+//   refund_shipping_only  refund the shipping charges only
+// Partial refunds (with lineItems) never cancel and are always refund_only.
+// Rulesets can limit the modes with allowedRefundModes.
+
+const REFUND_MODES = ["cancel_and_refund", "refund_only", "refund_shipping_only"];
+const DEFAULT_MODE = "cancel_and_refund";
+
+/**
+ * resolveRefundMode(mode, lineItems, allowedModes) -> { mode, error }
+ * Without a mode, a full refund uses cancel_and_refund, or the first allowed
+ * mode when the ruleset does not allow that.
+ */
+function resolveRefundMode(mode, lineItems = [], allowedModes = null) {
+  const requested = mode == null || mode === "" ? null : String(mode).toLowerCase();
+  if (requested && !REFUND_MODES.includes(requested)) {
+    return { mode: null, error: `mode must be one of ${REFUND_MODES.join(", ")}` };
+  }
+  if (Array.isArray(lineItems) && lineItems.length) {
+    if (requested && requested !== "refund_only") {
+      return { mode: null, error: `Partial refunds cannot use mode ${requested}; they are always refund_only` };
+    }
+    return { mode: "refund_only", error: null };
+  }
+  if (requested) return { mode: requested, error: null };
+  const allowed = Array.isArray(allowedModes) && allowedModes.length ? allowedModes : null;
+  return { mode: !allowed || allowed.includes(DEFAULT_MODE) ? DEFAULT_MODE : allowed[0], error: null };
+}
+
+// Shipping charged on a REST order, in shop currency
+function shippingTotal(order) {
+  const set = order?.total_shipping_price_set?.shop_money?.amount;
+  if (set != null) return Number(set);
+  return (order?.shipping_lines || []).reduce((sum, l) => sum + Number(l.price || 0), 0);
+}
+
+module.exports = { REFUND_MODES, DEFAULT_MODE, resolveRefundMode, shippingTotal };
@@ -0,0 +1,93 @@
+// utils/refundReasons.js
+// Why a refund was made (`reasonCode` on POST /refund). Each tenant keeps a
+// catalogue in settings.refundReasons; until one is saved the defaults apply.
+// Every refund needs an active reason. The code goes on the ledger, approval
+// requests and RefundStat attempts, into the Shopify refund note and order
+// tags (refund_reason:<code>), and into the rule context as
+// request.reasonCode so custom rules can match on it.
+
+const DEFAULT_REFUND_REASONS = [
+  { code: "damaged", label: "Damaged item", active: true },
+  { code: "not_delivered", label: "Not delivered", active: true },
+  { code: "wrong_item", label: "Wrong item", active: true },
+  { code: "late_delivery", label: "Late delivery", active: true },
+  { code: "goodwill", label: "Goodwill", active: true },
+  { code: "other", label: "Other", active: true },
+];
+const CODE_RE = /^[a-z0-9_]{1,40}$/;
+const MAX_REASONS = 50;
+const MAX_LABEL = 80;
+
+// The tenant's catalogue, or the defaults when it has none
+function refundReasonsFor(tenant) {
+  const saved = tenant?.settings?.refundReasons;
+  return Array.isArray(saved) && saved.length ? saved : DEFAULT_REFUND_REASONS;
+}
+
+/**
+ * parseRefundReasons(list) -> { reasons, error }
+ * Codes are lowercase letters, digits and underscores, unique. Retired codes
+ * stay in the catalogue with active: false so old refunds keep their label.
+ */
+function parseRefundReasons(list) {
+  if (!Array.isArray(list) || !list.length) return { reasons: null, error: "Provide reasons: [{ code, label, active? }]" };
+  if (list.length > MAX_REASONS) return { reasons: null, error: `At most ${MAX_REASONS} reasons` };
+  const seen = new Set();
+  const reasons = [];
+  for (let i = 0; i < list.length; i++) {
+    const item = list[i] || {};
+    const code = String(item.code ?? "").trim().toLowerCase();
+    const label = String(item.label ?? "").trim();
+    if (!CODE_RE.test(code)) return { reasons: null, error: `Reason ${i}: code must be 1-40 lowercase letters, digits or underscores` };
+    if (seen.has(code)) return { reasons: null, error: `Reason ${i}: code ${code} appears more than once` };
+    if (!label || label.length > MAX_LABEL) return { reasons: null, error: `Reason ${i}: label must be 1-${MAX_LABEL} characters` };
+    seen.add(code);
+    reasons.push({ code, label, active: item.active !== false });
+  }
+  if (!reasons.some((r) => r.active)) return { reasons: null, error: "At least one reason must be active" };
+  return { reasons, error: null };
+}
+
+/**
+ * resolveRefundReason(code, reasons, { required }) -> { reason, error }
+ * reason is the catalogue entry, or null when none was given and none is required.
+ */
+function resolveRefundReason(code, reasons, { required = true } = {}) {
+  const requested = code == null || code === "" ? null : String(code).trim().toLowerCase();
+  const active = reasons.filter((r) => r.active !== false).map((r) => r.code);
+  if (!requested) {
+    return required
+      ? { reason: null, error: `reasonCode is required: one of ${active.join(", ")}` }
+      : { reason: null, error: null };
+  }
+  const reason = reasons.find((r) => r.code === requested);
+  if (!reason) return { reason: null, error: `Unknown reasonCode ${requested}: use one of ${active.join(", ")}` };
+  if (reason.active === false) return { reason: null, error: `Refund reason ${requested} is no longer in use` };
+  return { reason: { code: reason.code, label: reason.label }, error: null };
+}
+
+// Catalogue entry for a stored code, retired or not (unknown codes label themselves)
+function findRefundReason(tenant, code) {
+  if (!code) return null;
+  return refundReasonsFor(tenant).find((r) => r.code === code) || { code, label: code };
+}
+
+// Shopify refund note: the reason label, then the agent's note
+function reasonNote(reason, note) {
+  if (!reason) return note || null;
+  return note ? `${reason.label}: ${note}` : reason.label;
+}
+
+function reasonTag(code) {
+  return code ? `refund_reason:${code}` : null;
+}
+
+module.exports = {
+  DEFAULT_REFUND_REASONS,
+  refundReasonsFor,
+  parseRefundReasons,
+  resolveRefundReason,
+  findRefundReason,
+  reasonNote,
+  reasonTag,
+};
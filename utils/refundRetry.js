@@ -0,0 +1,105 @@
+// utils/refundRetry.js
+// Refunds that fail because Shopify is briefly unavailable (5xx, 429, network
+// errors, timeouts) are queued as a RefundRetry for the order and replayed by
+// the retry worker (services/refundRetryWorker.js) after computeBackoffMs().
+// After RETRY_MAX_ATTEMPTS failures the refund moves to "needs_attention" for
+// an admin to retry or dismiss. Each order has its own retry, so a customer
+// with several failed orders gets every one of them retried.
+
+const RefundRetry = require("../models/refundRetryModel");
+
+const RETRY_MAX_ATTEMPTS = Number(process.env.REFUND_RETRY_MAX_ATTEMPTS) || 6;
+const MAX_ERROR_MSG = 500;
+// Shopify's created_at is to the second and its clock is not ours
+const CLOCK_SKEW_MS = 60_000;
+
+// Codes ShopifyApiError uses for requests that never got an answer
+const NETWORK_CODES = ["NETWORK", "ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "RATE_LIMITED"];
+
+// Worth retrying later: Shopify was down, throttled us or did not answer
+function isRetryableError(err) {
+  if (!err) return false;
+  if (err.status != null) return err.status === 429 || err.status >= 500;
+  return NETWORK_CODES.includes(String(err.code || "").toUpperCase());
+}
+
+/**
+ * applyRetryFailure(retry, { request, actor, err, now, maxAttempts })
+ *   -> { queued, state, attemptNo, nextRetryAt, backoffMs }
+ * Records a failed attempt on a RefundRetry document (not saved) and
+ * schedules the next one, or gives up after maxAttempts.
+ */
+function applyRetryFailure(retry, { request, actor = null, err, now = new Date(), maxAttempts = RETRY_MAX_ATTEMPTS }) {
+  const orderId = String(request.orderId);
+  retry.orderId = orderId;
+  retry.request = { ...request, orderId };
+  retry.actor = actor;
+  retry.retryCount = (retry.retryCount || 0) + 1;
+  if (!retry.firstFailedAt) retry.firstFailedAt = now;
+  retry.lastAttemptAt = now;
+  retry.lastErrorCode = err?.code || (err?.status ? `SHOPIFY_${err.status}` : "UNKNOWN");
+  retry.lastErrorMsg = String(err?.message || "Refund failed").slice(0, MAX_ERROR_MSG);
+
+  let backoffMs = 0;
+  if (retry.retryCount >= maxAttempts) {
+    retry.state = "needs_attention";
+    retry.nextRetryAt = null;
+  } else {
+    backoffMs = retry.computeBackoffMs();
+    retry.state = "scheduled";
+    retry.nextRetryAt = new Date(now.getTime() + backoffMs);
+  }
+  return {
+    queued: retry.state === "scheduled",
+    state: retry.state,
+    attemptNo: retry.retryCount,
+    nextRetryAt: retry.nextRetryAt,
+    backoffMs,
+  };
+}
+
+/**
+ * scheduleRefundRetry({ tenantId, customerKey, ...applyRetryFailure options }) -> result | null
+ * Loads (or creates) the order's RefundRetry, applies the failure and saves.
+ * Never throws: when the retry cannot be saved the result says so (queued
+ * false, state null, reason) so the agent is told the refund was not queued.
+ */
+async function scheduleRefundRetry({ tenantId, customerKey = null, ...failure }) {
+  if (!tenantId || failure.request?.orderId == null) return null;
+  try {
+    const orderId = String(failure.request.orderId);
+    let retry = await RefundRetry.findOne({ tenant: tenantId, orderId });
+    if (!retry) retry = new RefundRetry({ tenant: tenantId, customer: customerKey, orderId });
+    const result = applyRetryFailure(retry, failure);
+    await retry.save();
+    return result;
+  } catch (e) {
+    console.warn("[refundRetry] could not schedule retry:", e.message);
+    return { queued: false, state: null, attemptNo: null, nextRetryAt: null, backoffMs: 0, reason: "The retry could not be saved" };
+  }
+}
+
+// Drop the order's queued retry once it was refunded
+async function clearRefundRetry({ tenantId, orderId }) {
+  if (!tenantId || orderId == null) return;
+  try {
+    await RefundRetry.deleteOne({ tenant: tenantId, orderId: String(orderId) });
+  } catch (e) {
+    console.warn("[refundRetry] could not clear retry:", e.message);
+  }
+}
+
+// Shopify refund on the order made since the first failure, if any
+function refundSince(refunds, since) {
+  const from = since ? new Date(since).getTime() - CLOCK_SKEW_MS : 0;
+  return (refunds || []).find((r) => r?.created_at && new Date(r.created_at).getTime() >= from) || null;
+}
+
+module.exports = {
+  RETRY_MAX_ATTEMPTS,
+  isRetryableError,
+  applyRetryFailure,
+  scheduleRefundRetry,
+  clearRefundRetry,
+  refundSince,
+};
@@ -0,0 +1,58 @@
+// utils/restock.js
+// Per-line restock for partial refunds. Each requested line carries a refund
+// quantity and a Shopify restock_type:
+//   no_restock  refund only; inventory is untouched
+//   return      the item came back; restock it at a location
+//   cancel      the item was never shipped; restock it at a location
+// Restocked lines go to the line's locationId, else the tenant's default
+// location (tenant.settings.defaultLocationId).
+
+const RESTOCK_TYPES = ["no_restock", "return", "cancel"];
+
+const restocks = (item) => item.quantity > 0 && item.restock_type && item.restock_type !== "no_restock";
+
+/**
+ * restockProblem(lineItems, { order, defaultLocationId }) -> message | null
+ * Without an order only the request itself is checked; with one, quantities
+ * are checked against what was ordered.
+ */
+function restockProblem(lineItems, { order = null, defaultLocationId = null } = {}) {
+  const ordered = order ? new Map((order.line_items || []).map((li) => [Number(li.id), li])) : null;
+  for (const item of lineItems) {
+    if (item.restock_type && !RESTOCK_TYPES.includes(item.restock_type)) {
+      return `Line item ${item.lineItemId}: restock_type must be one of ${RESTOCK_TYPES.join(", ")}`;
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 0) {
+      return `Line item ${item.lineItemId}: quantity must be a whole number`;
+    }
+    if (restocks(item) && item.locationId == null && defaultLocationId == null) {
+      return `Line item ${item.lineItemId}: choose a restock location (no default location is set for this store)`;
+    }
+    if (ordered) {
+      const li = ordered.get(item.lineItemId);
+      if (!li) return `Line item ${item.lineItemId} is not on order ${order.name || order.id}`;
+      if (item.quantity > Number(li.quantity)) {
+        return `Line item ${item.lineItemId}: quantity ${item.quantity} is more than the ${li.quantity} ordered`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * refundLineItems(lineItems, defaultLocationId) -> Shopify refund_line_items
+ * A quantity of 0 refunds by amount only and never restocks.
+ */
+function refundLineItems(lineItems, defaultLocationId = null) {
+  return lineItems.map((item) => {
+    const line = {
+      line_item_id: item.lineItemId,
+      quantity: item.quantity || 0,
+      restock_type: restocks(item) ? item.restock_type : "no_restock",
+    };
+    if (restocks(item)) line.location_id = item.locationId ?? defaultLocationId;
+    return line;
+  });
+}
+
+module.exports = { RESTOCK_TYPES, restockProblem, refundLineItems };
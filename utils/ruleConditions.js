@@ -0,0 +1,294 @@
+// utils/ruleConditions.js
+// Declarative refund rules: tenant-defined conditions over the rule context.
+//
+// A rule looks like:
+//   {
+//     id: "high-value-cod",                 // reported in decision.matched
+//     outcome: "REQUIRE_APPROVAL",          // ALLOW | DENY | REQUIRE_APPROVAL | WARN
+//     priority: 10,                         // lower runs first (default 100)
+//     message: "COD orders above ₹5000 need a supervisor",
+//     enabled: true,
+//     when: { all: [
+//       { path: "order.paymentMethod", op: "contains", value: "cod" },
+//       { path: "order.total", op: "gt", value: 5000 },
+//     ] },
+//   }
+// `when` nests { all: [...] }, { any: [...] } and { not: {...} } around leaves
+// of the form { path, op, value }.
+
+const OUTCOMES = ["ALLOW", "DENY", "REQUIRE_APPROVAL", "WARN"];
+const OPS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "contains", "exists"];
+const PATH_ROOTS = ["order", "refund", "meta", "request", "user"];
+const DEFAULT_PRIORITY = 100;
+const MAX_RULES = 50;
+const MAX_DEPTH = 6;
+const ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+const SEGMENT_RE = /^[A-Za-z0-9_]+$/;
+const FORBIDDEN_SEGMENTS = new Set(["__proto__", "prototype", "constructor"]);
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function checkPath(path) {
+  if (typeof path !== "string" || !path.trim()) return "path must be a non-empty string";
+  const segments = path.split(".");
+  if (!PATH_ROOTS.includes(segments[0])) return `path must start with one of: ${PATH_ROOTS.join(", ")}`;
+  const bad = segments.find((s) => !SEGMENT_RE.test(s) || FORBIDDEN_SEGMENTS.has(s));
+  if (bad !== undefined) return `invalid path segment "${bad}"`;
+  return null;
+}
+
+function validateCondition(cond, at, errors, depth = 0) {
+  if (depth > MAX_DEPTH) {
+    errors.push(`${at}: conditions nest deeper than ${MAX_DEPTH} levels`);
+    return;
+  }
+  if (!isPlainObject(cond)) {
+    errors.push(`${at}: condition must be an object`);
+    return;
+  }
+  const groups = ["all", "any", "not"].filter((k) => k in cond);
+  if (groups.length > 1 || (groups.length && "path" in cond)) {
+    errors.push(`${at}: use exactly one of all, any, not or path`);
+    return;
+  }
+  if (cond.all !== undefined || cond.any !== undefined) {
+    const key = cond.all !== undefined ? "all" : "any";
+    if (!Array.isArray(cond[key]) || cond[key].length === 0) {
+      errors.push(`${at}.${key}: must be a non-empty array`);
+      return;
+    }
+    cond[key].forEach((c, i) => validateCondition(c, `${at}.${key}[${i}]`, errors, depth + 1));
+    return;
+  }
+  if (cond.not !== undefined) {
+    validateCondition(cond.not, `${at}.not`, errors, depth + 1);
+    return;
+  }
+
+  const pathError = checkPath(cond.path);
+  if (pathError) errors.push(`${at}.path: ${pathError}`);
+  if (!OPS.includes(cond.op)) {
+    errors.push(`${at}.op: must be one of ${OPS.join(", ")}`);
+    return;
+  }
+  const { op, value } = cond;
+  if (["gt", "gte", "lt", "lte"].includes(op) && !(typeof value === "number" && Number.isFinite(value))) {
+    errors.push(`${at}.value: ${op} needs a number`);
+  }
+  if (["in", "nin"].includes(op) && !Array.isArray(value)) {
+    errors.push(`${at}.value: ${op} needs an array`);
+  }
+  if (op === "exists" && typeof value !== "boolean") {
+    errors.push(`${at}.value: exists needs true or false`);
+  }
+  if (["eq", "ne", "contains"].includes(op) && (value === undefined || isPlainObject(value) || Array.isArray(value))) {
+    errors.push(`${at}.value: ${op} needs a string, number, boolean or null`);
+  }
+}
+
+/**
+ * validateConditions(rules) -> string[] of errors (empty when valid)
+ */
+function validateConditions(rules) {
+  const errors = [];
+  if (rules == null) return errors;
+  if (!Array.isArray(rules)) return ["conditions must be an array"];
+  if (rules.length > MAX_RULES) errors.push(`at most ${MAX_RULES} conditions are allowed`);
+
+  const seen = new Set();
+  rules.forEach((rule, i) => {
+    const at = `conditions[${i}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof rule.id !== "string" || !ID_RE.test(rule.id)) {
+      errors.push(`${at}.id: 1-64 letters, digits, dot, dash or underscore`);
+    } else if (seen.has(rule.id)) {
+      errors.push(`${at}.id: duplicate id "${rule.id}"`);
+    } else {
+      seen.add(rule.id);
+    }
+    if (!OUTCOMES.includes(rule.outcome)) errors.push(`${at}.outcome: must be one of ${OUTCOMES.join(", ")}`);
+    if (rule.priority !== undefined && !(typeof rule.priority === "number" && Number.isFinite(rule.priority))) {
+      errors.push(`${at}.priority: must be a number`);
+    }
+    if (rule.message != null && typeof rule.message !== "string") errors.push(`${at}.message: must be a string`);
+    if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") errors.push(`${at}.enabled: must be a boolean`);
+    if (rule.when === undefined) errors.push(`${at}.when: is required`);
+    else validateCondition(rule.when, `${at}.when`, errors);
+  });
+  return errors;
+}
+
+/**
+ * normalizeConditions(input) -> cleaned array (drops unknown keys, applies defaults)
+ * Call validateConditions first; this assumes the shape is valid.
+ */
+function normalizeConditions(input) {
+  if (!Array.isArray(input)) return [];
+  return input.map((rule) => ({
+    id: rule.id,
+    outcome: rule.outcome,
+    priority: rule.priority ?? DEFAULT_PRIORITY,
+    message: rule.message || null,
+    enabled: rule.enabled !== false,
+    when: rule.when,
+  }));
+}
+
+function resolvePath(context, path) {
+  let cur = context;
+  for (const segment of path.split(".")) {
+    if (cur == null) return undefined;
+    cur = cur[segment];
+  }
+  return cur;
+}
+
+const normalizeString = (v) => String(v).trim().toLowerCase();
+
+function looseEquals(a, b) {
+  if (typeof a === "string" && typeof b === "string") return normalizeString(a) === normalizeString(b);
+  if (typeof a === "number" || typeof b === "number") return Number(a) === Number(b);
+  return a === b;
+}
+
+// Shopify tags arrive as "a, b, c"; treat them as a list
+function asList(observed) {
+  if (Array.isArray(observed)) return observed;
+  if (typeof observed === "string" && observed.includes(",")) return observed.split(",").map((s) => s.trim());
+  return null;
+}
+
+/**
+ * evaluateLeaf -> true | false | null (null = value missing, cannot evaluate)
+ */
+function evaluateLeaf({ path, op, value }, context) {
+  const observed = resolvePath(context, path);
+  if (op === "exists") return (observed !== undefined && observed !== null) === value;
+  if (observed === undefined || observed === null) return null;
+
+  switch (op) {
+    case "eq": return looseEquals(observed, value);
+    case "ne": return !looseEquals(observed, value);
+    case "gt": case "gte": case "lt": case "lte": {
+      const n = Number(observed);
+      if (!Number.isFinite(n)) return null;
+      if (op === "gt") return n > value;
+      if (op === "gte") return n >= value;
+      if (op === "lt") return n < value;
+      return n <= value;
+    }
+    case "in": return value.some((v) => looseEquals(observed, v));
+    case "nin": return !value.some((v) => looseEquals(observed, v));
+    case "contains": {
+      const list = asList(observed);
+      if (list) return list.some((v) => looseEquals(v, value));
+      return normalizeString(observed).includes(normalizeString(value));
+    }
+    default: return null;
+  }
+}
+
+/**
+ * evaluateCondition(cond, context) -> true | false | null
+ * Three-valued: missing data yields null, which never matches a rule.
+ */
+function evaluateCondition(cond, context) {
+  if (cond.all) {
+    const results = cond.all.map((c) => evaluateCondition(c, context));
+    if (results.includes(false)) return false;
+    return results.includes(null) ? null : true;
+  }
+  if (cond.any) {
+    const results = cond.any.map((c) => evaluateCondition(c, context));
+    if (results.includes(true)) return true;
+    return results.includes(null) ? null : false;
+  }
+  if (cond.not) {
+    const r = evaluateCondition(cond.not, context);
+    return r === null ? null : !r;
+  }
+  return evaluateLeaf(cond, context);
+}
+
+// Leaves of a condition with the observed values, for decision.limits
+function collectLeaves(cond, context, out = []) {
+  if (cond.all) cond.all.forEach((c) => collectLeaves(c, context, out));
+  else if (cond.any) cond.any.forEach((c) => collectLeaves(c, context, out));
+  else if (cond.not) collectLeaves(cond.not, context, out);
+  else out.push({ path: cond.path, op: cond.op, value: cond.value, observed: resolvePath(context, cond.path) ?? null });
+  return out;
+}
+
+// decision.trace entry for a tenant rule, shaped like the built-in checks.
+// result is evaluateCondition's true | false | null; skipReason marks rules never run.
+function conditionTrace(rule, leaves, result, skipReason = null) {
+  const skipped = skipReason !== null || result === null;
+  const missing = leaves.filter((l) => l.observed === null).map((l) => l.path);
+  const observed = {};
+  leaves.forEach((leaf) => { observed[leaf.path] = leaf.observed; });
+  return {
+    rule: rule.id,
+    source: "condition",
+    status: skipped ? "skipped" : "evaluated",
+    observed,
+    threshold: leaves.map(({ path, op, value }) => ({ path, op, value })),
+    outcome: skipped ? null : result ? rule.outcome : "ALLOW",
+    detail: skipReason ?? (result === null
+      ? (missing.length ? `Missing data: ${missing.join(", ")}` : "Not enough data to evaluate")
+      : null),
+  };
+}
+
+/**
+ * evaluateConditions(rules, context)
+ * Runs enabled rules by ascending priority (stable for ties). The first
+ * matching ALLOW/DENY/REQUIRE_APPROVAL rule decides; WARN rules are collected
+ * and do not stop evaluation. Rules after the deciding one are traced as skipped.
+ * Returns { outcome|null, rule|null, matched: [ids], warnings: [{id,message}], limits, trace }
+ */
+function evaluateConditions(rules, context) {
+  const result = { outcome: null, rule: null, matched: [], warnings: [], limits: {}, trace: [] };
+  if (!Array.isArray(rules) || rules.length === 0) return result;
+
+  const ordered = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule && rule.enabled !== false)
+    .sort((a, b) => (a.rule.priority ?? DEFAULT_PRIORITY) - (b.rule.priority ?? DEFAULT_PRIORITY) || a.index - b.index)
+    .map(({ rule }) => rule);
+
+  for (const rule of ordered) {
+    const leaves = collectLeaves(rule.when, context);
+    if (result.rule) {
+      result.trace.push(conditionTrace(rule, leaves, null, `Rule ${result.rule.id} already decided`));
+      continue;
+    }
+    const hit = evaluateCondition(rule.when, context);
+    result.trace.push(conditionTrace(rule, leaves, hit));
+    if (hit !== true) continue;
+    result.matched.push(rule.id);
+    result.limits[rule.id] = leaves;
+    if (rule.outcome === "WARN") {
+      result.warnings.push({ id: rule.id, message: rule.message || `Matched ${rule.id}` });
+      continue;
+    }
+    result.outcome = rule.outcome;
+    result.rule = rule;
+  }
+  return result;
+}
+
+module.exports = {
+  OUTCOMES,
+  OPS,
+  PATH_ROOTS,
+  validateConditions,
+  normalizeConditions,
+  evaluateCondition,
+  evaluateConditions,
+  resolvePath,
+};
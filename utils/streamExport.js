@@ -0,0 +1,109 @@
+// utils/streamExport.js
+// Stream rows from an async iterable (e.g. a Mongo cursor) as CSV or XLSX
+// without buffering the whole result set.
+const ExcelJS = require('exceljs');
+const AppError = require('./appError');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+};
+
+function parseExportFormat(format) {
+  const f = String(format || 'csv').toLowerCase();
+  if (!FORMATS[f]) throw new AppError(`Unsupported export format: ${format}. Use csv or xlsx.`, 400);
+  return f;
+}
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// Resolves on drain, or when the client goes away so the loop can stop
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function writeCsv(res, columns, rows) {
+  res.write('\uFEFF'); // BOM so Excel detects UTF-8 (₹, names)
+  res.write(csvLine(columns.map((c) => c.header)));
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    if (!res.write(csvLine(columns.map((c) => row[c.key])))) await waitForDrain(res);
+  }
+  res.end();
+}
+
+async function writeXlsx(res, columns, rows, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: c.width || 18 }));
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Pull the first row up front so query errors surface before headers are sent
+async function primeRows(rows) {
+  const it = rows[Symbol.asyncIterator]();
+  const first = await it.next();
+  return (async function* primed() {
+    try {
+      for (let next = first; !next.done; next = await it.next()) yield next.value;
+    } finally {
+      if (typeof it.return === 'function') await it.return();
+    }
+  })();
+}
+
+/**
+ * streamExport(res, { format, filename, sheetName, columns, rows })
+ * - columns: [{ key, header, width? }]
+ * - rows: async iterable of plain objects keyed by column key
+ * Errors before the first byte propagate (so the error handler can respond);
+ * after that the connection is destroyed, as a partial file cannot be fixed up.
+ */
+async function streamExport(res, { format, filename, sheetName = 'Export', columns, rows }) {
+  const { contentType, ext } = FORMATS[format];
+  const primed = await primeRows(rows);
+  res.statusCode = 200;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${ext}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    if (format === 'xlsx') await writeXlsx(res, columns, primed, sheetName);
+    else await writeCsv(res, columns, primed);
+  } catch (err) {
+    if (!res.headersSent) throw err;
+    console.error('[export] stream failed:', err.message);
+    res.destroy(err);
+  }
+}
+
+module.exports = {
+  parseExportFormat,
+  streamExport,
+  csvCell,
+  csvLine,
+};
@@ -0,0 +1,129 @@
+// utils/tenantBudget.js
+// Store-wide refund budget: the ruleset's maxDailyRefundValue and
+// maxMonthlyRefundValue, checked against what the tenant has refunded since
+// the start of the day and of the month in the tenant's time zone.
+
+const RefundTransaction = require("../models/refundTransactionModel");
+
+const BUDGET_FIELDS = ["maxDailyRefundValue", "maxMonthlyRefundValue"];
+
+const isLimit = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock date and time of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+// How far `timeZone` is ahead of UTC at `date`, in ms
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of local midnight on year-month-day (day and month may overflow)
+function zonedMidnight(year, month, day, timeZone) {
+  const wall = Date.UTC(year, month - 1, day);
+  const first = wall - zoneOffset(new Date(wall), timeZone);
+  // Across a DST change the offset at midnight differs from the one at the guess
+  return new Date(wall - zoneOffset(new Date(first), timeZone));
+}
+
+/**
+ * budgetPeriods(now, timeZone) -> { dayStart, dayEnd, monthStart, monthEnd }
+ * Boundaries of the current day and month in `timeZone`, as UTC dates.
+ */
+function budgetPeriods(now = new Date(), timeZone = "UTC") {
+  const { year, month, day } = zonedParts(now, timeZone);
+  return {
+    dayStart: zonedMidnight(year, month, day, timeZone),
+    dayEnd: zonedMidnight(year, month, day + 1, timeZone),
+    monthStart: zonedMidnight(year, month, 1, timeZone),
+    monthEnd: zonedMidnight(year, month + 1, 1, timeZone),
+  };
+}
+
+/**
+ * loadTenantSpend(tenantId, timeZone, now)
+ * Sums refunds executed for the tenant (direct refunds and approved requests)
+ * in the current day and month.
+ * -> { timeZone, today, month, dayStart, dayEnd, monthStart, monthEnd }
+ */
+async function loadTenantSpend(tenantId, timeZone = "UTC", now = new Date()) {
+  const periods = budgetPeriods(now, timeZone);
+  const [row] = await RefundTransaction.aggregate([
+    {
+      $match: {
+        tenant: tenantId,
+        outcome: "SUCCESS",
+        action: { $in: ["refund", "approve"] },
+        createdAt: { $gte: periods.monthStart },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        today: { $sum: { $cond: [{ $gte: ["$createdAt", periods.dayStart] }, { $ifNull: ["$amount", 0] }, 0] } },
+        month: { $sum: { $ifNull: ["$amount", 0] } },
+      },
+    },
+  ]);
+  return { timeZone, today: round2(row?.today || 0), month: round2(row?.month || 0), ...periods };
+}
+
+/**
+ * budgetStatus(rules, spend) -> { timeZone, daily, monthly }
+ * Each period: { cap, spent, remaining, since, resetsAt }; cap and remaining
+ * are null when the ruleset sets no cap for that period.
+ */
+function budgetStatus(rules, spend) {
+  const period = (cap, spent, since, resetsAt) => ({
+    cap: isLimit(cap) ? cap : null,
+    spent,
+    remaining: isLimit(cap) ? round2(Math.max(0, cap - spent)) : null,
+    since,
+    resetsAt,
+  });
+  return {
+    timeZone: spend.timeZone,
+    daily: period(rules?.maxDailyRefundValue, spend.today, spend.dayStart, spend.dayEnd),
+    monthly: period(rules?.maxMonthlyRefundValue, spend.month, spend.monthStart, spend.monthEnd),
+  };
+}
+
+// Whether a ruleset sets any store-wide cap (spend is only loaded then)
+function hasBudget(rules) {
+  return BUDGET_FIELDS.some((field) => isLimit(rules?.[field]));
+}
+
+module.exports = {
+  BUDGET_FIELDS,
+  isValidTimeZone,
+  zonedMidnight,
+  budgetPeriods,
+  loadTenantSpend,
+  budgetStatus,
+  hasBudget,
+};
@@ -0,0 +1,35 @@
+// worker.js
+// Background refund retry worker: `npm run worker`, next to the API server.
+// Replays refunds that failed because Shopify was unavailable once their
+// RefundRetry.nextRetryAt is due (see services/refundRetryWorker.js).
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { startRefundRetryWorker } = require("./services/refundRetryWorker");
+
+const DB = process.env.DATABASE.replace(
+  "<db_password>",
+  process.env.DATABASE_PASSWORD,
+);
+
+let stop = null;
+
+mongoose.connect(DB, {
+  maxPoolSize: 2,
+});
+mongoose.connection.on("connected", () => {
+  console.log("Retry worker connected to MongoDB");
+  if (!stop) stop = startRefundRetryWorker();
+});
+
+mongoose.connection.on("error", (err) => {
+  console.error("Mongoose connection error:", err);
+});
+
+async function shutdown(signal) {
+  console.log(`Retry worker stopping (${signal})`);
+  if (stop) stop();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));